@@ -6,10 +6,14 @@ import { useAuth } from "../../client/src/contexts/AuthContext";
 import Navbar from "./components/common/Navbar";
 import Footer from "./components/common/Footer";
 import LoadingSpinner from "./components/common/LoadingSpinner";
+import VerificationBanner from "./components/common/VerificationBanner";
 
 // Page Components
 import LandingPage from "./pages/home/LandingPage";
 import AuthPage from "../../client/src/pages/AuthPage";
+import VerifyEmail from "./pages/auth/VerifyEmail";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
 import Dashboard from "../../client/src/pages/Dashboard";
 import Profile from "../../client/src/pages/Profile";
 import ReferralsList from "./pages/referred/ReferralsList";
@@ -17,12 +21,18 @@ import ReferralDetail from "./pages/referred/ReferralDetail";
 import MyReferrals from "./pages/MyReferral";
 import CreateReferral from "./pages/referrers/CreateReferral";
 import Applications from "../../client/src/pages/Applications";
+import ApplicationDetail from "./pages/applications/ApplicationDetail";
 import ReferrerApplications from "./pages/referrers/ReferrerApplications";
 import Subscription from "../../client/src/pages/Subscription";
 import AdminDashboard from "../../client/src/pages/admin/AdminDashboard";
 import AdminUsers from "../../client/src/pages/admin/AdminUsers";
 import AdminReferrals from "../../client/src/pages/admin/AdminReferrals";
 import AdminPayments from "../../client/src/pages/admin/AdminPayments";
+import AdminAudit from "./pages/admin/AdminAudit";
+import AdminWebhooks from "./pages/admin/AdminWebhooks";
+import AdminCoupons from "./pages/admin/AdminCoupons";
+import AdminPlans from "./pages/admin/AdminPlans";
+import AdminInvoices from "./pages/admin/AdminInvoices";
 
 // Protected Route Component
 import ProtectedRoute from "../../client/src/components/auth/ProtectedRoute";
@@ -48,6 +58,14 @@ function App() {
           path="/auth"
           element={user ? <Navigate to="/dashboard" replace /> : <AuthPage />}
         />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route
+          path="/forgot-password"
+          element={
+            user ? <Navigate to="/dashboard" replace /> : <ForgotPassword />
+          }
+        />
+        <Route path="/reset-password" element={<ResetPassword />} />
 
         {/* Protected Routes */}
         <Route
@@ -55,6 +73,7 @@ function App() {
           element={
             <ProtectedRoute>
               <div className="min-h-screen flex flex-col">
+                <VerificationBanner />
                 <main className="flex-1">
                   <Routes>
                     {/* Common Routes */}
@@ -87,6 +106,14 @@ function App() {
                         </ProtectedRoute>
                       }
                     />
+                    <Route
+                      path="/applications/:id"
+                      element={
+                        <ProtectedRoute allowedRoles={["jobSeeker", "referrer"]}>
+                          <ApplicationDetail />
+                        </ProtectedRoute>
+                      }
+                    />
 
                     {/* Referrer Routes */}
                     <Route
@@ -148,6 +175,47 @@ function App() {
                       }
                     />
 
+                    <Route
+                      path="/admin/audit"
+                      element={
+                        <ProtectedRoute allowedRoles={["admin"]}>
+                          <AdminAudit />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/admin/webhooks"
+                      element={
+                        <ProtectedRoute allowedRoles={["admin"]}>
+                          <AdminWebhooks />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/admin/coupons"
+                      element={
+                        <ProtectedRoute allowedRoles={["admin"]}>
+                          <AdminCoupons />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/admin/plans"
+                      element={
+                        <ProtectedRoute allowedRoles={["admin"]}>
+                          <AdminPlans />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/admin/invoices"
+                      element={
+                        <ProtectedRoute allowedRoles={["admin"]}>
+                          <AdminInvoices />
+                        </ProtectedRoute>
+                      }
+                    />
+
                     {/* Catch all route */}
                     <Route
                       path="*"
@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from "react";
+import { adminService } from "../../services/api";
+import toast from "react-hot-toast";
+
+const EMPTY_FORM = {
+  key: "",
+  enabled: "true",
+  limit: "",
+  reason: "",
+  expiresAt: "",
+};
+
+const formatLimit = (quota) =>
+  quota.limit === null
+    ? "Unlimited"
+    : quota.used === undefined
+      ? `${quota.limit}`
+      : `${quota.used} of ${quota.limit} used`;
+
+// Shows what a user's plan and role allow, and lets an admin grant or withhold
+// single features and change quota limits for them
+const EntitlementsDialog = ({ user, onClose }) => {
+  const [data, setData] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  useEffect(() => {
+    adminService
+      .getUserEntitlements(user._id)
+      .then((response) => setData(response.data))
+      .catch((err) => {
+        console.error("Failed to fetch entitlements:", err);
+        setLoadFailed(true);
+      });
+  }, [user._id]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const applyResponse = (response) => {
+    toast.success(response.data.message);
+    setData((prev) => ({
+      ...prev,
+      entitlements: response.data.entitlements,
+      overrides: response.data.overrides,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const isQuota = form.key in data.entitlements.quotas;
+    setSaving(true);
+    try {
+      const response = await adminService.setEntitlementOverride(
+        user._id,
+        form.key,
+        {
+          ...(isQuota
+            ? { limit: Number(form.limit) }
+            : { enabled: form.enabled === "true" }),
+          reason: form.reason.trim(),
+          expiresAt: form.expiresAt
+            ? new Date(form.expiresAt).toISOString()
+            : undefined,
+        }
+      );
+      applyResponse(response);
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error("Failed to save override:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (key) => {
+    try {
+      applyResponse(
+        await adminService.removeEntitlementOverride(user._id, key)
+      );
+    } catch (err) {
+      console.error("Failed to remove override:", err);
+    }
+  };
+
+  const labelFor = (key) =>
+    data.features[key] || data.entitlements.quotas[key]?.label || key;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto space-y-5">
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-bold text-gray-800">
+            Access for {user.name}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-800"
+          >
+            Close
+          </button>
+        </div>
+
+        {loadFailed ? (
+          <p className="text-red-600">
+            Could not load this user's entitlements.
+          </p>
+        ) : !data ? (
+          <p className="text-gray-600">Loading entitlements...</p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600">
+              Plan:{" "}
+              <span className="font-semibold">
+                {data.entitlements.plan?.name ||
+                  (user.role === "admin" ? "Admin (everything)" : "Free")}
+              </span>
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              <ul className="space-y-1">
+                {Object.entries(data.entitlements.features).map(
+                  ([key, enabled]) => (
+                    <li key={key} className="flex justify-between gap-2">
+                      <span>{data.features[key] || key}</span>
+                      <span
+                        className={enabled ? "text-green-700" : "text-gray-400"}
+                      >
+                        {enabled ? "Yes" : "No"}
+                      </span>
+                    </li>
+                  )
+                )}
+              </ul>
+              <ul className="space-y-1">
+                {Object.entries(data.entitlements.quotas).map(
+                  ([key, quota]) => (
+                    <li key={key} className="flex justify-between gap-2">
+                      <span className="capitalize">{quota.label}</span>
+                      <span>{formatLimit(quota)}</span>
+                    </li>
+                  )
+                )}
+              </ul>
+            </div>
+
+            {data.overrides.length > 0 && (
+              <div>
+                <h3 className="font-semibold text-gray-800 mb-2">Overrides</h3>
+                <ul className="text-sm space-y-2">
+                  {data.overrides.map((override) => (
+                    <li
+                      key={override.key}
+                      className="flex justify-between gap-2 p-2 bg-gray-50 rounded-md"
+                    >
+                      <span>
+                        <span className="font-medium">
+                          {labelFor(override.key)}:
+                        </span>{" "}
+                        {typeof override.limit === "number"
+                          ? `limit ${override.limit}`
+                          : override.enabled
+                            ? "granted"
+                            : "withheld"}
+                        <span className="block text-xs text-gray-500">
+                          {override.reason}
+                          {override.expiresAt
+                            ? ` · until ${new Date(override.expiresAt).toLocaleString()}`
+                            : ""}
+                        </span>
+                      </span>
+                      <button
+                        onClick={() => handleRemove(override.key)}
+                        className="text-red-600 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <form
+              onSubmit={handleSubmit}
+              className="grid grid-cols-1 md:grid-cols-2 gap-3 p-4 bg-gray-50 border border-gray-200 rounded-lg"
+            >
+              <h3 className="md:col-span-2 font-semibold text-gray-800">
+                Set an override
+              </h3>
+              <select
+                name="key"
+                value={form.key}
+                onChange={handleChange}
+                required
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              >
+                <option value="">Choose a feature or limit</option>
+                {Object.keys(data.entitlements.features).map((key) => (
+                  <option key={key} value={key}>
+                    {labelFor(key)}
+                  </option>
+                ))}
+                {Object.keys(data.entitlements.quotas).map((key) => (
+                  <option key={key} value={key}>
+                    Limit: {labelFor(key)}
+                  </option>
+                ))}
+              </select>
+              {form.key in data.entitlements.quotas ? (
+                <input
+                  name="limit"
+                  type="number"
+                  min={0}
+                  step={1}
+                  value={form.limit}
+                  onChange={handleChange}
+                  required
+                  placeholder="Limit"
+                  className="px-3 py-2 border border-gray-300 rounded-md"
+                />
+              ) : (
+                <select
+                  name="enabled"
+                  value={form.enabled}
+                  onChange={handleChange}
+                  className="px-3 py-2 border border-gray-300 rounded-md"
+                >
+                  <option value="true">Grant</option>
+                  <option value="false">Withhold</option>
+                </select>
+              )}
+              <input
+                name="reason"
+                value={form.reason}
+                onChange={handleChange}
+                required
+                maxLength={500}
+                placeholder="Reason"
+                className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md"
+              />
+              <label className="text-sm text-gray-700">
+                Expires (optional)
+                <input
+                  name="expiresAt"
+                  type="datetime-local"
+                  value={form.expiresAt}
+                  onChange={handleChange}
+                  className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </label>
+              <div className="flex items-end justify-end">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? "Saving..." : "Save Override"}
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EntitlementsDialog;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { Paperclip, Send, Check, CheckCheck } from "lucide-react";
+import { applicationService } from "../../services/api";
+import toast from "react-hot-toast";
+
+// How often the open thread checks for new messages
+const POLL_INTERVAL_MS = 15000;
+
+const MessageThread = ({ applicationId, otherPartyName }) => {
+  const [messages, setMessages] = useState([]);
+  const [participantRole, setParticipantRole] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [text, setText] = useState("");
+  const [attachment, setAttachment] = useState(null);
+  const fileInputRef = useRef(null);
+  const bottomRef = useRef(null);
+
+  const fetchMessages = useCallback(async () => {
+    try {
+      const response = await applicationService.getMessages(applicationId);
+      setMessages(response.data.messages || []);
+      setParticipantRole(response.data.participantRole);
+    } catch (err) {
+      console.error("Failed to fetch messages:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [applicationId]);
+
+  useEffect(() => {
+    fetchMessages();
+    const interval = setInterval(fetchMessages, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchMessages]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages.length]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!text.trim() && !attachment) return;
+
+    const formData = new FormData();
+    formData.append("message", text.trim());
+    if (attachment) {
+      formData.append("attachment", attachment);
+    }
+
+    setSending(true);
+    try {
+      const response = await applicationService.sendMessage(
+        applicationId,
+        formData
+      );
+      setMessages((prev) => [...prev, response.data.data]);
+      setText("");
+      setAttachment(null);
+      if (fileInputRef.current) fileInputRef.current.value = "";
+    } catch (err) {
+      console.error("Failed to send message:", err);
+      toast.error(err.response?.data?.message || "Failed to send message.");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 flex flex-col h-[32rem]">
+      <div className="px-4 py-3 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-800">
+          Messages{otherPartyName ? ` with ${otherPartyName}` : ""}
+        </h2>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {loading ? (
+          <p className="text-gray-500 text-center">Loading messages...</p>
+        ) : messages.length === 0 ? (
+          <p className="text-gray-500 text-center italic">
+            No messages yet. Start the conversation!
+          </p>
+        ) : (
+          messages.map((msg) => {
+            const isMine = msg.sender === participantRole;
+            return (
+              <div
+                key={msg._id}
+                className={`flex ${isMine ? "justify-end" : "justify-start"}`}
+              >
+                <div
+                  className={`max-w-[75%] rounded-lg px-4 py-2 ${
+                    isMine
+                      ? "bg-blue-600 text-white"
+                      : "bg-gray-100 text-gray-800"
+                  }`}
+                >
+                  {msg.message && (
+                    <p className="whitespace-pre-wrap break-words">
+                      {msg.message}
+                    </p>
+                  )}
+                  {msg.attachments?.map((file) => (
+                    <a
+                      key={file._id || file.url}
+                      href={file.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className={`flex items-center gap-1 text-sm underline mt-1 ${
+                        isMine ? "text-blue-100" : "text-blue-600"
+                      }`}
+                    >
+                      <Paperclip className="w-3 h-3" />
+                      {file.fileName || "Attachment"}
+                    </a>
+                  ))}
+                  <div
+                    className={`flex items-center justify-end gap-1 text-xs mt-1 ${
+                      isMine ? "text-blue-100" : "text-gray-500"
+                    }`}
+                  >
+                    <span>{new Date(msg.timestamp).toLocaleString()}</span>
+                    {isMine &&
+                      (msg.readAt ? (
+                        <CheckCheck className="w-3 h-3" aria-label="Read" />
+                      ) : (
+                        <Check className="w-3 h-3" aria-label="Sent" />
+                      ))}
+                  </div>
+                </div>
+              </div>
+            );
+          })
+        )}
+        <div ref={bottomRef} />
+      </div>
+
+      <form
+        onSubmit={handleSend}
+        className="border-t border-gray-200 p-3 flex items-center gap-2"
+      >
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="p-2 text-gray-500 hover:text-blue-600"
+          title="Attach a file (PDF, DOC, DOCX, JPG, PNG up to 5MB)"
+        >
+          <Paperclip className="w-5 h-5" />
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
+          className="hidden"
+          onChange={(e) => setAttachment(e.target.files[0] || null)}
+        />
+        <div className="flex-1">
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            maxLength={2000}
+            placeholder="Type a message..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {attachment && (
+            <p className="text-xs text-gray-500 mt-1">
+              Attached: {attachment.name}
+            </p>
+          )}
+        </div>
+        <button
+          type="submit"
+          disabled={sending || (!text.trim() && !attachment)}
+          className="p-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Send className="w-5 h-5" />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default MessageThread;
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { ShieldCheck } from "lucide-react";
+import { useAuth } from "../../contexts/AuthContext";
+
+// Second login step for accounts with 2FA on
+const TwoFactorChallenge = () => {
+  const { verifyTwoFactor, cancelTwoFactor } = useAuth();
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [value, setValue] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const result = await verifyTwoFactor(
+      useRecovery ? { recoveryCode: value } : { code: value }
+    );
+    if (!result.success) {
+      setValue("");
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md text-center">
+        <ShieldCheck className="w-12 h-12 text-blue-600 mx-auto" />
+        <h2 className="mt-4 text-3xl font-extrabold text-gray-900">
+          Two-factor authentication
+        </h2>
+        <p className="mt-2 text-sm text-gray-600">
+          {useRecovery
+            ? "Enter one of your recovery codes."
+            : "Enter the 6-digit code from your authenticator app."}
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow-md sm:rounded-lg sm:px-10">
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              inputMode={useRecovery ? "text" : "numeric"}
+              autoFocus
+              required
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              placeholder={useRecovery ? "xxxxx-xxxxx" : "123456"}
+              className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-center tracking-widest placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-blue-400 disabled:cursor-not-allowed"
+            >
+              {submitting ? "Verifying..." : "Verify"}
+            </button>
+          </form>
+
+          <div className="mt-6 flex justify-between text-sm">
+            <button
+              onClick={() => {
+                setUseRecovery(!useRecovery);
+                setValue("");
+              }}
+              className="font-medium text-blue-600 hover:text-blue-500"
+            >
+              {useRecovery ? "Use authenticator code" : "Use a recovery code"}
+            </button>
+            <button
+              onClick={cancelTwoFactor}
+              className="font-medium text-gray-600 hover:text-gray-800"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
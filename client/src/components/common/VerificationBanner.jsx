@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { MailWarning } from "lucide-react";
+import { useAuth } from "../../contexts/AuthContext";
+import { authService } from "../../services/api";
+import toast from "react-hot-toast";
+
+// Reminds unverified users to confirm their email; applying and posting referrals
+// stay locked until they do
+const VerificationBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.isVerified || user.role === "admin") {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await authService.resendVerification();
+      toast.success(`Verification email sent to ${user.email}.`);
+    } catch (err) {
+      console.error("Failed to resend verification email:", err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 px-4 py-3">
+      <div className="container mx-auto flex flex-wrap items-center justify-between gap-2 text-yellow-800">
+        <p className="flex items-center gap-2 text-sm">
+          <MailWarning className="w-5 h-5" />
+          Please verify your email address to apply for or post referrals.
+        </p>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="text-sm font-semibold underline disabled:opacity-50"
+        >
+          {sending ? "Sending..." : "Resend verification email"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerificationBanner;
@@ -0,0 +1,25 @@
+import React from "react";
+import { BadgeCheck } from "lucide-react";
+
+// Shown next to a referrer whose company was confirmed through their work email
+const VerifiedCompanyBadge = ({ verification }) => {
+  if (verification?.status !== "verified") {
+    return null;
+  }
+
+  return (
+    <span
+      className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-green-100 text-green-800 text-xs font-semibold"
+      title={
+        verification.domain
+          ? `Verified with a @${verification.domain} email`
+          : "Verified by IntraRefer"
+      }
+    >
+      <BadgeCheck className="w-3.5 h-3.5" />
+      Verified employee
+    </span>
+  );
+};
+
+export default VerifiedCompanyBadge;
@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { userService } from "../../services/api";
+import VerifiedCompanyBadge from "../common/VerifiedCompanyBadge";
+import toast from "react-hot-toast";
+
+const inputClassName =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+// Lets a referrer prove where they work by confirming a code sent to their work email
+const CompanyVerification = () => {
+  const { user, updateUser } = useAuth();
+  const verification = user?.companyVerification || { status: "unverified" };
+
+  const [company, setCompany] = useState(
+    verification.company || user?.company || ""
+  );
+  const [workEmail, setWorkEmail] = useState(verification.workEmail || "");
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [restarting, setRestarting] = useState(false);
+
+  const handleSendCode = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await userService.requestCompanyVerification({
+        company,
+        workEmail,
+      });
+      toast.success(response.data.message);
+      updateUser({
+        ...user,
+        companyVerification: response.data.companyVerification,
+      });
+      setRestarting(false);
+    } catch (err) {
+      console.error("Failed to send company verification code:", err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await userService.confirmCompanyVerification(code);
+      toast.success(response.data.message);
+      updateUser(response.data.user);
+      setCode("");
+    } catch (err) {
+      console.error("Failed to confirm company verification:", err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const showRequestForm = verification.status === "unverified" || restarting;
+  // A verified referrer moving to a new company stays verified until the new code is confirmed
+  const awaitingCode =
+    verification.status === "pending" || Boolean(verification.pendingWorkEmail);
+
+  return (
+    <div className="p-6 rounded-lg border border-gray-200 space-y-4">
+      <div className="flex items-center gap-3">
+        <h2 className="text-xl font-bold text-gray-800">Company Verification</h2>
+        <VerifiedCompanyBadge verification={verification} />
+      </div>
+
+      {verification.status === "verified" && !restarting && (
+        <div className="text-sm text-gray-700">
+          <p>
+            Verified at <span className="font-semibold">{verification.company}</span>
+            {verification.domain && <> via @{verification.domain}</>}. You can
+            post referrals for this company.
+          </p>
+          <button
+            onClick={() => setRestarting(true)}
+            className="mt-2 text-blue-600 hover:underline"
+          >
+            Changed jobs? Verify a different company
+          </button>
+        </div>
+      )}
+
+      {showRequestForm && (
+        <form onSubmit={handleSendCode} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Candidates only see referrals from verified employees. Enter your
+            company and work email; we'll send a 6-digit code there.
+          </p>
+          <input
+            type="text"
+            required
+            value={company}
+            onChange={(e) => setCompany(e.target.value)}
+            placeholder="Company name"
+            className={inputClassName}
+          />
+          <input
+            type="email"
+            required
+            value={workEmail}
+            onChange={(e) => setWorkEmail(e.target.value)}
+            placeholder="you@company.com"
+            className={inputClassName}
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Send code
+          </button>
+        </form>
+      )}
+
+      {awaitingCode && !restarting && (
+        <form onSubmit={handleConfirm} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Enter the code we sent to{" "}
+            <span className="font-semibold">
+              {verification.pendingWorkEmail || verification.workEmail}
+            </span>{" "}
+            to verify{" "}
+            <span className="font-semibold">
+              {verification.pendingCompany || verification.company}
+            </span>
+            .
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              inputMode="numeric"
+              required
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className={`${inputClassName} max-w-[10rem] tracking-widest`}
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Verify
+            </button>
+          </div>
+          <button
+            type="button"
+            onClick={() => setRestarting(true)}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            Use a different email or resend the code
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default CompanyVerification;
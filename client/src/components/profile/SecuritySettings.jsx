@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Monitor, Smartphone, LogOut } from "lucide-react";
+import { useAuth } from "../../contexts/AuthContext";
+import { authService } from "../../services/api";
+import toast from "react-hot-toast";
+
+// Turn a user agent string into something like "Chrome on Windows"
+const describeUserAgent = (userAgent = "") => {
+  const browser = /Edg\//.test(userAgent)
+    ? "Edge"
+    : /Chrome\//.test(userAgent)
+    ? "Chrome"
+    : /Firefox\//.test(userAgent)
+    ? "Firefox"
+    : /Safari\//.test(userAgent)
+    ? "Safari"
+    : "Unknown browser";
+  const os = /Windows/.test(userAgent)
+    ? "Windows"
+    : /Android/.test(userAgent)
+    ? "Android"
+    : /iPhone|iPad/.test(userAgent)
+    ? "iOS"
+    : /Mac OS X/.test(userAgent)
+    ? "macOS"
+    : /Linux/.test(userAgent)
+    ? "Linux"
+    : "Unknown OS";
+  return { label: `${browser} on ${os}`, isMobile: /Mobile|Android|iPhone/.test(userAgent) };
+};
+
+const SecuritySettings = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await authService.getSessions();
+      setSessions(response.data.sessions || []);
+    } catch (err) {
+      console.error("Failed to fetch sessions:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    setBusyId(session.id);
+    try {
+      await authService.revokeSession(session.id);
+      if (session.current) {
+        await logout();
+        return;
+      }
+      toast.success("Device signed out.");
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (err) {
+      console.error("Failed to revoke session:", err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setBusyId("others");
+    try {
+      const response = await authService.revokeOtherSessions();
+      toast.success(
+        `Signed out of ${response.data.sessionsRevoked} other device(s).`
+      );
+      setSessions((prev) => prev.filter((s) => s.current));
+    } catch (err) {
+      console.error("Failed to revoke other sessions:", err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const otherSessionCount = sessions.filter((s) => !s.current).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">Active Sessions</h2>
+          <p className="text-gray-600 text-sm">
+            Devices currently signed in to your account.
+          </p>
+        </div>
+        <button
+          onClick={handleRevokeOthers}
+          disabled={otherSessionCount === 0 || busyId === "others"}
+          className="px-4 py-2 bg-red-600 text-white text-sm font-semibold rounded-md hover:bg-red-700 disabled:opacity-50"
+        >
+          Sign out everywhere else
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-600">Loading sessions...</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {sessions.map((session) => {
+            const { label, isMobile } = describeUserAgent(session.userAgent);
+            const DeviceIcon = isMobile ? Smartphone : Monitor;
+            return (
+              <li
+                key={session.id}
+                className="flex items-center justify-between p-4"
+              >
+                <div className="flex items-center gap-3">
+                  <DeviceIcon className="w-6 h-6 text-gray-500" />
+                  <div>
+                    <p className="font-medium text-gray-800">
+                      {label}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {session.ipAddress || "Unknown IP"} · Last seen{" "}
+                      {new Date(session.lastUsedAt).toLocaleString()} · Signed
+                      in {new Date(session.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={busyId === session.id}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+                >
+                  <LogOut className="w-4 h-4" />
+                  Sign out
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SecuritySettings;
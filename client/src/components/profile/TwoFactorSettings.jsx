@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { ShieldCheck, ShieldOff } from "lucide-react";
+import { useAuth } from "../../contexts/AuthContext";
+import { authService, adminService } from "../../services/api";
+import toast from "react-hot-toast";
+
+const inputClassName =
+  "px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+// Shown once after enabling 2FA or regenerating codes
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200">
+    <p className="font-semibold text-yellow-800 mb-2">
+      Save these recovery codes somewhere safe
+    </p>
+    <p className="text-sm text-yellow-800 mb-3">
+      Each code can be used once to sign in if you lose your authenticator.
+      They won't be shown again.
+    </p>
+    <ul className="grid grid-cols-2 gap-2 font-mono text-sm mb-4">
+      {codes.map((code) => (
+        <li key={code} className="bg-white px-2 py-1 rounded border">
+          {code}
+        </li>
+      ))}
+    </ul>
+    <button
+      onClick={onDone}
+      className="px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-md hover:bg-blue-700"
+    >
+      I've saved them
+    </button>
+  </div>
+);
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [policy, setPolicy] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const isAdmin = user?.role === "admin";
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (err) {
+      console.error("Failed to fetch 2FA status:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  useEffect(() => {
+    if (!isAdmin || !status?.enabled) return;
+    adminService
+      .getSecurityPolicy()
+      .then((response) => setPolicy(response.data))
+      .catch((err) => console.error("Failed to fetch security policy:", err));
+  }, [isAdmin, status?.enabled]);
+
+  // Run an action with the busy flag set and the code/password fields cleared afterwards
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+      setCode("");
+      setPassword("");
+    } catch (err) {
+      console.error("2FA action failed:", err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    runAction(async () => {
+      const response = await authService.setupTwoFactor();
+      setSetup(response.data);
+    });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await authService.enableTwoFactor(code);
+      toast.success(response.data.message);
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      updateUser({ ...user, twoFactor: { enabled: true } });
+      await fetchStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await authService.disableTwoFactor({ password, code });
+      toast.success(response.data.message);
+      updateUser({ ...user, twoFactor: { enabled: false } });
+      await fetchStatus();
+    });
+  };
+
+  const handleRegenerate = () =>
+    runAction(async () => {
+      const response = await authService.regenerateRecoveryCodes(code);
+      toast.success(response.data.message);
+      setRecoveryCodes(response.data.recoveryCodes);
+      await fetchStatus();
+    });
+
+  const handlePolicyChange = (requireAdminTwoFactor) =>
+    runAction(async () => {
+      const response = await adminService.updateSecurityPolicy({
+        requireAdminTwoFactor,
+      });
+      toast.success(response.data.message);
+      setPolicy({ requireAdminTwoFactor });
+    });
+
+  if (!status) {
+    return <p className="text-gray-600">Loading two-factor settings...</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-3">
+        {status.enabled ? (
+          <ShieldCheck className="w-8 h-8 text-green-600" />
+        ) : (
+          <ShieldOff className="w-8 h-8 text-gray-400" />
+        )}
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">
+            Two-Factor Authentication
+          </h2>
+          <p className="text-gray-600 text-sm">
+            {status.enabled
+              ? `Enabled since ${new Date(status.enabledAt).toLocaleDateString()} · ${status.recoveryCodesRemaining} recovery codes left`
+              : "Protect your account with a code from an authenticator app."}
+          </p>
+        </div>
+      </div>
+
+      {status.required && !status.enabled && (
+        <div className="p-3 rounded-md bg-red-50 border border-red-200 text-red-700 text-sm">
+          Two-factor authentication is mandatory for admin accounts. Set it up
+          to regain access to the admin area.
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <RecoveryCodes
+          codes={recoveryCodes}
+          onDone={() => setRecoveryCodes(null)}
+        />
+      )}
+
+      {!status.enabled && !setup && (
+        <button
+          onClick={handleStartSetup}
+          disabled={busy}
+          className="px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          Set up two-factor authentication
+        </button>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Scan this QR code with Google Authenticator, 1Password, Authy or a
+            similar app, then enter the 6-digit code it shows.
+          </p>
+          <img
+            src={setup.qrCode}
+            alt="Two-factor authentication QR code"
+            className="w-48 h-48 border rounded"
+          />
+          <p className="text-sm text-gray-600">
+            Can't scan it? Enter this key instead:{" "}
+            <span className="font-mono break-all">{setup.secret}</span>
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className={inputClassName}
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Confirm
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Enter a current authenticator code to regenerate recovery codes, or
+            your password and a code to turn two-factor authentication off.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Authenticator code"
+              className={inputClassName}
+            />
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              className={inputClassName}
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleRegenerate}
+              disabled={busy || !code}
+              className="px-4 py-2 border border-gray-300 text-sm font-semibold rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Regenerate recovery codes
+            </button>
+            {!status.required && (
+              <button
+                type="submit"
+                disabled={busy || !code || !password}
+                className="px-4 py-2 bg-red-600 text-white text-sm font-semibold rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                Disable
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {isAdmin && status.enabled && policy && (
+        <label className="flex items-center gap-3 p-4 rounded-lg border border-gray-200">
+          <input
+            type="checkbox"
+            checked={policy.requireAdminTwoFactor}
+            disabled={busy}
+            onChange={(e) => handlePolicyChange(e.target.checked)}
+            className="w-4 h-4"
+          />
+          <span className="text-sm text-gray-700">
+            Require two-factor authentication for all admin accounts
+          </span>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
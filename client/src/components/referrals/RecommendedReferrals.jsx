@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Sparkles, MapPin, Briefcase } from "lucide-react";
+import { referralService } from "../../services/api";
+import VerifiedCompanyBadge from "../common/VerifiedCompanyBadge";
+
+const RecommendedReferrals = () => {
+  const navigate = useNavigate();
+  const [matches, setMatches] = useState([]);
+  const [meta, setMeta] = useState({ page: 1, pages: 1 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchMatches = async () => {
+      setLoading(true);
+      try {
+        const response = await referralService.getMatchingReferrals({ page });
+        setMatches(response.data.data || []);
+        setMeta(response.data);
+      } catch (err) {
+        console.error("Failed to fetch recommended referrals:", err);
+        setMatches([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMatches();
+  }, [page]);
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center gap-2 mb-4">
+        <Sparkles className="w-6 h-6 text-purple-600" />
+        <h2 className="text-2xl font-bold text-gray-800">
+          Recommended for you
+        </h2>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-600">Finding referrals that match your profile...</p>
+      ) : matches.length === 0 ? (
+        <p className="text-gray-600 italic">
+          No matches yet. Add skills, experience and desired roles to your
+          profile to get recommendations.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {matches.map(({ referral, matchScore, breakdown }) => (
+            <div
+              key={referral._id}
+              className="p-4 rounded-lg border border-gray-200 hover:shadow-md transition-shadow cursor-pointer"
+              onClick={() => navigate(`/referrals/${referral._id}`)}
+            >
+              <div className="flex justify-between items-start">
+                <div>
+                  <h3 className="text-lg font-semibold text-blue-700">
+                    {referral.title}
+                  </h3>
+                  <p className="text-gray-600 text-sm flex items-center gap-3">
+                    <span className="flex items-center gap-1">
+                      <Briefcase className="w-4 h-4" />
+                      {referral.company}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <MapPin className="w-4 h-4" />
+                      {referral.location}
+                    </span>
+                    <VerifiedCompanyBadge
+                      verification={referral.referrer?.companyVerification}
+                    />
+                  </p>
+                </div>
+                <span className="px-3 py-1 rounded-full bg-purple-100 text-purple-800 text-sm font-semibold">
+                  {matchScore}% match
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-2 mt-3">
+                {breakdown.matchedSkills.map((skill) => (
+                  <span
+                    key={`matched-${skill}`}
+                    className="px-2 py-0.5 rounded bg-green-100 text-green-800 text-xs"
+                  >
+                    {skill}
+                  </span>
+                ))}
+                {breakdown.missingSkills.map((skill) => (
+                  <span
+                    key={`missing-${skill}`}
+                    className="px-2 py-0.5 rounded bg-gray-100 text-gray-500 text-xs line-through"
+                  >
+                    {skill}
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {meta.limited && (
+            <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-yellow-800">
+              You're seeing your top {matches.length} of {meta.totalMatches}{" "}
+              matches.{" "}
+              <button
+                onClick={() => navigate("/subscription")}
+                className="font-semibold underline"
+              >
+                Upgrade to Premium
+              </button>{" "}
+              for the full ranked list.
+            </div>
+          )}
+
+          {meta.pages > 1 && (
+            <div className="flex justify-between items-center">
+              <button
+                onClick={() => setPage((p) => Math.max(p - 1, 1))}
+                disabled={page <= 1}
+                className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-gray-600 text-sm">
+                Page {meta.page} of {meta.pages}
+              </span>
+              <button
+                onClick={() => setPage((p) => Math.min(p + 1, meta.pages))}
+                disabled={page >= meta.pages}
+                className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecommendedReferrals;
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useReducer, useEffect } from "react";
-import { authAPI } from "../services/api";
+import api, { authAPI, refreshAccessToken } from "../services/api";
 import toast from "react-hot-toast";
 
 // Initial state
@@ -8,6 +8,8 @@ const initialState = {
   token: localStorage.getItem("token"),
   loading: true,
   error: null,
+  // Set after a correct password when the account has 2FA on; holds the challenge token
+  twoFactorChallenge: null,
 };
 
 // Action types
@@ -19,6 +21,9 @@ const AUTH_ACTIONS = {
   UPDATE_USER: "UPDATE_USER",
   CLEAR_ERROR: "CLEAR_ERROR",
   SET_LOADING: "SET_LOADING",
+  TOKEN_REFRESHED: "TOKEN_REFRESHED",
+  TWO_FACTOR_REQUIRED: "TWO_FACTOR_REQUIRED",
+  TWO_FACTOR_CANCELLED: "TWO_FACTOR_CANCELLED",
 };
 
 // Reducer
@@ -38,6 +43,7 @@ const authReducer = (state, action) => {
         token: action.payload.token,
         loading: false,
         error: null,
+        twoFactorChallenge: null,
       };
 
     case AUTH_ACTIONS.LOGIN_FAILURE:
@@ -76,6 +82,27 @@ const authReducer = (state, action) => {
         loading: action.payload,
       };
 
+    case AUTH_ACTIONS.TWO_FACTOR_REQUIRED:
+      return {
+        ...state,
+        loading: false,
+        error: null,
+        twoFactorChallenge: action.payload,
+      };
+
+    case AUTH_ACTIONS.TWO_FACTOR_CANCELLED:
+      return {
+        ...state,
+        twoFactorChallenge: null,
+      };
+
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      return {
+        ...state,
+        token: action.payload.token,
+        user: action.payload.user || state.user,
+      };
+
     default:
       return state;
   }
@@ -102,32 +129,69 @@ export const AuthProvider = ({ children }) => {
   // Load user on app start
   useEffect(() => {
     const loadUser = async () => {
-      const token = localStorage.getItem("token");
+      try {
+        let token = localStorage.getItem("token");
 
-      if (token) {
-        setAuthToken(token);
-        try {
-          const response = await authAPI.get("/auth/me");
-          dispatch({
-            type: AUTH_ACTIONS.LOGIN_SUCCESS,
-            payload: {
-              user: response.data.user,
-              token,
-            },
-          });
-        } catch (error) {
-          console.error("Failed to load user:", error);
-          localStorage.removeItem("token");
-          dispatch({ type: AUTH_ACTIONS.LOGOUT });
+        // No access token stored, but the refresh cookie may still be valid
+        if (!token) {
+          ({ token } = await refreshAccessToken());
         }
-      } else {
-        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+
+        setAuthToken(token);
+        // `api` refreshes and retries on 401, so an expired access token is fine here
+        const response = await api.get("/auth/me");
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: {
+            user: response.data.user,
+            token: localStorage.getItem("token"),
+          },
+        });
+      } catch {
+        setAuthToken(null);
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
       }
     };
 
     loadUser();
   }, []);
 
+  // Keep state in sync with token refreshes and forced logouts from the API layer
+  useEffect(() => {
+    const handleTokenRefreshed = (event) => {
+      dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: event.detail });
+    };
+    const handleForcedLogout = () => {
+      setAuthToken(null);
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+    };
+
+    window.addEventListener("auth:token-refreshed", handleTokenRefreshed);
+    window.addEventListener("auth:logout", handleForcedLogout);
+    return () => {
+      window.removeEventListener("auth:token-refreshed", handleTokenRefreshed);
+      window.removeEventListener("auth:logout", handleForcedLogout);
+    };
+  }, []);
+
+  // Store the session from a successful login response
+  const completeLogin = ({ token, user, twoFactorSetupRequired }) => {
+    setAuthToken(token);
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: { user, token },
+    });
+
+    toast.success("Login successful!");
+    if (twoFactorSetupRequired) {
+      toast.error(
+        "Admin accounts must use two-factor authentication. Set it up under Profile → Security.",
+        { duration: 8000 }
+      );
+    }
+  };
+
   // Login function
   const login = async (email, password) => {
     try {
@@ -136,16 +200,16 @@ export const AuthProvider = ({ children }) => {
 
       const response = await authAPI.post("/auth/login", { email, password });
 
-      const { token, user } = response.data;
-
-      setAuthToken(token);
-
-      dispatch({
-        type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user, token },
-      });
+      // Password was right but the account has 2FA on; AuthPage asks for the code next
+      if (response.data.twoFactorRequired) {
+        dispatch({
+          type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED,
+          payload: response.data.challengeToken,
+        });
+        return { success: false, twoFactorRequired: true };
+      }
 
-      toast.success("Login successful!");
+      completeLogin(response.data);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || "Login failed";
@@ -158,6 +222,37 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: authenticator code or recovery code
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    try {
+      const response = await authAPI.post("/auth/login/2fa", {
+        challengeToken: state.twoFactorChallenge,
+        code,
+        recoveryCode,
+      });
+
+      completeLogin(response.data);
+      if (recoveryCode) {
+        toast(
+          `Recovery code used. ${response.data.recoveryCodesRemaining} remaining.`
+        );
+      }
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || "Verification failed";
+      // An expired challenge means starting over from the password step
+      if (error.response?.status === 401) {
+        dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_CANCELLED });
+      }
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_CANCELLED });
+  };
+
   // Register function
   const register = async (userData) => {
     try {
@@ -267,7 +362,10 @@ export const AuthProvider = ({ children }) => {
     token: state.token,
     loading: state.loading,
     error: state.error,
+    twoFactorChallenge: state.twoFactorChallenge,
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
     logout,
     updateUser,
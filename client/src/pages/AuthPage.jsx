@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
+import TwoFactorChallenge from "../components/auth/TwoFactorChallenge";
 import toast from "react-hot-toast";
 
 const AuthPage = () => {
@@ -10,7 +11,8 @@ const AuthPage = () => {
   const [name, setName] = useState(""); // Only for registration
   const [role, setRole] = useState("job seeker"); // Default role for registration
 
-  const { login, register, user, loading, error, clearError } = useAuth(); // Destructure auth functions and state
+  const { login, register, user, loading, error, clearError, twoFactorChallenge } =
+    useAuth(); // Destructure auth functions and state
   const navigate = useNavigate();
 
   // Redirect if user is already logged in
@@ -66,6 +68,11 @@ const AuthPage = () => {
     }
   };
 
+  // Password accepted; the account needs its second factor
+  if (twoFactorChallenge) {
+    return <TwoFactorChallenge />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-100 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
       <div className="sm:mx-auto sm:w-full sm:max-w-md">
@@ -141,6 +148,16 @@ const AuthPage = () => {
                   className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                 />
               </div>
+              {isLoginMode && (
+                <div className="mt-2 text-right text-sm">
+                  <Link
+                    to="/forgot-password"
+                    className="font-medium text-blue-600 hover:text-blue-500"
+                  >
+                    Forgot your password?
+                  </Link>
+                </div>
+              )}
             </div>
 
             {/* Name Input (only for Register mode) */}
@@ -1,6 +1,8 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom"; // For navigation after logout
 import { useAuth } from "../contexts/AuthContext"; // Adjust path as per your project structure
+import RecommendedReferrals from "../components/referrals/RecommendedReferrals";
+import { userService } from "../services/api";
 import toast from "react-hot-toast";
 
 const Dashboard = () => {
@@ -12,6 +14,20 @@ const Dashboard = () => {
     getSubscriptionStatus,
   } = useAuth();
   const navigate = useNavigate();
+  const [applicationQuota, setApplicationQuota] = useState(null);
+
+  // How many applications a job seeker has left this week (null limit = unlimited)
+  useEffect(() => {
+    if (user?.role !== "jobSeeker") return;
+    userService
+      .getEntitlements()
+      .then((response) =>
+        setApplicationQuota(
+          response.data.entitlements.quotas.weekly_applications
+        )
+      )
+      .catch((err) => console.error("Failed to fetch entitlements:", err));
+  }, [user?.role]);
 
   // Show loading state while AuthContext is determining user status
   if (authLoading) {
@@ -83,6 +99,29 @@ const Dashboard = () => {
           )}
         </div>
 
+        {/* Skill-based matches for job seekers */}
+        {user.role === "jobSeeker" && (
+          <div className="mb-8">
+            {applicationQuota && applicationQuota.limit !== null && (
+              <p className="mb-4 text-gray-700">
+                Applications this week:{" "}
+                <span className="font-semibold">
+                  {applicationQuota.used} of {applicationQuota.limit}
+                </span>
+                {applicationQuota.remaining === 0 && (
+                  <button
+                    onClick={() => navigate("/subscription")}
+                    className="ml-3 text-blue-600 hover:underline"
+                  >
+                    Upgrade for unlimited applications
+                  </button>
+                )}
+              </p>
+            )}
+            <RecommendedReferrals />
+          </div>
+        )}
+
         {/* Role-specific Dashboard Content */}
         {user.role === "job_seeker" && (
           <div className="dashboard-section space-y-6">
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../contexts/AuthContext"; // Adjust path
 import { userService } from "../services/api"; // Assume you have a usersAPI instance
+import SecuritySettings from "../components/profile/SecuritySettings";
+import TwoFactorSettings from "../components/profile/TwoFactorSettings";
+import CompanyVerification from "../components/profile/CompanyVerification";
 import toast from "react-hot-toast";
 
 const Profile = () => {
@@ -16,6 +19,7 @@ const Profile = () => {
   const [loading, setLoading] = useState(false); // Component-specific loading for save operations
   const [error, setError] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
+  const [activeTab, setActiveTab] = useState("profile"); // "profile" or "security"
 
   // Effect to populate form fields when user data is available or changes
   useEffect(() => {
@@ -135,156 +139,195 @@ const Profile = () => {
           <h1 className="text-4xl font-extrabold text-gray-900">
             User Profile
           </h1>
-          <button
-            onClick={handleEditToggle}
-            className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-md shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-200"
-          >
-            {isEditing ? "Cancel" : "Edit Profile"}
-          </button>
+          {activeTab === "profile" && (
+            <button
+              onClick={handleEditToggle}
+              className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-md shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-200"
+            >
+              {isEditing ? "Cancel" : "Edit Profile"}
+            </button>
+          )}
         </div>
 
-        <form onSubmit={handleSave} className="space-y-6">
-          {/* Name Field */}
-          <div>
-            <label
-              htmlFor="name"
-              className="block text-sm font-medium text-gray-700"
+        {/* Tabs */}
+        <div className="flex space-x-6 mb-8 border-b border-gray-200">
+          {[
+            { id: "profile", label: "Profile" },
+            { id: "security", label: "Security" },
+          ].map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`pb-3 -mb-px text-sm font-semibold border-b-2 transition duration-200 ${
+                activeTab === tab.id
+                  ? "border-blue-600 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
             >
-              Name
-            </label>
-            <div className="mt-1">
-              <input
-                id="name"
-                name="name"
-                type="text"
-                value={profileData.name}
-                onChange={handleChange}
-                readOnly={!isEditing}
-                className={`block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm ${
-                  isEditing
-                    ? "bg-white focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                    : "bg-gray-100 cursor-not-allowed"
-                }`}
-              />
-            </div>
-          </div>
+              {tab.label}
+            </button>
+          ))}
+        </div>
 
-          {/* Email Field (usually read-only) */}
-          <div>
-            <label
-              htmlFor="email"
-              className="block text-sm font-medium text-gray-700"
-            >
-              Email
-            </label>
-            <div className="mt-1">
-              <input
-                id="email"
-                name="email"
-                type="email"
-                value={profileData.email}
-                readOnly
-                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-gray-100 cursor-not-allowed sm:text-sm"
-              />
-            </div>
+        {activeTab === "security" && (
+          <div className="space-y-10">
+            {["referrer", "admin"].includes(user?.role) && (
+              <TwoFactorSettings />
+            )}
+            <SecuritySettings />
           </div>
+        )}
 
-          {/* Role Field (usually read-only) */}
-          <div>
-            <label
-              htmlFor="role"
-              className="block text-sm font-medium text-gray-700"
-            >
-              Role
-            </label>
-            <div className="mt-1">
-              <input
-                id="role"
-                name="role"
-                type="text"
-                value={profileData.role
-                  .replace("_", " ")
-                  .split(" ")
-                  .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-                  .join(" ")} // Capitalize words
-                readOnly
-                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-gray-100 cursor-not-allowed sm:text-sm"
-              />
+        {activeTab === "profile" && (
+          <form onSubmit={handleSave} className="space-y-6">
+            {/* Name Field */}
+            <div>
+              <label
+                htmlFor="name"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Name
+              </label>
+              <div className="mt-1">
+                <input
+                  id="name"
+                  name="name"
+                  type="text"
+                  value={profileData.name}
+                  onChange={handleChange}
+                  readOnly={!isEditing}
+                  className={`block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm ${
+                    isEditing
+                      ? "bg-white focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      : "bg-gray-100 cursor-not-allowed"
+                  }`}
+                />
+              </div>
             </div>
-          </div>
 
-          {/* Add more fields here as needed (e.g., phoneNumber, address) */}
-          {/* Example of an editable field:
-          <div>
-            <label htmlFor="phoneNumber" className="block text-sm font-medium text-gray-700">
-              Phone Number
-            </label>
-            <div className="mt-1">
-              <input
-                id="phoneNumber"
-                name="phoneNumber"
-                type="tel"
-                value={profileData.phoneNumber}
-                onChange={handleChange}
-                readOnly={!isEditing}
-                className={`block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm ${
-                  isEditing ? "bg-white focus:outline-none focus:ring-blue-500 focus:border-blue-500" : "bg-gray-100 cursor-not-allowed"
-                }`}
-              />
+            {/* Email Field (usually read-only) */}
+            <div>
+              <label
+                htmlFor="email"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Email
+              </label>
+              <div className="mt-1">
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  value={profileData.email}
+                  readOnly
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-gray-100 cursor-not-allowed sm:text-sm"
+                />
+              </div>
             </div>
-          </div>
-          */}
 
-          {/* Save/Cancel Buttons in Editing Mode */}
-          {isEditing && (
-            <div className="flex justify-end space-x-3 mt-6">
-              <button
-                type="button" // Use type="button" to prevent form submission
-                onClick={handleEditToggle} // Cancel
-                className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-              >
-                Cancel
-              </button>
-              <button
-                type="submit"
-                disabled={loading}
-                className={`inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
-                  loading
-                    ? "bg-green-400 cursor-not-allowed"
-                    : "bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                }`}
+            {/* Role Field (usually read-only) */}
+            <div>
+              <label
+                htmlFor="role"
+                className="block text-sm font-medium text-gray-700"
               >
-                {loading ? (
-                  <span className="flex items-center">
-                    <svg
-                      className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
-                      xmlns="[http://www.w3.org/2000/svg](http://www.w3.org/2000/svg)"
-                      fill="none"
-                      viewBox="0 0 24 24"
-                    >
-                      <circle
-                        className="opacity-25"
-                        cx="12"
-                        cy="12"
-                        r="10"
-                        stroke="currentColor"
-                        strokeWidth="4"
-                      ></circle>
-                      <path
-                        className="opacity-75"
-                        fill="currentColor"
-                        d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                      ></path>
-                    </svg>
-                    Saving...
-                  </span>
-                ) : (
-                  "Save Changes"
-                )}
-              </button>
+                Role
+              </label>
+              <div className="mt-1">
+                <input
+                  id="role"
+                  name="role"
+                  type="text"
+                  value={profileData.role
+                    .replace("_", " ")
+                    .split(" ")
+                    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+                    .join(" ")} // Capitalize words
+                  readOnly
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-gray-100 cursor-not-allowed sm:text-sm"
+                />
+              </div>
             </div>
-          )}
-        </form>
+
+            {/* Add more fields here as needed (e.g., phoneNumber, address) */}
+            {/* Example of an editable field:
+            <div>
+              <label htmlFor="phoneNumber" className="block text-sm font-medium text-gray-700">
+                Phone Number
+              </label>
+              <div className="mt-1">
+                <input
+                  id="phoneNumber"
+                  name="phoneNumber"
+                  type="tel"
+                  value={profileData.phoneNumber}
+                  onChange={handleChange}
+                  readOnly={!isEditing}
+                  className={`block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm ${
+                    isEditing ? "bg-white focus:outline-none focus:ring-blue-500 focus:border-blue-500" : "bg-gray-100 cursor-not-allowed"
+                  }`}
+                />
+              </div>
+            </div>
+            */}
+
+            {/* Save/Cancel Buttons in Editing Mode */}
+            {isEditing && (
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  type="button" // Use type="button" to prevent form submission
+                  onClick={handleEditToggle} // Cancel
+                  className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className={`inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+                    loading
+                      ? "bg-green-400 cursor-not-allowed"
+                      : "bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                  }`}
+                >
+                  {loading ? (
+                    <span className="flex items-center">
+                      <svg
+                        className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
+                        xmlns="[http://www.w3.org/2000/svg](http://www.w3.org/2000/svg)"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                      >
+                        <circle
+                          className="opacity-25"
+                          cx="12"
+                          cy="12"
+                          r="10"
+                          stroke="currentColor"
+                          strokeWidth="4"
+                        ></circle>
+                        <path
+                          className="opacity-75"
+                          fill="currentColor"
+                          d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                        ></path>
+                      </svg>
+                      Saving...
+                    </span>
+                  ) : (
+                    "Save Changes"
+                  )}
+                </button>
+              </div>
+            )}
+          </form>
+        )}
+
+        {activeTab === "profile" && user?.role === "referrer" && (
+          <div className="mt-10">
+            <CompanyVerification />
+          </div>
+        )}
       </div>
     </div>
   );
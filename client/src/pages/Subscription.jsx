@@ -1,126 +1,272 @@
-import React, { useState } from "react";
-import { useAuth } from "../contexts/AuthContext"; // Adjust path as per your project structure
-import { paymentService } from "../services/api"; // Make sure this API instance exists and is configured
+import React, { useState, useEffect, useCallback } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { paymentService, saveDownload } from "../services/api";
+import { purchaseSubscription, authorizeAutoRenew } from "../services/checkout";
 import toast from "react-hot-toast";
 
+const CANCELLATION_REASONS = [
+  { value: "too_expensive", label: "It's too expensive" },
+  { value: "not_using", label: "I'm not using it enough" },
+  { value: "found_job", label: "I found a job" },
+  { value: "missing_features", label: "It's missing features I need" },
+  { value: "technical_issues", label: "I ran into technical issues" },
+  { value: "other", label: "Something else" },
+];
+
+const PERIOD_STYLES = {
+  active: "bg-green-100 text-green-800",
+  upcoming: "bg-blue-100 text-blue-800",
+  ended: "bg-gray-100 text-gray-800",
+  superseded: "bg-purple-100 text-purple-800",
+  refunded: "bg-red-100 text-red-800",
+};
+
+const EMPTY_BILLING = {
+  name: "",
+  gstin: "",
+  addressLine1: "",
+  addressLine2: "",
+  city: "",
+  state: "",
+  postalCode: "",
+};
+
+// The billing details to send with an order, leaving out empty fields
+const toBillingPayload = (billing) =>
+  Object.fromEntries(
+    Object.keys(EMPTY_BILLING)
+      .map((field) => [field, (billing[field] || "").trim()])
+      .filter(([, value]) => value)
+  );
+
+const formatAmount = (paise) => `₹${(paise / 100).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
 const Subscription = () => {
-  const {
-    user,
-    loading: authLoading,
-    token,
-    updateUser,
-    getSubscriptionStatus,
-  } = useAuth();
-  const [loading, setLoading] = useState(false); // Component-specific loading for subscription actions
+  const { user, loading: authLoading, updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [quotes, setQuotes] = useState({});
+  const [couponInput, setCouponInput] = useState("");
+  const [coupon, setCoupon] = useState(null); // { code, description, quotes }
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null); // Which action is in progress
   const [error, setError] = useState(null);
+  const [showCancel, setShowCancel] = useState(false);
+  const [cancelForm, setCancelForm] = useState({ reason: "", comment: "" });
+  const [payments, setPayments] = useState({}); // Payment history by id, for invoices
+  const [billing, setBilling] = useState(EMPTY_BILLING);
+  const [billingStates, setBillingStates] = useState([]);
+  const [editingBilling, setEditingBilling] = useState(false);
 
-  // Mock subscription plans (replace with real data from your backend if available)
-  const plans = [
-    {
-      id: "basic",
-      name: "Basic Plan",
-      price: "$0/month",
-      features: [
-        "Limited job alerts",
-        "Standard referral tools",
-        "Email support",
-      ],
-      type: "basic", // Corresponds to subscriptionType in backend
-    },
-    {
-      id: "premium",
-      name: "Premium Plan",
-      price: "$9.99/month",
-      features: [
-        "Unlimited job alerts",
-        "Advanced referral analytics",
-        "Priority referrals",
-        "24/7 Chat support",
-        "Exclusive webinars",
-      ],
-      type: "premium", // Corresponds to subscriptionType in backend
-    },
-  ];
-
-  // Get current subscription status from AuthContext
-  const currentSubscriptionStatus = getSubscriptionStatus();
-
-  // Handle subscription action (e.g., subscribing to a plan)
-  const handleSubscribe = async (planId) => {
-    if (!user || !token) {
-      toast.error("Please log in to manage subscriptions.");
-      return;
-    }
-
-    setLoading(true);
-    setError(null);
+  const isJobSeeker = user?.role === "jobSeeker";
 
+  const fetchSubscription = useCallback(async () => {
     try {
-      // Set Authorization header for the request
-      paymentService.defaults.headers.common[
-        "Authorization"
-      ] = `Bearer ${token}`;
-
-      // Assuming your backend endpoint to subscribe
-      const response = await paymentService.post("/subscriptions/subscribe", {
-        planId,
-      });
-
-      // Assuming your backend returns the updated user object with new subscription details
-      // It's crucial for the backend to return the full updated user object
-      updateUser(response.data.user);
+      const [statusResponse, plansResponse, historyResponse] =
+        await Promise.all([
+          paymentService.getSubscriptionStatus(),
+          paymentService.getSubscriptionPlans(),
+          paymentService.getPaymentHistory(),
+        ]);
+      const loadedPlans = plansResponse.data.plans || [];
+      setStatus(statusResponse.data);
+      setPlans(loadedPlans);
+      setPayments(
+        Object.fromEntries(
+          historyResponse.data.payments.map((payment) => [payment._id, payment])
+        )
+      );
 
-      toast.success(
-        `Successfully subscribed to ${
-          response.data.user.subscriptionType || "your plan"
-        }!`
+      // What each plan would cost right now: a renewal or upgrade is priced differently
+      const quoteResults = await Promise.all(
+        loadedPlans.map((plan) =>
+          paymentService
+            .getSubscriptionQuote(plan.id)
+            .then((response) => ({ quote: response.data.quote }))
+            .catch((err) => ({
+              error: err.response?.data?.message || "Not available",
+            }))
+        )
       );
-      setError(null); // Clear any old errors
+      const nextQuotes = {};
+      loadedPlans.forEach((plan, index) => {
+        nextQuotes[plan.id] = quoteResults[index];
+      });
+      setQuotes(nextQuotes);
+      setError(null);
     } catch (err) {
-      console.error("Subscription failed:", err);
-      const errorMessage =
-        err.response?.data?.message || "Failed to subscribe. Please try again.";
-      setError(errorMessage);
-      toast.error(errorMessage);
+      console.error("Failed to load subscription:", err);
+      setError(
+        err.response?.data?.message || "Failed to load your subscription."
+      );
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
 
-  // Optional: Handle cancellation (if your backend supports it)
-  const handleCancelSubscription = async () => {
-    if (!user || !token || !currentSubscriptionStatus?.isActive) {
-      toast.error("No active subscription to cancel.");
-      return;
+  useEffect(() => {
+    if (isJobSeeker) {
+      fetchSubscription();
+    } else {
+      setLoading(false);
     }
+  }, [isJobSeeker, fetchSubscription]);
 
-    setLoading(true);
-    setError(null);
+  // Start from the billing details of the last checkout
+  useEffect(() => {
+    if (!isJobSeeker) return;
+    paymentService
+      .getBillingDetails()
+      .then((response) => {
+        setBilling({ ...EMPTY_BILLING, ...response.data.billingDetails });
+        setBillingStates(response.data.states || []);
+      })
+      .catch((err) => console.error("Failed to load billing details:", err));
+  }, [isJobSeeker]);
 
+  // Run an action, show its outcome and reload the subscription
+  const runAction = async (name, action, successMessage) => {
+    setBusy(name);
     try {
-      paymentService.defaults.headers.common[
-        "Authorization"
-      ] = `Bearer ${token}`;
-      // Assuming your backend endpoint to cancel subscription
-      const response = await paymentService.post("/subscriptions/cancel");
+      const data = await action();
+      if (data?.user) updateUser(data.user);
+      toast.success(successMessage || data?.message);
+      await fetchSubscription();
+      return true;
+    } catch (err) {
+      console.error(`Subscription ${name} failed:`, err);
+      toast.error(err.response?.data?.message || err.message);
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
 
-      // Update user in context (backend should return user with subscription status set to inactive)
-      updateUser(response.data.user);
+  // Price every plan with the coupon; it is applied if at least one plan accepts it
+  const handleApplyCoupon = async (e) => {
+    e.preventDefault();
+    const code = couponInput.trim();
+    if (!code) return;
 
-      toast.success("Subscription cancelled successfully.");
-    } catch (err) {
-      console.error("Cancellation failed:", err);
-      const errorMessage =
-        err.response?.data?.message || "Failed to cancel subscription.";
-      setError(errorMessage);
-      toast.error(errorMessage);
+    setApplyingCoupon(true);
+    try {
+      const results = await Promise.all(
+        plans.map((plan) =>
+          paymentService
+            .validateCoupon(code, plan.id)
+            .then((response) => response.data)
+            .catch((err) => ({
+              error: err.response?.data?.message || "Could not check coupon",
+            }))
+        )
+      );
+      const accepted = results.find((result) => result.valid);
+      if (!accepted) {
+        toast.error(results[0]?.error || "Invalid coupon code");
+        return;
+      }
+
+      const couponQuotes = {};
+      plans.forEach((plan, index) => {
+        couponQuotes[plan.id] = results[index];
+      });
+      setCoupon({ ...accepted.coupon, quotes: couponQuotes });
+      toast.success(`Coupon ${accepted.coupon.code} applied`);
     } finally {
-      setLoading(false);
+      setApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setCoupon(null);
+    setCouponInput("");
+  };
+
+  const handlePurchase = async (planId) => {
+    const couponCode = coupon?.quotes[planId]?.quote ? coupon.code : undefined;
+    const purchased = await runAction(
+      `purchase-${planId}`,
+      () =>
+        purchaseSubscription(
+          planId,
+          user,
+          couponCode,
+          toBillingPayload(billing)
+        ),
+      "Payment successful. Your subscription has been updated!"
+    );
+    if (purchased) handleRemoveCoupon();
+  };
+
+  const handleBillingChange = (e) => {
+    const { name, value } = e.target;
+    setBilling((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // `creditNote` ({ number, refundId }) picks which refund's credit note to download
+  const handleDownload = async (paymentId, type, creditNote) => {
+    const payment = payments[paymentId];
+    try {
+      if (type === "invoice") {
+        const response = await paymentService.downloadInvoice(paymentId);
+        saveDownload(response, `${payment?.invoiceNumber || "invoice"}.pdf`);
+      } else {
+        const response = await paymentService.downloadCreditNote(
+          paymentId,
+          creditNote?.refundId
+        );
+        saveDownload(response, `${creditNote?.number || "credit-note"}.pdf`);
+      }
+    } catch (err) {
+      console.error(`Failed to download ${type}:`, err);
+      toast.error("Could not download the document.");
+    }
+  };
+
+  const handleCancel = async (e) => {
+    e.preventDefault();
+    const cancelled = await runAction("cancel", async () => {
+      const response = await paymentService.cancelSubscription(
+        cancelForm.reason,
+        cancelForm.comment.trim() || undefined
+      );
+      return response.data;
+    });
+    if (cancelled) {
+      setShowCancel(false);
+      setCancelForm({ reason: "", comment: "" });
     }
   };
 
-  // Show loading state while AuthContext is determining user status
-  if (authLoading) {
+  const handleResume = () =>
+    runAction("resume", async () => {
+      const response = await paymentService.resumeSubscription();
+      return response.data;
+    });
+
+  const handleEnableAutoRenew = () =>
+    runAction(
+      "auto-renew",
+      async () => {
+        const response = await paymentService.enableAutoRenew(
+          status.subscriptionType || "monthly"
+        );
+        await authorizeAutoRenew(response.data, user);
+        return response.data;
+      },
+      "Auto-renew set up. It turns on once the payment gateway confirms it."
+    );
+
+  const handleDisableAutoRenew = () =>
+    runAction("auto-renew", async () => {
+      const response = await paymentService.disableAutoRenew();
+      return response.data;
+    });
+
+  if (authLoading || loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
         <p className="text-xl text-gray-700">Loading subscription details...</p>
@@ -128,7 +274,6 @@ const Subscription = () => {
     );
   }
 
-  // If user is not authenticated after loading, show an error
   if (!user) {
     return (
       <div className="text-red-600 text-center p-6 bg-red-50 border border-red-200 rounded-lg mx-auto max-w-md mt-10">
@@ -138,7 +283,9 @@ const Subscription = () => {
     );
   }
 
-  // Render content based on subscription status and user role
+  const renewal = status?.renewal || {};
+  const cancelled = renewal.cancelAtPeriodEnd;
+
   return (
     <div className="container mx-auto p-8 bg-gray-50 min-h-screen flex flex-col items-center">
       <div className="bg-white shadow-lg rounded-xl p-8 md:p-10 lg:p-12 w-full max-w-4xl">
@@ -152,125 +299,479 @@ const Subscription = () => {
           </div>
         )}
 
-        {currentSubscriptionStatus?.type === "admin" ? (
-          // Admin View
+        {!isJobSeeker ? (
           <div className="text-center p-6 bg-blue-100 border-l-4 border-blue-500 text-blue-800 rounded-md">
             <p className="text-xl font-semibold">
-              You are an Admin. All premium features are active by default.
+              {user.role === "admin"
+                ? "You are an Admin. All premium features are active by default."
+                : "Premium subscriptions are available to job seekers."}
             </p>
             <p className="mt-2 text-gray-700">
-              Subscription management features are not applicable for admin
-              accounts directly.
+              Subscription management doesn't apply to your account.
             </p>
           </div>
-        ) : currentSubscriptionStatus?.isActive ? (
-          // User is currently subscribed
-          <div className="text-center p-6 bg-green-100 border-l-4 border-green-500 text-green-800 rounded-md space-y-4">
-            <p className="text-2xl font-semibold">
-              Your Current Plan:{" "}
-              <span className="capitalize">
-                {currentSubscriptionStatus.type || "N/A"}
-              </span>
-            </p>
-            <p className="text-lg">
-              Status: <span className="font-bold">Active</span>
-            </p>
-            {currentSubscriptionStatus.daysRemaining !== Infinity && (
-              <p className="text-lg">
-                Days Remaining:{" "}
-                <span className="font-bold">
-                  {currentSubscriptionStatus.daysRemaining}
-                </span>
-              </p>
-            )}
-            <div className="flex justify-center space-x-4 mt-6">
-              {/* Optional: Button to manage billing (e.g., link to Stripe portal) */}
-              <button
-                // onClick={() => window.open("YOUR_BILLING_PORTAL_URL", "_blank")}
-                className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-md shadow-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 transition duration-200"
-              >
-                Manage Billing
-              </button>
-              <button
-                onClick={handleCancelSubscription}
-                disabled={loading}
-                className={`px-6 py-3 border border-red-600 text-red-600 font-semibold rounded-md shadow-md hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition duration-200 ${
-                  loading ? "opacity-50 cursor-not-allowed" : ""
-                }`}
-              >
-                {loading ? "Cancelling..." : "Cancel Subscription"}
-              </button>
-            </div>
-          </div>
         ) : (
-          // User is not subscribed or subscription is inactive
           <div className="space-y-8">
-            <h2 className="text-2xl font-bold text-gray-800 text-center">
-              Choose Your Plan
-            </h2>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-              {plans.map((plan) => (
-                <div
-                  key={plan.id}
-                  className="bg-white border border-gray-200 rounded-lg shadow-md p-6 flex flex-col"
-                >
-                  <h3 className="text-2xl font-bold text-gray-900 mb-3">
-                    {plan.name}
-                  </h3>
-                  <p className="text-4xl font-extrabold text-blue-600 mb-4">
-                    {plan.price}
+            {status?.isActive && (
+              <div
+                className={`text-center p-6 border-l-4 rounded-md space-y-3 ${
+                  cancelled
+                    ? "bg-yellow-50 border-yellow-500 text-yellow-800"
+                    : "bg-green-100 border-green-500 text-green-800"
+                }`}
+              >
+                <p className="text-2xl font-semibold">
+                  Your Current Plan:{" "}
+                  <span className="capitalize">
+                    {status.subscriptionType || "Premium"}
+                  </span>
+                </p>
+                <p className="text-lg">
+                  {cancelled ? (
+                    <>
+                      Cancelled. Premium ends on{" "}
+                      <span className="font-bold">
+                        {formatDate(status.subscriptionEnd)}
+                      </span>
+                    </>
+                  ) : (
+                    <>
+                      Paid until{" "}
+                      <span className="font-bold">
+                        {formatDate(status.subscriptionEnd)}
+                      </span>{" "}
+                      ({status.daysRemaining} days remaining)
+                    </>
+                  )}
+                </p>
+                {!cancelled && (
+                  <p className="text-sm">
+                    Auto-renew:{" "}
+                    <span className="font-bold">
+                      {renewal.autoRenew
+                        ? `On (${renewal.subscriptionType})`
+                        : renewal.gatewayStatus === "created"
+                          ? "Waiting for authorisation"
+                          : "Off"}
+                    </span>
                   </p>
-                  <ul className="text-gray-700 space-y-2 flex-grow">
-                    {plan.features.map((feature, index) => (
-                      <li key={index} className="flex items-center">
-                        <svg
-                          className="h-5 w-5 text-green-500 mr-2"
-                          fill="none"
-                          stroke="currentColor"
-                          viewBox="0 0 24 24"
-                          xmlns="[http://www.w3.org/2000/svg](http://www.w3.org/2000/svg)"
+                )}
+                <div className="flex flex-wrap justify-center gap-4 mt-4">
+                  {cancelled ? (
+                    <button
+                      onClick={handleResume}
+                      disabled={busy !== null}
+                      className="px-6 py-3 bg-green-600 text-white font-semibold rounded-md shadow-md hover:bg-green-700 disabled:opacity-50"
+                    >
+                      {busy === "resume"
+                        ? "Resuming..."
+                        : "Resume Subscription"}
+                    </button>
+                  ) : (
+                    <>
+                      {renewal.autoRenew ||
+                      renewal.gatewayStatus === "created" ? (
+                        <button
+                          onClick={handleDisableAutoRenew}
+                          disabled={busy !== null}
+                          className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-md shadow-md hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                          {busy === "auto-renew"
+                            ? "Updating..."
+                            : "Turn Off Auto-Renew"}
+                        </button>
+                      ) : (
+                        <button
+                          onClick={handleEnableAutoRenew}
+                          disabled={busy !== null}
+                          className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-md shadow-md hover:bg-indigo-700 disabled:opacity-50"
                         >
-                          <path
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                            strokeWidth="2"
-                            d="M5 13l4 4L19 7"
-                          ></path>
-                        </svg>
-                        {feature}
-                      </li>
-                    ))}
-                  </ul>
-                  <button
-                    onClick={() => handleSubscribe(plan.id)}
-                    disabled={
-                      loading ||
-                      (currentSubscriptionStatus?.isActive &&
-                        plan.id === currentSubscriptionStatus?.type)
-                    } // Disable if already subscribed to this plan or loading
-                    className={`mt-6 w-full py-3 px-6 rounded-md text-white font-semibold shadow-md transition duration-200 ${
-                      loading ||
-                      (currentSubscriptionStatus?.isActive &&
-                        plan.id === currentSubscriptionStatus?.type)
-                        ? "bg-gray-400 cursor-not-allowed"
-                        : "bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
-                    }`}
-                  >
-                    {loading && plan.id === currentSubscriptionStatus?.type
-                      ? "Processing..."
-                      : currentSubscriptionStatus?.isActive &&
-                        plan.id === currentSubscriptionStatus?.type
-                      ? "Current Plan"
-                      : plan.id === "basic"
-                      ? "Get Started"
-                      : "Subscribe Now"}
-                  </button>
+                          {busy === "auto-renew"
+                            ? "Setting up..."
+                            : "Turn On Auto-Renew"}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => setShowCancel(true)}
+                        disabled={busy !== null}
+                        className="px-6 py-3 border border-red-600 text-red-600 font-semibold rounded-md shadow-md hover:bg-red-50 disabled:opacity-50"
+                      >
+                        Cancel Subscription
+                      </button>
+                    </>
+                  )}
                 </div>
-              ))}
+              </div>
+            )}
+
+            <div>
+              <h2 className="text-2xl font-bold text-gray-800 text-center mb-6">
+                {status?.isActive ? "Renew or Upgrade" : "Choose Your Plan"}
+              </h2>
+              <div className="flex justify-center mb-6">
+                {coupon ? (
+                  <div className="flex items-center gap-3 px-4 py-2 bg-green-50 border border-green-200 rounded-md text-green-800">
+                    <span>
+                      Coupon <span className="font-bold">{coupon.code}</span>{" "}
+                      applied
+                      {coupon.description ? `: ${coupon.description}` : ""}
+                    </span>
+                    <button
+                      onClick={handleRemoveCoupon}
+                      disabled={busy !== null}
+                      className="text-sm underline disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <form onSubmit={handleApplyCoupon} className="flex gap-2">
+                    <input
+                      type="text"
+                      value={couponInput}
+                      onChange={(e) => setCouponInput(e.target.value)}
+                      maxLength={32}
+                      placeholder="Have a coupon code?"
+                      className="px-3 py-2 border border-gray-300 rounded-md uppercase"
+                    />
+                    <button
+                      type="submit"
+                      disabled={applyingCoupon || !couponInput.trim()}
+                      className="px-4 py-2 bg-gray-800 text-white font-semibold rounded-md hover:bg-gray-900 disabled:opacity-50"
+                    >
+                      {applyingCoupon ? "Checking..." : "Apply"}
+                    </button>
+                  </form>
+                )}
+              </div>
+              <div className="max-w-2xl mx-auto mb-6 text-sm text-gray-700">
+                {editingBilling ? (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                    <h3 className="md:col-span-2 font-semibold text-gray-800">
+                      Billing details for your invoice
+                    </h3>
+                    <input
+                      name="name"
+                      value={billing.name}
+                      onChange={handleBillingChange}
+                      maxLength={100}
+                      placeholder="Name or business name"
+                      className="px-3 py-2 border border-gray-300 rounded-md"
+                    />
+                    <input
+                      name="gstin"
+                      value={billing.gstin}
+                      onChange={handleBillingChange}
+                      maxLength={15}
+                      placeholder="GSTIN (businesses only)"
+                      className="px-3 py-2 border border-gray-300 rounded-md uppercase"
+                    />
+                    <input
+                      name="addressLine1"
+                      value={billing.addressLine1}
+                      onChange={handleBillingChange}
+                      maxLength={200}
+                      placeholder="Address"
+                      className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md"
+                    />
+                    <input
+                      name="addressLine2"
+                      value={billing.addressLine2}
+                      onChange={handleBillingChange}
+                      maxLength={200}
+                      placeholder="Address line 2 (optional)"
+                      className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md"
+                    />
+                    <input
+                      name="city"
+                      value={billing.city}
+                      onChange={handleBillingChange}
+                      maxLength={100}
+                      placeholder="City"
+                      className="px-3 py-2 border border-gray-300 rounded-md"
+                    />
+                    <select
+                      name="state"
+                      value={billing.state}
+                      onChange={handleBillingChange}
+                      className="px-3 py-2 border border-gray-300 rounded-md"
+                    >
+                      <option value="">State</option>
+                      {billingStates.map((state) => (
+                        <option key={state} value={state}>
+                          {state}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      name="postalCode"
+                      value={billing.postalCode}
+                      onChange={handleBillingChange}
+                      maxLength={6}
+                      placeholder="PIN code"
+                      className="px-3 py-2 border border-gray-300 rounded-md"
+                    />
+                    <div className="flex justify-end items-center">
+                      <button
+                        type="button"
+                        onClick={() => setEditingBilling(false)}
+                        className="px-4 py-2 bg-gray-800 text-white font-semibold rounded-md hover:bg-gray-900"
+                      >
+                        Done
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <p className="text-center">
+                    Invoice to{" "}
+                    <span className="font-semibold">
+                      {billing.name || user?.name}
+                    </span>
+                    {billing.gstin ? ` (GSTIN ${billing.gstin})` : ""}
+                    {billing.state ? `, ${billing.state}` : ""}
+                    <button
+                      onClick={() => setEditingBilling(true)}
+                      className="ml-2 text-blue-600 hover:underline"
+                    >
+                      Edit billing details
+                    </button>
+                  </p>
+                )}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                {plans.map((plan) => {
+                  const couponResult = coupon?.quotes[plan.id];
+                  const { quote, error: quoteError } = couponResult?.quote
+                    ? couponResult
+                    : quotes[plan.id] || {};
+                  return (
+                    <div
+                      key={plan.id}
+                      className="bg-white border border-gray-200 rounded-lg shadow-md p-6 flex flex-col"
+                    >
+                      <h3 className="text-2xl font-bold text-gray-900 mb-3">
+                        {plan.name}
+                      </h3>
+                      <p className="text-4xl font-extrabold text-blue-600 mb-1">
+                        {formatAmount(quote ? quote.amount : plan.amount)}
+                      </p>
+                      {quote?.creditAmount > 0 && (
+                        <p className="text-sm text-gray-600">
+                          {formatAmount(quote.listAmount)} less{" "}
+                          {formatAmount(quote.creditAmount)} credit for your
+                          unused time
+                        </p>
+                      )}
+                      {quote?.discountAmount > 0 && (
+                        <p className="text-sm text-green-700">
+                          {formatAmount(quote.discountAmount)} off with{" "}
+                          {quote.couponCode}
+                        </p>
+                      )}
+                      {couponResult?.error && (
+                        <p className="text-sm text-gray-500">
+                          {couponResult.error}
+                        </p>
+                      )}
+                      {plan.savings && (
+                        <p className="text-sm text-green-700">{plan.savings}</p>
+                      )}
+                      {quote && (
+                        <p className="text-sm text-gray-600 mt-2">
+                          Covers {formatDate(quote.periodStart)} –{" "}
+                          {formatDate(quote.periodEnd)}
+                        </p>
+                      )}
+                      <ul className="text-gray-700 space-y-2 flex-grow mt-4">
+                        {plan.features.map((feature) => (
+                          <li key={feature.key} className="flex items-center">
+                            <span className="text-green-500 mr-2">✓</span>
+                            {feature.label}
+                          </li>
+                        ))}
+                      </ul>
+                      {quoteError && (
+                        <p className="text-sm text-gray-500 mt-4">
+                          {quoteError}
+                        </p>
+                      )}
+                      <button
+                        onClick={() => handlePurchase(plan.id)}
+                        disabled={busy !== null || !quote}
+                        className="mt-6 w-full py-3 px-6 rounded-md text-white font-semibold shadow-md transition duration-200 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                      >
+                        {busy === `purchase-${plan.id}`
+                          ? "Processing..."
+                          : quote?.purpose === "upgrade"
+                            ? "Upgrade Now"
+                            : quote?.purpose === "renewal"
+                              ? "Renew Early"
+                              : "Subscribe Now"}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
             </div>
+
+            {status?.history?.length > 0 && (
+              <div>
+                <h2 className="text-2xl font-bold text-gray-800 mb-4">
+                  Billing Periods
+                </h2>
+                <div className="overflow-x-auto shadow-md sm:rounded-lg">
+                  <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                      <tr>
+                        <th scope="col" className="py-3 px-4">
+                          Period
+                        </th>
+                        <th scope="col" className="py-3 px-4">
+                          Plan
+                        </th>
+                        <th scope="col" className="py-3 px-4">
+                          Paid
+                        </th>
+                        <th scope="col" className="py-3 px-4">
+                          Status
+                        </th>
+                        <th scope="col" className="py-3 px-4">
+                          Documents
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {status.history.map((period) => (
+                        <tr
+                          key={period.payment}
+                          className="bg-white border-b hover:bg-gray-50"
+                        >
+                          <td className="py-3 px-4 whitespace-nowrap">
+                            {formatDate(period.start)} –{" "}
+                            {formatDate(period.end)}
+                          </td>
+                          <td className="py-3 px-4 capitalize">
+                            {period.subscriptionType} ({period.purpose})
+                          </td>
+                          <td className="py-3 px-4">
+                            {formatAmount(period.amount)}
+                            {period.creditAmount > 0 && (
+                              <span className="block text-xs">
+                                after {formatAmount(period.creditAmount)} credit
+                              </span>
+                            )}
+                            {period.discountAmount > 0 && (
+                              <span className="block text-xs">
+                                {formatAmount(period.discountAmount)} off with{" "}
+                                {period.couponCode}
+                              </span>
+                            )}
+                          </td>
+                          <td className="py-3 px-4">
+                            <span
+                              className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${
+                                PERIOD_STYLES[period.state]
+                              }`}
+                            >
+                              {period.state}
+                            </span>
+                          </td>
+                          <td className="py-3 px-4 whitespace-nowrap space-x-3">
+                            <button
+                              onClick={() =>
+                                handleDownload(period.payment, "invoice")
+                              }
+                              className="text-blue-600 hover:underline"
+                            >
+                              Invoice
+                            </button>
+                            {(payments[period.payment]?.creditNotes || []).map(
+                              (creditNote) => (
+                                <button
+                                  key={creditNote.number}
+                                  onClick={() =>
+                                    handleDownload(
+                                      period.payment,
+                                      "credit_note",
+                                      creditNote
+                                    )
+                                  }
+                                  className="text-red-600 hover:underline"
+                                >
+                                  Credit note {creditNote.number}
+                                </button>
+                              )
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
           </div>
         )}
       </div>
+
+      {showCancel && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form
+            onSubmit={handleCancel}
+            className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md space-y-4"
+          >
+            <h3 className="text-xl font-bold text-gray-900">
+              Cancel Subscription
+            </h3>
+            <p className="text-gray-600 text-sm">
+              You keep premium until {formatDate(status.subscriptionEnd)}. It
+              won't be renewed after that
+              {renewal.autoRenew ? ", and auto-renew will be turned off" : ""}.
+            </p>
+            <select
+              value={cancelForm.reason}
+              onChange={(e) =>
+                setCancelForm((prev) => ({ ...prev, reason: e.target.value }))
+              }
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">Why are you cancelling?</option>
+              {CANCELLATION_REASONS.map((reason) => (
+                <option key={reason.value} value={reason.value}>
+                  {reason.label}
+                </option>
+              ))}
+            </select>
+            <textarea
+              value={cancelForm.comment}
+              onChange={(e) =>
+                setCancelForm((prev) => ({ ...prev, comment: e.target.value }))
+              }
+              maxLength={500}
+              rows={3}
+              placeholder="Anything else you'd like to tell us? (optional)"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setShowCancel(false)}
+                className="px-4 py-2 rounded-md border border-gray-300"
+              >
+                Keep Subscription
+              </button>
+              <button
+                type="submit"
+                disabled={busy !== null}
+                className="px-4 py-2 bg-red-600 text-white font-semibold rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                {busy === "cancel" ? "Cancelling..." : "Cancel Subscription"}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   );
 };
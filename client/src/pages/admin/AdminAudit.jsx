@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from "react";
+import { adminService } from "../../services/api";
+import toast from "react-hot-toast";
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = {
+  actor: "",
+  action: "",
+  targetType: "",
+  targetId: "",
+  from: "",
+  to: "",
+};
+
+const AdminAudit = () => {
+  const [events, setEvents] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [meta, setMeta] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      setLoading(true);
+      try {
+        const params = { page, limit: PAGE_SIZE };
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value.trim()) params[key] = value.trim();
+        });
+
+        const response = await adminService.getAuditEvents(params);
+        setEvents(response.data.events || []);
+        setActions(response.data.actions || []);
+        setMeta({
+          page: response.data.page,
+          pages: response.data.pages,
+          total: response.data.total,
+        });
+      } catch (err) {
+        console.error("Failed to fetch audit events:", err);
+        toast.error(
+          err.response?.data?.message || "Failed to load the audit log."
+        );
+        setEvents([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvents();
+  }, [page, filters]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setFilters(form);
+  };
+
+  const handleReset = () => {
+    setForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  // Show only the events for one target, e.g. everything done to a user
+  const filterByTarget = (target) => {
+    const next = {
+      ...EMPTY_FILTERS,
+      targetType: target.type,
+      targetId: String(target.id),
+    };
+    setForm(next);
+    setFilters(next);
+    setPage(1);
+  };
+
+  return (
+    <div className="container mx-auto p-8 bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto bg-white shadow-lg rounded-xl p-8 md:p-10">
+        <h1 className="text-4xl font-extrabold text-gray-900 mb-8 text-center border-b pb-4">
+          Audit Log
+        </h1>
+
+        <form
+          onSubmit={handleApply}
+          className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6 items-end"
+        >
+          <input
+            type="text"
+            name="actor"
+            placeholder="Actor email or ID"
+            value={form.actor}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <select
+            name="action"
+            value={form.action}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          >
+            <option value="">All actions</option>
+            {actions.map((action) => (
+              <option key={action} value={action}>
+                {action}
+              </option>
+            ))}
+          </select>
+          <select
+            name="targetType"
+            value={form.targetType}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          >
+            <option value="">All targets</option>
+            <option value="User">User</option>
+            <option value="Payment">Payment</option>
+            <option value="Referral">Referral</option>
+            <option value="Setting">Setting</option>
+            <option value="WebhookEvent">WebhookEvent</option>
+            <option value="Coupon">Coupon</option>
+            <option value="Plan">Plan</option>
+          </select>
+          <input
+            type="text"
+            name="targetId"
+            placeholder="Target ID"
+            value={form.targetId}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            type="date"
+            name="from"
+            value={form.from}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            type="date"
+            name="to"
+            value={form.to}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <div className="flex gap-2 md:col-span-3 lg:col-span-6 justify-end">
+            <button
+              type="button"
+              onClick={handleReset}
+              className="px-4 py-2 rounded-md border border-gray-300"
+            >
+              Reset
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700"
+            >
+              Apply Filters
+            </button>
+          </div>
+        </form>
+
+        {loading && events.length === 0 ? (
+          <p className="text-gray-600 text-center">Loading audit log...</p>
+        ) : events.length === 0 ? (
+          <div className="text-center p-8 bg-blue-50 border border-blue-200 rounded-lg">
+            <p className="text-xl font-semibold text-blue-800">
+              No audit events found.
+            </p>
+          </div>
+        ) : (
+          <div
+            className={`overflow-x-auto shadow-md sm:rounded-lg ${
+              loading ? "opacity-50" : ""
+            }`}
+          >
+            <table className="w-full text-sm text-left text-gray-500">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                <tr>
+                  <th scope="col" className="py-3 px-4">
+                    When
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Actor
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Action
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Target
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    IP Address
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Details
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <React.Fragment key={event._id}>
+                    <tr className="bg-white border-b hover:bg-gray-50">
+                      <td className="py-3 px-4 whitespace-nowrap">
+                        {new Date(event.createdAt).toLocaleString()}
+                      </td>
+                      <td className="py-3 px-4">
+                        {event.actor ? (
+                          <>
+                            <span className="font-medium text-gray-900">
+                              {event.actor.name}
+                            </span>
+                            <span className="block text-xs">
+                              {event.actor.email} · {event.actorRole}
+                            </span>
+                          </>
+                        ) : (
+                          <span className="italic">System</span>
+                        )}
+                      </td>
+                      <td className="py-3 px-4 font-mono text-xs text-gray-800">
+                        {event.action}
+                      </td>
+                      <td className="py-3 px-4">
+                        {event.target?.type && (
+                          <button
+                            onClick={() => filterByTarget(event.target)}
+                            className="text-blue-600 hover:underline text-left"
+                            title="Show all events for this target"
+                          >
+                            {event.target.type}{" "}
+                            <span className="font-mono text-xs">
+                              {String(event.target.id)}
+                            </span>
+                          </button>
+                        )}
+                      </td>
+                      <td className="py-3 px-4">{event.ipAddress || "—"}</td>
+                      <td className="py-3 px-4">
+                        {event.metadata &&
+                          Object.keys(event.metadata).length > 0 && (
+                            <button
+                              onClick={() =>
+                                setExpandedId(
+                                  expandedId === event._id ? null : event._id
+                                )
+                              }
+                              className="text-blue-600 hover:underline"
+                            >
+                              {expandedId === event._id ? "Hide" : "Show"}
+                            </button>
+                          )}
+                      </td>
+                    </tr>
+                    {expandedId === event._id && (
+                      <tr className="bg-gray-50 border-b">
+                        <td colSpan={6} className="py-3 px-4">
+                          <pre className="text-xs text-gray-700 whitespace-pre-wrap">
+                            {JSON.stringify(event.metadata, null, 2)}
+                          </pre>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {meta.pages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              onClick={() => setPage((p) => Math.max(p - 1, 1))}
+              disabled={page <= 1 || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600 text-sm">
+              Page {meta.page} of {meta.pages} · {meta.total} events
+            </span>
+            <button
+              onClick={() => setPage((p) => Math.min(p + 1, meta.pages))}
+              disabled={page >= meta.pages || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminAudit;
@@ -0,0 +1,412 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { adminService } from "../../services/api";
+import toast from "react-hot-toast";
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  discountType: "percent",
+  discountValue: "",
+  maxRedemptions: "",
+  perUserLimit: "1",
+  validFrom: "",
+  validUntil: "",
+  plans: [],
+};
+
+const formatDiscount = (coupon) =>
+  coupon.discountType === "percent"
+    ? `${coupon.discountValue}% off`
+    : `₹${(coupon.discountValue / 100).toFixed(2)} off`;
+
+const formatWindow = (coupon) => {
+  if (!coupon.validFrom && !coupon.validUntil) return "Always";
+  const from = coupon.validFrom
+    ? new Date(coupon.validFrom).toLocaleDateString()
+    : "now";
+  const until = coupon.validUntil
+    ? new Date(coupon.validUntil).toLocaleDateString()
+    : "no end";
+  return `${from} – ${until}`;
+};
+
+// Flat discounts are entered in rupees but stored in paise
+const toCouponPayload = (form) => ({
+  code: form.code.trim(),
+  description: form.description.trim(),
+  discountType: form.discountType,
+  discountValue:
+    form.discountType === "flat"
+      ? Math.round(Number(form.discountValue) * 100)
+      : Number(form.discountValue),
+  maxRedemptions: form.maxRedemptions ? Number(form.maxRedemptions) : null,
+  perUserLimit: Number(form.perUserLimit),
+  // datetime-local values are in the admin's timezone
+  validFrom: form.validFrom ? new Date(form.validFrom).toISOString() : null,
+  validUntil: form.validUntil ? new Date(form.validUntil).toISOString() : null,
+  plans: form.plans,
+});
+
+const AdminCoupons = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [meta, setMeta] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [active, setActive] = useState("");
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [togglingId, setTogglingId] = useState(null);
+  const [plans, setPlans] = useState([]);
+
+  const fetchCoupons = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      if (active) params.active = active;
+      if (search.trim()) params.search = search.trim();
+
+      const response = await adminService.getCoupons(params);
+      setCoupons(response.data.coupons || []);
+      setMeta({
+        page: response.data.page,
+        pages: response.data.pages,
+        total: response.data.total,
+      });
+    } catch (err) {
+      console.error("Failed to fetch coupons:", err);
+      toast.error(err.response?.data?.message || "Failed to load coupons.");
+      setCoupons([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, active, search]);
+
+  useEffect(() => {
+    fetchCoupons();
+  }, [fetchCoupons]);
+
+  useEffect(() => {
+    adminService
+      .getPlans()
+      .then((response) => setPlans(response.data.plans || []))
+      .catch((err) => console.error("Failed to fetch plans:", err));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const togglePlan = (plan) => {
+    setForm((prev) => ({
+      ...prev,
+      plans: prev.plans.includes(plan)
+        ? prev.plans.filter((p) => p !== plan)
+        : [...prev.plans, plan],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await adminService.createCoupon(toCouponPayload(form));
+      toast.success(`Coupon ${response.data.coupon.code} created`);
+      setForm(EMPTY_FORM);
+      fetchCoupons();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to create coupon.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (coupon) => {
+    setTogglingId(coupon._id);
+    try {
+      await adminService.updateCoupon(coupon._id, { active: !coupon.active });
+      toast.success(
+        `Coupon ${coupon.code} ${coupon.active ? "deactivated" : "activated"}`
+      );
+      fetchCoupons();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to update coupon.");
+    } finally {
+      setTogglingId(null);
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-8 bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto bg-white shadow-lg rounded-xl p-8 md:p-10">
+        <h1 className="text-4xl font-extrabold text-gray-900 mb-8 text-center border-b pb-4">
+          Coupons
+        </h1>
+
+        <form
+          onSubmit={handleCreate}
+          className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8 p-6 bg-gray-50 border border-gray-200 rounded-lg"
+        >
+          <h2 className="md:col-span-4 text-xl font-bold text-gray-800">
+            New Coupon
+          </h2>
+          <input
+            name="code"
+            value={form.code}
+            onChange={handleChange}
+            required
+            maxLength={32}
+            placeholder="Code, e.g. WELCOME10"
+            className="px-3 py-2 border border-gray-300 rounded-md uppercase"
+          />
+          <input
+            name="description"
+            value={form.description}
+            onChange={handleChange}
+            maxLength={200}
+            placeholder="Description (shown to customers)"
+            className="md:col-span-3 px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <select
+            name="discountType"
+            value={form.discountType}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          >
+            <option value="percent">Percent off</option>
+            <option value="flat">Flat amount off</option>
+          </select>
+          <input
+            name="discountValue"
+            type="number"
+            min={form.discountType === "percent" ? 1 : 0.01}
+            max={form.discountType === "percent" ? 100 : undefined}
+            step={form.discountType === "percent" ? 1 : 0.01}
+            value={form.discountValue}
+            onChange={handleChange}
+            required
+            placeholder={form.discountType === "percent" ? "Percent" : "₹"}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            name="maxRedemptions"
+            type="number"
+            min={1}
+            value={form.maxRedemptions}
+            onChange={handleChange}
+            placeholder="Total uses (blank = unlimited)"
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            name="perUserLimit"
+            type="number"
+            min={1}
+            max={10}
+            value={form.perUserLimit}
+            onChange={handleChange}
+            required
+            title="Uses per user"
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <label className="text-sm text-gray-600">
+            Valid from
+            <input
+              name="validFrom"
+              type="datetime-local"
+              value={form.validFrom}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Valid until
+            <input
+              name="validUntil"
+              type="datetime-local"
+              value={form.validUntil}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <div className="flex items-end gap-4 text-sm text-gray-700">
+            {plans.map((plan) => (
+              <label key={plan.key} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={form.plans.includes(plan.key)}
+                  onChange={() => togglePlan(plan.key)}
+                />
+                {plan.name}
+              </label>
+            ))}
+            {form.plans.length === 0 && (
+              <span className="text-gray-500">(all plans)</span>
+            )}
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="self-end px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Creating..." : "Create Coupon"}
+          </button>
+        </form>
+
+        <div className="flex justify-end gap-4 mb-6">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            placeholder="Search codes"
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <select
+            value={active}
+            onChange={(e) => {
+              setActive(e.target.value);
+              setPage(1);
+            }}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          >
+            <option value="">All coupons</option>
+            <option value="true">Active</option>
+            <option value="false">Inactive</option>
+          </select>
+        </div>
+
+        {loading && coupons.length === 0 ? (
+          <p className="text-gray-600 text-center">Loading coupons...</p>
+        ) : coupons.length === 0 ? (
+          <div className="text-center p-8 bg-blue-50 border border-blue-200 rounded-lg">
+            <p className="text-xl font-semibold text-blue-800">
+              No coupons found.
+            </p>
+          </div>
+        ) : (
+          <div
+            className={`overflow-x-auto shadow-md sm:rounded-lg ${
+              loading ? "opacity-50" : ""
+            }`}
+          >
+            <table className="w-full text-sm text-left text-gray-500">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                <tr>
+                  <th scope="col" className="py-3 px-4">
+                    Code
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Discount
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Plans
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Valid
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Uses
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Status
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {coupons.map((coupon) => (
+                  <tr
+                    key={coupon._id}
+                    className="bg-white border-b hover:bg-gray-50"
+                  >
+                    <td className="py-3 px-4">
+                      <span className="font-mono font-semibold text-gray-800">
+                        {coupon.code}
+                      </span>
+                      {coupon.description && (
+                        <span className="block text-xs">
+                          {coupon.description}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4">{formatDiscount(coupon)}</td>
+                    <td className="py-3 px-4 capitalize">
+                      {coupon.plans.length > 0
+                        ? coupon.plans.join(", ")
+                        : "All"}
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap">
+                      {formatWindow(coupon)}
+                    </td>
+                    <td className="py-3 px-4">
+                      {coupon.redemptionCount}
+                      {coupon.maxRedemptions
+                        ? ` / ${coupon.maxRedemptions}`
+                        : ""}
+                      <span className="block text-xs">
+                        {coupon.perUserLimit} per user
+                      </span>
+                    </td>
+                    <td className="py-3 px-4">
+                      <span
+                        className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                          coupon.active
+                            ? "bg-green-100 text-green-800"
+                            : "bg-gray-100 text-gray-800"
+                        }`}
+                      >
+                        {coupon.active ? "active" : "inactive"}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleToggleActive(coupon)}
+                        disabled={togglingId === coupon._id}
+                        className={`hover:underline disabled:opacity-50 ${
+                          coupon.active ? "text-red-600" : "text-green-600"
+                        }`}
+                      >
+                        {coupon.active ? "Deactivate" : "Activate"}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {meta.pages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              onClick={() => setPage((p) => Math.max(p - 1, 1))}
+              disabled={page <= 1 || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600 text-sm">
+              Page {meta.page} of {meta.pages} · {meta.total} coupons
+            </span>
+            <button
+              onClick={() => setPage((p) => Math.min(p + 1, meta.pages))}
+              disabled={page >= meta.pages || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminCoupons;
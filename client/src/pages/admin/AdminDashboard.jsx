@@ -1,24 +1,15 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext"; // Adjust path
-import { adminService } from "../../services/api"; // Assume you have an adminAPI instance for summary data
+import { adminService } from "../../services/api";
 import toast from "react-hot-toast";
 
 const AdminDashboard = () => {
-  const { user, loading: authLoading, token, hasRole } = useAuth();
+  const { user, loading: authLoading, hasRole } = useAuth();
   const navigate = useNavigate();
 
-  const [dashboardData, setDashboardData] = useState({
-    totalUsers: 0,
-    jobSeekers: 0,
-    referralProviders: 0,
-    totalJobs: 0,
-    activeJobs: 0,
-    totalApplications: 0,
-    pendingApplications: 0,
-    totalReferrals: 0,
-    pendingReferrals: 0,
-  });
+  const [dashboardData, setDashboardData] = useState(null);
+  const [range, setRange] = useState({ from: "", to: "" }); // Empty means the server default (last 30 days)
   const [loading, setLoading] = useState(true); // Component-specific loading for dashboard data
   const [error, setError] = useState(null);
 
@@ -45,46 +36,35 @@ const AdminDashboard = () => {
       setError(null);
 
       try {
-        // Set Authorization header for admin API requests
-        adminService.defaults.headers.common[
-          "Authorization"
-        ] = `Bearer ${token}`;
+        const params = {};
+        if (range.from) params.from = range.from;
+        if (range.to) params.to = range.to;
 
-        // Assuming a single endpoint for all dashboard summary data
-        const response = await adminService.get("/admin/dashboard-summary");
-
-        setDashboardData(response.data); // Assuming backend sends data directly
-
-        toast.success("Admin dashboard data loaded!");
+        const response = await adminService.getDashboardStats(params);
+        setDashboardData(response.data);
       } catch (err) {
         console.error("Failed to fetch admin dashboard data:", err);
         const errorMessage =
           err.response?.data?.message || "Failed to load dashboard data.";
         setError(errorMessage);
         toast.error(errorMessage);
-        setDashboardData({
-          // Reset to default on error
-          totalUsers: 0,
-          jobSeekers: 0,
-          referralProviders: 0,
-          totalJobs: 0,
-          activeJobs: 0,
-          totalApplications: 0,
-          pendingApplications: 0,
-          totalReferrals: 0,
-          pendingReferrals: 0,
-        });
+        setDashboardData(null);
       } finally {
         setLoading(false);
       }
     };
 
     fetchDashboardData();
-  }, [user, authLoading, token, hasRole, navigate]); // Dependencies
+  }, [user, authLoading, hasRole, navigate, range]); // Dependencies
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    setRange((prev) => ({ ...prev, [name]: value }));
+  };
 
   // --- Conditional Rendering ---
 
-  if (loading) {
+  if (loading && !dashboardData) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
         <p className="text-xl text-gray-700">Loading admin dashboard...</p>
@@ -92,13 +72,13 @@ const AdminDashboard = () => {
     );
   }
 
-  if (error) {
+  if (error || !dashboardData) {
     return (
       <div className="text-red-600 text-center p-6 bg-red-50 border border-red-200 rounded-lg mx-auto max-w-md mt-10">
         <h3 className="font-semibold text-lg mb-2">
           Error Loading Admin Dashboard
         </h3>
-        <p>{error}</p>
+        <p>{error || "No dashboard data available."}</p>
         <p className="text-sm mt-2">
           Please ensure you have administrator privileges.
         </p>
@@ -126,6 +106,11 @@ const AdminDashboard = () => {
     );
   }
 
+  const signupPeak = Math.max(
+    ...dashboardData.users.signupsPerDay.map((day) => day.count),
+    1
+  );
+
   return (
     <div className="container mx-auto p-8 bg-gray-50 min-h-screen">
       <div className="max-w-7xl mx-auto bg-white shadow-lg rounded-xl p-8 md:p-10 lg:p-12">
@@ -133,6 +118,36 @@ const AdminDashboard = () => {
           Admin Dashboard Overview
         </h1>
 
+        {/* Date Range */}
+        <div className="flex flex-wrap items-end justify-center gap-4 mb-8">
+          <label className="text-sm text-gray-700">
+            From
+            <input
+              type="date"
+              name="from"
+              value={range.from}
+              max={range.to || undefined}
+              onChange={handleRangeChange}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            To
+            <input
+              type="date"
+              name="to"
+              value={range.to}
+              min={range.from || undefined}
+              onChange={handleRangeChange}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <p className="text-sm text-gray-500 pb-2">
+            Showing {new Date(dashboardData.range.from).toLocaleDateString()} –{" "}
+            {new Date(dashboardData.range.to).toLocaleDateString()}
+          </p>
+        </div>
+
         {/* Overview Statistics */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-10">
           {/* Users */}
@@ -141,26 +156,35 @@ const AdminDashboard = () => {
               Total Users
             </h3>
             <p className="text-5xl font-extrabold text-blue-600">
-              {dashboardData.totalUsers}
+              {dashboardData.users.total}
             </p>
             <p className="text-md text-gray-600 mt-2">
-              Job Seekers: {dashboardData.jobSeekers}
+              Job Seekers: {dashboardData.users.byRole.jobSeeker}
             </p>
             <p className="text-md text-gray-600">
-              Referral Providers: {dashboardData.referralProviders}
+              Referrers: {dashboardData.users.byRole.referrer}
+            </p>
+            <p className="text-md text-gray-600">
+              New in range: {dashboardData.users.newInRange}
             </p>
           </div>
 
-          {/* Jobs */}
-          <div className="bg-green-50 p-6 rounded-lg shadow-sm text-center border border-green-200">
-            <h3 className="text-2xl font-bold text-green-800 mb-2">
-              Total Jobs
+          {/* Referrals */}
+          <div className="bg-purple-50 p-6 rounded-lg shadow-sm text-center border border-purple-200">
+            <h3 className="text-2xl font-bold text-purple-800 mb-2">
+              Total Referrals
             </h3>
-            <p className="text-5xl font-extrabold text-green-600">
-              {dashboardData.totalJobs}
+            <p className="text-5xl font-extrabold text-purple-600">
+              {dashboardData.referrals.total}
             </p>
             <p className="text-md text-gray-600 mt-2">
-              Active Jobs: {dashboardData.activeJobs}
+              Active: {dashboardData.referrals.byStatus.active}
+            </p>
+            <p className="text-md text-gray-600">
+              Expired: {dashboardData.referrals.byStatus.expired}
+            </p>
+            <p className="text-md text-gray-600">
+              New in range: {dashboardData.referrals.newInRange}
             </p>
           </div>
 
@@ -170,27 +194,50 @@ const AdminDashboard = () => {
               Total Applications
             </h3>
             <p className="text-5xl font-extrabold text-yellow-600">
-              {dashboardData.totalApplications}
+              {dashboardData.applications.total}
             </p>
             <p className="text-md text-gray-600 mt-2">
-              Pending: {dashboardData.pendingApplications}
+              Pending: {dashboardData.applications.byStatus.pending}
+            </p>
+            <p className="text-md text-gray-600">
+              Accepted: {dashboardData.applications.byStatus.accepted}
+            </p>
+            <p className="text-md text-gray-600">
+              New in range: {dashboardData.applications.newInRange}
             </p>
           </div>
 
-          {/* Referrals */}
-          <div className="bg-purple-50 p-6 rounded-lg shadow-sm text-center border border-purple-200">
-            <h3 className="text-2xl font-bold text-purple-800 mb-2">
-              Total Referrals
+          {/* Revenue */}
+          <div className="bg-green-50 p-6 rounded-lg shadow-sm text-center border border-green-200">
+            <h3 className="text-2xl font-bold text-green-800 mb-2">
+              Revenue
             </h3>
-            <p className="text-5xl font-extrabold text-purple-600">
-              {dashboardData.totalReferrals}
+            <p className="text-5xl font-extrabold text-green-600">
+              ₹{(dashboardData.revenue.totalInRange / 100).toLocaleString()}
             </p>
             <p className="text-md text-gray-600 mt-2">
-              Pending: {dashboardData.pendingReferrals}
+              Payments in range: {dashboardData.revenue.paymentsInRange}
             </p>
           </div>
         </div>
 
+        {/* Signups Per Day */}
+        <div className="mb-10">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">
+            New Signups Per Day
+          </h2>
+          <div className="flex items-end gap-1 h-32 border-b border-gray-200">
+            {dashboardData.users.signupsPerDay.map((day) => (
+              <div
+                key={day.date}
+                title={`${day.date}: ${day.count}`}
+                className="flex-1 bg-blue-400 rounded-t"
+                style={{ height: `${(day.count / signupPeak) * 100}%` }}
+              />
+            ))}
+          </div>
+        </div>
+
         {/* Quick Actions / Navigation */}
         <div className="text-center mb-8">
           <h2 className="text-3xl font-bold text-gray-800 mb-6">
@@ -245,6 +292,51 @@ const AdminDashboard = () => {
               </span>
               <span>Generate Reports</span>
             </button>
+            <button
+              onClick={() => navigate("/admin/audit")}
+              className="px-6 py-4 bg-slate-700 text-white font-semibold rounded-lg shadow-md hover:bg-slate-800 transition duration-200 text-xl flex items-center justify-center space-x-3"
+            >
+              <span role="img" aria-label="scroll" className="text-3xl">
+                📜
+              </span>
+              <span>Audit Log</span>
+            </button>
+            <button
+              onClick={() => navigate("/admin/webhooks")}
+              className="px-6 py-4 bg-cyan-700 text-white font-semibold rounded-lg shadow-md hover:bg-cyan-800 transition duration-200 text-xl flex items-center justify-center space-x-3"
+            >
+              <span role="img" aria-label="satellite" className="text-3xl">
+                📡
+              </span>
+              <span>Payment Webhooks</span>
+            </button>
+            <button
+              onClick={() => navigate("/admin/coupons")}
+              className="px-6 py-4 bg-pink-600 text-white font-semibold rounded-lg shadow-md hover:bg-pink-700 transition duration-200 text-xl flex items-center justify-center space-x-3"
+            >
+              <span role="img" aria-label="ticket" className="text-3xl">
+                🎟️
+              </span>
+              <span>Coupons</span>
+            </button>
+            <button
+              onClick={() => navigate("/admin/plans")}
+              className="px-6 py-4 bg-emerald-600 text-white font-semibold rounded-lg shadow-md hover:bg-emerald-700 transition duration-200 text-xl flex items-center justify-center space-x-3"
+            >
+              <span role="img" aria-label="price tag" className="text-3xl">
+                🏷️
+              </span>
+              <span>Plans</span>
+            </button>
+            <button
+              onClick={() => navigate("/admin/invoices")}
+              className="px-6 py-4 bg-amber-600 text-white font-semibold rounded-lg shadow-md hover:bg-amber-700 transition duration-200 text-xl flex items-center justify-center space-x-3"
+            >
+              <span role="img" aria-label="receipt" className="text-3xl">
+                🧾
+              </span>
+              <span>Invoices</span>
+            </button>
           </div>
         </div>
 
@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { adminService, paymentService, saveDownload } from "../../services/api";
+import toast from "react-hot-toast";
+
+const PAGE_SIZE = 20;
+
+const TYPE_LABELS = { invoice: "Invoice", credit_note: "Credit note" };
+
+const formatAmount = (paise) => `₹${(paise / 100).toFixed(2)}`;
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const AdminInvoices = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [totals, setTotals] = useState({});
+  const [meta, setMeta] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [type, setType] = useState("");
+  const [search, setSearch] = useState("");
+  const [from, setFrom] = useState(
+    toDateInput(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000))
+  );
+  const [to, setTo] = useState(toDateInput(new Date()));
+  const [loading, setLoading] = useState(true);
+
+  const fetchInvoices = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: PAGE_SIZE, from, to };
+      if (type) params.type = type;
+      if (search.trim()) params.search = search.trim();
+
+      const response = await adminService.getInvoices(params);
+      setInvoices(response.data.invoices || []);
+      setTotals(response.data.totals || {});
+      setMeta({
+        page: response.data.page,
+        pages: response.data.pages,
+        total: response.data.total,
+      });
+    } catch (err) {
+      console.error("Failed to fetch invoices:", err);
+      toast.error(err.response?.data?.message || "Failed to load invoices.");
+      setInvoices([]);
+      setTotals({});
+    } finally {
+      setLoading(false);
+    }
+  }, [page, type, search, from, to]);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [fetchInvoices]);
+
+  const handleDownload = async (invoice) => {
+    try {
+      const response =
+        invoice.type === "invoice"
+          ? await paymentService.downloadInvoice(invoice.payment)
+          : await paymentService.downloadCreditNote(
+              invoice.payment,
+              invoice.refundId
+            );
+      saveDownload(response, `${invoice.number}.pdf`);
+    } catch (err) {
+      console.error("Failed to download invoice:", err);
+      toast.error("Could not download the document.");
+    }
+  };
+
+  // Resets to the first page whenever a filter changes
+  const setFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  return (
+    <div className="container mx-auto p-8 bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto bg-white shadow-lg rounded-xl p-8 md:p-10">
+        <h1 className="text-4xl font-extrabold text-gray-900 mb-8 text-center border-b pb-4">
+          Invoices
+        </h1>
+
+        <div className="flex flex-wrap justify-end gap-4 mb-6">
+          <input
+            type="date"
+            value={from}
+            max={to}
+            onChange={setFilter(setFrom)}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            type="date"
+            value={to}
+            min={from}
+            onChange={setFilter(setTo)}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            type="text"
+            value={search}
+            onChange={setFilter(setSearch)}
+            placeholder="Search numbers"
+            className="px-3 py-2 border border-gray-300 rounded-md uppercase"
+          />
+          <select
+            value={type}
+            onChange={setFilter(setType)}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          >
+            <option value="">Invoices and credit notes</option>
+            <option value="invoice">Invoices</option>
+            <option value="credit_note">Credit notes</option>
+          </select>
+        </div>
+
+        {Object.keys(totals).length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            {Object.entries(totals).map(([totalType, sums]) => (
+              <div
+                key={totalType}
+                className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700"
+              >
+                <p className="font-semibold text-gray-800 mb-1">
+                  {sums.count} {TYPE_LABELS[totalType].toLowerCase()}
+                  {sums.count === 1 ? "" : "s"}:{" "}
+                  {formatAmount(sums.totalAmount)}
+                </p>
+                <p>
+                  Taxable {formatAmount(sums.taxableAmount)} · CGST{" "}
+                  {formatAmount(sums.cgst)} · SGST {formatAmount(sums.sgst)} ·
+                  IGST {formatAmount(sums.igst)}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {loading && invoices.length === 0 ? (
+          <p className="text-gray-600 text-center">Loading invoices...</p>
+        ) : invoices.length === 0 ? (
+          <div className="text-center p-8 bg-blue-50 border border-blue-200 rounded-lg">
+            <p className="text-xl font-semibold text-blue-800">
+              No invoices found.
+            </p>
+          </div>
+        ) : (
+          <div
+            className={`overflow-x-auto shadow-md sm:rounded-lg ${
+              loading ? "opacity-50" : ""
+            }`}
+          >
+            <table className="w-full text-sm text-left text-gray-500">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                <tr>
+                  <th scope="col" className="py-3 px-4">
+                    Number
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Issued
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Billed To
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Taxable
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    GST
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Total
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    PDF
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {invoices.map((invoice) => (
+                  <tr
+                    key={invoice._id}
+                    className="bg-white border-b hover:bg-gray-50"
+                  >
+                    <td className="py-3 px-4">
+                      <span className="font-mono font-semibold text-gray-800">
+                        {invoice.number}
+                      </span>
+                      <span className="block text-xs">
+                        {TYPE_LABELS[invoice.type]}
+                        {invoice.invoiceNumber
+                          ? ` for ${invoice.invoiceNumber}`
+                          : ""}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap">
+                      {new Date(invoice.issuedAt).toLocaleDateString()}
+                    </td>
+                    <td className="py-3 px-4">
+                      {invoice.billing?.name}
+                      <span className="block text-xs">
+                        {invoice.billing?.gstin
+                          ? `GSTIN ${invoice.billing.gstin}`
+                          : invoice.email}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4">
+                      {formatAmount(invoice.taxableAmount)}
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap">
+                      {invoice.igst > 0
+                        ? `IGST ${formatAmount(invoice.igst)}`
+                        : `CGST ${formatAmount(invoice.cgst)} + SGST ${formatAmount(invoice.sgst)}`}
+                    </td>
+                    <td className="py-3 px-4 font-semibold text-gray-800">
+                      {formatAmount(invoice.totalAmount)}
+                    </td>
+                    <td className="py-3 px-4">
+                      <button
+                        onClick={() => handleDownload(invoice)}
+                        className="text-blue-600 hover:underline"
+                      >
+                        Download
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {meta.pages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              onClick={() => setPage((p) => Math.max(p - 1, 1))}
+              disabled={page <= 1 || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600 text-sm">
+              Page {meta.page} of {meta.pages} · {meta.total} documents
+            </span>
+            <button
+              onClick={() => setPage((p) => Math.min(p + 1, meta.pages))}
+              disabled={page >= meta.pages || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminInvoices;
@@ -1,16 +1,54 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext"; // Adjust path
-import { adminService } from "../../services/api.js"; // Reuse adminAPI for admin-specific data
+import { adminService } from "../../services/api.js";
 import toast from "react-hot-toast";
 
+const PAGE_SIZE = 20;
+
+const STATUS_STYLES = {
+  paid: "bg-green-100 text-green-800",
+  created: "bg-yellow-100 text-yellow-800",
+  attempted: "bg-yellow-100 text-yellow-800",
+  failed: "bg-red-100 text-red-800",
+  refunded: "bg-purple-100 text-purple-800",
+};
+
+const REFUND_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  processed: "bg-purple-100 text-purple-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+// Amounts are stored in paise
+const formatAmount = (paise, currency = "INR") =>
+  new Intl.NumberFormat("en-IN", { style: "currency", currency }).format(
+    (paise || 0) / 100
+  );
+
+// A payment can be refunded in parts, one refund at a time
+const getRefundableAmount = (payment) =>
+  payment.amount - (payment.refundAmount || 0);
+
+const canBeRefunded = (payment) =>
+  payment.status === "paid" &&
+  payment.razorpayPaymentId &&
+  payment.refundStatus !== "pending" &&
+  getRefundableAmount(payment) > 0;
+
 const AdminPayments = () => {
-  const { user, loading: authLoading, token, hasRole } = useAuth();
+  const { user, loading: authLoading, hasRole } = useAuth();
   const navigate = useNavigate();
 
   const [payments, setPayments] = useState([]);
   const [loading, setLoading] = useState(true); // Component-specific loading for payments data
   const [error, setError] = useState(null);
+  const [meta, setMeta] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [filterStatus, setFilterStatus] = useState("all");
+  const [refundTarget, setRefundTarget] = useState(null); // Payment being refunded
+  const [refundForm, setRefundForm] = useState({ amount: "", reason: "" });
+  const [refunding, setRefunding] = useState(false);
 
   useEffect(() => {
     // 1. Wait for authentication state to be determined
@@ -34,17 +72,16 @@ const AdminPayments = () => {
       setError(null);
 
       try {
-        // Set Authorization header for admin API requests
-        adminService.defaults.headers.common[
-          "Authorization"
-        ] = `Bearer ${token}`;
-
-        // Assuming an endpoint to fetch all payments
-        const response = await adminService.get("/admin/payments");
-
-        setPayments(response.data.payments || []); // Assuming backend sends payments in response.data.payments
+        const params = { page, limit: PAGE_SIZE };
+        if (filterStatus !== "all") params.status = filterStatus;
 
-        toast.success("Payments data loaded!");
+        const response = await adminService.getAllPayments(params);
+        setPayments(response.data.payments || []);
+        setMeta({
+          page: response.data.page,
+          pages: response.data.pages,
+          total: response.data.total,
+        });
       } catch (err) {
         console.error("Failed to fetch payments data:", err);
         const errorMessage =
@@ -58,11 +95,43 @@ const AdminPayments = () => {
     };
 
     fetchPayments();
-  }, [user, authLoading, token, hasRole, navigate]); // Dependencies
+  }, [user, authLoading, hasRole, navigate, page, filterStatus]); // Dependencies
+
+  const openRefundDialog = (payment) => {
+    setRefundForm({
+      amount: (getRefundableAmount(payment) / 100).toFixed(2),
+      reason: "",
+    });
+    setRefundTarget(payment);
+  };
+
+  const handleRefund = async (e) => {
+    e.preventDefault();
+    setRefunding(true);
+    try {
+      const response = await adminService.refundPayment(refundTarget._id, {
+        amount: Math.round(parseFloat(refundForm.amount) * 100),
+        reason: refundForm.reason,
+      });
+      toast.success(response.data.message);
+      setPayments((prev) =>
+        prev.map((p) =>
+          p._id === refundTarget._id
+            ? { ...p, ...response.data.payment, user: p.user }
+            : p
+        )
+      );
+      setRefundTarget(null);
+    } catch (err) {
+      console.error("Failed to refund payment:", err);
+    } finally {
+      setRefunding(false);
+    }
+  };
 
   // --- Conditional Rendering ---
 
-  if (loading) {
+  if (loading && payments.length === 0 && !error) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
         <p className="text-xl text-gray-700">Loading payments data...</p>
@@ -115,17 +184,35 @@ const AdminPayments = () => {
           Payments Management
         </h1>
 
+        <div className="flex justify-end mb-6">
+          <select
+            value={filterStatus}
+            onChange={(e) => {
+              setFilterStatus(e.target.value);
+              setPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All Statuses</option>
+            <option value="paid">Paid</option>
+            <option value="refunded">Refunded</option>
+            <option value="failed">Failed</option>
+            <option value="created">Created</option>
+          </select>
+        </div>
+
         {payments.length === 0 ? (
           <div className="text-center p-8 bg-blue-50 border border-blue-200 rounded-lg">
             <p className="text-xl font-semibold text-blue-800">
               No payment records found.
             </p>
-            <p className="text-gray-600 mt-2">
-              Check your backend configuration or add new transactions.
-            </p>
           </div>
         ) : (
-          <div className="overflow-x-auto relative shadow-md sm:rounded-lg">
+          <div
+            className={`overflow-x-auto relative shadow-md sm:rounded-lg ${
+              loading ? "opacity-50" : ""
+            }`}
+          >
             <table className="w-full text-sm text-left text-gray-500">
               <thead className="text-xs text-gray-700 uppercase bg-gray-100">
                 <tr>
@@ -133,10 +220,10 @@ const AdminPayments = () => {
                     Transaction ID
                   </th>
                   <th scope="col" className="py-3 px-6">
-                    User (ID/Email)
+                    User
                   </th>
                   <th scope="col" className="py-3 px-6">
-                    Type
+                    Plan
                   </th>
                   <th scope="col" className="py-3 px-6 text-right">
                     Amount
@@ -147,7 +234,9 @@ const AdminPayments = () => {
                   <th scope="col" className="py-3 px-6">
                     Date
                   </th>
-                  {/* Add more table headers if needed */}
+                  <th scope="col" className="py-3 px-6 text-center">
+                    Actions
+                  </th>
                 </tr>
               </thead>
               <tbody>
@@ -157,47 +246,168 @@ const AdminPayments = () => {
                     className="bg-white border-b hover:bg-gray-50"
                   >
                     <td className="py-4 px-6 font-medium text-gray-900 whitespace-nowrap">
-                      {payment.transactionId || payment._id}
+                      {payment.razorpayPaymentId || payment.razorpayOrderId}
                     </td>
                     <td className="py-4 px-6">
-                      {payment.userName || "N/A"} (
-                      {payment.userId || payment.userEmail || "N/A"})
+                      {payment.user?.name || "N/A"}
+                      <span className="block text-xs">
+                        {payment.user?.email}
+                      </span>
                     </td>
                     <td className="py-4 px-6 capitalize">
-                      {payment.type ? payment.type.replace("_", " ") : "N/A"}
+                      {payment.subscriptionType || "N/A"}
                     </td>
                     <td className="py-4 px-6 text-right font-semibold">
-                      {payment.currency || "$"}
-                      {payment.amount ? payment.amount.toFixed(2) : "0.00"}
+                      {formatAmount(payment.amount, payment.currency)}
+                      {payment.refundAmount > 0 && (
+                        <span className="block text-xs font-normal text-purple-700">
+                          Refunded{" "}
+                          {formatAmount(payment.refundAmount, payment.currency)}
+                        </span>
+                      )}
                     </td>
-                    <td className="py-4 px-6">
+                    <td className="py-4 px-6 space-x-1">
                       <span
-                        className={`px-2 py-1 rounded-full text-xs font-semibold ${
-                          payment.status === "completed"
-                            ? "bg-green-100 text-green-800"
-                            : payment.status === "pending"
-                            ? "bg-yellow-100 text-yellow-800"
-                            : payment.status === "failed"
-                            ? "bg-red-100 text-red-800"
-                            : "bg-gray-100 text-gray-800"
+                        className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${
+                          STATUS_STYLES[payment.status] ||
+                          "bg-gray-100 text-gray-800"
                         }`}
                       >
-                        {payment.status || "N/A"}
+                        {payment.status}
                       </span>
+                      {payment.refundStatus && (
+                        <span
+                          className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                            REFUND_STYLES[payment.refundStatus]
+                          }`}
+                          title={
+                            payment.refundFailureReason || payment.refundReason
+                          }
+                        >
+                          Refund {payment.refundStatus}
+                        </span>
+                      )}
                     </td>
                     <td className="py-4 px-6">
                       {payment.createdAt
                         ? new Date(payment.createdAt).toLocaleDateString()
                         : "N/A"}
                     </td>
-                    {/* Add more table data if needed */}
+                    <td className="py-4 px-6 text-center">
+                      {canBeRefunded(payment) && (
+                        <button
+                          onClick={() => openRefundDialog(payment)}
+                          className="font-medium text-red-600 hover:text-red-900"
+                        >
+                          Refund
+                        </button>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
         )}
+
+        {meta.pages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              onClick={() => setPage((p) => Math.max(p - 1, 1))}
+              disabled={page <= 1 || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600 text-sm">
+              Page {meta.page} of {meta.pages} · {meta.total} payments
+            </span>
+            <button
+              onClick={() => setPage((p) => Math.min(p + 1, meta.pages))}
+              disabled={page >= meta.pages || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
       </div>
+
+      {refundTarget && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+          <form
+            onSubmit={handleRefund}
+            className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md space-y-4"
+          >
+            <h2 className="text-xl font-bold text-gray-800">
+              Refund {formatAmount(refundTarget.amount, refundTarget.currency)}{" "}
+              payment
+            </h2>
+            <p className="text-sm text-gray-600">
+              {refundTarget.user?.name} · {refundTarget.razorpayPaymentId}
+              {refundTarget.refundAmount > 0 && (
+                <>
+                  {" "}
+                  ·{" "}
+                  {formatAmount(
+                    refundTarget.refundAmount,
+                    refundTarget.currency
+                  )}{" "}
+                  already refunded
+                </>
+              )}
+            </p>
+            <label className="block text-sm text-gray-700">
+              Amount (₹) — lower it for a partial refund
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                max={(getRefundableAmount(refundTarget) / 100).toFixed(2)}
+                value={refundForm.amount}
+                onChange={(e) =>
+                  setRefundForm((prev) => ({ ...prev, amount: e.target.value }))
+                }
+                required
+                className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Reason
+              <textarea
+                value={refundForm.reason}
+                onChange={(e) =>
+                  setRefundForm((prev) => ({ ...prev, reason: e.target.value }))
+                }
+                required
+                maxLength={500}
+                rows={3}
+                className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </label>
+            <p className="text-xs text-gray-500">
+              Refunding the rest of the payment also ends the user's
+              subscription.
+            </p>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setRefundTarget(null)}
+                className="px-4 py-2 rounded-md border border-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={refunding}
+                className="px-4 py-2 bg-red-600 text-white font-semibold rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                {refunding ? "Refunding..." : "Refund"}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   );
 };
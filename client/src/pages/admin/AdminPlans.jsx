@@ -0,0 +1,413 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { adminService } from "../../services/api";
+import toast from "react-hot-toast";
+
+const EMPTY_FORM = {
+  key: "",
+  name: "",
+  description: "",
+  savings: "",
+  amount: "",
+  durationDays: "",
+  gatewayPlanId: "",
+  sortOrder: "0",
+  features: [],
+};
+
+const formatAmount = (paise) => `₹${(paise / 100).toFixed(2)}`;
+
+const currentVersion = (plan) => plan.versions[plan.versions.length - 1];
+
+// Prices are entered in rupees but stored in paise
+const toPlanPayload = (form) => ({
+  name: form.name.trim(),
+  description: form.description.trim(),
+  savings: form.savings.trim(),
+  amount: Math.round(Number(form.amount) * 100),
+  durationDays: Number(form.durationDays),
+  gatewayPlanId: form.gatewayPlanId.trim(),
+  sortOrder: Number(form.sortOrder),
+  features: form.features,
+});
+
+const toForm = (plan) => {
+  const version = currentVersion(plan);
+  return {
+    key: plan.key,
+    name: plan.name,
+    description: plan.description || "",
+    savings: plan.savings || "",
+    amount: String(version.amount / 100),
+    durationDays: String(version.durationDays),
+    gatewayPlanId: version.gatewayPlanId || "",
+    sortOrder: String(plan.sortOrder),
+    features: plan.features,
+  };
+};
+
+const AdminPlans = () => {
+  const [plans, setPlans] = useState([]);
+  const [featureLabels, setFeatureLabels] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null); // null while creating
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const fetchPlans = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await adminService.getPlans();
+      setPlans(response.data.plans || []);
+      setFeatureLabels(response.data.features || {});
+    } catch (err) {
+      console.error("Failed to fetch plans:", err);
+      toast.error(err.response?.data?.message || "Failed to load plans.");
+      setPlans([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPlans();
+  }, [fetchPlans]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const toggleFeature = (feature) => {
+    setForm((prev) => ({
+      ...prev,
+      features: prev.features.includes(feature)
+        ? prev.features.filter((f) => f !== feature)
+        : [...prev.features, feature],
+    }));
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = editingId
+        ? await adminService.updatePlan(editingId, toPlanPayload(form))
+        : await adminService.createPlan({
+            ...toPlanPayload(form),
+            key: form.key.trim(),
+          });
+      toast.success(response.data.message);
+      resetForm();
+      fetchPlans();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to save plan.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (plan) => {
+    setBusyId(plan._id);
+    try {
+      await adminService.updatePlan(plan._id, { active: !plan.active });
+      toast.success(
+        `${plan.name} ${plan.active ? "withdrawn from sale" : "back on sale"}`
+      );
+      fetchPlans();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to update plan.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete ${plan.name}? This cannot be undone.`)) {
+      return;
+    }
+    setBusyId(plan._id);
+    try {
+      await adminService.deletePlan(plan._id);
+      toast.success(`${plan.name} deleted`);
+      if (editingId === plan._id) resetForm();
+      fetchPlans();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to delete plan.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-8 bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto bg-white shadow-lg rounded-xl p-8 md:p-10">
+        <h1 className="text-4xl font-extrabold text-gray-900 mb-8 text-center border-b pb-4">
+          Subscription Plans
+        </h1>
+
+        <form
+          onSubmit={handleSubmit}
+          className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8 p-6 bg-gray-50 border border-gray-200 rounded-lg"
+        >
+          <h2 className="md:col-span-4 text-xl font-bold text-gray-800">
+            {editingId ? `Edit ${form.name || form.key}` : "New Plan"}
+          </h2>
+          <input
+            name="key"
+            value={form.key}
+            onChange={handleChange}
+            required
+            disabled={Boolean(editingId)}
+            maxLength={32}
+            placeholder="Key, e.g. quarterly"
+            className="px-3 py-2 border border-gray-300 rounded-md lowercase disabled:bg-gray-100"
+          />
+          <input
+            name="name"
+            value={form.name}
+            onChange={handleChange}
+            required
+            maxLength={60}
+            placeholder="Name"
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            name="description"
+            value={form.description}
+            onChange={handleChange}
+            maxLength={300}
+            placeholder="Description (optional)"
+            className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            name="amount"
+            type="number"
+            min={1}
+            step={0.01}
+            value={form.amount}
+            onChange={handleChange}
+            required
+            placeholder="Price (₹)"
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            name="durationDays"
+            type="number"
+            min={1}
+            max={730}
+            value={form.durationDays}
+            onChange={handleChange}
+            required
+            placeholder="Duration (days)"
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            name="gatewayPlanId"
+            value={form.gatewayPlanId}
+            onChange={handleChange}
+            placeholder="Razorpay plan ID (for auto-renew)"
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            name="sortOrder"
+            type="number"
+            value={form.sortOrder}
+            onChange={handleChange}
+            title="Display order"
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            name="savings"
+            value={form.savings}
+            onChange={handleChange}
+            maxLength={100}
+            placeholder="Savings note, e.g. 17% off monthly (optional)"
+            className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <div className="md:col-span-2 flex flex-wrap gap-4 text-sm text-gray-700">
+            {Object.entries(featureLabels).map(([key, label]) => (
+              <label key={key} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={form.features.includes(key)}
+                  onChange={() => toggleFeature(key)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          {editingId && (
+            <p className="md:col-span-3 text-sm text-gray-500">
+              Changing the price, duration or Razorpay plan puts a new version
+              on sale. Existing subscribers keep the terms they bought.
+            </p>
+          )}
+          <div className="md:col-start-4 flex gap-2 justify-end">
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-4 py-2 rounded-md border border-gray-300"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? "Saving..." : editingId ? "Save Plan" : "Create Plan"}
+            </button>
+          </div>
+        </form>
+
+        {loading && plans.length === 0 ? (
+          <p className="text-gray-600 text-center">Loading plans...</p>
+        ) : plans.length === 0 ? (
+          <div className="text-center p-8 bg-blue-50 border border-blue-200 rounded-lg">
+            <p className="text-xl font-semibold text-blue-800">No plans yet.</p>
+          </div>
+        ) : (
+          <div
+            className={`overflow-x-auto shadow-md sm:rounded-lg ${
+              loading ? "opacity-50" : ""
+            }`}
+          >
+            <table className="w-full text-sm text-left text-gray-500">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                <tr>
+                  <th scope="col" className="py-3 px-4">
+                    Plan
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Price
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Features
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Status
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {plans.map((plan) => {
+                  const version = currentVersion(plan);
+                  return (
+                    <React.Fragment key={plan._id}>
+                      <tr className="bg-white border-b hover:bg-gray-50">
+                        <td className="py-3 px-4">
+                          <span className="font-semibold text-gray-800">
+                            {plan.name}
+                          </span>
+                          <span className="block font-mono text-xs">
+                            {plan.key}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 whitespace-nowrap">
+                          {formatAmount(version.amount)} /{" "}
+                          {version.durationDays} days
+                          <span className="block text-xs">
+                            version {version.version}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 text-xs">
+                          {plan.features
+                            .map((feature) => featureLabels[feature] || feature)
+                            .join(", ") || "—"}
+                        </td>
+                        <td className="py-3 px-4">
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                              plan.active
+                                ? "bg-green-100 text-green-800"
+                                : "bg-gray-100 text-gray-800"
+                            }`}
+                          >
+                            {plan.active ? "on sale" : "inactive"}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 space-x-3 whitespace-nowrap">
+                          <button
+                            onClick={() => {
+                              setEditingId(plan._id);
+                              setForm(toForm(plan));
+                            }}
+                            className="text-blue-600 hover:underline"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() =>
+                              setExpandedId(
+                                expandedId === plan._id ? null : plan._id
+                              )
+                            }
+                            className="text-gray-600 hover:underline"
+                          >
+                            {expandedId === plan._id ? "Hide" : "History"}
+                          </button>
+                          <button
+                            onClick={() => handleToggleActive(plan)}
+                            disabled={busyId === plan._id}
+                            className={`hover:underline disabled:opacity-50 ${
+                              plan.active ? "text-orange-600" : "text-green-600"
+                            }`}
+                          >
+                            {plan.active ? "Deactivate" : "Activate"}
+                          </button>
+                          <button
+                            onClick={() => handleDelete(plan)}
+                            disabled={busyId === plan._id}
+                            className="text-red-600 hover:underline disabled:opacity-50"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                      {expandedId === plan._id && (
+                        <tr className="bg-gray-50 border-b">
+                          <td colSpan={5} className="py-3 px-4">
+                            <ul className="text-xs text-gray-700 space-y-1">
+                              {[...plan.versions].reverse().map((v) => (
+                                <li key={v.version}>
+                                  Version {v.version}: {formatAmount(v.amount)}{" "}
+                                  {v.currency} for {v.durationDays} days
+                                  {v.gatewayPlanId
+                                    ? ` · Razorpay plan ${v.gatewayPlanId}`
+                                    : ""}
+                                  {v.createdAt
+                                    ? ` · from ${new Date(
+                                        v.createdAt
+                                      ).toLocaleString()}`
+                                    : ""}
+                                </li>
+                              ))}
+                            </ul>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminPlans;
@@ -3,18 +3,50 @@ import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext"; // Adjust path
 import { adminService } from "../../services/api"; // Reuse adminAPI for admin-specific data
 import toast from "react-hot-toast";
+import EntitlementsDialog from "../../components/admin/EntitlementsDialog";
+
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 400;
+
+const ROLE_LABELS = {
+  jobSeeker: "Job Seeker",
+  referrer: "Referrer",
+  admin: "Admin",
+};
+
+const ROLE_STYLES = {
+  jobSeeker: "bg-blue-100 text-blue-800",
+  referrer: "bg-green-100 text-green-800",
+  admin: "bg-purple-100 text-purple-800",
+};
 
 const AdminUsers = () => {
-  const { user, loading: authLoading, token, hasRole } = useAuth();
+  const { user, loading: authLoading, hasRole } = useAuth();
   const navigate = useNavigate();
 
   const [users, setUsers] = useState([]);
+  const [meta, setMeta] = useState({ page: 1, pages: 1, total: 0 });
   const [loading, setLoading] = useState(true); // Component-specific loading for users data
   const [error, setError] = useState(null);
+  const [searchInput, setSearchInput] = useState("");
   const [searchTerm, setSearchTerm] = useState("");
   const [filterRole, setFilterRole] = useState("all");
+  const [filterStatus, setFilterStatus] = useState("all");
   const [sortBy, setSortBy] = useState("createdAt");
   const [sortOrder, setSortOrder] = useState("desc"); // 'asc' or 'desc'
+  const [page, setPage] = useState(1);
+  const [banTarget, setBanTarget] = useState(null); // User being banned
+  const [banForm, setBanForm] = useState({ reason: "", expiresAt: "" });
+  const [accessTarget, setAccessTarget] = useState(null); // User whose entitlements are open
+
+  // Wait for the admin to stop typing before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setSearchTerm(searchInput.trim());
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
 
   // In-component check for admin role and data fetching
   useEffect(() => {
@@ -39,16 +71,18 @@ const AdminUsers = () => {
       setError(null);
 
       try {
-        // Set Authorization header for admin API requests
-        adminService.defaults.headers.common[
-          "Authorization"
-        ] = `Bearer ${token}`;
+        const params = { page, limit: PAGE_SIZE, sortBy, order: sortOrder };
+        if (searchTerm) params.search = searchTerm;
+        if (filterRole !== "all") params.role = filterRole;
+        if (filterStatus !== "all") params.status = filterStatus;
 
-        // Fetch all users
-        const response = await adminService.get("/admin/users");
-
-        setUsers(response.data.users || []); // Assuming backend sends users in response.data.users
-        toast.success("Users data loaded!");
+        const response = await adminService.getAllUsers(params);
+        setUsers(response.data.users || []);
+        setMeta({
+          page: response.data.page,
+          pages: response.data.pages,
+          total: response.data.total,
+        });
       } catch (err) {
         console.error("Failed to fetch users data:", err);
         const errorMessage =
@@ -62,25 +96,18 @@ const AdminUsers = () => {
     };
 
     fetchUsers();
-  }, [user, authLoading, token, hasRole, navigate]); // Dependencies
-
-  // Filter and Sort Logic
-  const filteredAndSortedUsers = users
-    .filter((u) => {
-      const matchesSearch =
-        u.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        u.email.toLowerCase().includes(searchTerm.toLowerCase());
-      const matchesRole = filterRole === "all" || u.role === filterRole;
-      return matchesSearch && matchesRole;
-    })
-    .sort((a, b) => {
-      const aValue = a[sortBy];
-      const bValue = b[sortBy];
-
-      if (aValue < bValue) return sortOrder === "asc" ? -1 : 1;
-      if (aValue > bValue) return sortOrder === "asc" ? 1 : -1;
-      return 0;
-    });
+  }, [
+    user,
+    authLoading,
+    hasRole,
+    navigate,
+    page,
+    searchTerm,
+    filterRole,
+    filterStatus,
+    sortBy,
+    sortOrder,
+  ]); // Dependencies
 
   const handleSort = (column) => {
     if (sortBy === column) {
@@ -89,11 +116,12 @@ const AdminUsers = () => {
       setSortBy(column);
       setSortOrder("asc"); // Default to ascending when changing column
     }
+    setPage(1);
   };
 
   // --- Conditional Rendering ---
 
-  if (loading) {
+  if (loading && users.length === 0 && !error) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
         <p className="text-xl text-gray-700">Loading users data...</p>
@@ -139,6 +167,96 @@ const AdminUsers = () => {
     );
   }
 
+  // Swap an updated user into the current page
+  const replaceUser = (updated) =>
+    setUsers((prev) => prev.map((u) => (u._id === updated._id ? updated : u)));
+
+  // Lift a temporary login lockout
+  const handleUnlockUser = async (userId) => {
+    try {
+      const response = await adminService.unlockUser(userId);
+      toast.success(response.data.message);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error("Failed to unlock user:", err);
+    }
+  };
+
+  const handleRoleChange = async (userItem, role) => {
+    if (
+      !window.confirm(
+        `Change ${userItem.name}'s role to ${ROLE_LABELS[role]}?`
+      )
+    ) {
+      return;
+    }
+    try {
+      const response = await adminService.updateUserRole(userItem._id, role);
+      toast.success(response.data.message);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error("Failed to change role:", err);
+    }
+  };
+
+  const handleToggleVerified = async (userItem) => {
+    try {
+      const response = await adminService.setUserVerification(
+        userItem._id,
+        !userItem.isVerified
+      );
+      toast.success(response.data.message);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error("Failed to update verification:", err);
+    }
+  };
+
+  const openBanDialog = (userItem) => {
+    setBanForm({ reason: "", expiresAt: "" });
+    setBanTarget(userItem);
+  };
+
+  const handleBanUser = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await adminService.banUser(
+        banTarget._id,
+        banForm.reason,
+        // End of the chosen day in the admin's timezone
+        banForm.expiresAt
+          ? new Date(`${banForm.expiresAt}T23:59:59`).toISOString()
+          : undefined
+      );
+      toast.success(response.data.message);
+      replaceUser(response.data.user);
+      setBanTarget(null);
+    } catch (err) {
+      console.error("Failed to ban user:", err);
+    }
+  };
+
+  const handleUnbanUser = async (userId) => {
+    try {
+      const response = await adminService.unbanUser(userId);
+      toast.success(response.data.message);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error("Failed to unban user:", err);
+    }
+  };
+
+  const isLocked = (userItem) =>
+    userItem.loginSecurity?.lockedUntil &&
+    new Date(userItem.loginSecurity.lockedUntil) > new Date();
+
+  const isBanned = (userItem) =>
+    userItem.ban?.bannedAt &&
+    (!userItem.ban.expiresAt || new Date(userItem.ban.expiresAt) > new Date());
+
+  const isFiltered =
+    searchTerm !== "" || filterRole !== "all" || filterStatus !== "all";
+
   // Placeholder for user actions (e.g., view details, edit, delete)
   const handleViewUser = (userId) => {
     toast.info(`Viewing user: ${userId}`);
@@ -174,26 +292,41 @@ const AdminUsers = () => {
         <div className="flex flex-col md:flex-row justify-between items-center mb-6 space-y-4 md:space-y-0 md:space-x-4">
           <input
             type="text"
-            placeholder="Search by name or email..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search by name, email or company..."
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
             className="w-full md:w-1/3 px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
           />
           <select
             value={filterRole}
-            onChange={(e) => setFilterRole(e.target.value)}
+            onChange={(e) => {
+              setFilterRole(e.target.value);
+              setPage(1);
+            }}
             className="w-full md:w-auto px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
           >
             <option value="all">All Roles</option>
-            <option value="job_seeker">Job Seeker</option>
-            <option value="referral_provider">Referral Provider</option>
+            <option value="jobSeeker">Job Seeker</option>
+            <option value="referrer">Referrer</option>
             <option value="admin">Admin</option>
           </select>
+          <select
+            value={filterStatus}
+            onChange={(e) => {
+              setFilterStatus(e.target.value);
+              setPage(1);
+            }}
+            className="w-full md:w-auto px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All Statuses</option>
+            <option value="active">Active</option>
+            <option value="banned">Banned</option>
+            <option value="locked">Locked</option>
+            <option value="deactivated">Deactivated</option>
+          </select>
         </div>
 
-        {filteredAndSortedUsers.length === 0 &&
-        searchTerm === "" &&
-        filterRole === "all" ? (
+        {users.length === 0 && !isFiltered ? (
           <div className="text-center p-8 bg-blue-50 border border-blue-200 rounded-lg">
             <p className="text-xl font-semibold text-blue-800">
               No user records found.
@@ -202,8 +335,7 @@ const AdminUsers = () => {
               Database is empty or there was an issue fetching data.
             </p>
           </div>
-        ) : filteredAndSortedUsers.length === 0 &&
-          (searchTerm !== "" || filterRole !== "all") ? (
+        ) : users.length === 0 ? (
           <div className="text-center p-8 bg-yellow-50 border border-yellow-200 rounded-lg">
             <p className="text-xl font-semibold text-yellow-800">
               No users found matching your criteria.
@@ -213,7 +345,11 @@ const AdminUsers = () => {
             </p>
           </div>
         ) : (
-          <div className="overflow-x-auto relative shadow-md sm:rounded-lg">
+          <div
+            className={`overflow-x-auto relative shadow-md sm:rounded-lg ${
+              loading ? "opacity-50" : ""
+            }`}
+          >
             <table className="w-full text-sm text-left text-gray-500">
               <thead className="text-xs text-gray-700 uppercase bg-gray-100">
                 <tr>
@@ -241,14 +377,11 @@ const AdminUsers = () => {
                     Role
                     {sortBy === "role" && (sortOrder === "asc" ? " ▲" : " ▼")}
                   </th>
-                  <th
-                    scope="col"
-                    className="py-3 px-6 cursor-pointer"
-                    onClick={() => handleSort("isSubscribed")}
-                  >
+                  <th scope="col" className="py-3 px-6">
                     Subscription
-                    {sortBy === "isSubscribed" &&
-                      (sortOrder === "asc" ? " ▲" : " ▼")}
+                  </th>
+                  <th scope="col" className="py-3 px-6">
+                    Verified
                   </th>
                   <th
                     scope="col"
@@ -265,29 +398,72 @@ const AdminUsers = () => {
                 </tr>
               </thead>
               <tbody>
-                {filteredAndSortedUsers.map((userItem) => (
+                {users.map((userItem) => (
                   <tr
                     key={userItem._id}
                     className="bg-white border-b hover:bg-gray-50"
                   >
                     <td className="py-4 px-6 font-medium text-gray-900 whitespace-nowrap">
                       {userItem.name}
+                      {isLocked(userItem) && (
+                        <span
+                          className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-800"
+                          title={`Locked until ${new Date(
+                            userItem.loginSecurity.lockedUntil
+                          ).toLocaleString()}`}
+                        >
+                          Locked
+                        </span>
+                      )}
+                      {isBanned(userItem) && (
+                        <span
+                          className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-800 text-white"
+                          title={`${userItem.ban.reason}${
+                            userItem.ban.expiresAt
+                              ? ` (until ${new Date(
+                                  userItem.ban.expiresAt
+                                ).toLocaleString()})`
+                              : ""
+                          }`}
+                        >
+                          Banned
+                        </span>
+                      )}
+                      {!userItem.isActive && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
+                          Deactivated
+                        </span>
+                      )}
                     </td>
                     <td className="py-4 px-6">{userItem.email}</td>
-                    <td className="py-4 px-6 capitalize">
-                      <span
-                        className={`px-2 py-1 rounded-full text-xs font-semibold ${
-                          userItem.role === "admin"
-                            ? "bg-purple-100 text-purple-800"
-                            : userItem.role === "job_seeker"
-                            ? "bg-blue-100 text-blue-800"
-                            : userItem.role === "referral_provider"
-                            ? "bg-green-100 text-green-800"
-                            : "bg-gray-100 text-gray-800"
-                        }`}
-                      >
-                        {userItem.role.replace("_", " ")}
-                      </span>
+                    <td className="py-4 px-6">
+                      {userItem._id === user._id ? (
+                        <span
+                          className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                            ROLE_STYLES[userItem.role] ||
+                            "bg-gray-100 text-gray-800"
+                          }`}
+                        >
+                          {ROLE_LABELS[userItem.role] || userItem.role}
+                        </span>
+                      ) : (
+                        <select
+                          value={userItem.role}
+                          onChange={(e) =>
+                            handleRoleChange(userItem, e.target.value)
+                          }
+                          className={`px-2 py-1 rounded-full text-xs font-semibold border-0 ${
+                            ROLE_STYLES[userItem.role] ||
+                            "bg-gray-100 text-gray-800"
+                          }`}
+                        >
+                          {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      )}
                     </td>
                     <td className="py-4 px-6">
                       <span
@@ -304,6 +480,19 @@ const AdminUsers = () => {
                           : "Inactive"}
                       </span>
                     </td>
+                    <td className="py-4 px-6">
+                      <button
+                        onClick={() => handleToggleVerified(userItem)}
+                        className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                          userItem.isVerified
+                            ? "bg-green-100 text-green-800"
+                            : "bg-gray-100 text-gray-700"
+                        }`}
+                        title="Toggle email verification"
+                      >
+                        {userItem.isVerified ? "Verified" : "Unverified"}
+                      </button>
+                    </td>
                     <td className="py-4 px-6">
                       {new Date(userItem.createdAt).toLocaleDateString()}
                     </td>
@@ -315,6 +504,41 @@ const AdminUsers = () => {
                       >
                         View
                       </button>
+                      <button
+                        onClick={() => setAccessTarget(userItem)}
+                        className="font-medium text-purple-600 hover:text-purple-900"
+                        title="Features and limits"
+                      >
+                        Access
+                      </button>
+                      {isLocked(userItem) && (
+                        <button
+                          onClick={() => handleUnlockUser(userItem._id)}
+                          className="font-medium text-red-600 hover:text-red-900"
+                          title="Lift the login lockout"
+                        >
+                          Unlock
+                        </button>
+                      )}
+                      {isBanned(userItem) ? (
+                        <button
+                          onClick={() => handleUnbanUser(userItem._id)}
+                          className="font-medium text-green-600 hover:text-green-900"
+                          title="Lift the ban"
+                        >
+                          Unban
+                        </button>
+                      ) : (
+                        userItem._id !== user._id && (
+                          <button
+                            onClick={() => openBanDialog(userItem)}
+                            className="font-medium text-red-600 hover:text-red-900"
+                            title="Ban this user"
+                          >
+                            Ban
+                          </button>
+                        )
+                      )}
                       {/*
                       <button 
                         onClick={() => handleEditUser(userItem._id)}
@@ -338,7 +562,89 @@ const AdminUsers = () => {
             </table>
           </div>
         )}
+
+        {meta.pages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              onClick={() => setPage((p) => Math.max(p - 1, 1))}
+              disabled={page <= 1 || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600 text-sm">
+              Page {meta.page} of {meta.pages} · {meta.total} users
+            </span>
+            <button
+              onClick={() => setPage((p) => Math.min(p + 1, meta.pages))}
+              disabled={page >= meta.pages || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
       </div>
+
+      {banTarget && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+          <form
+            onSubmit={handleBanUser}
+            className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md space-y-4"
+          >
+            <h2 className="text-xl font-bold text-gray-800">
+              Ban {banTarget.name}
+            </h2>
+            <label className="block text-sm text-gray-700">
+              Reason
+              <textarea
+                value={banForm.reason}
+                onChange={(e) =>
+                  setBanForm((prev) => ({ ...prev, reason: e.target.value }))
+                }
+                required
+                maxLength={500}
+                rows={3}
+                className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Banned until (leave empty for a permanent ban)
+              <input
+                type="date"
+                value={banForm.expiresAt}
+                min={new Date().toISOString().slice(0, 10)}
+                onChange={(e) =>
+                  setBanForm((prev) => ({ ...prev, expiresAt: e.target.value }))
+                }
+                className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </label>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setBanTarget(null)}
+                className="px-4 py-2 rounded-md border border-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-red-600 text-white font-semibold rounded-md hover:bg-red-700"
+              >
+                Ban User
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {accessTarget && (
+        <EntitlementsDialog
+          user={accessTarget}
+          onClose={() => setAccessTarget(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { adminService } from "../../services/api";
+import toast from "react-hot-toast";
+
+const PAGE_SIZE = 20;
+
+const STATUSES = ["pending", "processing", "processed", "failed", "dead"];
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  processing: "bg-blue-100 text-blue-800",
+  processed: "bg-green-100 text-green-800",
+  failed: "bg-orange-100 text-orange-800",
+  dead: "bg-red-100 text-red-800",
+};
+
+const AdminWebhooks = () => {
+  const [events, setEvents] = useState([]);
+  const [meta, setMeta] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [replayingId, setReplayingId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      if (status) params.status = status;
+
+      const response = await adminService.getWebhookEvents(params);
+      setEvents(response.data.events || []);
+      setMeta({
+        page: response.data.page,
+        pages: response.data.pages,
+        total: response.data.total,
+      });
+    } catch (err) {
+      console.error("Failed to fetch webhook events:", err);
+      toast.error(
+        err.response?.data?.message || "Failed to load webhook events."
+      );
+      setEvents([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, status]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleReplay = async (event) => {
+    setReplayingId(event._id);
+    try {
+      const response = await adminService.replayWebhookEvent(event._id);
+      if (response.data.event.status === "processed") {
+        toast.success(response.data.message);
+      } else {
+        toast.error(response.data.message);
+      }
+      fetchEvents();
+    } catch (err) {
+      toast.error(
+        err.response?.data?.message || "Failed to replay the webhook event."
+      );
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-8 bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto bg-white shadow-lg rounded-xl p-8 md:p-10">
+        <h1 className="text-4xl font-extrabold text-gray-900 mb-8 text-center border-b pb-4">
+          Payment Webhooks
+        </h1>
+
+        <div className="flex justify-end mb-6">
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          >
+            <option value="">All statuses</option>
+            {STATUSES.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {loading && events.length === 0 ? (
+          <p className="text-gray-600 text-center">Loading webhook events...</p>
+        ) : events.length === 0 ? (
+          <div className="text-center p-8 bg-blue-50 border border-blue-200 rounded-lg">
+            <p className="text-xl font-semibold text-blue-800">
+              No webhook events found.
+            </p>
+          </div>
+        ) : (
+          <div
+            className={`overflow-x-auto shadow-md sm:rounded-lg ${
+              loading ? "opacity-50" : ""
+            }`}
+          >
+            <table className="w-full text-sm text-left text-gray-500">
+              <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                <tr>
+                  <th scope="col" className="py-3 px-4">
+                    Received
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Event
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Status
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Attempts
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Last Error
+                  </th>
+                  <th scope="col" className="py-3 px-4">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <React.Fragment key={event._id}>
+                    <tr className="bg-white border-b hover:bg-gray-50">
+                      <td className="py-3 px-4 whitespace-nowrap">
+                        {new Date(event.createdAt).toLocaleString()}
+                        {event.deliveries > 1 && (
+                          <span className="block text-xs">
+                            delivered {event.deliveries} times
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-3 px-4">
+                        <span className="font-mono text-xs text-gray-800">
+                          {event.eventType}
+                        </span>
+                        <span className="block font-mono text-xs">
+                          {event.provider} · {event.eventId}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4">
+                        <span
+                          className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                            STATUS_STYLES[event.status]
+                          }`}
+                        >
+                          {event.status}
+                        </span>
+                        {event.status === "failed" && (
+                          <span className="block text-xs mt-1">
+                            retry at{" "}
+                            {new Date(event.nextAttemptAt).toLocaleString()}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-3 px-4">{event.attempts}</td>
+                      <td className="py-3 px-4 text-red-700 text-xs">
+                        {event.lastError || "—"}
+                      </td>
+                      <td className="py-3 px-4 space-x-3 whitespace-nowrap">
+                        <button
+                          onClick={() =>
+                            setExpandedId(
+                              expandedId === event._id ? null : event._id
+                            )
+                          }
+                          className="text-blue-600 hover:underline"
+                        >
+                          {expandedId === event._id ? "Hide" : "Payload"}
+                        </button>
+                        <button
+                          onClick={() => handleReplay(event)}
+                          disabled={replayingId === event._id}
+                          className="text-orange-600 hover:underline disabled:opacity-50"
+                        >
+                          {replayingId === event._id
+                            ? "Replaying..."
+                            : "Replay"}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedId === event._id && (
+                      <tr className="bg-gray-50 border-b">
+                        <td colSpan={6} className="py-3 px-4">
+                          <pre className="text-xs text-gray-700 whitespace-pre-wrap">
+                            {JSON.stringify(event.payload, null, 2)}
+                          </pre>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {meta.pages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              onClick={() => setPage((p) => Math.max(p - 1, 1))}
+              disabled={page <= 1 || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600 text-sm">
+              Page {meta.page} of {meta.pages} · {meta.total} events
+            </span>
+            <button
+              onClick={() => setPage((p) => Math.min(p + 1, meta.pages))}
+              disabled={page >= meta.pages || loading}
+              className="px-4 py-2 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminWebhooks;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import { applicationService } from "../../services/api";
+import MessageThread from "../../components/applications/MessageThread";
+import toast from "react-hot-toast";
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  reviewed: "bg-blue-100 text-blue-800",
+  shortlisted: "bg-purple-100 text-purple-800",
+  accepted: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+  withdrawn: "bg-gray-100 text-gray-700",
+};
+
+const ApplicationDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [application, setApplication] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchApplication = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await applicationService.getApplicationById(id);
+        setApplication(response.data.application);
+      } catch (err) {
+        console.error("Failed to fetch application:", err);
+        const errorMessage =
+          err.response?.data?.message || "Failed to load application.";
+        setError(errorMessage);
+        toast.error(errorMessage);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchApplication();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100">
+        <p className="text-xl text-gray-700">Loading application...</p>
+      </div>
+    );
+  }
+
+  if (error || !application) {
+    return (
+      <div className="text-red-600 text-center p-6 bg-red-50 border border-red-200 rounded-lg mx-auto max-w-md mt-10">
+        <h3 className="font-semibold text-lg mb-2">Error Loading Application</h3>
+        <p>{error || "Application not found."}</p>
+        <button
+          onClick={() => navigate(-1)}
+          className="mt-4 px-6 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition duration-200"
+        >
+          Go Back
+        </button>
+      </div>
+    );
+  }
+
+  const isJobSeeker = application.jobSeeker?._id === user?._id;
+  const isParticipant =
+    isJobSeeker || application.referrer?._id === user?._id;
+  const otherPartyName = isJobSeeker
+    ? application.referrer?.name
+    : application.jobSeeker?.name;
+
+  return (
+    <div className="container mx-auto p-8 bg-gray-50 min-h-screen">
+      <div className="max-w-6xl mx-auto grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-6">
+          <div className="bg-white shadow-lg rounded-xl p-6">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">
+                  {application.referral?.title || "Job Title N/A"}
+                </h1>
+                <p className="text-gray-600">
+                  {application.referral?.company} ·{" "}
+                  {application.referral?.location}
+                </p>
+              </div>
+              <span
+                className={`px-3 py-1 rounded-full text-sm font-semibold capitalize ${
+                  STATUS_STYLES[application.status] || STATUS_STYLES.withdrawn
+                }`}
+              >
+                {application.status}
+              </span>
+            </div>
+            <p className="text-gray-700 mb-1">
+              <span className="font-medium">Applicant:</span>{" "}
+              {application.jobSeeker?.name || "N/A"}
+            </p>
+            <p className="text-gray-700 mb-1">
+              <span className="font-medium">Referrer:</span>{" "}
+              {application.referrer?.name || "N/A"}
+            </p>
+            <p className="text-gray-700 mb-4">
+              <span className="font-medium">Applied On:</span>{" "}
+              {new Date(application.createdAt).toLocaleDateString()}
+            </p>
+            <h2 className="font-semibold text-gray-800 mb-2">Cover Letter</h2>
+            <p className="text-gray-700 whitespace-pre-wrap">
+              {application.coverLetter}
+            </p>
+            {application.resume && (
+              <a
+                href={application.resume}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-block mt-4 text-blue-600 hover:underline"
+              >
+                View Resume
+              </a>
+            )}
+          </div>
+
+          <div className="bg-white shadow-lg rounded-xl p-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-4">
+              Status Timeline
+            </h2>
+            <ol className="relative border-l border-gray-200 ml-2">
+              {(application.statusHistory || []).map((entry) => (
+                <li key={entry._id} className="mb-4 ml-4">
+                  <div className="absolute w-3 h-3 bg-blue-600 rounded-full -left-1.5 mt-1.5" />
+                  <p className="font-medium text-gray-800 capitalize">
+                    {entry.from ? `${entry.from} → ${entry.to}` : entry.to}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {new Date(entry.changedAt).toLocaleString()}
+                    {entry.changedBy?.name ? ` by ${entry.changedBy.name}` : ""}
+                  </p>
+                  {entry.notes && (
+                    <p className="text-sm text-gray-700 mt-1">{entry.notes}</p>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+
+        {isParticipant && (
+          <MessageThread
+            applicationId={application._id}
+            otherPartyName={otherPartyName}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApplicationDetail;
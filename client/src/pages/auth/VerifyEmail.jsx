@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useSearchParams, useNavigate } from "react-router-dom";
+import { CheckCircle, XCircle } from "lucide-react";
+import { useAuth } from "../../contexts/AuthContext";
+import { authService } from "../../services/api";
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+  const requestedRef = useRef(false);
+
+  const token = searchParams.get("token");
+
+  useEffect(() => {
+    // The link is single-purpose; don't fire twice under StrictMode
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    if (!token) {
+      setStatus("error");
+      setMessage("This verification link is missing its token.");
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        const response = await authService.verifyEmail(token);
+        setStatus("success");
+        setMessage(response.data.message);
+        if (user) {
+          updateUser({ ...user, isVerified: true });
+        }
+      } catch (err) {
+        setStatus("error");
+        setMessage(
+          err.response?.data?.message || "We couldn't verify your email."
+        );
+      }
+    };
+
+    verify();
+  }, [token, user, updateUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+      <div className="bg-white shadow-lg rounded-xl p-8 max-w-md w-full text-center">
+        {status === "verifying" && (
+          <p className="text-xl text-gray-700">Verifying your email...</p>
+        )}
+        {status === "success" && (
+          <>
+            <CheckCircle className="w-12 h-12 text-green-600 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              Email verified
+            </h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+          </>
+        )}
+        {status === "error" && (
+          <>
+            <XCircle className="w-12 h-12 text-red-600 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              Verification failed
+            </h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+          </>
+        )}
+        {status !== "verifying" && (
+          <button
+            onClick={() => navigate(user ? "/dashboard" : "/auth")}
+            className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition duration-200"
+          >
+            {user ? "Go to Dashboard" : "Sign In"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
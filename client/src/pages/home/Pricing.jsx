@@ -1,6 +1,8 @@
+import { useEffect, useState } from "react";
 import { CheckCircle } from "lucide-react";
 import { motion } from "motion/react";
 import { Link } from "react-router-dom";
+import { paymentService } from "../../services/api";
 
 const pricingFeatures = [
   "Up to 3 applications per week",
@@ -9,18 +11,28 @@ const pricingFeatures = [
   "Access to all referrals",
 ];
 
-const premiumFeatures = [
-  "Unlimited applications",
-  "Verified badge on profile",
-  "AI-powered job matching",
-  "Resume analyzer",
-  "Higher visibility to referrers",
-  "Priority customer support",
-  "Advanced analytics",
-  "Early access to new features",
-];
+const formatPrice = (plan) =>
+  `₹${(plan.amount / 100).toLocaleString("en-IN", {
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatPeriod = (days) => {
+  if (days === 30) return "per month";
+  if (days === 365) return "per year";
+  return `for ${days} days`;
+};
 
 const Pricing = () => {
+  const [plans, setPlans] = useState([]);
+
+  // Paid plans come from the plan catalog; the free tier isn't a plan
+  useEffect(() => {
+    paymentService
+      .getSubscriptionPlans()
+      .then((response) => setPlans(response.data.plans || []))
+      .catch((err) => console.error("Failed to load plans:", err));
+  }, []);
+
   return (
     <section className="py-20 bg-white">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -33,7 +45,11 @@ const Pricing = () => {
           </p>
         </div>
 
-        <div className="grid md:grid-cols-2 gap-8 max-w-4xl mx-auto">
+        <div
+          className={`grid md:grid-cols-2 gap-8 mx-auto ${
+            plans.length > 1 ? "lg:grid-cols-3 max-w-6xl" : "max-w-4xl"
+          }`}
+        >
           {/* Free Plan */}
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -63,41 +79,53 @@ const Pricing = () => {
             </Link>
           </motion.div>
 
-          {/* Premium Plan */}
-          <motion.div
-            initial={{ opacity: 0, y: 20 }}
-            whileInView={{ opacity: 1, y: 0 }}
-            transition={{ delay: 0.1 }}
-            className="bg-gradient-to-br from-primary-50 to-blue-50 border-2 border-primary-200 rounded-2xl p-8 relative"
-          >
-            <div className="absolute -top-4 left-1/2 transform -translate-x-1/2">
-              <span className="bg-gradient-to-r from-primary-600 to-blue-600 text-white px-4 py-1 rounded-full text-sm font-medium">
-                Most Popular
-              </span>
-            </div>
+          {/* Premium Plans */}
+          {plans.map((plan, index) => (
+            <motion.div
+              key={plan.id}
+              initial={{ opacity: 0, y: 20 }}
+              whileInView={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 * (index + 1) }}
+              className="bg-gradient-to-br from-primary-50 to-blue-50 border-2 border-primary-200 rounded-2xl p-8 relative"
+            >
+              {index === 0 && (
+                <div className="absolute -top-4 left-1/2 transform -translate-x-1/2">
+                  <span className="bg-gradient-to-r from-primary-600 to-blue-600 text-white px-4 py-1 rounded-full text-sm font-medium">
+                    Most Popular
+                  </span>
+                </div>
+              )}
 
-            <div className="text-center mb-8">
-              <h3 className="text-2xl font-bold text-gray-900 mb-2">Premium</h3>
-              <div className="text-4xl font-bold text-gray-900 mb-2">₹99</div>
-              <p className="text-gray-600">per month</p>
-            </div>
+              <div className="text-center mb-8">
+                <h3 className="text-2xl font-bold text-gray-900 mb-2">
+                  {plan.name}
+                </h3>
+                <div className="text-4xl font-bold text-gray-900 mb-2">
+                  {formatPrice(plan)}
+                </div>
+                <p className="text-gray-600">{formatPeriod(plan.duration)}</p>
+                {plan.savings && (
+                  <p className="text-sm text-green-700 mt-1">{plan.savings}</p>
+                )}
+              </div>
 
-            <ul className="space-y-4 mb-8">
-              {premiumFeatures.map((feature, index) => (
-                <li key={index} className="flex items-center">
-                  <CheckCircle className="h-5 w-5 text-primary-600 mr-3 flex-shrink-0" />
-                  <span className="text-gray-700">{feature}</span>
-                </li>
-              ))}
-            </ul>
+              <ul className="space-y-4 mb-8">
+                {plan.features.map((feature) => (
+                  <li key={feature.key} className="flex items-center">
+                    <CheckCircle className="h-5 w-5 text-primary-600 mr-3 flex-shrink-0" />
+                    <span className="text-gray-700">{feature.label}</span>
+                  </li>
+                ))}
+              </ul>
 
-            <Link
-              to="/auth"
-              className="w-full bg-gradient-to-r from-primary-600 to-blue-600 text-white py-3 px-6 rounded-lg font-medium hover:from-primary-700 hover:to-blue-700 transition-all text-center block"
-            >
-              Start Premium Trial
-            </Link>
-          </motion.div>
+              <Link
+                to="/auth"
+                className="w-full bg-gradient-to-r from-primary-600 to-blue-600 text-white py-3 px-6 rounded-lg font-medium hover:from-primary-700 hover:to-blue-700 transition-all text-center block"
+              >
+                Get {plan.name}
+              </Link>
+            </motion.div>
+          ))}
         </div>
       </div>
     </section>
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom"; // useParams to get ID from URL, useNavigate for back button
 import { useAuth } from "../../contexts/AuthContext"; // Adjust path
 import { referralService } from "../../services/api"; // Reuse referralsAPI
+import VerifiedCompanyBadge from "../../components/common/VerifiedCompanyBadge";
 import toast from "react-hot-toast";
 
 const ReferralDetail = () => {
@@ -220,7 +221,10 @@ const ReferralDetail = () => {
               </h2>
               <p className="text-lg text-gray-700 mb-2">
                 <span className="font-semibold">Name:</span>{" "}
-                {referral.referralProviderName || "N/A"}
+                {referral.referralProviderName || "N/A"}{" "}
+                <VerifiedCompanyBadge
+                  verification={referral.referrer?.companyVerification}
+                />
               </p>
               <p className="text-lg text-gray-700">
                 <span className="font-semibold">Email:</span>{" "}
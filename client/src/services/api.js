@@ -216,6 +216,7 @@ const API_BASE_URL =
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
+  withCredentials: true, // Send the httpOnly refresh cookie
   headers: {
     "Content-Type": "application/json",
   },
@@ -226,11 +227,58 @@ const api = axios.create({
 export const authAPI = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
+  withCredentials: true, // Send the httpOnly refresh cookie
   headers: {
     "Content-Type": "application/json",
   },
 });
 
+// --- Access Token Refresh ---
+// Access tokens are short-lived; the server rotates an httpOnly refresh cookie
+// on POST /auth/refresh. Concurrent 401s share one in-flight refresh so the
+// same refresh token is never presented twice.
+let refreshPromise = null;
+
+// How long to wait for another tab's refresh to land before trying again
+const STALE_REFRESH_RETRY_MS = 500;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = authAPI
+      .post("/auth/refresh")
+      .catch(async (error) => {
+        // Another tab rotated the refresh token first. Its response sets the new
+        // cookie, so try once more with that instead of logging out.
+        if (!error.response?.data?.stale) throw error;
+        await new Promise((resolve) =>
+          setTimeout(resolve, STALE_REFRESH_RETRY_MS)
+        );
+        return authAPI.post("/auth/refresh");
+      })
+      .then((response) => {
+        const { token } = response.data;
+        localStorage.setItem("token", token);
+        authAPI.defaults.headers.common["Authorization"] = `Bearer ${token}`;
+        window.dispatchEvent(
+          new CustomEvent("auth:token-refreshed", { detail: response.data })
+        );
+        return response.data;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Auth endpoints that must never trigger a refresh-and-retry
+const NO_REFRESH_URLS = [
+  "/auth/login",
+  "/auth/register",
+  "/auth/refresh",
+  "/auth/logout",
+];
+
 // --- Request Interceptor: Add Auth Token to ALL requests made by 'api' instance ---
 api.interceptors.request.use(
   (config) => {
@@ -248,29 +296,60 @@ api.interceptors.request.use(
 // --- Response Interceptor for Global Error Handling ---
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Expired access token: refresh once and replay the request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url)
+    ) {
+      originalRequest._retry = true;
+      const sentAuthorization = originalRequest.headers.Authorization;
+      try {
+        const { token } = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.error("Token refresh failed:", refreshError);
+        // Another tab may have refreshed meanwhile; use its token before giving up
+        const storedToken = localStorage.getItem("token");
+        if (storedToken && `Bearer ${storedToken}` !== sentAuthorization) {
+          originalRequest.headers.Authorization = `Bearer ${storedToken}`;
+          return api(originalRequest);
+        }
+      }
+    }
+
     // If the error has a response from the server
     if (error.response) {
       const message = error.response.data?.message || "An error occurred";
 
       if (error.response.status === 401) {
-        // Unauthorized - session expired, invalid token, etc.
+        // Refresh failed too - the session is gone. AuthContext clears the user
+        // and ProtectedRoute sends them to the login page.
         localStorage.removeItem("token");
-        // Only redirect if not already on the auth page to prevent infinite loops
-        if (window.location.pathname !== "/auth") {
-          window.location.href = "/auth";
-        }
+        window.dispatchEvent(new Event("auth:logout"));
         toast.error("Session expired. Please login again.");
       } else if (error.response.status === 403) {
         // Forbidden - access denied due to role or subscription
-        if (error.response.data?.subscriptionRequired) {
+        if (error.response.data?.twoFactorSetupRequired) {
+          toast.error(
+            "Set up two-factor authentication under Profile → Security to continue."
+          );
+        } else if (error.response.data?.verificationRequired) {
+          toast.error("Please verify your email address first.");
+        } else if (error.response.data?.subscriptionRequired) {
           toast.error("Premium subscription required for this feature.");
         } else if (error.response.data?.limitReached) {
           toast.error(
             "Weekly application limit reached. Upgrade to premium for unlimited applications."
           );
         } else {
-          toast.error("Access denied.");
+          // Server messages explain what's missing (e.g. company verification)
+          toast.error(error.response.data?.message || "Access denied.");
         }
       } else if (error.response.status === 429) {
         // Too Many Requests (Rate Limit Exceeded)
@@ -310,6 +389,20 @@ export const authService = {
   refreshToken: () => api.post("/auth/refresh"),
   changePassword: (passwords) => api.put("/auth/change-password", passwords),
   deactivateAccount: () => api.post("/auth/deactivate"),
+  getSessions: () => api.get("/auth/sessions"),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete("/auth/sessions"),
+  verifyEmail: (token) => authAPI.post("/auth/verify-email", { token }),
+  resendVerification: () => api.post("/auth/resend-verification"),
+  forgotPassword: (email) => api.post("/auth/forgot-password", { email }),
+  resetPassword: (token, newPassword) =>
+    api.post("/auth/reset-password", { token, newPassword }),
+  getTwoFactorStatus: () => api.get("/auth/2fa"),
+  setupTwoFactor: () => api.post("/auth/2fa/setup"),
+  enableTwoFactor: (code) => api.post("/auth/2fa/enable", { code }),
+  disableTwoFactor: (data) => api.post("/auth/2fa/disable", data),
+  regenerateRecoveryCodes: (code) =>
+    api.post("/auth/2fa/recovery-codes", { code }),
 };
 
 // User API Services
@@ -326,6 +419,11 @@ export const userService = {
       headers: { "Content-Type": "multipart/form-data" },
     }),
   getUsers: (params) => api.get("/users", { params }), // General users list (may need admin role on backend)
+  requestCompanyVerification: (data) =>
+    api.post("/users/company-verification", data),
+  confirmCompanyVerification: (code) =>
+    api.post("/users/company-verification/confirm", { code }),
+  getEntitlements: () => api.get("/users/entitlements"),
   getUserById: (id) => api.get(`/users/${id}`),
   updateUserStatus: (id, status) => api.put(`/users/${id}/status`, { status }),
   deleteUser: (id) => api.delete(`/users/${id}`),
@@ -339,6 +437,8 @@ export const referralService = {
   updateReferral: (id, referralData) =>
     api.put(`/referrals/${id}`, referralData),
   deleteReferral: (id) => api.delete(`/referrals/${id}`),
+  closeReferral: (id) => api.put(`/referrals/${id}/close`),
+  reopenReferral: (id) => api.put(`/referrals/${id}/reopen`),
   // Renamed to match component usage where `my-received` and `my-provided` are differentiated
   getMyReceivedReferrals: (params) =>
     api.get("/referrals/my-received", { params }),
@@ -346,7 +446,8 @@ export const referralService = {
     api.get("/referrals/my-provided", { params }),
   searchReferrals: (query) =>
     api.get(`/referrals/search?q=${encodeURIComponent(query)}`),
-  getMatchingReferrals: () => api.get("/referrals/matching"),
+  getMatchingReferrals: (params) =>
+    api.get("/referrals/matching", { params }),
   incrementViews: (id) => api.post(`/referrals/${id}/view`),
 };
 
@@ -366,6 +467,12 @@ export const applicationService = {
   updateApplicationStatus: (id, status, notes) =>
     api.put(`/applications/${id}/status`, { status, notes }),
   withdrawApplication: (id) => api.put(`/applications/${id}/withdraw`),
+  getMessages: (id) => api.get(`/applications/${id}/messages`),
+  sendMessage: (id, formData) =>
+    api.post(`/applications/${id}/messages`, formData, {
+      headers: { "Content-Type": "multipart/form-data" },
+    }),
+  getUnreadMessageCounts: () => api.get("/applications/messages/unread"),
   getApplicationStats: () => api.get("/applications/stats"),
   // New method for ApplicationCountWidget
   getApplicationCounts: () => api.get("/applications/counts"),
@@ -385,28 +492,80 @@ export const jobService = {
 // Payment API Services
 export const paymentService = {
   getSubscriptionPlans: () => api.get("/payments/plans"),
-  // Aligned with `handleSubscribe` in Subscription component
-  subscribeToPlan: (planId) => api.post("/subscriptions/subscribe", { planId }),
-  cancelSubscription: () => api.post("/subscriptions/cancel"), // Aligned with Subscription component
-  createOrder: (subscriptionType) =>
-    api.post("/payments/create-order", { subscriptionType }),
+  cancelSubscription: (reason, comment) =>
+    api.post("/payments/subscription/cancel", { reason, comment }),
+  resumeSubscription: () => api.post("/payments/subscription/resume"),
+  enableAutoRenew: (subscriptionType) =>
+    api.post("/payments/subscription/auto-renew", { subscriptionType }),
+  disableAutoRenew: () => api.delete("/payments/subscription/auto-renew"),
+  // Only available while the server uses the fake gateway (PAYMENT_PROVIDER=fake)
+  completeFakePayment: (orderId, outcome) =>
+    api.post("/payments/fake/complete", { orderId, outcome }),
+  getSubscriptionQuote: (subscriptionType) =>
+    api.get("/payments/quote", { params: { subscriptionType } }),
+  validateCoupon: (code, subscriptionType) =>
+    api.post("/payments/validate-coupon", { code, subscriptionType }),
+  createOrder: (subscriptionType, couponCode, billingDetails) =>
+    api.post("/payments/create-order", {
+      subscriptionType,
+      couponCode,
+      billingDetails,
+    }),
   verifyPayment: (paymentData) => api.post("/payments/verify", paymentData),
   getSubscriptionStatus: () => api.get("/payments/subscription-status"),
   getPaymentHistory: () => api.get("/payments/history"),
+  getBillingDetails: () => api.get("/payments/billing"),
+  downloadInvoice: (id) =>
+    api.get(`/payments/${id}/invoice`, { responseType: "blob" }),
+  // Without a refundId, the credit note for the latest refund
+  downloadCreditNote: (id, refundId) =>
+    api.get(`/payments/${id}/credit-note`, {
+      responseType: "blob",
+      params: refundId ? { refundId } : undefined,
+    }),
 };
 
 // Admin API Services
 export const adminService = {
-  getDashboardStats: () => api.get("/admin/dashboard-summary"), // Aligned path
+  getDashboardStats: (params) =>
+    api.get("/admin/dashboard-summary", { params }),
   getAllUsers: (params) => api.get("/admin/users", { params }),
   getAllReferrals: (params) => api.get("/admin/referrals", { params }), // Admin can get all referrals
   getAllApplications: (params) => api.get("/admin/applications", { params }), // Admin can get all applications
   getAllPayments: (params) => api.get("/admin/payments", { params }),
+  refundPayment: (id, data) => api.post(`/admin/payments/${id}/refund`, data),
+  getInvoices: (params) => api.get("/admin/invoices", { params }),
+  getWebhookEvents: (params) => api.get("/admin/webhooks", { params }),
+  getCoupons: (params) => api.get("/admin/coupons", { params }),
+  createCoupon: (coupon) => api.post("/admin/coupons", coupon),
+  updateCoupon: (id, changes) => api.put(`/admin/coupons/${id}`, changes),
+  getPlans: () => api.get("/admin/plans"),
+  createPlan: (plan) => api.post("/admin/plans", plan),
+  updatePlan: (id, changes) => api.put(`/admin/plans/${id}`, changes),
+  deletePlan: (id) => api.delete(`/admin/plans/${id}`),
+  replayWebhookEvent: (id) => api.post(`/admin/webhooks/${id}/replay`),
   updateUserRole: (id, role) => api.put(`/admin/users/${id}/role`, { role }),
-  banUser: (id, reason) => api.put(`/admin/users/${id}/ban`, { reason }),
+  banUser: (id, reason, expiresAt) =>
+    api.put(`/admin/users/${id}/ban`, { reason, expiresAt }),
   unbanUser: (id) => api.put(`/admin/users/${id}/unban`),
+  setUserVerification: (id, isVerified) =>
+    api.put(`/admin/users/${id}/verification`, { isVerified }),
+  unlockUser: (id) => api.post(`/admin/users/${id}/unlock`),
+  getUserEntitlements: (id) => api.get(`/admin/users/${id}/entitlements`),
+  setEntitlementOverride: (id, key, override) =>
+    api.put(`/admin/users/${id}/entitlements/${key}`, override),
+  removeEntitlementOverride: (id, key) =>
+    api.delete(`/admin/users/${id}/entitlements/${key}`),
   deleteReferral: (id) => api.delete(`/admin/referrals/${id}`),
   getAnalytics: (params) => api.get("/admin/analytics", { params }),
+  getAuditEvents: (params) => api.get("/admin/audit", { params }),
+  getSecurityPolicy: () => api.get("/admin/settings/security"),
+  updateSecurityPolicy: (policy) =>
+    api.put("/admin/settings/security", policy),
+  verifyReferrerCompany: (id, data) =>
+    api.put(`/admin/users/${id}/company-verification`, data),
+  revokeReferrerCompany: (id) =>
+    api.delete(`/admin/users/${id}/company-verification`),
   // Add any other admin specific methods
 };
 
@@ -425,6 +584,18 @@ export const uploadFile = async (file, type = "avatar") => {
   throw new Error("Invalid file type for upload.");
 };
 
+// Save a file downloaded with responseType "blob" under `filename`
+export const saveDownload = (response, filename) => {
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
 // Helper function to handle API errors
 // This function is still useful for components that need more granular error handling
 // beyond the global toast, or for displaying errors directly in form fields.
@@ -0,0 +1,91 @@
+import { paymentService } from "./api";
+
+const RAZORPAY_CHECKOUT_URL = "https://checkout.razorpay.com/v1/checkout.js";
+
+// Load Razorpay Checkout once, on first use
+const loadRazorpay = () =>
+  new Promise((resolve, reject) => {
+    if (window.Razorpay) {
+      resolve(window.Razorpay);
+      return;
+    }
+    const script = document.createElement("script");
+    script.src = RAZORPAY_CHECKOUT_URL;
+    script.onload = () => resolve(window.Razorpay);
+    script.onerror = () =>
+      reject(new Error("Could not load the payment checkout."));
+    document.body.appendChild(script);
+  });
+
+// Open Checkout; resolves the fields it hands back once the customer pays and
+// rejects if they close it or the payment fails
+const openRazorpay = async (options) => {
+  const Razorpay = await loadRazorpay();
+
+  return new Promise((resolve, reject) => {
+    const checkout = new Razorpay({
+      ...options,
+      name: "IntraRefer",
+      handler: resolve,
+      modal: { ondismiss: () => reject(new Error("Payment cancelled.")) },
+    });
+    checkout.on("payment.failed", (response) =>
+      reject(new Error(response.error?.description || "Payment failed."))
+    );
+    checkout.open();
+  });
+};
+
+// Buy a plan (new, renewal or upgrade), optionally with a coupon and the billing
+// details for the invoice: create the order, pay it and verify it. Resolves the
+// verify response ({ subscription, user }).
+export const purchaseSubscription = async (
+  subscriptionType,
+  user,
+  couponCode,
+  billingDetails
+) => {
+  const { data } = await paymentService.createOrder(
+    subscriptionType,
+    couponCode,
+    billingDetails
+  );
+
+  let payment;
+  if (data.provider === "fake") {
+    const response = await paymentService.completeFakePayment(data.order.id);
+    if (response.data.status !== "captured") {
+      throw new Error(response.data.error || "Payment failed.");
+    }
+    payment = response.data;
+  } else {
+    payment = await openRazorpay({
+      key: data.razorpayKeyId,
+      amount: data.order.amount,
+      currency: data.order.currency,
+      order_id: data.order.id,
+      description: data.plan.name,
+      prefill: { name: user.name, email: user.email },
+    });
+  }
+
+  const response = await paymentService.verifyPayment({
+    razorpay_order_id: payment.razorpay_order_id,
+    razorpay_payment_id: payment.razorpay_payment_id,
+    razorpay_signature: payment.razorpay_signature,
+  });
+  return response.data;
+};
+
+// Have the customer authorise the recurring subscription from enableAutoRenew.
+// The fake gateway authorises it by itself.
+export const authorizeAutoRenew = async (data, user) => {
+  if (data.provider === "fake") return;
+
+  await openRazorpay({
+    key: data.razorpayKeyId,
+    subscription_id: data.subscription.id,
+    description: "Automatic renewal",
+    prefill: { name: user.name, email: user.email },
+  });
+};
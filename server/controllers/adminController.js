@@ -0,0 +1,1295 @@
+// /server/controllers/adminController.js
+
+const JobRun = require('../models/JobRun');
+const mongoose = require('mongoose');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Referral = require('../models/Referral');
+const Application = require('../models/Application');
+const Payment = require('../models/Payment');
+const AuditEvent = require('../models/AuditEvent');
+const WebhookEvent = require('../models/WebhookEvent');
+const Coupon = require('../models/Coupon');
+const Plan = require('../models/Plan');
+const Invoice = require('../models/Invoice');
+const { getPaymentProvider } = require('../payments');
+const { processWebhookEvent } = require('../payments/webhooks');
+const { FEATURE_KEYS, QUOTA_KEYS, describeEntitlements } = require('../entitlements');
+const asyncHandler = require('express-async-handler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SUMMARY_DAYS = 30;
+const MAX_SUMMARY_DAYS = 366;
+
+// Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD into whole UTC days (defaults to the last 30 days)
+const parseDateRange = (req, res) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - (DEFAULT_SUMMARY_DAYS - 1) * DAY_MS);
+
+  if (isNaN(from) || isNaN(to)) {
+    res.status(400);
+    throw new Error('from and to must be valid dates (YYYY-MM-DD)');
+  }
+
+  from.setUTCHours(0, 0, 0, 0);
+  to.setUTCHours(23, 59, 59, 999);
+
+  if (from > to) {
+    res.status(400);
+    throw new Error('from must be before to');
+  }
+  if (to - from > MAX_SUMMARY_DAYS * DAY_MS) {
+    res.status(400);
+    throw new Error(`Date range cannot exceed ${MAX_SUMMARY_DAYS} days`);
+  }
+
+  return { from, to };
+};
+
+// Turn [{ _id: key, count }] aggregation results into { key: count }
+const toCountMap = (rows, keys) => {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  rows.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  return counts;
+};
+
+// @desc    Get platform totals and trends for the admin dashboard
+// @route   GET /api/admin/dashboard-summary?from=&to=
+// @access  Private (Admin only)
+const getDashboardSummary = asyncHandler(async (req, res) => {
+  const { from, to } = parseDateRange(req, res);
+
+  const [
+    usersByRole,
+    signupsPerDay,
+    referralsByStatus,
+    newReferrals,
+    applicationsByStatus,
+    applicationsInRange,
+    paymentsInRange,
+    revenueByMonth
+  ] = await Promise.all([
+    User.countByRole(),
+    User.getSignupsPerDay(from, to),
+    Referral.countByStatus(),
+    Referral.countDocuments({ createdAt: { $gte: from, $lte: to }, deletedAt: { $exists: false } }),
+    Application.getStatistics(null, null),
+    Application.getStatistics(null, null, from, to),
+    Payment.getStatistics(from, to),
+    Payment.getRevenueStats(from, to)
+  ]);
+
+  // One entry per day in the range, including days without signups
+  const signupCounts = toCountMap(signupsPerDay, []);
+  const signups = [];
+  for (let day = new Date(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    const date = day.toISOString().slice(0, 10);
+    signups.push({ date, count: signupCounts[date] || 0 });
+  }
+
+  const byRole = toCountMap(usersByRole, ['jobSeeker', 'referrer', 'admin']);
+  const referralCounts = toCountMap(referralsByStatus, Referral.schema.path('status').enumValues);
+  const applicationStatuses = Application.schema.path('status').enumValues;
+  const applicationCounts = toCountMap(applicationsByStatus, applicationStatuses);
+  const applicationCountsInRange = toCountMap(applicationsInRange, applicationStatuses);
+  const paid = paymentsInRange.find(row => row._id === 'paid');
+  const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+
+  res.json({
+    range: { from, to },
+    users: {
+      total: sum(byRole),
+      byRole,
+      newInRange: signups.reduce((total, day) => total + day.count, 0),
+      signupsPerDay: signups
+    },
+    referrals: {
+      total: sum(referralCounts),
+      byStatus: referralCounts,
+      newInRange: newReferrals
+    },
+    applications: {
+      total: sum(applicationCounts),
+      byStatus: applicationCounts,
+      newInRange: sum(applicationCountsInRange),
+      byStatusInRange: applicationCountsInRange
+    },
+    // Amounts are in paise
+    revenue: {
+      currency: 'INR',
+      totalInRange: paid ? paid.totalAmount : 0,
+      paymentsInRange: paid ? paid.count : 0,
+      byMonth: revenueByMonth.map(({ _id, totalRevenue, totalPayments }) => ({
+        year: _id.year,
+        month: _id.month,
+        totalRevenue,
+        totalPayments
+      }))
+    }
+  });
+});
+
+const MAX_AUDIT_EVENTS_PER_PAGE = 100;
+
+// @desc    Browse the audit log, newest first
+// @route   GET /api/admin/audit?actor=&targetType=&targetId=&action=&from=&to=&page=&limit=
+// @access  Private (Admin only)
+const getAuditEvents = asyncHandler(async (req, res) => {
+  const { actor, targetType, targetId, action, from, to, page = 1, limit = 50 } = req.query;
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_AUDIT_EVENTS_PER_PAGE);
+  const query = {};
+
+  // The actor can be given as a user ID or an email address
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      query.actor = actor;
+    } else {
+      const actorUser = await User.findOne({ email: String(actor).toLowerCase().trim() }).select('_id');
+      // An unknown email has no events (a null actor would match system events)
+      if (!actorUser) {
+        return res.json({ count: 0, page: pageNum, pages: 0, total: 0, actions: AuditEvent.ACTIONS, events: [] });
+      }
+      query.actor = actorUser._id;
+    }
+  }
+
+  if (targetType) {
+    query['target.type'] = targetType;
+  }
+  if (targetId) {
+    // User, payment and referral IDs are ObjectIds; setting keys are plain strings
+    query['target.id'] = mongoose.Types.ObjectId.isValid(targetId)
+      ? new mongoose.Types.ObjectId(targetId)
+      : targetId;
+  }
+
+  if (action) {
+    if (!AuditEvent.ACTIONS.includes(action)) {
+      res.status(400);
+      throw new Error('Unknown audit action');
+    }
+    query.action = action;
+  }
+
+  if (from || to) {
+    const range = parseDateRange(req, res);
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = range.from;
+    if (to) query.createdAt.$lte = range.to;
+  }
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('actor', 'name email role'),
+    AuditEvent.countDocuments(query)
+  ]);
+
+  res.json({
+    count: events.length,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    total,
+    actions: AuditEvent.ACTIONS,
+    events
+  });
+});
+
+// @desc    Get recent scheduled job runs
+// @route   GET /api/admin/jobs/runs
+// @access  Private (Admin only)
+const getJobRuns = asyncHandler(async (req, res) => {
+  const { job } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const runs = await JobRun.findRecent(job, limit);
+
+  res.json({
+    count: runs.length,
+    runs
+  });
+});
+
+// @desc    Get the platform security policy
+// @route   GET /api/admin/settings/security
+// @access  Private (Admin only)
+const getSecurityPolicy = asyncHandler(async (req, res) => {
+  res.json({
+    requireAdminTwoFactor: await Setting.isAdminTwoFactorRequired()
+  });
+});
+
+// @desc    Update the platform security policy
+// @route   PUT /api/admin/settings/security
+// @access  Private (Admin only)
+const updateSecurityPolicy = asyncHandler(async (req, res) => {
+  const { requireAdminTwoFactor } = req.body;
+
+  if (typeof requireAdminTwoFactor !== 'boolean') {
+    res.status(400);
+    throw new Error('requireAdminTwoFactor must be true or false');
+  }
+
+  // Don't let an admin switch the policy on and lock themselves out of the admin area
+  if (requireAdminTwoFactor && !req.user.twoFactor.enabled) {
+    res.status(409);
+    throw new Error('Enable two-factor authentication on your own account first');
+  }
+
+  await Setting.setValue('security.requireAdminTwoFactor', requireAdminTwoFactor, req.user._id);
+  await AuditEvent.record('settings.security_updated', {
+    req,
+    target: { type: 'Setting', id: 'security.requireAdminTwoFactor' },
+    metadata: { requireAdminTwoFactor }
+  });
+
+  res.json({
+    message: 'Security policy updated',
+    requireAdminTwoFactor
+  });
+});
+
+// Look up the user named in req.params.id
+const findUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid user ID');
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  return user;
+};
+
+// Look up the referrer named in req.params.id
+const findReferrer = async (req, res) => {
+  const user = await findUser(req, res);
+  if (user.role !== 'referrer') {
+    res.status(404);
+    throw new Error('Referrer not found');
+  }
+  return user;
+};
+
+const USER_SORT_FIELDS = ['createdAt', 'name', 'email', 'role'];
+const USER_ROLES = ['jobSeeker', 'referrer', 'admin'];
+const MAX_USERS_PER_PAGE = 100;
+const MAX_REASON_LENGTH = 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query conditions for each ?status= filter on the user list
+const userStatusFilter = (status, now) => {
+  switch (status) {
+    case 'active':
+      return {
+        isActive: true,
+        $or: [{ 'ban.bannedAt': { $exists: false } }, { 'ban.expiresAt': { $lte: now } }]
+      };
+    case 'deactivated':
+      return { isActive: false };
+    case 'banned':
+      return {
+        'ban.bannedAt': { $exists: true },
+        $or: [{ 'ban.expiresAt': { $exists: false } }, { 'ban.expiresAt': { $gt: now } }]
+      };
+    case 'locked':
+      return { 'loginSecurity.lockedUntil': { $gt: now } };
+    default:
+      return null;
+  }
+};
+
+// Refuse admin actions an admin shouldn't be able to take against their own account
+const assertNotSelf = (req, res, user, action) => {
+  if (user._id.equals(req.user._id)) {
+    res.status(400);
+    throw new Error(`You cannot ${action} your own account`);
+  }
+};
+
+// @desc    List users (paginated, with search, filters and sorting)
+// @route   GET /api/admin/users?page=&limit=&search=&role=&status=&verified=&sortBy=&order=
+// @access  Private (Admin only)
+const getUsers = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    search,
+    role,
+    status,
+    verified,
+    sortBy = 'createdAt',
+    order = 'desc'
+  } = req.query;
+
+  const conditions = [];
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+    conditions.push({ $or: [{ name: pattern }, { email: pattern }, { company: pattern }] });
+  }
+
+  if (role) {
+    if (!USER_ROLES.includes(role)) {
+      res.status(400);
+      throw new Error(`role must be one of: ${USER_ROLES.join(', ')}`);
+    }
+    conditions.push({ role });
+  }
+
+  if (status) {
+    const statusFilter = userStatusFilter(status, new Date());
+    if (!statusFilter) {
+      res.status(400);
+      throw new Error('status must be one of: active, deactivated, banned, locked');
+    }
+    conditions.push(statusFilter);
+  }
+
+  if (verified === 'true' || verified === 'false') {
+    conditions.push({ isVerified: verified === 'true' });
+  }
+
+  if (!USER_SORT_FIELDS.includes(sortBy)) {
+    res.status(400);
+    throw new Error(`sortBy must be one of: ${USER_SORT_FIELDS.join(', ')}`);
+  }
+
+  const query = conditions.length ? { $and: conditions } : {};
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_USERS_PER_PAGE);
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .select('-password')
+      .sort({ [sortBy]: order === 'asc' ? 1 : -1, _id: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    User.countDocuments(query)
+  ]);
+
+  res.json({
+    count: users.length,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    total,
+    users: users.map(user => user.getPublicProfile())
+  });
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (Admin only)
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!USER_ROLES.includes(role)) {
+    res.status(400);
+    throw new Error(`role must be one of: ${USER_ROLES.join(', ')}`);
+  }
+
+  const user = await findUser(req, res);
+  assertNotSelf(req, res, user, 'change the role of');
+
+  const previousRole = user.role;
+  user.role = role;
+  // Company verification only means something for referrers
+  if (role !== 'referrer') {
+    user.clearCompanyVerification();
+  }
+  await user.save();
+  await AuditEvent.record('user.role_changed', {
+    req,
+    target: { type: 'User', id: user._id },
+    metadata: { from: previousRole, to: role }
+  });
+
+  res.json({
+    message: `${user.name} is now a ${role}`,
+    user: user.getPublicProfile()
+  });
+});
+
+// @desc    Ban a user, optionally until a given date
+// @route   PUT /api/admin/users/:id/ban
+// @access  Private (Admin only)
+const banUser = asyncHandler(async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+
+  if (!reason || reason.length > MAX_REASON_LENGTH) {
+    res.status(400);
+    throw new Error(`A reason of at most ${MAX_REASON_LENGTH} characters is required`);
+  }
+
+  if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+    res.status(400);
+    throw new Error('expiresAt must be a date in the future');
+  }
+
+  const user = await findUser(req, res);
+  assertNotSelf(req, res, user, 'ban');
+
+  user.applyBan(reason, expiresAt, req.user._id);
+  await user.save();
+
+  // Sign the user out everywhere straight away
+  await Session.revokeAllForUser(user._id, 'banned');
+  await AuditEvent.record('user.banned', {
+    req,
+    target: { type: 'User', id: user._id },
+    metadata: { reason, expiresAt }
+  });
+
+  res.json({
+    message: expiresAt
+      ? `${user.name} has been banned until ${expiresAt.toISOString()}`
+      : `${user.name} has been banned`,
+    user: user.getPublicProfile()
+  });
+});
+
+// @desc    Lift a user's ban
+// @route   PUT /api/admin/users/:id/unban
+// @access  Private (Admin only)
+const unbanUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+
+  if (!user.ban || !user.ban.bannedAt) {
+    res.status(400);
+    throw new Error('User is not banned');
+  }
+
+  const { reason, expiresAt } = user.ban;
+  user.liftBan();
+  await user.save();
+  await AuditEvent.record('user.unbanned', {
+    req,
+    target: { type: 'User', id: user._id },
+    metadata: { reason, expiresAt }
+  });
+
+  res.json({
+    message: `${user.name} has been unbanned`,
+    user: user.getPublicProfile()
+  });
+});
+
+// @desc    Mark a user's email as verified or unverified
+// @route   PUT /api/admin/users/:id/verification
+// @access  Private (Admin only)
+const setUserVerification = asyncHandler(async (req, res) => {
+  if (typeof req.body.isVerified !== 'boolean') {
+    res.status(400);
+    throw new Error('isVerified must be true or false');
+  }
+
+  const user = await findUser(req, res);
+
+  user.isVerified = req.body.isVerified;
+  if (user.isVerified && !user.emailVerifiedAt) {
+    user.emailVerifiedAt = new Date();
+  } else if (!user.isVerified) {
+    user.emailVerifiedAt = undefined;
+  }
+  await user.save();
+  await AuditEvent.record('user.verification_changed', {
+    req,
+    target: { type: 'User', id: user._id },
+    metadata: { isVerified: user.isVerified }
+  });
+
+  res.json({
+    message: user.isVerified
+      ? `${user.name} is now marked as verified`
+      : `${user.name} is now marked as unverified`,
+    user: user.getPublicProfile()
+  });
+});
+
+// @desc    Get a user's entitlements, quota usage and admin overrides
+// @route   GET /api/admin/users/:id/entitlements
+// @access  Private (Admin only)
+const getUserEntitlements = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+
+  res.json({
+    entitlements: await describeEntitlements(user),
+    overrides: user.entitlementOverrides,
+    features: Plan.FEATURES
+  });
+});
+
+// @desc    Override one entitlement for a user: { enabled } for a feature, { limit } for a quota
+// @route   PUT /api/admin/users/:id/entitlements/:key
+// @access  Private (Admin only)
+const setUserEntitlementOverride = asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+  const override = { reason, expiresAt: expiresAt || undefined };
+
+  if (FEATURE_KEYS.includes(key)) {
+    if (typeof req.body.enabled !== 'boolean') {
+      res.status(400);
+      throw new Error('enabled must be true or false');
+    }
+    override.enabled = req.body.enabled;
+  } else if (QUOTA_KEYS.includes(key)) {
+    if (!Number.isInteger(req.body.limit) || req.body.limit < 0) {
+      res.status(400);
+      throw new Error('limit must be a whole number of at least 0');
+    }
+    override.limit = req.body.limit;
+  } else {
+    res.status(400);
+    throw new Error(`Unknown entitlement. Use one of: ${[...FEATURE_KEYS, ...QUOTA_KEYS].join(', ')}`);
+  }
+
+  if (!reason || reason.length > MAX_REASON_LENGTH) {
+    res.status(400);
+    throw new Error(`A reason of at most ${MAX_REASON_LENGTH} characters is required`);
+  }
+  if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+    res.status(400);
+    throw new Error('expiresAt must be a date in the future');
+  }
+
+  const user = await findUser(req, res);
+  user.setEntitlementOverride(key, override, req.user._id);
+  await user.save();
+
+  await AuditEvent.record('user.entitlement_overridden', {
+    req,
+    target: { type: 'User', id: user._id },
+    metadata: { key, enabled: override.enabled, limit: override.limit, reason, expiresAt }
+  });
+
+  res.json({
+    message: `Override for ${key} saved`,
+    entitlements: await describeEntitlements(user),
+    overrides: user.entitlementOverrides
+  });
+});
+
+// @desc    Remove a user's override so the entitlement follows their plan again
+// @route   DELETE /api/admin/users/:id/entitlements/:key
+// @access  Private (Admin only)
+const removeUserEntitlementOverride = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+
+  const removed = user.removeEntitlementOverride(req.params.key);
+  if (!removed) {
+    res.status(404);
+    throw new Error('This user has no override for that entitlement');
+  }
+  await user.save();
+
+  await AuditEvent.record('user.entitlement_override_removed', {
+    req,
+    target: { type: 'User', id: user._id },
+    metadata: { key: removed.key, enabled: removed.enabled, limit: removed.limit, reason: removed.reason }
+  });
+
+  res.json({
+    message: `Override for ${removed.key} removed`,
+    entitlements: await describeEntitlements(user),
+    overrides: user.entitlementOverrides
+  });
+});
+
+// @desc    Lift a temporary login lockout
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (Admin only)
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+
+  user.resetLoginSecurity();
+  await user.save();
+  await AuditEvent.record('user.unlocked', { req, target: { type: 'User', id: user._id } });
+
+  res.json({
+    message: `${user.name}'s account has been unlocked`,
+    user: user.getPublicProfile()
+  });
+});
+
+// @desc    Verify a referrer's company by hand (e.g. after checking an offer letter)
+// @route   PUT /api/admin/users/:id/company-verification
+// @access  Private (Admin only)
+const verifyReferrerCompany = asyncHandler(async (req, res) => {
+  const company = typeof req.body.company === 'string' ? req.body.company.trim() : '';
+  const domain = typeof req.body.domain === 'string' ? req.body.domain.trim().toLowerCase() : undefined;
+
+  if (company.length < 2 || company.length > 100) {
+    res.status(400);
+    throw new Error('Company must be between 2 and 100 characters');
+  }
+
+  const user = await findReferrer(req, res);
+
+  user.companyVerification = { company, domain };
+  user.markCompanyVerified(req.user._id);
+  await user.save();
+  await AuditEvent.record('user.company_verified', {
+    req,
+    target: { type: 'User', id: user._id },
+    metadata: { company, domain }
+  });
+
+  res.json({
+    message: `${user.name} is now verified for ${company}`,
+    user: user.getPublicProfile()
+  });
+});
+
+// @desc    Remove a referrer's company verification
+// @route   DELETE /api/admin/users/:id/company-verification
+// @access  Private (Admin only)
+const revokeReferrerCompany = asyncHandler(async (req, res) => {
+  const user = await findReferrer(req, res);
+
+  const previousCompany = user.companyVerification.company;
+  user.clearCompanyVerification();
+  await user.save();
+  await AuditEvent.record('user.company_verification_revoked', {
+    req,
+    target: { type: 'User', id: user._id },
+    metadata: { company: previousCompany }
+  });
+
+  res.json({
+    message: 'Company verification removed',
+    user: user.getPublicProfile()
+  });
+});
+
+const PAYMENT_STATUSES = ['created', 'attempted', 'paid', 'failed', 'cancelled', 'refunded'];
+const MAX_PAYMENTS_PER_PAGE = 100;
+
+// @desc    List payments, newest first
+// @route   GET /api/admin/payments?status=&user=&page=&limit=
+// @access  Private (Admin only)
+const getPayments = asyncHandler(async (req, res) => {
+  const { status, user, page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (status) {
+    if (!PAYMENT_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`status must be one of: ${PAYMENT_STATUSES.join(', ')}`);
+    }
+    query.status = status;
+  }
+
+  if (user) {
+    if (!mongoose.Types.ObjectId.isValid(user)) {
+      res.status(400);
+      throw new Error('Invalid user ID');
+    }
+    query.user = user;
+  }
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAYMENTS_PER_PAGE);
+
+  const [payments, total] = await Promise.all([
+    Payment.find(query)
+      .select('-razorpaySignature -webhookData')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('user', 'name email'),
+    Payment.countDocuments(query)
+  ]);
+
+  res.json({
+    count: payments.length,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    total,
+    payments
+  });
+});
+
+// @desc    Refund a payment in full or in part through the payment gateway
+// @route   POST /api/admin/payments/:id/refund
+// @access  Private (Admin only)
+const refundPayment = asyncHandler(async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!reason || reason.length > MAX_REASON_LENGTH) {
+    res.status(400);
+    throw new Error(`A reason of at most ${MAX_REASON_LENGTH} characters is required`);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid payment ID');
+  }
+
+  const payment = await Payment.findById(req.params.id);
+  if (!payment) {
+    res.status(404);
+    throw new Error('Payment not found');
+  }
+
+  if (!payment.canBeRefunded()) {
+    res.status(409);
+    throw new Error(payment.refundStatus === 'pending'
+      ? 'A refund for this payment is already in progress'
+      : 'Only captured payments that have not been fully refunded can be refunded');
+  }
+
+  // Amount in paise; leave it out to refund whatever is left
+  const refundable = payment.getRefundableAmount();
+  const amount = req.body.amount === undefined ? refundable : Number(req.body.amount);
+  if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+    res.status(400);
+    throw new Error(`amount must be a whole number of paise between 1 and ${refundable}`);
+  }
+
+  const provider = getPaymentProvider();
+  if (!provider) {
+    res.status(503);
+    throw new Error('Payment service not configured');
+  }
+
+  // Claim the refund before calling the gateway, so two admins (or a double-click)
+  // can't refund the same payment twice
+  const claimed = await Payment.claimRefund(payment._id, amount);
+  if (!claimed) {
+    res.status(409);
+    throw new Error('Another refund for this payment was started or completed; please reload and try again');
+  }
+
+  let refund;
+  try {
+    refund = await provider.refund(payment.razorpayPaymentId, {
+      amount,
+      notes: { paymentId: payment._id.toString(), reason }
+    });
+  } catch (error) {
+    console.error('Gateway refund error:', error);
+    await Payment.releaseRefundClaim(claimed);
+    res.status(502);
+    throw new Error(`The payment gateway rejected the refund: ${error.error?.description || error.message}`);
+  }
+
+  const refundDetails = { refundId: refund.id, amount, reason };
+  let refunded = await payment.startRefund(refundDetails, { req });
+
+  // Some refunds settle instantly; otherwise the refund.processed webhook finishes the job
+  if (refund.status === 'processed') {
+    refunded = await refunded.processRefund(refundDetails, { req }) || await Payment.findById(payment._id);
+  }
+
+  const processed = refunded.getRefund(refund.id)?.status === 'processed';
+  res.json({
+    message: processed
+      ? 'Refund processed'
+      : 'Refund requested; it will complete once the gateway confirms it',
+    payment: refunded
+  });
+});
+
+const MAX_INVOICES_PER_PAGE = 100;
+
+// @desc    List invoices and credit notes issued in a date range, with their tax totals
+// @route   GET /api/admin/invoices?type=&from=&to=&search=&page=&limit=
+// @access  Private (Admin only)
+const getInvoices = asyncHandler(async (req, res) => {
+  const { type, search, page = 1, limit = 20 } = req.query;
+  const { from, to } = parseDateRange(req, res);
+  // Documents still being numbered aren't issued yet
+  const query = { issuedAt: { $gte: from, $lte: to }, number: { $ne: null } };
+
+  if (type) {
+    if (!['invoice', 'credit_note'].includes(type)) {
+      res.status(400);
+      throw new Error('type must be invoice or credit_note');
+    }
+    query.type = type;
+  }
+  if (search && search.trim()) {
+    query.number = { $regex: escapeRegex(search.trim().toUpperCase()) };
+  }
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_INVOICES_PER_PAGE);
+
+  const [invoices, total, totals] = await Promise.all([
+    Invoice.find(query)
+      .sort({ issuedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Invoice.countDocuments(query),
+    Invoice.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: '$type',
+          count: { $sum: 1 },
+          taxableAmount: { $sum: '$taxableAmount' },
+          cgst: { $sum: '$cgst' },
+          sgst: { $sum: '$sgst' },
+          igst: { $sum: '$igst' },
+          totalAmount: { $sum: '$totalAmount' }
+        }
+      }
+    ])
+  ]);
+
+  res.json({
+    count: invoices.length,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    total,
+    from,
+    to,
+    totals: Object.fromEntries(totals.map(({ _id, ...sums }) => [_id, sums])),
+    invoices
+  });
+});
+
+const WEBHOOK_STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead'];
+const MAX_WEBHOOKS_PER_PAGE = 100;
+
+// @desc    List stored payment webhook events, newest first
+// @route   GET /api/admin/webhooks?status=&eventType=&page=&limit=
+// @access  Private (Admin only)
+const getWebhookEvents = asyncHandler(async (req, res) => {
+  const { status, eventType, page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (status) {
+    if (!WEBHOOK_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`status must be one of: ${WEBHOOK_STATUSES.join(', ')}`);
+    }
+    query.status = status;
+  }
+
+  if (eventType) {
+    query.eventType = String(eventType);
+  }
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_WEBHOOKS_PER_PAGE);
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    WebhookEvent.countDocuments(query)
+  ]);
+
+  res.json({
+    count: events.length,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    total,
+    events
+  });
+});
+
+// @desc    Run a stored webhook event again now (e.g. a dead one after fixing its cause)
+// @route   POST /api/admin/webhooks/:id/replay
+// @access  Private (Admin only)
+const replayWebhookEvent = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid webhook event ID');
+  }
+
+  const event = await WebhookEvent.findById(req.params.id);
+  if (!event) {
+    res.status(404);
+    throw new Error('Webhook event not found');
+  }
+
+  if (event.status === 'processing' && event.lockedUntil > new Date()) {
+    res.status(409);
+    throw new Error('This event is being processed right now');
+  }
+
+  const previousStatus = event.status;
+  await event.requeue();
+  await processWebhookEvent(event);
+  const replayed = await WebhookEvent.findById(event._id);
+
+  await AuditEvent.record('webhook.replayed', {
+    req,
+    target: { type: 'WebhookEvent', id: event._id },
+    metadata: {
+      eventId: event.eventId,
+      eventType: event.eventType,
+      previousStatus,
+      status: replayed.status
+    }
+  });
+
+  res.json({
+    message: replayed.status === 'processed'
+      ? 'Webhook event processed'
+      : `Webhook event replay failed: ${replayed.lastError}`,
+    event: replayed
+  });
+});
+
+// Coupon fields an admin can set; the code is fixed once created
+const COUPON_FIELDS = ['description', 'discountType', 'discountValue', 'maxRedemptions', 'perUserLimit', 'validFrom', 'validUntil', 'plans', 'active'];
+const MAX_COUPONS_PER_PAGE = 100;
+
+// Copy the admin-editable fields present in the body; '' or null clears a field
+const applyCouponFields = (coupon, body) => {
+  const changed = [];
+  COUPON_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    const cleared = body[field] === '' || body[field] === null;
+    coupon[field] = cleared ? (field === 'plans' ? [] : undefined) : body[field];
+    changed.push(field);
+  });
+  return changed;
+};
+
+// Save a coupon, turning validation and duplicate-code errors into 4xx responses
+const saveCoupon = async (coupon, res) => {
+  if (coupon.isModified('plans') && coupon.plans.length > 0) {
+    const known = await Plan.countDocuments({ key: { $in: coupon.plans } });
+    if (known < new Set(coupon.plans).size) {
+      res.status(400);
+      throw new Error('plans contains an unknown plan');
+    }
+  }
+
+  try {
+    return await coupon.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      res.status(400);
+      throw new Error(Object.values(error.errors).map(e => e.message).join(', '));
+    }
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error('A coupon with this code already exists');
+    }
+    throw error;
+  }
+};
+
+// @desc    List coupons, newest first
+// @route   GET /api/admin/coupons?active=&search=&page=&limit=
+// @access  Private (Admin only)
+const getCoupons = asyncHandler(async (req, res) => {
+  const { active, search, page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (active === 'true' || active === 'false') {
+    query.active = active === 'true';
+  }
+  if (search && search.trim()) {
+    query.code = { $regex: escapeRegex(search.trim().toUpperCase()) };
+  }
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_COUPONS_PER_PAGE);
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('createdBy', 'name email'),
+    Coupon.countDocuments(query)
+  ]);
+
+  res.json({
+    count: coupons.length,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    total,
+    coupons
+  });
+});
+
+// @desc    Create a coupon
+// @route   POST /api/admin/coupons
+// @access  Private (Admin only)
+const createCoupon = asyncHandler(async (req, res) => {
+  if (typeof req.body.code !== 'string') {
+    res.status(400);
+    throw new Error('Code is required');
+  }
+
+  const coupon = new Coupon({ code: req.body.code, createdBy: req.user._id });
+  applyCouponFields(coupon, req.body);
+  await saveCoupon(coupon, res);
+
+  await AuditEvent.record('coupon.created', {
+    req,
+    target: { type: 'Coupon', id: coupon._id },
+    metadata: {
+      code: coupon.code,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      maxRedemptions: coupon.maxRedemptions,
+      plans: coupon.plans
+    }
+  });
+
+  res.status(201).json({
+    message: 'Coupon created',
+    coupon
+  });
+});
+
+// @desc    Update a coupon (set active: false to withdraw it)
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (Admin only)
+const updateCoupon = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid coupon ID');
+  }
+
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  if (req.body.code !== undefined && String(req.body.code).trim().toUpperCase() !== coupon.code) {
+    res.status(400);
+    throw new Error('A coupon code cannot be changed; create a new coupon instead');
+  }
+
+  const changed = applyCouponFields(coupon, req.body);
+  await saveCoupon(coupon, res);
+
+  await AuditEvent.record('coupon.updated', {
+    req,
+    target: { type: 'Coupon', id: coupon._id },
+    metadata: {
+      code: coupon.code,
+      changes: Object.fromEntries(changed.map(field => [field, coupon[field]]))
+    }
+  });
+
+  res.json({
+    message: 'Coupon updated',
+    coupon
+  });
+});
+
+// Plan fields an admin can change in place; the key is fixed once created
+const PLAN_FIELDS = ['name', 'description', 'savings', 'features', 'active', 'sortOrder'];
+// Plan terms; changing any of them puts a new version on sale
+const PLAN_TERMS = ['amount', 'currency', 'durationDays', 'gatewayPlanId'];
+
+// Copy the admin-editable plan fields present in the body; '' or null clears a field
+const applyPlanFields = (plan, body) => {
+  const changed = [];
+  PLAN_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    const cleared = body[field] === '' || body[field] === null;
+    plan[field] = cleared ? (field === 'features' ? [] : undefined) : body[field];
+    changed.push(field);
+  });
+  return changed;
+};
+
+// Pick the plan terms present in the body
+const pickPlanTerms = (body) => {
+  const terms = {};
+  PLAN_TERMS.forEach(field => {
+    if (body[field] !== undefined) terms[field] = body[field];
+  });
+  return terms;
+};
+
+// Save a plan, turning validation and duplicate-key errors into 4xx responses
+const savePlan = async (plan, res) => {
+  try {
+    return await plan.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      res.status(400);
+      throw new Error(Object.values(error.errors).map(e => e.message).join(', '));
+    }
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error('A plan with this key already exists');
+    }
+    throw error;
+  }
+};
+
+// Find the plan named by :id or respond 400/404
+const findPlanOr404 = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid plan ID');
+  }
+
+  const plan = await Plan.findById(req.params.id);
+  if (!plan) {
+    res.status(404);
+    throw new Error('Plan not found');
+  }
+  return plan;
+};
+
+// @desc    List every plan, active or not, with its price history
+// @route   GET /api/admin/plans
+// @access  Private (Admin only)
+const getPlans = asyncHandler(async (req, res) => {
+  const plans = await Plan.find().sort({ sortOrder: 1, createdAt: 1 });
+
+  res.json({
+    plans,
+    features: Plan.FEATURES
+  });
+});
+
+// @desc    Create a plan (key, name, amount in paise, durationDays, features, ...)
+// @route   POST /api/admin/plans
+// @access  Private (Admin only)
+const createPlan = asyncHandler(async (req, res) => {
+  if (typeof req.body.key !== 'string') {
+    res.status(400);
+    throw new Error('Key is required');
+  }
+
+  const terms = pickPlanTerms(req.body);
+  const plan = new Plan({
+    key: req.body.key,
+    createdBy: req.user._id,
+    versions: [{ ...terms, gatewayPlanId: terms.gatewayPlanId || undefined, version: 1, createdBy: req.user._id }]
+  });
+  applyPlanFields(plan, req.body);
+  await savePlan(plan, res);
+
+  const version = plan.getCurrentVersion();
+  await AuditEvent.record('plan.created', {
+    req,
+    target: { type: 'Plan', id: plan._id },
+    metadata: {
+      key: plan.key,
+      amount: version.amount,
+      currency: version.currency,
+      durationDays: version.durationDays,
+      features: plan.features
+    }
+  });
+
+  res.status(201).json({
+    message: 'Plan created',
+    plan
+  });
+});
+
+// @desc    Update a plan; new terms (amount, currency, durationDays, gatewayPlanId) become a new version
+// @route   PUT /api/admin/plans/:id
+// @access  Private (Admin only)
+const updatePlan = asyncHandler(async (req, res) => {
+  const plan = await findPlanOr404(req, res);
+
+  if (req.body.key !== undefined && String(req.body.key).trim().toLowerCase() !== plan.key) {
+    res.status(400);
+    throw new Error('A plan key cannot be changed; create a new plan instead');
+  }
+
+  const changed = applyPlanFields(plan, req.body);
+  const versionAdded = plan.addVersion(pickPlanTerms(req.body), req.user._id);
+  await savePlan(plan, res);
+
+  const version = plan.getCurrentVersion();
+  await AuditEvent.record('plan.updated', {
+    req,
+    target: { type: 'Plan', id: plan._id },
+    metadata: {
+      key: plan.key,
+      changes: Object.fromEntries(changed.map(field => [field, plan[field]])),
+      newVersion: versionAdded ? {
+        version: version.version,
+        amount: version.amount,
+        currency: version.currency,
+        durationDays: version.durationDays
+      } : undefined
+    }
+  });
+
+  res.json({
+    message: versionAdded ? `Plan updated; version ${version.version} is now on sale` : 'Plan updated',
+    plan
+  });
+});
+
+// @desc    Delete a plan nobody has bought or set to auto-renew (deactivate it otherwise)
+// @route   DELETE /api/admin/plans/:id
+// @access  Private (Admin only)
+const deletePlan = asyncHandler(async (req, res) => {
+  const plan = await findPlanOr404(req, res);
+
+  const [sold, renewing] = await Promise.all([
+    Payment.exists({ $or: [{ plan: plan._id }, { subscriptionType: plan.key }] }),
+    User.exists({ 'subscriptionRenewal.subscriptionType': plan.key })
+  ]);
+  if (sold || renewing) {
+    res.status(409);
+    throw new Error('This plan has been sold, so it can only be deactivated');
+  }
+
+  await plan.deleteOne();
+
+  await AuditEvent.record('plan.deleted', {
+    req,
+    target: { type: 'Plan', id: plan._id },
+    metadata: { key: plan.key, name: plan.name }
+  });
+
+  res.json({ message: 'Plan deleted' });
+});
+
+module.exports = {
+  getDashboardSummary,
+  getAuditEvents,
+  getPayments,
+  refundPayment,
+  getInvoices,
+  getWebhookEvents,
+  replayWebhookEvent,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  getPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  getJobRuns,
+  getUsers,
+  updateUserRole,
+  banUser,
+  unbanUser,
+  setUserVerification,
+  unlockUser,
+  getUserEntitlements,
+  setUserEntitlementOverride,
+  removeUserEntitlementOverride,
+  verifyReferrerCompany,
+  revokeReferrerCompany,
+  getSecurityPolicy,
+  updateSecurityPolicy
+};
@@ -0,0 +1,454 @@
+// /server/controllers/applicationController.js
+
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Referral = require('../models/Referral');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+const cloudinary = require('../config/cloudinaryConfig');
+const fs = require('fs/promises');
+
+// --- Helper Functions ---
+
+// Load an application by ID and make sure the current user is allowed to see it.
+// Job seekers and referrers only get their own applications, admins get everything.
+const findApplicationForUser = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid application ID');
+  }
+
+  const application = await Application.findById(id);
+  if (!application) {
+    res.status(404);
+    throw new Error('Application not found');
+  }
+
+  const userId = req.user._id.toString();
+  const isParticipant = application.jobSeeker.toString() === userId ||
+    application.referrer.toString() === userId;
+
+  if (!isParticipant && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('You are not authorized to access this application');
+  }
+
+  return application;
+};
+
+// Messaging is private to the applicant and the referrer; admins are not participants
+const getMessagingRole = (application, req, res) => {
+  const participantRole = application.getParticipantRole(req.user._id);
+  if (!participantRole) {
+    res.status(403);
+    throw new Error('Only the applicant and the referrer can access these messages');
+  }
+  return participantRole;
+};
+
+// Shared pagination parsing for the list endpoints
+const getPagination = (query) => {
+  const pageNum = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 50);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// --- Validation Rules ---
+
+const createApplicationValidation = [
+  body('referralId')
+    .notEmpty().withMessage('Referral ID is required')
+    .isMongoId().withMessage('Invalid referral ID'),
+
+  body('coverLetter')
+    .notEmpty().withMessage('Cover letter is required')
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Cover letter cannot exceed 2000 characters'),
+
+  body('resume')
+    .optional()
+    .isURL().withMessage('Resume must be a valid URL'),
+
+  body('expectedSalary')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Expected salary cannot be negative')
+    .toFloat(),
+
+  body('availableFrom')
+    .optional()
+    .isISO8601().withMessage('Available from must be a valid date (YYYY-MM-DD)')
+    .toDate(),
+
+  body('noticePeriod')
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage('Notice period must be between 0 and 365 days')
+    .toInt(),
+
+  body('source')
+    .optional()
+    .isIn(['direct', 'search', 'recommendation']).withMessage('Invalid application source')
+];
+
+const updateStatusValidation = [
+  body('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn(['reviewed', 'shortlisted', 'accepted', 'rejected']).withMessage('Invalid status. Only reviewed, shortlisted, accepted, or rejected are allowed.'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+const sendMessageValidation = [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Message cannot exceed 2000 characters')
+];
+
+// --- Controller Functions ---
+
+// @desc    Apply to a referral
+// @route   POST /api/applications
+// @access  Private (Job Seeker only)
+const createApplication = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const { referralId, coverLetter, resume, expectedSalary, availableFrom, noticePeriod, source } = req.body;
+
+  const referral = await Referral.findById(referralId);
+  if (!referral || !referral.isActive) {
+    res.status(404);
+    throw new Error('Referral not found');
+  }
+
+  if (referral.status !== 'active' || referral.isExpired()) {
+    res.status(400);
+    throw new Error('This referral is no longer accepting applications');
+  }
+
+  if (referral.referrer.toString() === req.user._id.toString()) {
+    res.status(400);
+    throw new Error('You cannot apply to your own referral');
+  }
+
+  // The unique index also guards this, but checking first gives a readable error
+  const existingApplication = await Application.findOne({
+    referral: referral._id,
+    jobSeeker: req.user._id
+  });
+  if (existingApplication) {
+    res.status(400);
+    throw new Error('You have already applied to this referral');
+  }
+
+  const application = new Application({
+    referral: referral._id,
+    jobSeeker: req.user._id,
+    referrer: referral.referrer,
+    coverLetter,
+    resume: resume || req.user.resume || '',
+    expectedSalary,
+    availableFrom,
+    noticePeriod,
+    source
+  });
+
+  // A pre-save hook bumps the referral's applicationCount
+  try {
+    await application.save();
+  } catch (error) {
+    // A parallel request for the same referral got past the check above first
+    if (error.code === 11000) {
+      res.status(400);
+      throw new Error('You have already applied to this referral');
+    }
+    throw error;
+  }
+
+  await application.populate([
+    { path: 'referral', select: 'title company location jobType' },
+    { path: 'referrer', select: 'name company position' }
+  ]);
+
+  res.status(201).json({
+    message: 'Application submitted successfully!',
+    application
+  });
+});
+
+// @desc    Get the current job seeker's applications
+// @route   GET /api/applications/my
+// @access  Private (Job Seeker only)
+const getMyApplications = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const { pageNum, limitNum, skip } = getPagination(req.query);
+
+  const query = { jobSeeker: req.user._id };
+  if (status) {
+    query.status = status;
+  }
+
+  const [applications, totalCount] = await Promise.all([
+    Application.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate('referral', 'title company location jobType status applicationDeadline')
+      .populate('referrer', 'name company position'),
+    Application.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    count: applications.length,
+    page: pageNum,
+    pages: Math.ceil(totalCount / limitNum),
+    total: totalCount,
+    applications
+  });
+});
+
+// @desc    Get applications received on the current referrer's referrals
+// @route   GET /api/applications/provided
+// @access  Private (Referrer and Admin)
+const getProvidedApplications = asyncHandler(async (req, res) => {
+  const { status, referralId } = req.query;
+  const { pageNum, limitNum, skip } = getPagination(req.query);
+
+  const query = { referrer: req.user._id };
+  if (status) {
+    query.status = status;
+  }
+  if (referralId) {
+    if (!mongoose.Types.ObjectId.isValid(referralId)) {
+      res.status(400);
+      throw new Error('Invalid referral ID');
+    }
+    query.referral = referralId;
+  }
+
+  const [applications, totalCount] = await Promise.all([
+    Application.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate('referral', 'title company location jobType status')
+      .populate('jobSeeker', 'name email skills experience resume location'),
+    Application.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    count: applications.length,
+    page: pageNum,
+    pages: Math.ceil(totalCount / limitNum),
+    total: totalCount,
+    applications
+  });
+});
+
+// @desc    Get a single application
+// @route   GET /api/applications/:id
+// @access  Private (Applicant, Referrer of the referral, or Admin)
+const getApplicationById = asyncHandler(async (req, res) => {
+  const application = await findApplicationForUser(req, res);
+
+  await application.populate([
+    { path: 'referral', select: 'title company location jobType experienceLevel workMode status applicationDeadline' },
+    { path: 'jobSeeker', select: 'name email phone skills experience resume location linkedin github portfolio' },
+    { path: 'referrer', select: 'name company position department' },
+    { path: 'statusHistory.changedBy', select: 'name role' }
+  ]);
+
+  res.json({
+    application,
+    allowedTransitions: application.getAllowedTransitions()
+  });
+});
+
+// @desc    Move an application through the review pipeline
+// @route   PUT /api/applications/:id/status
+// @access  Private (Referrer of the referral, or Admin)
+const updateApplicationStatus = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const application = await findApplicationForUser(req, res);
+
+  if (application.referrer.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('Only the referrer can update the status of this application');
+  }
+
+  const { status, notes } = req.body;
+
+  if (!application.canTransitionTo(status)) {
+    res.status(409);
+    throw new Error(`Cannot change application status from ${application.status} to ${status}`);
+  }
+
+  const updated = await application.updateStatus(status, req.user, notes);
+  if (!updated) {
+    res.status(409);
+    throw new Error('The application status changed in the meantime. Please reload and try again.');
+  }
+  await updated.populate('statusHistory.changedBy', 'name role');
+
+  res.json({
+    message: `Application marked as ${status}`,
+    application: updated,
+    allowedTransitions: updated.getAllowedTransitions()
+  });
+});
+
+// @desc    Withdraw an application
+// @route   PUT /api/applications/:id/withdraw
+// @access  Private (Applicant only)
+const withdrawApplication = asyncHandler(async (req, res) => {
+  const application = await findApplicationForUser(req, res);
+
+  if (application.jobSeeker.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Only the applicant can withdraw this application');
+  }
+
+  if (!application.canTransitionTo('withdrawn')) {
+    res.status(409);
+    throw new Error(`Application cannot be withdrawn once it is ${application.status}`);
+  }
+
+  const updated = await application.updateStatus('withdrawn', req.user);
+  if (!updated) {
+    res.status(409);
+    throw new Error('The application status changed in the meantime. Please reload and try again.');
+  }
+
+  res.json({
+    message: 'Application withdrawn successfully',
+    application: updated
+  });
+});
+
+// @desc    Get the message thread for an application (marks incoming messages as read)
+// @route   GET /api/applications/:id/messages
+// @access  Private (Applicant and Referrer only)
+const getMessages = asyncHandler(async (req, res) => {
+  const application = await findApplicationForUser(req, res);
+  const participantRole = getMessagingRole(application, req, res);
+
+  await application.markMessagesAsRead(participantRole);
+  await application.populate('communicationHistory.senderUser', 'name avatar');
+
+  res.json({
+    messages: application.communicationHistory,
+    participantRole,
+    unreadCount: application.getUnreadCount(participantRole),
+    lastContactedAt: application.lastContactedAt
+  });
+});
+
+// @desc    Send a message (optionally with one attachment) on an application
+// @route   POST /api/applications/:id/messages
+// @access  Private (Applicant and Referrer only)
+const sendMessage = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    if (req.file) await fs.unlink(req.file.path);
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  let application;
+  let participantRole;
+  try {
+    application = await findApplicationForUser(req, res);
+    participantRole = getMessagingRole(application, req, res);
+  } catch (error) {
+    // Clean up the temporary file stored by multer
+    if (req.file) await fs.unlink(req.file.path);
+    throw error;
+  }
+
+  const message = req.body.message || '';
+  if (!message && !req.file) {
+    res.status(400);
+    throw new Error('Message text or an attachment is required');
+  }
+
+  const attachments = [];
+  if (req.file) {
+    try {
+      const result = await cloudinary.uploader.upload(req.file.path, {
+        resource_type: 'auto',
+        folder: 'job_portal_attachments'
+      });
+      attachments.push({
+        url: result.secure_url,
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      });
+    } catch (uploadError) {
+      console.error('Cloudinary attachment upload error:', uploadError);
+      res.status(500);
+      throw new Error('Attachment upload failed. Please try again.');
+    } finally {
+      await fs.unlink(req.file.path);
+    }
+  }
+
+  // Replying implies the sender has seen everything before it
+  await application.markMessagesAsRead(participantRole);
+  const updated = await application.addCommunication(message, participantRole, {
+    senderUser: req.user._id,
+    attachments
+  });
+  await updated.populate('communicationHistory.senderUser', 'name avatar');
+
+  res.status(201).json({
+    message: 'Message sent',
+    data: updated.communicationHistory[updated.communicationHistory.length - 1]
+  });
+});
+
+// @desc    Get unread message counts across the current user's applications
+// @route   GET /api/applications/messages/unread
+// @access  Private
+const getUnreadMessageCounts = asyncHandler(async (req, res) => {
+  const counts = await Application.getUnreadMessageCounts(req.user._id);
+
+  res.json({
+    total: counts.reduce((sum, entry) => sum + entry.unread, 0),
+    applications: counts.map(entry => ({
+      application: entry._id,
+      unread: entry.unread,
+      lastMessageAt: entry.lastMessageAt
+    }))
+  });
+});
+
+module.exports = {
+  createApplicationValidation,
+  updateStatusValidation,
+  sendMessageValidation,
+  createApplication,
+  getMyApplications,
+  getProvidedApplications,
+  getApplicationById,
+  updateApplicationStatus,
+  withdrawApplication,
+  getMessages,
+  sendMessage,
+  getUnreadMessageCounts
+};
@@ -1,16 +1,142 @@
 // /server/controllers/authController.js
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User'); // Ensure correct path to your User model
+const QRCode = require('qrcode');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const LoginThrottle = require('../models/LoginThrottle');
+const AuditEvent = require('../models/AuditEvent');
+const { sendTemplate } = require('../mail');
 const asyncHandler = require('express-async-handler'); // For simplifying error handling in async functions
 
+// --- Token Settings ---
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const EMAIL_VERIFICATION_EXPIRES_IN = '24h';
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const ACCOUNT_LOCKED_MESSAGE = 'Account temporarily locked after too many failed login attempts.';
+const IP_BLOCKED_MESSAGE = 'Too many failed login attempts from this network.';
+
 // --- Helper Functions ---
 
-// Generate JWT token
-const generateToken = (userId) => {
-  // expiresIn '7d' matches your current implementation
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Generate a short-lived access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+};
+
+// Refresh cookie is httpOnly and scoped to the auth routes
+const refreshCookieOptions = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    path: '/api/auth'
+  };
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+};
+
+// Signed, expiring token for the email verification link. It carries the email so a
+// token issued before an address change can't verify the new address.
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, purpose: 'email_verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_EXPIRES_IN }
+  );
+};
+
+// Email a fresh verification link to the user
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  await sendTemplate('emailVerification', user.email, { name: user.name, token });
+  user.verificationEmailSentAt = new Date();
+  await user.save();
+};
+
+// Short-lived token proving the password step of a 2FA login passed. It has no
+// sessionId, so it can't be used as an access token.
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user._id, purpose: 'two_factor_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  );
+};
+
+// Accept either an authenticator code or a recovery code for a user loaded with 2FA secrets
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) return user.verifyTwoFactorCode(code);
+  if (recoveryCode) return user.useRecoveryCode(recoveryCode);
+  return false;
+};
+
+// Admins must enroll in 2FA when the platform policy says so
+const isTwoFactorSetupRequired = async (user) => {
+  return user.role === 'admin' && !user.twoFactor.enabled && await Setting.isAdminTwoFactorRequired();
+};
+
+// Refuse a login while an account or IP lock is in force
+const rejectLocked = (res, lockedUntil, message) => {
+  const secondsLeft = Math.ceil((lockedUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(secondsLeft));
+  res.status(429);
+  throw new Error(`${message} Try again in ${Math.ceil(secondsLeft / 60)} minute(s).`);
+};
+
+// Refuse a login while an admin ban is in force
+const rejectBanned = (res, ban) => {
+  const until = ban.expiresAt ? ` until ${ban.expiresAt.toISOString()}` : '';
+  const reason = ban.reason ? ` Reason: ${ban.reason}` : '';
+  res.status(403);
+  throw new Error(`Your account has been suspended${until}.${reason}`);
+};
+
+// Count a failed password or 2FA code against the IP and the account; the owner is
+// emailed when the account gets locked. Resolves when the account is locked until, if it is.
+const recordFailedLogin = async (req, user) => {
+  await LoginThrottle.recordFailure(req.ip);
+  if (!user) return null;
+
+  const { lockedNow, lockedUntil } = await user.registerFailedLogin();
+
+  if (lockedNow) {
+    await AuditEvent.record('auth.account_locked', {
+      req,
+      actor: user,
+      target: { type: 'User', id: user._id },
+      metadata: { lockedUntil }
+    });
+    sendTemplate('accountLocked', user.email, {
+      name: user.name,
+      lockedUntil,
+      ipAddress: req.ip
+    }).catch((mailError) => console.error('Error sending account locked email:', mailError));
+  }
+  return lockedUntil;
+};
+
+// Start a new session for the user, set its refresh cookie and return an access token
+const issueSession = async (user, req, res) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, req, REFRESH_TOKEN_TTL_DAYS);
+  setRefreshCookie(res, refreshToken);
+  return generateToken(user._id, session._id);
 };
 
 // --- Validation Rules ---
@@ -42,6 +168,44 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const verifyEmailValidation = [
+  body('token').notEmpty().withMessage('Verification token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+];
+
+// A second factor is either an authenticator code or a recovery code
+const secondFactorValidation = body('code').custom((code, { req }) => {
+  if (!code && !req.body.recoveryCode) {
+    throw new Error('Authentication code or recovery code is required');
+  }
+  return true;
+});
+
+const loginTwoFactorValidation = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  secondFactorValidation
+];
+
+const twoFactorCodeValidation = [
+  body('code').notEmpty().withMessage('Authentication code is required')
+];
+
+const disableTwoFactorValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  secondFactorValidation
+];
+
 const changePasswordValidation = [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
@@ -79,8 +243,15 @@ const registerUser = asyncHandler(async (req, res) => {
 
   await user.save();
 
-  // Generate token
-  const token = generateToken(user._id);
+  // A mail outage shouldn't block sign-up; the user can request another link
+  try {
+    await sendVerificationEmail(user);
+  } catch (mailError) {
+    console.error('Error sending verification email:', mailError);
+  }
+
+  // Start a session (refresh cookie + access token)
+  const token = await issueSession(user, req, res);
 
   // Return user data (excluding password)
   const userData = user.getPublicProfile();
@@ -105,9 +276,15 @@ const loginUser = asyncHandler(async (req, res) => {
 
   const { email, password } = req.body;
 
+  const ipBlockedUntil = await LoginThrottle.getBlockedUntil(req.ip);
+  if (ipBlockedUntil) {
+    rejectLocked(res, ipBlockedUntil, IP_BLOCKED_MESSAGE);
+  }
+
   // Find user by email
   const user = await User.findOne({ email });
   if (!user) {
+    await recordFailedLogin(req, null);
     res.status(400);
     throw new Error('Invalid credentials');
   }
@@ -118,15 +295,44 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new Error('Account is deactivated');
   }
 
+  // A locked account doesn't get to check passwords at all
+  if (user.isLocked()) {
+    rejectLocked(res, user.loginSecurity.lockedUntil, ACCOUNT_LOCKED_MESSAGE);
+  }
+
   // Verify password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    const lockedUntil = await recordFailedLogin(req, user);
+    if (lockedUntil) {
+      rejectLocked(res, lockedUntil, ACCOUNT_LOCKED_MESSAGE);
+    }
     res.status(400);
     throw new Error('Invalid credentials');
   }
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Only tell someone who knows the password why they can't get in
+  if (user.isBanned()) {
+    rejectBanned(res, user.ban);
+  }
+
+  // With 2FA on, the password only earns a challenge; the session comes from /login/2fa
+  if (user.twoFactor.enabled) {
+    return res.json({
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user)
+    });
+  }
+
+  if (user.loginSecurity.failedAttempts || user.loginSecurity.lockoutCount) {
+    user.resetLoginSecurity();
+    await user.save();
+  }
+
+  // Start a session (refresh cookie + access token)
+  const token = await issueSession(user, req, res);
+  await AuditEvent.record('auth.login', { req, actor: user, target: { type: 'User', id: user._id } });
 
   // Return user data (excluding password)
   const userData = user.getPublicProfile();
@@ -134,7 +340,79 @@ const loginUser = asyncHandler(async (req, res) => {
   res.json({
     message: 'Login successful',
     token,
-    user: userData
+    user: userData,
+    twoFactorSetupRequired: await isTwoFactorSetupRequired(user)
+  });
+});
+
+// @desc    Complete a 2FA login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires challenge token)
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  // The second step counts against the same IP block as the password step
+  const ipBlockedUntil = await LoginThrottle.getBlockedUntil(req.ip);
+  if (ipBlockedUntil) {
+    rejectLocked(res, ipBlockedUntil, IP_BLOCKED_MESSAGE);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    res.status(401);
+    throw new Error('Login challenge has expired. Please sign in again.');
+  }
+
+  if (decoded.purpose !== 'two_factor_challenge') {
+    res.status(401);
+    throw new Error('Invalid login challenge');
+  }
+
+  const user = await User.findWithTwoFactorSecrets(decoded.userId);
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    res.status(401);
+    throw new Error('Invalid login challenge');
+  }
+
+  if (user.isBanned()) {
+    rejectBanned(res, user.ban);
+  }
+
+  if (user.isLocked()) {
+    rejectLocked(res, user.loginSecurity.lockedUntil, ACCOUNT_LOCKED_MESSAGE);
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  if (!checkSecondFactor(user, req.body)) {
+    const lockedUntil = await recordFailedLogin(req, user);
+    if (lockedUntil) {
+      rejectLocked(res, lockedUntil, ACCOUNT_LOCKED_MESSAGE);
+    }
+    res.status(400);
+    throw new Error('Invalid authentication code');
+  }
+  user.resetLoginSecurity();
+  await user.save();
+
+  const token = await issueSession(user, req, res);
+  await AuditEvent.record('auth.login', {
+    req,
+    actor: user,
+    target: { type: 'User', id: user._id },
+    metadata: { twoFactor: true }
+  });
+
+  res.json({
+    message: 'Login successful',
+    token,
+    user: user.getPublicProfile(),
+    recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
   });
 });
 
@@ -147,25 +425,84 @@ const getMe = asyncHandler(async (req, res) => {
   res.json({ user: userData });
 });
 
-// @desc    Refresh JWT token
+// @desc    Exchange the refresh cookie for a new access token (rotates the refresh token)
 // @route   POST /api/auth/refresh
-// @access  Private
+// @access  Public (requires refresh cookie)
 const refreshToken = asyncHandler(async (req, res) => {
-  // Generate new token using existing user from req.user
-  const token = generateToken(req.user._id);
+  const presentedToken = req.cookies && req.cookies[REFRESH_COOKIE_NAME];
+  if (!presentedToken) {
+    res.status(401);
+    throw new Error('Refresh token required');
+  }
+
+  const { session, reused, stale } = await Session.findByRefreshToken(presentedToken);
+
+  if (!session) {
+    clearRefreshCookie(res);
+    res.status(401);
+    throw new Error('Invalid refresh token');
+  }
+
+  // A parallel request (often another tab) already rotated this token; its response
+  // carries the new cookie, so `stale` tells the client to retry rather than log out
+  if (stale) {
+    return res.status(401).json({ message: 'Refresh token already used', stale: true });
+  }
+
+  if (reused) {
+    // Someone replayed an old token: assume it was stolen and end the session everywhere
+    await session.revoke('reuse_detected');
+    clearRefreshCookie(res);
+    res.status(401);
+    throw new Error('Refresh token reuse detected. Please log in again.');
+  }
+
+  if (!session.isActive()) {
+    clearRefreshCookie(res);
+    res.status(401);
+    throw new Error('Session expired. Please log in again.');
+  }
+
+  const user = await User.findById(session.user).select('-password');
+  if (!user || !user.isActive || user.isBanned()) {
+    await session.revoke(user && user.isBanned() ? 'banned' : 'logout');
+    clearRefreshCookie(res);
+    res.status(401);
+    throw new Error('Account is not active');
+  }
+
+  const newRefreshToken = await session.rotate(req);
+  if (!newRefreshToken) {
+    return res.status(401).json({ message: 'Refresh token already used', stale: true });
+  }
+
+  setRefreshCookie(res, newRefreshToken);
 
   res.json({
     message: 'Token refreshed successfully',
-    token
+    token: generateToken(user._id, session._id),
+    user: user.getPublicProfile()
   });
 });
 
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
-// @access  Private
+// @access  Public (uses refresh cookie and/or access token)
 const logoutUser = asyncHandler(async (req, res) => {
-  // In a stateless JWT system, logout is handled client-side
-  // This endpoint exists for consistency and potential future enhancements
+  const presentedToken = req.cookies && req.cookies[REFRESH_COOKIE_NAME];
+
+  let session = null;
+  if (presentedToken) {
+    ({ session } = await Session.findByRefreshToken(presentedToken));
+  }
+  if (!session && req.sessionId) {
+    session = await Session.findById(req.sessionId);
+  }
+  if (session) {
+    await session.revoke('logout');
+  }
+
+  clearRefreshCookie(res);
   res.json({ message: 'Logout successful' });
 });
 
@@ -205,7 +542,85 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
-  res.json({ message: 'Password changed successfully' });
+  // Sign out every other device; this one stays logged in
+  const sessionsRevoked = await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+  await AuditEvent.record('auth.password_changed', {
+    req,
+    target: { type: 'User', id: user._id },
+    metadata: { sessionsRevoked }
+  });
+
+  res.json({ message: 'Password changed successfully', sessionsRevoked });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const user = await User.findOne({ email: req.body.email });
+
+  if (user && user.isActive) {
+    // Returns null once the account has hit its hourly limit; the request is silently dropped
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    if (token) {
+      // Not awaited, so response time doesn't hint at whether the account exists
+      sendTemplate('passwordReset', user.email, { name: user.name, token })
+        .catch((mailError) => console.error('Error sending password reset email:', mailError));
+    }
+  }
+
+  // Same answer whether or not the account exists or was throttled
+  res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+});
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const { token, newPassword } = req.body;
+
+  const user = await User.findByPasswordResetToken(token);
+  if (!user || !user.isActive) {
+    res.status(400);
+    throw new Error('Reset link is invalid or has expired');
+  }
+
+  // Update password (pre-save hook will hash it) and burn the token
+  user.password = newPassword;
+  user.clearPasswordResetToken();
+  // Proving access to the inbox also lifts any login lockout
+  user.resetLoginSecurity();
+  // Following the emailed link proves ownership of the address
+  if (!user.isVerified) {
+    user.isVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  // Whoever knew the old password is signed out everywhere
+  const sessionsRevoked = await Session.revokeAllForUser(user._id, 'password_reset');
+  await AuditEvent.record('auth.password_reset', {
+    req,
+    actor: user,
+    target: { type: 'User', id: user._id },
+    metadata: { sessionsRevoked }
+  });
+
+  res.json({ message: 'Password reset successfully. Please sign in with your new password.', sessionsRevoked });
 });
 
 // @desc    Deactivate user account
@@ -220,20 +635,297 @@ const deactivateAccount = asyncHandler(async (req, res) => {
     throw new Error('User not found or already deactivated.');
   }
 
+  await Session.revokeAllForUser(user._id, 'account_deactivated');
+  clearRefreshCookie(res);
+  await AuditEvent.record('auth.account_deactivated', { req, target: { type: 'User', id: user._id } });
+
   res.json({ message: 'Account deactivated successfully' });
 });
 
+// @desc    Verify email address using the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(req.body.token, process.env.JWT_SECRET);
+  } catch (error) {
+    res.status(400);
+    throw new Error(error.name === 'TokenExpiredError'
+      ? 'Verification link has expired. Please request a new one.'
+      : 'Invalid verification link');
+  }
+
+  if (decoded.purpose !== 'email_verification') {
+    res.status(400);
+    throw new Error('Invalid verification link');
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || user.email !== decoded.email) {
+    res.status(400);
+    throw new Error('Invalid verification link');
+  }
+
+  if (!user.isVerified) {
+    user.isVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  res.json({
+    message: 'Email verified successfully',
+    user: user.getPublicProfile()
+  });
+});
+
+// @desc    Send another verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.isVerified) {
+    res.status(400);
+    throw new Error('Email is already verified');
+  }
+
+  if (user.verificationEmailSentAt &&
+    Date.now() - user.verificationEmailSentAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+    res.status(429);
+    throw new Error('Please wait a minute before requesting another verification email');
+  }
+
+  await sendVerificationEmail(user);
+
+  res.json({ message: 'Verification email sent' });
+});
+
+// @desc    Get the current user's 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private (Referrer/Admin)
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+  res.json({
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt,
+    recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    required: user.role === 'admin' && await Setting.isAdminTwoFactorRequired()
+  });
+});
+
+// @desc    Start 2FA enrollment (returns the secret and a QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Referrer/Admin)
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+  if (user.twoFactor.enabled) {
+    res.status(409);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const { secret, otpauthUrl } = user.startTwoFactorSetup();
+  await user.save();
+
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  res.json({ secret, otpauthUrl, qrCode });
+});
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private (Referrer/Admin)
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+  if (user.twoFactor.enabled) {
+    res.status(409);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactor.pendingSecret) {
+    res.status(400);
+    throw new Error('Start two-factor setup first');
+  }
+  if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+    res.status(400);
+    throw new Error('Invalid authentication code');
+  }
+
+  const recoveryCodes = user.enableTwoFactor();
+  await user.save();
+  await AuditEvent.record('auth.two_factor_enabled', { req, target: { type: 'User', id: user._id } });
+
+  res.json({
+    message: 'Two-factor authentication enabled',
+    recoveryCodes
+  });
+});
+
+// @desc    Turn off 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private (Referrer/Admin)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const user = await User.findWithTwoFactorSecrets(req.user._id).select('+password');
+
+  if (!user.twoFactor.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  if (user.role === 'admin' && await Setting.isAdminTwoFactorRequired()) {
+    res.status(403);
+    throw new Error('Two-factor authentication is mandatory for admin accounts');
+  }
+  if (!(await user.comparePassword(req.body.password))) {
+    res.status(400);
+    throw new Error('Password is incorrect');
+  }
+  if (!checkSecondFactor(user, req.body)) {
+    res.status(400);
+    throw new Error('Invalid authentication code');
+  }
+
+  user.disableTwoFactor();
+  await user.save();
+  await AuditEvent.record('auth.two_factor_disabled', { req, target: { type: 'User', id: user._id } });
+
+  res.json({ message: 'Two-factor authentication disabled' });
+});
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private (Referrer/Admin)
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+  if (!user.twoFactor.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    res.status(400);
+    throw new Error('Invalid authentication code');
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.json({
+    message: 'Recovery codes regenerated',
+    recoveryCodes
+  });
+});
+
+// @desc    List the current user's signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+  const currentId = req.sessionId.toString();
+
+  res.json({
+    sessions: sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === currentId
+    }))
+  });
+});
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = mongoose.Types.ObjectId.isValid(id)
+    ? await Session.findOne({ _id: id, user: req.user._id })
+    : null;
+
+  if (!session || !session.isActive()) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  await session.revoke('revoked_by_user');
+
+  const isCurrent = session._id.toString() === req.sessionId.toString();
+  if (isCurrent) {
+    clearRefreshCookie(res);
+  }
+
+  res.json({ message: 'Session revoked successfully', current: isCurrent });
+});
+
+// @desc    Sign out every device except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const sessionsRevoked = await Session.revokeAllForUser(req.user._id, 'revoked_by_user', req.sessionId);
+
+  res.json({ message: 'Signed out of all other devices', sessionsRevoked });
+});
+
 
 module.exports = {
   generateToken, // Export for potential use in other places if needed (e.g. admin creating users)
+  issueSession,
   registerValidation,
   loginValidation,
   changePasswordValidation,
+  verifyEmailValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  loginTwoFactorValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
   registerUser,
   loginUser,
   getMe,
   refreshToken,
   logoutUser,
   changePassword,
-  deactivateAccount
+  deactivateAccount,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  loginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 };
\ No newline at end of file
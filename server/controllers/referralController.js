@@ -1,9 +1,66 @@
 // /server/controllers/referralController.js
 
+const mongoose = require('mongoose');
 const Referral = require('../models/Referral');
 const User = require('../models/User'); // Needed to check user role
+const AuditEvent = require('../models/AuditEvent');
 const asyncHandler = require('express-async-handler');
 const { body, validationResult } = require('express-validator');
+const { loadEntitlements } = require('../middleware/auth');
+
+// Fields a referrer may change when editing a referral.
+// Ownership, analytics and lifecycle fields are managed by the server.
+const EDITABLE_REFERRAL_FIELDS = [
+  'title', 'company', 'department', 'location', 'jobType', 'experienceLevel',
+  'description', 'requirements', 'skills', 'benefits', 'salaryRange',
+  'applicationDeadline', 'workMode', 'urgency'
+];
+
+// --- Helper Functions ---
+
+// Referrers may only post for the company they verified through their work email;
+// admins can post for any company
+const assertCanPostForCompany = (req, res, company) => {
+  if (req.user.role === 'admin' || req.user.isVerifiedForCompany(company)) {
+    return;
+  }
+
+  res.status(403);
+  const { status, company: verifiedCompany } = req.user.companyVerification;
+  throw new Error(status === 'verified'
+    ? `You can only post referrals for your verified company (${verifiedCompany})`
+    : 'Verify your company with your work email before posting referrals');
+};
+
+// Load a non-deleted referral by ID
+const findReferral = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid referral ID');
+  }
+
+  const referral = await Referral.findById(id);
+  if (!referral || referral.deletedAt) {
+    res.status(404);
+    throw new Error('Referral not found');
+  }
+
+  return referral;
+};
+
+// Load a referral the current user may manage (its referrer or an admin)
+const findReferralForOwner = async (req, res) => {
+  const referral = await findReferral(req, res);
+
+  if (!referral.isOwnedBy(req.user._id) && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('You are not authorized to modify this referral');
+  }
+
+  return referral;
+};
 
 // --- Validation Rules for POST /api/referrals (UPDATED - Making more fields REQUIRED) ---
 const createReferralValidation = [
@@ -163,6 +220,8 @@ const createReferral = asyncHandler(async (req, res) => {
     throw new Error('Referrer account is not active.');
   }
 
+  assertCanPostForCompany(req, res, req.body.company);
+
   // Prepare referral data from request body
   const referralData = {
     ...req.body,
@@ -229,6 +288,7 @@ const getReferrals = asyncHandler(async (req, res) => {
   if (req.user) { // If user is authenticated
     if (req.user.role === 'referrer' && myReferrals === 'true') {
       query.referrer = req.user._id; // Only show referrer's own referrals
+      query.deletedAt = { $exists: false }; // Hide soft-deleted referrals
       // If a referrer requests their own, they might want to see all statuses
       delete query.status; // Remove default 'active' status
       if (status) { // Allow referrer to filter their own by specific status
@@ -289,7 +349,7 @@ const getReferrals = asyncHandler(async (req, res) => {
       .sort(sort)
       .skip(skip)
       .limit(limitNum)
-      .populate('referrer', 'name email company position'); // Populate referrer info
+      .populate('referrer', 'name email company position companyVerification.status companyVerification.domain'); // Populate referrer info
 
     const totalCount = await Referral.countDocuments(query);
     const totalPages = Math.ceil(totalCount / limitNum);
@@ -321,8 +381,185 @@ const getReferrals = asyncHandler(async (req, res) => {
 });
 
 
+// @desc    Get active referrals ranked against the current user's profile
+// @route   GET /api/referrals/matching
+// @access  Private (full ranked list with the ai_matching feature, top matches otherwise)
+const getMatchingReferrals = asyncHandler(async (req, res) => {
+  const { user } = req;
+  const matchLimit = (await loadEntitlements(req)).quotas.referral_matches.limit;
+  const isPremium = matchLimit === null;
+
+  const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const minScore = Math.max(parseInt(req.query.minScore, 10) || 0, 0);
+
+  const candidates = user.skills && user.skills.length > 0
+    ? await Referral.findBySkills(user.skills).populate('referrer', 'name company position companyVerification.status companyVerification.domain')
+    : await Referral.findActive().populate('referrer', 'name company position companyVerification.status companyVerification.domain');
+
+  const ranked = candidates
+    .filter(referral => !referral.isExpired() && !referral.isOwnedBy(user._id))
+    .map(referral => {
+      const { score, ...breakdown } = referral.getMatchBreakdown(user);
+      return { referral, matchScore: score, breakdown };
+    })
+    .filter(match => match.matchScore >= minScore)
+    .sort((a, b) => b.matchScore - a.matchScore ||
+      b.referral.createdAt - a.referral.createdAt);
+
+  // Limited users get their top matches only, without further pages
+  const visible = isPremium ? ranked : ranked.slice(0, matchLimit);
+  const effectivePage = isPremium ? pageNum : 1;
+  const effectiveLimit = isPremium ? limitNum : Math.max(matchLimit, 1);
+  const skip = (effectivePage - 1) * effectiveLimit;
+  const data = visible.slice(skip, skip + effectiveLimit);
+
+  res.json({
+    success: true,
+    count: data.length,
+    page: effectivePage,
+    pages: Math.ceil(visible.length / effectiveLimit),
+    total: visible.length,
+    totalMatches: ranked.length,
+    isPremium,
+    limited: !isPremium && ranked.length > matchLimit,
+    data
+  });
+});
+
+// @desc    Get a single job referral
+// @route   GET /api/referrals/:id
+// @access  Private (drafts are only visible to their referrer and admins)
+const getReferralById = asyncHandler(async (req, res) => {
+  const referral = await findReferral(req, res);
+  const canManage = referral.isOwnedBy(req.user._id) || req.user.role === 'admin';
+
+  if (!canManage && (referral.status === 'draft' || !referral.isActive)) {
+    res.status(404);
+    throw new Error('Referral not found');
+  }
+
+  await referral.populate('referrer', 'name email company position companyVerification.status companyVerification.domain');
+
+  // Reflect expiry in the response, as in getReferrals
+  if (referral.isExpired() && referral.status === 'active') {
+    referral.status = 'expired';
+  }
+
+  res.json({
+    success: true,
+    referral,
+    canManage
+  });
+});
+
+// @desc    Update a job referral
+// @route   PUT /api/referrals/:id
+// @access  Private (Owner or Admin)
+const updateReferral = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const referral = await findReferralForOwner(req, res);
+
+  if (referral.status === 'expired') {
+    res.status(400);
+    throw new Error('Expired referrals cannot be edited. Post a new referral instead.');
+  }
+
+  if (req.body.company !== undefined && req.body.company !== referral.company) {
+    assertCanPostForCompany(req, res, req.body.company);
+  }
+
+  EDITABLE_REFERRAL_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      referral[field] = req.body[field];
+    }
+  });
+
+  // Drafts can be published or kept as drafts here; open/closed moves go through close/reopen
+  if (referral.status === 'draft' && ['draft', 'active'].includes(req.body.status)) {
+    referral.status = req.body.status;
+  }
+
+  await referral.save();
+
+  res.json({
+    message: 'Referral updated successfully!',
+    referral
+  });
+});
+
+// @desc    Close a referral to new applications
+// @route   PUT /api/referrals/:id/close
+// @access  Private (Owner or Admin)
+const closeReferral = asyncHandler(async (req, res) => {
+  const referral = await findReferralForOwner(req, res);
+
+  if (referral.status !== 'active') {
+    res.status(409);
+    throw new Error(`Only active referrals can be closed (current status: ${referral.status})`);
+  }
+
+  await referral.close();
+
+  res.json({
+    message: 'Referral closed successfully',
+    referral
+  });
+});
+
+// @desc    Reopen a closed referral
+// @route   PUT /api/referrals/:id/reopen
+// @access  Private (Owner or Admin)
+const reopenReferral = asyncHandler(async (req, res) => {
+  const referral = await findReferralForOwner(req, res);
+
+  if (referral.status !== 'closed') {
+    res.status(409);
+    throw new Error(`Only closed referrals can be reopened (current status: ${referral.status})`);
+  }
+
+  if (referral.isExpired()) {
+    res.status(400);
+    throw new Error('The application deadline has passed. Update the deadline before reopening.');
+  }
+
+  await referral.reopen();
+
+  res.json({
+    message: 'Referral reopened successfully',
+    referral
+  });
+});
+
+// @desc    Delete a referral (soft delete, existing applications are kept)
+// @route   DELETE /api/referrals/:id
+// @access  Private (Owner or Admin)
+const deleteReferral = asyncHandler(async (req, res) => {
+  const referral = await findReferralForOwner(req, res);
+
+  await referral.softDelete(req.user._id);
+  await AuditEvent.record('referral.deleted', {
+    req,
+    target: { type: 'Referral', id: referral._id },
+    metadata: { title: referral.title, company: referral.company, owner: referral.referrer }
+  });
+
+  res.json({ message: 'Referral deleted successfully' });
+});
+
 module.exports = {
   createReferral,
   createReferralValidation,
-  getReferrals
+  getReferrals,
+  getMatchingReferrals,
+  getReferralById,
+  updateReferral,
+  closeReferral,
+  reopenReferral,
+  deleteReferral
 };
\ No newline at end of file
@@ -5,6 +5,16 @@ const asyncHandler = require('express-async-handler');
 const { body, validationResult } = require('express-validator');
 const cloudinary = require('../config/cloudinaryConfig');
 const fs = require('fs/promises');
+const { sendTemplate } = require('../mail');
+const { describeEntitlements } = require('../entitlements');
+
+// Webmail domains can't prove where someone works
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'outlook.com', 'hotmail.com',
+  'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com', 'protonmail.com', 'proton.me',
+  'zoho.com', 'yandex.com', 'mail.com', 'gmx.com', 'rediffmail.com'
+];
+const COMPANY_CODE_RESEND_COOLDOWN_MS = 60 * 1000;
 
 // --- Validation Rules for Profile Update ---
 // These rules will be conditionally applied based on the user's role or present data.
@@ -43,6 +53,15 @@ const updateUserProfileValidation = [
   body('yearsAtCompany').optional().isInt({ min: 0 }).withMessage('Years at company cannot be negative')
 ];
 
+const companyVerificationValidation = [
+  body('company').trim().isLength({ min: 2, max: 100 }).withMessage('Company must be between 2 and 100 characters'),
+  body('workEmail').trim().isEmail().withMessage('Please provide a valid work email').toLowerCase()
+];
+
+const confirmCompanyVerificationValidation = [
+  body('code').trim().matches(/^[0-9]{6}$/).withMessage('Verification code must be 6 digits')
+];
+
 // @desc    Update user profile
 // @route   PUT /api/users/profile
 // @access  Private (Authenticated User)
@@ -109,6 +128,12 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     user[key] = updates[key];
   }
 
+  // Switching to a different company drops the verified badge for the old one
+  if (updates.company !== undefined && user.companyVerification.status !== 'unverified' &&
+    !user.matchesVerificationCompany(updates.company)) {
+    user.clearCompanyVerification();
+  }
+
   await user.save(); // Mongoose will run schema validations on save
 
   // Return the updated public profile
@@ -127,6 +152,13 @@ const getUserProfile = asyncHandler(async (req, res) => {
   res.json({ user: req.user.getPublicProfile() });
 });
 
+// @desc    Get what the current user's plan and role allow, with quota usage
+// @route   GET /api/users/entitlements
+// @access  Private (Authenticated User)
+const getMyEntitlements = asyncHandler(async (req, res) => {
+  res.json({ entitlements: await describeEntitlements(req.user) });
+});
+
 // @desc    Upload user avatar
 // @route   POST /api/users/profile/avatar
 // @access  Private (Authenticated User)
@@ -232,11 +264,86 @@ const uploadResume = asyncHandler(async (req, res) => {
 });
 
 
+// @desc    Send a verification code to a work email for the referrer's company
+// @route   POST /api/users/company-verification
+// @access  Private (Referrer)
+const requestCompanyVerification = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const { company, workEmail } = req.body;
+  const domain = workEmail.split('@')[1];
+
+  if (FREE_EMAIL_DOMAINS.includes(domain)) {
+    res.status(400);
+    throw new Error('Please use your company email address, not a personal webmail account');
+  }
+
+  const user = await User.findById(req.user._id);
+
+  const { codeSentAt } = user.companyVerification;
+  if (codeSentAt && Date.now() - codeSentAt.getTime() < COMPANY_CODE_RESEND_COOLDOWN_MS) {
+    res.status(429);
+    throw new Error('Please wait a minute before requesting another code');
+  }
+
+  const code = user.startCompanyVerification(company, workEmail);
+  await user.save();
+
+  await sendTemplate('companyVerification', workEmail, { name: user.name, company, code });
+
+  res.json({
+    message: `Verification code sent to ${workEmail}`,
+    companyVerification: user.getPublicProfile().companyVerification
+  });
+});
+
+// @desc    Confirm the company verification code
+// @route   POST /api/users/company-verification/confirm
+// @access  Private (Referrer)
+const confirmCompanyVerification = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400);
+    throw new Error('Validation failed: ' + JSON.stringify(errors.array()));
+  }
+
+  const user = await User.findById(req.user._id).select('+companyVerification.codeHash');
+
+  const result = user.confirmCompanyVerification(req.body.code);
+  await user.save();
+
+  if (result === 'expired') {
+    res.status(400);
+    throw new Error('Verification code has expired. Please request a new one.');
+  }
+  if (result === 'too_many_attempts') {
+    res.status(429);
+    throw new Error('Too many incorrect attempts. Please request a new code.');
+  }
+  if (result === 'invalid') {
+    res.status(400);
+    throw new Error('Incorrect verification code');
+  }
+
+  res.json({
+    message: `You're verified as working at ${user.companyVerification.company}`,
+    user: user.getPublicProfile()
+  });
+});
 
 module.exports = {
   updateUserProfile,
   updateUserProfileValidation,
   getUserProfile,
+  getMyEntitlements,
   uploadAvatar,
-  uploadResume
+  uploadResume,
+  requestCompanyVerification,
+  companyVerificationValidation,
+  confirmCompanyVerification,
+  confirmCompanyVerificationValidation
 };
\ No newline at end of file
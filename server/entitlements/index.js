@@ -0,0 +1,160 @@
+// /server/entitlements/index.js
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Plan = require('../models/Plan');
+const QuotaUsage = require('../models/QuotaUsage');
+const Application = require('../models/Application');
+
+// Start of the current week (Monday, local time), when weekly quotas reset
+const getStartOfWeek = (date) => {
+  const d = new Date(date);
+  const day = d.getDay(); // 0 for Sunday, 1 for Monday...
+  d.setDate(d.getDate() - day + (day === 0 ? -6 : 1));
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Applications the user sent since `periodStart` before QuotaUsage counted them, so the
+// switch to it doesn't hand out a fresh weekly allowance. Takes the larger of the
+// applications on record and the counter the User model used to keep (no longer in
+// its schema, so it's read from the raw document).
+const countEarlierApplications = async (user, periodStart) => {
+  const [applications, legacy] = await Promise.all([
+    Application.countDocuments({ jobSeeker: user._id, createdAt: { $gte: periodStart } }),
+    mongoose.model('User').collection.findOne({ _id: user._id }, { projection: { weeklyApplications: 1 } })
+  ]);
+  const counter = legacy && legacy.weeklyApplications;
+  const counted = counter && counter.weekStart >= periodStart ? counter.count || 0 : 0;
+  return Math.max(applications, counted);
+};
+
+// Usage limits for users whose plan doesn't lift them. `unlimitedWith` is the plan
+// feature that removes the limit. Quotas with a `getPeriodStart` are counted per period
+// in QuotaUsage, starting from `countBefore`; the others limit how much is shown rather
+// than how often something is done.
+const QUOTAS = {
+  weekly_applications: {
+    label: 'applications per week',
+    freeLimit: 3,
+    unlimitedWith: 'unlimited_applications',
+    getPeriodStart: getStartOfWeek,
+    countBefore: countEarlierApplications
+  },
+  referral_matches: {
+    label: 'matching referrals',
+    freeLimit: 5,
+    unlimitedWith: 'ai_matching'
+  }
+};
+
+const FEATURE_KEYS = Object.keys(Plan.FEATURES);
+const QUOTA_KEYS = Object.keys(QUOTAS);
+
+// The plan the user's current paid period was bought on; null without one
+const findCurrentPlan = async (user) => {
+  if (!user.isSubscriptionActive()) return null;
+
+  const payment = mongoose.isValidObjectId(user.subscriptionId)
+    ? await Payment.findById(user.subscriptionId).select('plan subscriptionType')
+    : null;
+  if (!payment) return null;
+
+  return (payment.plan && await Plan.findById(payment.plan)) ||
+    Plan.findOne({ key: payment.subscriptionType });
+};
+
+// Overrides an admin has granted that haven't expired
+const getActiveOverrides = (user, now) =>
+  (user.entitlementOverrides || []).filter(override => !override.expiresAt || override.expiresAt > now);
+
+// Work out what the user may do, from (in order of precedence) admin overrides, their
+// role and their current plan. Resolves
+// { plan, features: { [key]: boolean }, quotas: { [key]: { limit } } } where a null
+// limit means unlimited.
+const getEntitlements = async (user, now = new Date()) => {
+  const features = Object.fromEntries(FEATURE_KEYS.map(key => [key, false]));
+  let plan = null;
+
+  if (user.role === 'admin') {
+    FEATURE_KEYS.forEach(key => { features[key] = true; });
+  } else {
+    const currentPlan = await findCurrentPlan(user);
+    if (currentPlan) {
+      plan = { key: currentPlan.key, name: currentPlan.name };
+      currentPlan.features.forEach(key => { features[key] = true; });
+    } else if (user.isSubscriptionActive()) {
+      // Paid before plans were recorded: those subscriptions came with every feature
+      FEATURE_KEYS.forEach(key => { features[key] = true; });
+    }
+  }
+
+  const overrides = getActiveOverrides(user, now);
+  overrides.forEach(override => {
+    if (override.key in features && typeof override.enabled === 'boolean') {
+      features[override.key] = override.enabled;
+    }
+  });
+
+  const quotas = {};
+  QUOTA_KEYS.forEach(key => {
+    const quota = QUOTAS[key];
+    const override = overrides.find(o => o.key === key && typeof o.limit === 'number');
+    const limit = override ? override.limit : features[quota.unlimitedWith] ? null : quota.freeLimit;
+    quotas[key] = { limit, label: quota.label };
+  });
+
+  return { plan, features, quotas };
+};
+
+// Work out how much of a quota the user has left. Resolves { limit, used, remaining }
+// (remaining is null when the quota is unlimited).
+const getQuotaUsage = async (user, key, entitlements, now = new Date()) => {
+  const { limit } = (entitlements || await getEntitlements(user, now)).quotas[key];
+  const { getPeriodStart, countBefore } = QUOTAS[key];
+  const periodStart = getPeriodStart && getPeriodStart(now);
+  const used = getPeriodStart && limit !== null
+    ? await QuotaUsage.getUsed(user._id, key, periodStart, countBefore && (() => countBefore(user, periodStart)))
+    : undefined;
+
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - (used || 0), 0)
+  };
+};
+
+// Take one unit of a counted quota for the user. Resolves the usage record to give
+// back with releaseQuota if the action doesn't happen, or null when the limit is reached.
+const reserveQuota = (user, key, limit, now = new Date()) => {
+  const { getPeriodStart, countBefore } = QUOTAS[key];
+  const periodStart = getPeriodStart(now);
+  return QuotaUsage.take(user._id, key, periodStart, limit, countBefore && (() => countBefore(user, periodStart)));
+};
+
+const releaseQuota = usage => QuotaUsage.giveBack(usage._id);
+
+// Entitlements plus usage of every counted quota, as shown to the user and admins
+const describeEntitlements = async (user, now = new Date()) => {
+  const entitlements = await getEntitlements(user, now);
+  const quotas = {};
+  for (const key of QUOTA_KEYS) {
+    quotas[key] = {
+      ...entitlements.quotas[key],
+      ...await getQuotaUsage(user, key, entitlements, now)
+    };
+  }
+  return { ...entitlements, quotas };
+};
+
+module.exports = {
+  FEATURE_KEYS,
+  QUOTA_KEYS,
+  QUOTAS,
+  getEntitlements,
+  getQuotaUsage,
+  reserveQuota,
+  releaseQuota,
+  getActiveOverrides,
+  describeEntitlements
+};
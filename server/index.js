@@ -3,21 +3,33 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/userRoutes');
 const referralRoutes = require('./routes/referralRoutes');
-// const applicationRoutes = require('./routes/applications');
+const applicationRoutes = require('./routes/applicationRoutes');
 const paymentRoutes = require('./routes/payments');
-// const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/adminRoutes');
+const Plan = require('./models/Plan');
+
+// Scheduled jobs
+const { startScheduler } = require('./jobs/scheduler');
+const expirySweep = require('./jobs/expirySweep');
+const webhookRetry = require('./jobs/webhookRetry');
 
 const app = express();
 
 // Security middleware
 app.use(helmet());
 
+// Payment webhooks need the raw body for signature checks, so they're mounted before
+// the JSON parser (and the rate limiter, which would throttle gateway retries)
+app.use('/api/payments/webhook', webhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -34,14 +46,15 @@ app.use(cors({
 // Body parser middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/referrals', referralRoutes);
-// app.use('/api/applications', applicationRoutes);
+app.use('/api/applications', applicationRoutes);
 app.use('/api/payments', paymentRoutes);
-// app.use('/api/admin', adminRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -50,8 +63,15 @@ app.get('/api/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Controllers set res.status(4xx) before throwing; keep that code instead of a blanket 500
+  const statusCode = res.statusCode >= 400 ? res.statusCode : 500;
+
+  if (statusCode < 500) {
+    return res.status(statusCode).json({ message: err.message });
+  }
+
   console.error(err.stack);
-  res.status(500).json({
+  res.status(statusCode).json({
     message: 'Something went wrong!',
     error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
   });
@@ -67,12 +87,22 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/IntraRefe
   .then(() => {
     console.log('✅ Connected to MongoDB');
 
+    // A fresh database starts with the default subscription plans
+    Plan.ensureDefaults().catch((error) => {
+      console.error('❌ Could not create the default plans:', error);
+    });
+
     // Start server
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📱 API Health: http://localhost:${PORT}/api/health`);
     });
+
+    // Background jobs (safe on multiple instances, each run takes a Mongo lock)
+    if (process.env.DISABLE_SCHEDULER !== 'true') {
+      startScheduler([expirySweep, webhookRetry]);
+    }
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
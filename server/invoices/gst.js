@@ -0,0 +1,104 @@
+// /server/invoices/gst.js
+
+// GST state codes, used to tell intra-state supplies (CGST + SGST) from inter-state
+// ones (IGST). A GSTIN starts with its holder's state code.
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Financial years start on 1 April (India Standard Time)
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// The seller printed on every invoice, from INVOICE_SELLER_* (no GSTIN means the
+// business isn't registered for GST and charges none)
+const getSeller = () => {
+  const gstin = (process.env.INVOICE_SELLER_GSTIN || '').trim().toUpperCase() || undefined;
+  return {
+    name: process.env.INVOICE_SELLER_NAME || 'IntraRefer',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    gstin,
+    stateCode: gstin ? gstin.slice(0, 2) : (process.env.INVOICE_SELLER_STATE_CODE || undefined)
+  };
+};
+
+// GST rate (percent) on subscriptions; 0 when the seller has no GSTIN
+const getTaxRate = (seller = getSeller()) =>
+  seller.gstin ? Number(process.env.GST_RATE || 18) : 0;
+
+// The state code for a buyer, from their GSTIN or the state they entered
+const findStateCode = ({ gstin, state } = {}) => {
+  if (gstin) return gstin.slice(0, 2);
+  if (!state) return undefined;
+  const name = state.trim().toLowerCase();
+  return Object.keys(GST_STATES).find(code => GST_STATES[code].toLowerCase() === name);
+};
+
+// Split a GST-inclusive amount (paise) into its taxable value and tax. Supplies within
+// the seller's state (or to a buyer whose state is unknown) are charged CGST + SGST,
+// others IGST.
+const splitTax = (total, taxRate, sellerStateCode, buyerStateCode) => {
+  const taxableAmount = Math.round(total * 100 / (100 + taxRate));
+  const tax = total - taxableAmount;
+  const intraState = !buyerStateCode || !sellerStateCode || buyerStateCode === sellerStateCode;
+
+  if (!intraState) {
+    return { taxableAmount, cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = Math.floor(tax / 2);
+  return { taxableAmount, cgst, sgst: tax - cgst, igst: 0 };
+};
+
+// The financial year a date falls in, as used in document numbers: 2627 for April 2026
+// to March 2027
+const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${String(startYear % 100).padStart(2, '0')}${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = {
+  GST_STATES,
+  GSTIN_PATTERN,
+  getSeller,
+  getTaxRate,
+  findStateCode,
+  splitTax,
+  getFinancialYear
+};
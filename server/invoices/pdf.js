@@ -0,0 +1,127 @@
+// /server/invoices/pdf.js
+
+const PDFDocument = require('pdfkit');
+const { GST_STATES } = require('./gst');
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const AMOUNT_WIDTH = 120;
+
+// The built-in PDF fonts have no rupee sign, so amounts are printed with the currency code
+const formatMoney = (paise, currency) =>
+  `${currency} ${(paise / 100).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = date =>
+  new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' });
+
+const getTitle = (invoice) => {
+  if (invoice.type === 'credit_note') return 'CREDIT NOTE';
+  return invoice.seller.gstin ? 'TAX INVOICE' : 'RECEIPT';
+};
+
+const describeState = stateCode =>
+  stateCode && GST_STATES[stateCode] ? `${GST_STATES[stateCode]} (${stateCode})` : null;
+
+// Print label/value lines, skipping empty values
+const writeLines = (doc, lines) => {
+  lines.filter(Boolean).forEach(line => doc.text(line));
+};
+
+// One row of the amounts table: a label on the left and an amount on the right
+const writeAmountRow = (doc, label, amount, { bold = false } = {}) => {
+  const y = doc.y;
+  const labelWidth = CONTENT_WIDTH - AMOUNT_WIDTH - 10;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(amount, MARGIN + CONTENT_WIDTH - AMOUNT_WIDTH, y, { width: AMOUNT_WIDTH, align: 'right' });
+  // A long label wraps, so continue below whichever column ends lower
+  doc.text(label, MARGIN, y, { width: labelWidth });
+  doc.moveDown(0.4);
+};
+
+const writeRule = (doc) => {
+  doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + CONTENT_WIDTH, doc.y).strokeColor('#cccccc').stroke();
+  doc.moveDown(0.5);
+};
+
+// Render an invoice or credit note; resolves the PDF as a Buffer
+const renderInvoicePdf = invoice => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: `${getTitle(invoice)} ${invoice.number}`, Author: invoice.seller.name }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const money = paise => formatMoney(paise, invoice.currency);
+  const { seller, billing = {} } = invoice;
+
+  // Seller and document details
+  doc.font('Helvetica-Bold').fontSize(18).text(getTitle(invoice), { align: 'right' });
+  doc.fontSize(10).font('Helvetica').text(`No. ${invoice.number}`, { align: 'right' });
+  doc.text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' });
+  if (invoice.invoiceNumber) {
+    doc.text(`Against invoice ${invoice.invoiceNumber}`, { align: 'right' });
+  }
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(12).text(seller.name);
+  doc.font('Helvetica').fontSize(10);
+  writeLines(doc, [
+    seller.address,
+    seller.gstin && `GSTIN: ${seller.gstin}`,
+    describeState(seller.stateCode) && `State: ${describeState(seller.stateCode)}`
+  ]);
+  doc.moveDown();
+
+  // Buyer
+  doc.font('Helvetica-Bold').text('Billed to');
+  doc.font('Helvetica');
+  writeLines(doc, [
+    billing.name,
+    billing.addressLine1,
+    billing.addressLine2,
+    [billing.city, billing.state, billing.postalCode].filter(Boolean).join(', '),
+    billing.country,
+    invoice.email,
+    billing.gstin && `GSTIN: ${billing.gstin}`,
+    describeState(billing.stateCode) && `Place of supply: ${describeState(billing.stateCode)}`
+  ]);
+  doc.moveDown();
+
+  // Line and tax breakdown
+  writeRule(doc);
+  writeAmountRow(doc, 'Description', 'Amount', { bold: true });
+  writeRule(doc);
+  writeAmountRow(doc, `${invoice.description}${invoice.sacCode ? ` (SAC ${invoice.sacCode})` : ''}`, money(invoice.taxableAmount));
+  writeRule(doc);
+  if (invoice.taxRate > 0) {
+    writeAmountRow(doc, 'Taxable value', money(invoice.taxableAmount));
+    if (invoice.igst > 0) {
+      writeAmountRow(doc, `IGST @ ${invoice.taxRate}%`, money(invoice.igst));
+    } else {
+      writeAmountRow(doc, `CGST @ ${invoice.taxRate / 2}%`, money(invoice.cgst));
+      writeAmountRow(doc, `SGST @ ${invoice.taxRate / 2}%`, money(invoice.sgst));
+    }
+  }
+  writeAmountRow(doc, invoice.type === 'credit_note' ? 'Total refunded' : 'Total paid', money(invoice.totalAmount), { bold: true });
+  writeRule(doc);
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  if (invoice.reason) {
+    doc.text(`Reason: ${invoice.reason}`, MARGIN);
+  }
+  if (invoice.taxRate === 0 && invoice.type === 'invoice') {
+    doc.text('The supplier is not registered for GST; no GST has been charged.', MARGIN);
+  }
+  doc.text('This is a computer-generated document and needs no signature.', MARGIN);
+
+  doc.end();
+});
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,27 @@
+// /server/jobs/expirySweep.js
+
+const Referral = require('../models/Referral');
+const User = require('../models/User');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Expire overdue referrals and lapsed subscriptions in bulk, and give back coupon
+// uses held by abandoned checkouts
+const expirySweep = async () => {
+  const now = new Date();
+
+  const [referralsExpired, subscriptionsLapsed, couponReservationsReleased] = await Promise.all([
+    Referral.expireOverdue(now),
+    User.expireLapsedSubscriptions(now),
+    CouponRedemption.releaseExpired(now)
+  ]);
+
+  return { referralsExpired, subscriptionsLapsed, couponReservationsReleased };
+};
+
+module.exports = {
+  name: 'expirySweep',
+  intervalMs: (parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES) * 60 * 1000,
+  handler: expirySweep
+};
@@ -0,0 +1,67 @@
+// /server/jobs/scheduler.js
+
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+
+// Identifies this process in locks and run records
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// A run holds its job's lock for this share of the interval. Timers drift, so a lock
+// lasting the full interval would still be held at the next tick and skip every other run.
+const LOCK_TTL_RATIO = 0.9;
+
+const timers = [];
+
+// Run a job once if this instance can take its lock, recording the outcome
+const runJob = async (job) => {
+  const acquired = await JobLock.acquire(job.name, INSTANCE_ID, Math.floor(job.intervalMs * LOCK_TTL_RATIO));
+  if (!acquired) {
+    return null;
+  }
+
+  const run = await JobRun.create({ job: job.name, instance: INSTANCE_ID });
+
+  try {
+    const counts = await job.handler();
+    await run.finish(counts);
+    // Outcomes are kept in JobRun; only echo them while developing
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`⏱  Job ${job.name} finished:`, counts);
+    }
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    await run.fail(error);
+    // Let another instance (or the next tick) retry straight away
+    await JobLock.release(job.name, INSTANCE_ID);
+  }
+
+  return run;
+};
+
+// Start running each job on its interval. Jobs are { name, intervalMs, handler }.
+const startScheduler = (jobs) => {
+  jobs.forEach(job => {
+    const tick = () => {
+      runJob(job).catch(error => console.error(`Scheduler error for ${job.name}:`, error));
+    };
+
+    tick();
+    const timer = setInterval(tick, job.intervalMs);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    timers.push(timer);
+  });
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  INSTANCE_ID,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
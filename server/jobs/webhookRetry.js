@@ -0,0 +1,13 @@
+// /server/jobs/webhookRetry.js
+
+const { retryDueWebhooks } = require('../payments/webhooks');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+// Events retried per run; the rest wait for the next one
+const BATCH_SIZE = 50;
+
+module.exports = {
+  name: 'webhookRetry',
+  intervalMs: (parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS, 10) || DEFAULT_INTERVAL_SECONDS) * 1000,
+  handler: () => retryDueWebhooks(BATCH_SIZE)
+};
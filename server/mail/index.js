@@ -0,0 +1,53 @@
+// /server/mail/index.js
+
+const createSmtpTransport = require('./transports/smtpTransport');
+const createFileTransport = require('./transports/fileTransport');
+const templates = require('./templates');
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+// MAIL_DRIVER picks the transport; without it, use SMTP when a host is configured.
+// The file driver keeps messages (and their links) on disk, so it is refused in production.
+const getTransport = () => {
+  if (!transport) {
+    const driver = process.env.MAIL_DRIVER || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    const createTransport = TRANSPORTS[driver];
+    if (!createTransport) {
+      throw new Error(`Unknown MAIL_DRIVER "${driver}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    if (driver === 'file' && process.env.NODE_ENV === 'production') {
+      throw new Error('The file mail driver is for development only; configure SMTP_HOST in production');
+    }
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Send a message: { to, subject, text, html }. A misconfigured transport rejects
+// rather than throwing, so callers' .catch handlers see it.
+const sendMail = async (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'IntraRefer <no-reply@intrarefer.com>',
+    ...message
+  });
+};
+
+// Render a named template and send it
+const sendTemplate = (templateName, to, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown mail template "${templateName}"`);
+  }
+  return sendMail({ to, ...template(data) });
+};
+
+module.exports = {
+  sendMail,
+  sendTemplate,
+  getTransport
+};
@@ -0,0 +1,55 @@
+// /server/mail/templates.js
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+// User-supplied values (names, etc.) must not inject markup into HTML mail
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const emailVerification = ({ name, token }) => {
+  const link = `${clientUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Verify your IntraRefer email address',
+    text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in 24 hours. If you didn't create an IntraRefer account, you can ignore this email.\n\n— The IntraRefer Team`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify my email</a></p><p>The link expires in 24 hours. If you didn't create an IntraRefer account, you can ignore this email.</p><p>— The IntraRefer Team</p>`
+  };
+};
+
+const passwordReset = ({ name, token }) => {
+  const link = `${clientUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Reset your IntraRefer password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThe link expires in 1 hour and can only be used once. If you didn't ask to reset your password, you can ignore this email.\n\n— The IntraRefer Team`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset my password</a></p><p>The link expires in 1 hour and can only be used once. If you didn't ask to reset your password, you can ignore this email.</p><p>— The IntraRefer Team</p>`
+  };
+};
+
+const companyVerification = ({ name, company, code }) => ({
+  subject: `Your IntraRefer verification code for ${company}`,
+  text: `Hi ${name},\n\nUse this code to confirm that you work at ${company}:\n\n${code}\n\nThe code expires in 15 minutes. If you didn't request this, you can ignore this email.\n\n— The IntraRefer Team`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Use this code to confirm that you work at ${escapeHtml(company)}:</p><p style="font-size:24px;font-weight:bold;letter-spacing:4px">${code}</p><p>The code expires in 15 minutes. If you didn't request this, you can ignore this email.</p><p>— The IntraRefer Team</p>`
+});
+
+const accountLocked = ({ name, lockedUntil, ipAddress }) => {
+  const resetLink = `${clientUrl()}/forgot-password`;
+  const until = new Date(lockedUntil).toUTCString();
+
+  return {
+    subject: 'Your IntraRefer account has been temporarily locked',
+    text: `Hi ${name},\n\nWe locked your account after several failed sign-in attempts${ipAddress ? ` from ${ipAddress}` : ''}. You can try again after ${until}.\n\nIf this wasn't you, someone may be guessing your password. We recommend resetting it:\n\n${resetLink}\n\n— The IntraRefer Team`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>We locked your account after several failed sign-in attempts${ipAddress ? ` from ${escapeHtml(ipAddress)}` : ''}. You can try again after ${until}.</p><p>If this wasn't you, someone may be guessing your password. We recommend <a href="${resetLink}">resetting it</a>.</p><p>— The IntraRefer Team</p>`
+  };
+};
+
+module.exports = {
+  emailVerification,
+  accountLocked,
+  passwordReset,
+  companyVerification
+};
@@ -0,0 +1,28 @@
+// /server/mail/transports/fileTransport.js
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local development / test driver: writes each message to a JSON file and logs where,
+// so verification links can be opened without a real mail server. The body isn't logged:
+// it holds reset and verification tokens.
+const createFileTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'mail-outbox');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+      console.log(`✉️  Mail to ${message.to}: "${message.subject}" (saved to ${filePath})`);
+
+      return { messageId: fileName };
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const Plan = require('../models/Plan');
+const { QUOTAS, getEntitlements, getQuotaUsage, reserveQuota, releaseQuota } = require('../entitlements');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -12,6 +16,13 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are tied to a server-side session so logout takes effect immediately
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: 'Session expired' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user) {
@@ -22,8 +33,12 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
+    if (user.isBanned()) {
+      return res.status(403).json({ message: 'Account is suspended' });
+    }
+
     req.user = user;
-    console.log('Authenticated user:', req.user);
+    req.sessionId = session._id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -70,58 +85,115 @@ const isReferrerOrAdmin = authorizeRole('referrer', 'admin');
 // Check if user is job seeker or admin
 const isJobSeekerOrAdmin = authorizeRole('jobSeeker', 'admin');
 
-// Check subscription status for premium features
-const checkSubscription = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ message: 'Authentication required' });
+// Work out the user's entitlements once per request (see /server/entitlements)
+const loadEntitlements = async (req) => {
+  if (!req.entitlements) {
+    req.entitlements = await getEntitlements(req.user);
   }
+  return req.entitlements;
+};
+
+// Require a plan feature, e.g. requireEntitlement('ai_matching')
+const requireEntitlement = (feature) => {
+  if (!Plan.FEATURES[feature]) {
+    throw new Error(`Unknown entitlement: ${feature}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      const entitlements = await loadEntitlements(req);
+      if (!entitlements.features[feature]) {
+        return res.status(403).json({
+          message: `Your plan doesn't include: ${Plan.FEATURES[feature]}`,
+          entitlement: feature,
+          subscriptionRequired: true
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Entitlement check error:', error);
+      res.status(500).json({ message: 'Error checking entitlements' });
+    }
+  };
+};
+
+// Stop the request once the user has used up a quota, e.g. requireQuota('weekly_applications').
+// A unit is taken before the request goes on and given back if it fails.
+const requireQuota = (quota) => {
+  if (!QUOTAS[quota] || !QUOTAS[quota].getPeriodStart) {
+    throw new Error(`Unknown counted quota: ${quota}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      const entitlements = await loadEntitlements(req);
+      const { limit } = entitlements.quotas[quota];
+      if (limit === null) {
+        return next();
+      }
 
-  // Admin always has access
-  if (req.user.role === 'admin') {
-    return next();
+      const reservation = await reserveQuota(req.user, quota, limit);
+      if (!reservation) {
+        const usage = await getQuotaUsage(req.user, quota, entitlements);
+        return res.status(403).json({
+          message: `Limit reached (${usage.limit} ${QUOTAS[quota].label} on your plan)`,
+          quota: { key: quota, ...usage },
+          limitReached: true,
+          upgradeRequired: true
+        });
+      }
+
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          releaseQuota(reservation).catch(error => console.error('Quota release error:', error));
+        }
+      });
+      next();
+    } catch (error) {
+      console.error('Quota check error:', error);
+      res.status(500).json({ message: 'Error checking usage limits' });
+    }
+  };
+};
+
+// Require a verified email address (admins are exempt)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
   }
 
-  // Check if user has active subscription
-  if (!req.user.isSubscriptionActive()) {
+  if (req.user.role !== 'admin' && !req.user.isVerified) {
     return res.status(403).json({
-      message: 'Premium subscription required for this feature',
-      subscriptionRequired: true
+      message: 'Please verify your email address to continue',
+      verificationRequired: true
     });
   }
 
   next();
 };
 
-// Check application limit for free users
-const checkApplicationLimit = async (req, res, next) => {
+// Block admins without 2FA while the mandatory-2FA policy is on
+const requireAdminTwoFactor = async (req, res, next) => {
   try {
-    if (!req.user) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-
-    // Admin and referrers don't have application limits
-    if (req.user.role !== 'jobSeeker') {
-      return next();
-    }
-
-    // Subscribed users have unlimited applications
-    if (req.user.isSubscriptionActive()) {
-      return next();
-    }
-
-    // Check if free user can apply
-    if (!req.user.canApply()) {
+    if (req.user.role === 'admin' && !req.user.twoFactor.enabled && await Setting.isAdminTwoFactorRequired()) {
       return res.status(403).json({
-        message: 'Weekly application limit reached (3 applications per week for free users)',
-        limitReached: true,
-        upgradeRequired: true
+        message: 'Two-factor authentication is required for admin accounts',
+        twoFactorSetupRequired: true
       });
     }
-
     next();
   } catch (error) {
-    console.error('Application limit check error:', error);
-    res.status(500).json({ message: 'Error checking application limit' });
+    console.error('Two-factor policy check error:', error);
+    res.status(500).json({ message: 'Error checking two-factor policy' });
   }
 };
 
@@ -129,15 +201,18 @@ const checkApplicationLimit = async (req, res, next) => {
 const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
-    console.log('Optional auth header:', authHeader);
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+      const user = session && session.isActive()
+        ? await User.findById(decoded.userId).select('-password')
+        : null;
 
       if (user && user.isActive) {
         req.user = user;
+        req.sessionId = session._id;
       }
     }
 
@@ -156,7 +231,10 @@ module.exports = {
   isAdmin,
   isReferrerOrAdmin,
   isJobSeekerOrAdmin,
-  checkSubscription,
-  checkApplicationLimit,
+  loadEntitlements,
+  requireEntitlement,
+  requireQuota,
+  requireVerifiedEmail,
+  requireAdminTwoFactor,
   optionalAuth
 };
\ No newline at end of file
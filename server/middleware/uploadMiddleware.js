@@ -47,7 +47,23 @@ const uploadPdf = multer({
   fileFilter: fileFilter(/pdf/)
 }).single('resume'); // Expects the field name 'resume'
 
+// For message attachments (documents and screenshots)
+const attachmentUpload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: fileFilter(/jpeg|jpg|png|pdf|doc|docx|msword/)
+}).single('attachment'); // Expects the field name 'attachment'
+
+// A rejected or oversized file is the client's mistake: answer 400, not 500
+const uploadAttachment = (req, res, next) => {
+  attachmentUpload(req, res, (error) => {
+    if (error) res.status(400);
+    next(error);
+  });
+};
+
 module.exports = {
   uploadImage,
-  uploadPdf
+  uploadPdf,
+  uploadAttachment
 };
\ No newline at end of file
@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 
+// Allowed status moves. Terminal statuses have no outgoing transitions.
+const STATUS_TRANSITIONS = {
+  pending: ['reviewed', 'rejected', 'withdrawn'],
+  reviewed: ['shortlisted', 'rejected', 'withdrawn'],
+  shortlisted: ['accepted', 'rejected'],
+  accepted: [],
+  rejected: [],
+  withdrawn: []
+};
+
 const applicationSchema = new mongoose.Schema({
   referral: {
     type: mongoose.Schema.Types.ObjectId,
@@ -43,6 +53,33 @@ const applicationSchema = new mongoose.Schema({
   reviewedAt: {
     type: Date
   },
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: [...Object.keys(STATUS_TRANSITIONS), null]
+    },
+    to: {
+      type: String,
+      enum: Object.keys(STATUS_TRANSITIONS),
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByRole: {
+      type: String,
+      enum: ['jobSeeker', 'referrer', 'admin']
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, 'Status notes cannot exceed 1000 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Additional Information
   expectedSalary: {
@@ -77,13 +114,41 @@ const applicationSchema = new mongoose.Schema({
   communicationHistory: [{
     message: {
       type: String,
-      required: true
+      trim: true,
+      maxlength: [2000, 'Message cannot exceed 2000 characters'],
+      // A message may be attachment-only
+      required: function() {
+        return !this.attachments || this.attachments.length === 0;
+      }
     },
     sender: {
       type: String,
       enum: ['jobSeeker', 'referrer'],
       required: true
     },
+    senderUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    attachments: [{
+      url: {
+        type: String, // Cloudinary URL
+        required: true
+      },
+      fileName: {
+        type: String
+      },
+      mimeType: {
+        type: String
+      },
+      size: {
+        type: Number
+      }
+    }],
+    // Read receipt, set when the other participant opens the thread
+    readAt: {
+      type: Date
+    },
     timestamp: {
       type: Date,
       default: Date.now
@@ -98,6 +163,7 @@ applicationSchema.index({ referral: 1, jobSeeker: 1 }, { unique: true });
 
 // Other indexes for performance
 applicationSchema.index({ jobSeeker: 1, status: 1 });
+applicationSchema.index({ jobSeeker: 1, createdAt: -1 });
 applicationSchema.index({ referrer: 1, status: 1 });
 applicationSchema.index({ status: 1, createdAt: -1 });
 applicationSchema.index({ createdAt: -1 });
@@ -110,25 +176,118 @@ applicationSchema.virtual('ageInDays').get(function() {
   return Math.floor(diffTime / (1000 * 60 * 60 * 24));
 });
 
-// Method to update status with timestamp
-applicationSchema.methods.updateStatus = function(newStatus, referrerNotes = '') {
-  this.status = newStatus;
-  this.reviewedAt = new Date();
-  if (referrerNotes) {
-    this.referrerNotes = referrerNotes;
+// Method to check whether the application may move to the given status
+applicationSchema.methods.canTransitionTo = function(newStatus) {
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+  if (newStatus === 'withdrawn') {
+    return allowed.includes(newStatus) && this.canBeWithdrawn();
   }
-  return this.save();
+  return allowed.includes(newStatus);
+};
+
+// Method to update status, enforcing the transition graph and recording history.
+// The update only applies if the status is still the one checked, so two parallel
+// changes can't both succeed. Resolves the updated application, or null if the
+// status changed meanwhile.
+applicationSchema.methods.updateStatus = function(newStatus, changedBy, notes = '') {
+  if (!this.canTransitionTo(newStatus)) {
+    throw new Error(`Cannot change application status from ${this.status} to ${newStatus}`);
+  }
+
+  const now = new Date();
+  const changes = { status: newStatus };
+
+  // Withdrawal is the applicant's move; everything else counts as referrer review
+  if (newStatus !== 'withdrawn') {
+    changes.reviewedAt = now;
+    if (notes) {
+      changes.referrerNotes = notes;
+    }
+  }
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      $set: changes,
+      $push: {
+        statusHistory: {
+          from: this.status,
+          to: newStatus,
+          changedBy: changedBy ? changedBy._id : undefined,
+          changedByRole: changedBy ? changedBy.role : undefined,
+          notes: notes || undefined,
+          changedAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Method to list the statuses reachable from the current one
+applicationSchema.methods.getAllowedTransitions = function() {
+  return (STATUS_TRANSITIONS[this.status] || []).filter(status => this.canTransitionTo(status));
+};
+
+// Method to add communication; pushed atomically so it can't clash with a parallel
+// mark-as-read. Resolves the updated application.
+applicationSchema.methods.addCommunication = function(message, sender, options = {}) {
+  const now = new Date();
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $push: {
+        communicationHistory: {
+          message,
+          sender,
+          senderUser: options.senderUser,
+          attachments: options.attachments || [],
+          timestamp: now
+        }
+      },
+      $set: { lastContactedAt: now }
+    },
+    { new: true }
+  );
+};
+
+// Method to get the participant side ('jobSeeker' or 'referrer') of a user, or null
+applicationSchema.methods.getParticipantRole = function(userId) {
+  const id = userId.toString();
+  if (this.jobSeeker.toString() === id) return 'jobSeeker';
+  if (this.referrer.toString() === id) return 'referrer';
+  return null;
 };
 
-// Method to add communication
-applicationSchema.methods.addCommunication = function(message, sender) {
-  this.communicationHistory.push({
-    message,
-    sender,
-    timestamp: new Date()
+// Method to mark the other participant's messages as read for the given side. Saved
+// with a filtered update rather than save(), so messages pushed meanwhile are kept.
+// Resolves the number of messages marked.
+applicationSchema.methods.markMessagesAsRead = async function(readerRole) {
+  const now = new Date();
+  let updated = 0;
+
+  this.communicationHistory.forEach(entry => {
+    if (entry.sender !== readerRole && !entry.readAt) {
+      entry.readAt = now;
+      updated += 1;
+    }
   });
-  this.lastContactedAt = new Date();
-  return this.save();
+
+  if (updated > 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { 'communicationHistory.$[entry].readAt': now } },
+      { arrayFilters: [{ 'entry.sender': { $ne: readerRole }, 'entry.readAt': null }] }
+    );
+  }
+  return updated;
+};
+
+// Method to count unread messages for the given side
+applicationSchema.methods.getUnreadCount = function(readerRole) {
+  return this.communicationHistory.filter(entry =>
+    entry.sender !== readerRole && !entry.readAt
+  ).length;
 };
 
 // Method to check if application can be withdrawn
@@ -159,11 +318,16 @@ applicationSchema.statics.findByStatus = function(status, userId, userRole) {
 };
 
 // Static method to get application statistics
-applicationSchema.statics.getStatistics = function(userId, userRole) {
-  const matchStage = userRole === 'jobSeeker' 
-    ? { jobSeeker: mongoose.Types.ObjectId(userId) }
-    : { referrer: mongoose.Types.ObjectId(userId) };
-    
+// (pass no userId for platform-wide counts, and optionally a createdAt range)
+applicationSchema.statics.getStatistics = function(userId, userRole, startDate, endDate) {
+  const matchStage = {};
+  if (userId) {
+    matchStage[userRole === 'jobSeeker' ? 'jobSeeker' : 'referrer'] = new mongoose.Types.ObjectId(userId);
+  }
+  if (startDate && endDate) {
+    matchStage.createdAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+  }
+
   return this.aggregate([
     { $match: matchStage },
     {
@@ -175,6 +339,50 @@ applicationSchema.statics.getStatistics = function(userId, userRole) {
   ]);
 };
 
+// Static method to count unread messages per application for a user
+applicationSchema.statics.getUnreadMessageCounts = function(userId) {
+  const id = new mongoose.Types.ObjectId(userId);
+
+  return this.aggregate([
+    { $match: { $or: [{ jobSeeker: id }, { referrer: id }] } },
+    {
+      $project: {
+        readerRole: { $cond: [{ $eq: ['$jobSeeker', id] }, 'jobSeeker', 'referrer'] },
+        communicationHistory: 1
+      }
+    },
+    { $unwind: '$communicationHistory' },
+    {
+      $match: {
+        'communicationHistory.readAt': { $exists: false },
+        $expr: { $ne: ['$communicationHistory.sender', '$readerRole'] }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id',
+        unread: { $sum: 1 },
+        lastMessageAt: { $max: '$communicationHistory.timestamp' }
+      }
+    },
+    { $sort: { lastMessageAt: -1 } }
+  ]);
+};
+
+// Pre-save middleware to seed the status timeline for new applications
+applicationSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.jobSeeker,
+      changedByRole: 'jobSeeker',
+      changedAt: new Date()
+    });
+  }
+  next();
+});
+
 // Pre-save middleware to update referral application count
 applicationSchema.pre('save', async function(next) {
   if (this.isNew) {
@@ -191,23 +399,8 @@ applicationSchema.pre('save', async function(next) {
   next();
 });
 
-// Pre-save middleware to update user's weekly application count
-applicationSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    try {
-      const User = mongoose.model('User');
-      const user = await User.findById(this.jobSeeker);
-      
-      if (user && !user.isSubscriptionActive()) {
-        user.resetWeeklyApplicationsIfNeeded();
-        user.weeklyApplications.count += 1;
-        await user.save();
-      }
-    } catch (error) {
-      console.error('Error updating user application count:', error);
-    }
-  }
-  next();
-});
+const Application = mongoose.model('Application', applicationSchema);
+
+Application.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
 
-module.exports = mongoose.model('Application', applicationSchema);
\ No newline at end of file
+module.exports = Application;
\ No newline at end of file
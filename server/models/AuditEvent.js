@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Every action the audit log knows about, grouped by what it touches
+const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.account_locked',
+  'auth.password_changed',
+  'auth.password_reset',
+  'auth.account_deactivated',
+  'auth.two_factor_enabled',
+  'auth.two_factor_disabled',
+  'user.role_changed',
+  'user.banned',
+  'user.unbanned',
+  'user.verification_changed',
+  'user.unlocked',
+  'user.entitlement_overridden',
+  'user.entitlement_override_removed',
+  'user.company_verified',
+  'user.company_verification_revoked',
+  'settings.security_updated',
+  'payment.succeeded',
+  'payment.failed',
+  'payment.refund_requested',
+  'payment.refunded',
+  'payment.refund_failed',
+  'subscription.cancelled',
+  'subscription.resumed',
+  'subscription.auto_renew_enabled',
+  'subscription.auto_renew_disabled',
+  'coupon.created',
+  'coupon.updated',
+  'plan.created',
+  'plan.updated',
+  'plan.deleted',
+  'webhook.replayed',
+  'referral.deleted'
+];
+
+// One privileged or sensitive action. Events are append-only: they can be created
+// and read, never changed or removed.
+const auditEventSchema = new mongoose.Schema({
+  // Who did it (missing for system actions such as payment webhooks)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // What it was done to
+  target: {
+    type: {
+      type: String,
+      enum: ['User', 'Payment', 'Referral', 'Setting', 'WebhookEvent', 'Coupon', 'Plan']
+    },
+    id: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  // Action-specific details, e.g. { from: 'jobSeeker', to: 'referrer' }
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+const rejectChange = function (next) {
+  next(new Error('Audit events cannot be modified or deleted'));
+};
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditEventSchema.pre(operation, rejectChange);
+});
+
+// Static method to record an event. `req` supplies the actor and client details when
+// the action came from an HTTP request. Failures are logged, never thrown, so a
+// problem with the audit log doesn't undo the action it describes.
+auditEventSchema.statics.record = async function (action, { req, actor, target, metadata } = {}) {
+  const actingUser = actor || (req && req.user);
+
+  try {
+    return await this.create({
+      actor: actingUser ? actingUser._id || actingUser : undefined,
+      actorRole: actingUser && actingUser.role,
+      action,
+      target: target && { type: target.type, id: target.id },
+      metadata,
+      ipAddress: req && req.ip,
+      userAgent: req && req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}:`, error.message);
+    return null;
+  }
+};
+
+auditEventSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
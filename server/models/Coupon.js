@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// A promo code that takes a percentage or a flat amount off a subscription checkout
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3-32 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: [true, 'Discount type is required']
+  },
+  // Percent off (1-100) or paise off
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [1, 'Discount value must be at least 1']
+  },
+  // Uses across all users; no limit when unset
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'Max redemptions must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1'],
+    max: [10, 'Per-user limit cannot exceed 10']
+  },
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  // Keys of the plans the coupon applies to; every plan when empty
+  plans: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Uses reserved by checkouts in progress plus uses redeemed by paid ones
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ active: 1, createdAt: -1 });
+
+couponSchema.pre('validate', function (next) {
+  if (this.discountType === 'percent' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'A percentage discount cannot exceed 100');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+// Method to explain why the coupon can't be used for a plan right now; null if it can
+couponSchema.methods.getIneligibilityReason = function (subscriptionType, now = new Date()) {
+  if (!this.active) return 'This coupon is no longer available';
+  if (this.validFrom && now < this.validFrom) return 'This coupon is not valid yet';
+  if (this.validUntil && now >= this.validUntil) return 'This coupon has expired';
+  if (this.plans.length > 0 && !this.plans.includes(subscriptionType)) {
+    return `This coupon only applies to the ${this.plans.join(' and ')} plan`;
+  }
+  if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) {
+    return 'This coupon has been fully redeemed';
+  }
+  return null;
+};
+
+// Method to work out the discount (in paise) on an amount
+couponSchema.methods.calculateDiscount = function (amount) {
+  if (this.discountType === 'percent') {
+    return Math.floor(amount * this.discountValue / 100);
+  }
+  return Math.min(this.discountValue, amount);
+};
+
+// Static method to look a coupon up by the code a customer typed
+couponSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Static method to take one use from the coupon's overall limit; resolves null when
+// none are left. The check and the increment are one atomic update, so concurrent
+// checkouts can't go over maxRedemptions.
+couponSchema.statics.takeRedemption = function (id) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      active: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use taken with takeRedemption
+couponSchema.statics.returnRedemption = function (id) {
+  return this.updateOne(
+    { _id: id, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Coupon = require('./Coupon');
+
+// How long an unpaid checkout holds a coupon use before it is given back
+const RESERVATION_TTL_MS = 30 * 60 * 1000;
+
+// One use of a coupon by a user. Creating the order reserves the use; it is redeemed
+// when the payment succeeds and released when the payment fails or the checkout is
+// abandoned. A live use holds one of the user's `perUserLimit` slots: the unique
+// (coupon, user, slot) index is what keeps concurrent checkouts within the limit.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  },
+  // Unset once released, freeing the slot
+  slot: {
+    type: Number
+  },
+  discountAmount: {
+    type: Number,
+    min: 0
+  },
+  expiresAt: {
+    type: Date
+  },
+  redeemedAt: {
+    type: Date
+  },
+  releasedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+couponRedemptionSchema.index({ payment: 1 });
+couponRedemptionSchema.index({ status: 1, expiresAt: 1 });
+
+// Static method to reserve a use of `coupon` for a checkout; resolves { redemption } or { error }
+couponRedemptionSchema.statics.reserve = async function (coupon, userId, paymentId, discountAmount) {
+  if (!await Coupon.takeRedemption(coupon._id)) {
+    return { error: 'This coupon has been fully redeemed' };
+  }
+
+  try {
+    for (let slot = 0; slot < coupon.perUserLimit; slot += 1) {
+      try {
+        const redemption = await this.create({
+          coupon: coupon._id,
+          user: userId,
+          payment: paymentId,
+          slot,
+          discountAmount,
+          expiresAt: new Date(Date.now() + RESERVATION_TTL_MS)
+        });
+        return { redemption };
+      } catch (error) {
+        // Slot taken (perhaps by a checkout running right now): try the next one
+        if (error.code !== 11000) throw error;
+      }
+    }
+  } catch (error) {
+    await Coupon.returnRedemption(coupon._id);
+    throw error;
+  }
+
+  await Coupon.returnRedemption(coupon._id);
+  return { error: 'You have already used this coupon' };
+};
+
+// Static method to give back the use reserved for a payment that won't go through
+couponRedemptionSchema.statics.release = async function (paymentId) {
+  const redemption = await this.findOneAndUpdate(
+    { payment: paymentId, status: 'reserved' },
+    { $set: { status: 'released', releasedAt: new Date() }, $unset: { slot: 1 } },
+    { new: true }
+  );
+  if (redemption) {
+    await Coupon.returnRedemption(redemption.coupon);
+  }
+  return redemption;
+};
+
+// Static method to confirm the use for a payment that succeeded
+couponRedemptionSchema.statics.redeem = async function (paymentId) {
+  const now = new Date();
+  const redemption = await this.findOneAndUpdate(
+    { payment: paymentId, status: 'reserved' },
+    { $set: { status: 'redeemed', redeemedAt: now }, $unset: { expiresAt: 1 } },
+    { new: true }
+  );
+  if (redemption) return redemption;
+
+  // Released before a late payment arrived: the customer paid the discounted price,
+  // so the use counts again, even if that takes the coupon past its limits
+  const late = await this.findOneAndUpdate(
+    { payment: paymentId, status: 'released' },
+    { $set: { status: 'redeemed', redeemedAt: now } },
+    { new: true }
+  );
+  if (late) {
+    await Coupon.updateOne({ _id: late.coupon }, { $inc: { redemptionCount: 1 } });
+  }
+  return late;
+};
+
+// Static method to release reservations whose checkout was abandoned
+couponRedemptionSchema.statics.releaseExpired = async function (now = new Date()) {
+  const expired = await this.find({ status: 'reserved', expiresAt: { $lte: now } })
+    .select('payment')
+    .limit(500);
+
+  let released = 0;
+  for (const redemption of expired) {
+    if (await this.release(redemption.payment)) released += 1;
+  }
+  return released;
+};
+
+// Static method to count the uses a user holds, reserved or redeemed
+couponRedemptionSchema.statics.countLive = function (couponId, userId) {
+  return this.countDocuments({ coupon: couponId, user: userId, status: { $ne: 'released' } });
+};
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
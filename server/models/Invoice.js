@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const InvoiceSequence = require('./InvoiceSequence');
+const {
+  getSeller,
+  getTaxRate,
+  findStateCode,
+  splitTax,
+  getFinancialYear
+} = require('../invoices/gst');
+
+// Services accounting code printed on every line (SAC 998439: other online content)
+const DEFAULT_SAC_CODE = '998439';
+
+const NUMBER_PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+
+// A document whose number hasn't arrived this long after it was claimed is numbered by
+// whoever asks for it next (the request that created it must have died)
+const NUMBERING_STALE_MS = 30 * 1000;
+// How long a request waits for another one to number a document it needs
+const NUMBERING_WAIT_MS = 5 * 1000;
+const NUMBERING_POLL_MS = 100;
+
+// Who a payment is billed to, as entered at checkout
+const billingDetailsSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Billing name cannot exceed 100 characters']
+  },
+  // Only business customers have one; it lets them claim the GST back
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  addressLine1: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  addressLine2: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'City cannot exceed 100 characters']
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'India'
+  },
+  // GST state code, from the GSTIN or the state; decides CGST + SGST versus IGST
+  stateCode: {
+    type: String
+  }
+}, { _id: false });
+
+// A tax invoice for a paid payment, or a credit note for its refund. Documents are
+// numbered in one unbroken series per type and financial year and are never edited
+// once issued: the amounts, seller and buyer are copied in at issue time.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  // Set right after the document is created, so a number is only taken by the
+  // request that actually issued it
+  number: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // When a request took on numbering the document; cleared once the number is set
+  numberingAt: {
+    type: Date
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The gateway refund a credit note is for (a payment can be refunded in parts)
+  refundId: {
+    type: String
+  },
+  // The invoice a credit note reduces
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: {
+    type: String
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: {
+    name: String,
+    address: String,
+    gstin: String,
+    stateCode: String
+  },
+  billing: billingDetailsSchema,
+  email: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  sacCode: {
+    type: String
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Amounts in paise; totalAmount = taxableAmount + cgst + sgst + igst
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  // Why a credit note was issued (the refund reason)
+  reason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// One invoice per payment and one credit note per refund
+invoiceSchema.index({ payment: 1, type: 1, refundId: 1 }, { unique: true });
+invoiceSchema.index({ type: 1, issuedAt: -1 });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+// Static method to take the next document number for `type`, e.g. INV2627-000042
+invoiceSchema.statics.nextNumber = async function (type, at = new Date()) {
+  const series = `${NUMBER_PREFIXES[type]}${getFinancialYear(at)}`;
+  const seq = await InvoiceSequence.next(series);
+  return `${series}-${String(seq).padStart(6, '0')}`;
+};
+
+// Static method to issue a document unless the payment (or, for a credit note, the
+// refund) already has one; resolves the document either way. The slot is claimed first
+// and only the request that created it takes a number, so the series has no gaps.
+invoiceSchema.statics.issue = async function (type, payment, fields, refundId = null) {
+  const slot = { payment: payment._id, type, refundId };
+  const issuedAt = new Date();
+  let result;
+  try {
+    result = await this.findOneAndUpdate(
+      slot,
+      { $setOnInsert: { ...fields, user: payment.user, issuedAt, numberingAt: issuedAt } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+  } catch (error) {
+    // Two requests racing to insert the same document: the other one issued it
+    if (error.code !== 11000) throw error;
+    return this.findOne(slot);
+  }
+
+  if (!result.lastErrorObject.updatedExisting) {
+    return this.assignNumber(result.value);
+  }
+  return this.waitForNumber(result.value);
+};
+
+// Static method to give a freshly claimed document the next number in its series
+invoiceSchema.statics.assignNumber = async function (invoice) {
+  const numbered = await this.findOneAndUpdate(
+    { _id: invoice._id, number: null },
+    {
+      $set: { number: await this.nextNumber(invoice.type, invoice.issuedAt) },
+      $unset: { numberingAt: 1 }
+    },
+    { new: true }
+  );
+  return numbered || this.findById(invoice._id);
+};
+
+// Static method to resolve a document another request claimed once it has its number.
+// If that request died before numbering it, this one takes over the numbering.
+invoiceSchema.statics.waitForNumber = async function (invoice) {
+  const giveUpAt = Date.now() + NUMBERING_WAIT_MS;
+  let current = invoice;
+
+  while (current && !current.number) {
+    const now = new Date();
+    const takenOver = await this.findOneAndUpdate(
+      { _id: current._id, number: null, numberingAt: { $not: { $gt: new Date(now.getTime() - NUMBERING_STALE_MS) } } },
+      { $set: { numberingAt: now } },
+      { new: true }
+    );
+    if (takenOver) {
+      return this.assignNumber(takenOver);
+    }
+    if (Date.now() >= giveUpAt) {
+      throw new Error(`Invoice ${current._id} is still being numbered`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, NUMBERING_POLL_MS));
+    current = await this.findById(current._id);
+  }
+  return current;
+};
+
+// Static method to issue the tax invoice for a paid payment
+invoiceSchema.statics.issueForPayment = async function (payment) {
+  const User = mongoose.model('User');
+  const user = await User.findById(payment.user).select('name email');
+  const seller = getSeller();
+  const taxRate = getTaxRate(seller);
+  const billing = {
+    ...(payment.billingDetails ? payment.billingDetails.toObject() : {}),
+    name: (payment.billingDetails && payment.billingDetails.name) || (user && user.name)
+  };
+  billing.stateCode = billing.stateCode || findStateCode(billing);
+
+  const tax = splitTax(payment.amount, taxRate, seller.stateCode, billing.stateCode);
+
+  return this.issue('invoice', payment, {
+    seller,
+    billing,
+    email: user && user.email,
+    description: payment.description,
+    sacCode: process.env.INVOICE_SAC_CODE || DEFAULT_SAC_CODE,
+    currency: payment.currency,
+    taxRate,
+    ...tax,
+    totalAmount: payment.amount
+  });
+};
+
+// Static method to issue the credit note for one of a payment's processed refunds,
+// against its invoice (issued first if it somehow wasn't). Payments refunded before
+// refunds were listed have a single credit note for the total refunded.
+invoiceSchema.statics.issueCreditNote = async function (payment, refund) {
+  const invoice = await this.issueForPayment(payment);
+  const refundAmount = Math.min(refund ? refund.amount : payment.refundAmount || payment.amount, invoice.totalAmount);
+  const tax = splitTax(refundAmount, invoice.taxRate, invoice.seller.stateCode, invoice.billing.stateCode);
+
+  return this.issue('credit_note', payment, {
+    invoice: invoice._id,
+    invoiceNumber: invoice.number,
+    seller: invoice.seller,
+    billing: invoice.billing,
+    email: invoice.email,
+    description: `Refund: ${invoice.description}`,
+    sacCode: invoice.sacCode,
+    currency: invoice.currency,
+    taxRate: invoice.taxRate,
+    ...tax,
+    totalAmount: refundAmount,
+    reason: refund ? refund.reason : payment.refundReason
+  }, refund ? refund.refundId : null);
+};
+
+invoiceSchema.statics.billingDetailsSchema = billingDetailsSchema;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// The last number used in one series of invoice or credit note numbers (one series
+// per document type and financial year, keyed like "INV2627")
+const invoiceSequenceSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to take the next number in a series atomically
+invoiceSequenceSchema.statics.next = async function (series) {
+  const sequence = await this.findByIdAndUpdate(
+    series,
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return sequence.seq;
+};
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
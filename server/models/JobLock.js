@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled job. Whoever holds an unexpired lock owns the current run,
+// which keeps several server instances from sweeping at the same time.
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String // job name
+  },
+  lockedBy: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to try to take the lock for a job; resolves true if acquired
+jobLockSchema.statics.acquire = async function (jobName, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: jobName, lockedUntil: { $lte: now } },
+      { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return lock.lockedBy === owner;
+  } catch (error) {
+    // Duplicate key on upsert means another instance holds a live lock
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to release a lock early (e.g. after a failed run so another instance can retry)
+jobLockSchema.statics.release = function (jobName, owner) {
+  return this.updateOne(
+    { _id: jobName, lockedBy: owner },
+    { $set: { lockedUntil: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
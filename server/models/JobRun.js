@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  instance: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  // Job-specific counters, e.g. { referralsExpired: 3, subscriptionsLapsed: 1 }
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+// Keep run history for 30 days
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Method to mark the run as finished
+jobRunSchema.methods.finish = function (counts) {
+  this.status = 'succeeded';
+  this.counts = counts || {};
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  return this.save();
+};
+
+// Method to mark the run as failed
+jobRunSchema.methods.fail = function (error) {
+  this.status = 'failed';
+  this.error = error.message || String(error);
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  return this.save();
+};
+
+// Static method to get the most recent runs, optionally for one job
+jobRunSchema.statics.findRecent = function (job, limit = 20) {
+  const query = job ? { job } : {};
+  return this.find(query).sort({ startedAt: -1 }).limit(limit);
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Failed logins from one IP address. Too many failures in the window blocks the IP,
+// and each block in a row lasts twice as long as the one before.
+const MAX_FAILURES = 20;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const BASE_BLOCK_MS = 15 * 60 * 1000;
+const MAX_BLOCK_MS = 24 * 60 * 60 * 1000;
+// Forget an IP a day after its last failure (resets the backoff)
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const loginThrottleSchema = new mongoose.Schema({
+  _id: {
+    type: String // IP address
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStart: {
+    type: Date,
+    default: Date.now
+  },
+  blockedUntil: {
+    type: Date
+  },
+  blockCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get when an IP's block ends, or null if it isn't blocked
+loginThrottleSchema.statics.getBlockedUntil = async function (ip) {
+  const throttle = await this.findById(ip).lean();
+  return throttle && throttle.blockedUntil > new Date() ? throttle.blockedUntil : null;
+};
+
+// Static method to count a failed login from an IP; resolves the block end if this failure caused one
+loginThrottleSchema.statics.recordFailure = async function (ip) {
+  const now = new Date();
+
+  const throttle = await this.findOneAndUpdate(
+    { _id: ip },
+    {
+      $inc: { failures: 1 },
+      $set: { expiresAt: new Date(now.getTime() + RETENTION_MS) },
+      $setOnInsert: { windowStart: now }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (now - throttle.windowStart >= FAILURE_WINDOW_MS) {
+    throttle.failures = 1;
+    throttle.windowStart = now;
+  }
+
+  let blockedUntil = null;
+  if (throttle.failures >= MAX_FAILURES) {
+    blockedUntil = new Date(now.getTime() + Math.min(BASE_BLOCK_MS * 2 ** throttle.blockCount, MAX_BLOCK_MS));
+    throttle.blockedUntil = blockedUntil;
+    throttle.blockCount += 1;
+    throttle.failures = 0;
+    throttle.windowStart = now;
+  }
+
+  await throttle.save();
+  return blockedUntil;
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -1,4 +1,43 @@
 const mongoose = require('mongoose');
+const AuditEvent = require('./AuditEvent');
+const CouponRedemption = require('./CouponRedemption');
+const Invoice = require('./Invoice');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Plan lengths for payments made before durationDays was recorded
+const LEGACY_DURATION_DAYS = { monthly: 30, yearly: 365 };
+
+// One refund of (part of) a payment, by its gateway refund ID
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true
+  },
+  // Paise
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Refund amount must be positive']
+  },
+  reason: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  failureReason: {
+    type: String
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: {
+    type: Date
+  }
+}, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
   user: {
@@ -36,17 +75,72 @@ const paymentSchema = new mongoose.Schema({
   },
 
   // Subscription Details
+  // The key of the plan bought, and the version of its terms that were sold
   subscriptionType: {
     type: String,
-    enum: ['monthly', 'yearly'],
     default: 'monthly'
   },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  },
+  planVersion: {
+    type: Number
+  },
+  // What the payment did to the subscription: start it, add a period after the
+  // current one, or replace the remaining time with a yearly plan
+  purpose: {
+    type: String,
+    enum: ['new', 'renewal', 'upgrade'],
+    default: 'new'
+  },
+  durationDays: {
+    type: Number
+  },
+  // The period this payment paid for, set once it succeeds
   subscriptionStart: {
     type: Date
   },
   subscriptionEnd: {
     type: Date
   },
+  // Plan price before credits and discounts; `amount` is what was charged
+  listAmount: {
+    type: Number,
+    min: [0, 'List amount cannot be negative']
+  },
+  // Prorated value of the unused time an upgrade replaced, deducted from its price
+  creditAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit amount cannot be negative']
+  },
+  // Coupon applied at checkout and what it took off (paise)
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: {
+    type: String
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount amount cannot be negative']
+  },
+  // The payments whose remaining time this upgrade replaced
+  upgradedFrom: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  // Set on a payment whose remaining time an upgrade replaced; its period ends here
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  supersededAt: {
+    type: Date
+  },
 
   // Payment Metadata
   paymentMethod: {
@@ -58,16 +152,21 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     default: 'IntraRefer Premium Subscription'
   },
+  // Who the invoice is made out to, captured at checkout
+  billingDetails: Invoice.billingDetailsSchema,
 
   // Failure Information
   failureReason: {
     type: String
   },
 
-  // Refund Information
+  // Refund Information. A payment can be refunded in several parts, one at a time;
+  // `refunds` lists them and the fields below describe the latest.
+  refunds: [refundSchema],
   refundId: {
     type: String
   },
+  // Total refunded so far (processed refunds only)
   refundAmount: {
     type: Number,
     min: [0, 'Refund amount cannot be negative']
@@ -75,6 +174,14 @@ const paymentSchema = new mongoose.Schema({
   refundReason: {
     type: String
   },
+  // Gateway refunds settle asynchronously: pending until the refund webhook arrives
+  refundStatus: {
+    type: String,
+    enum: ['pending', 'processed', 'failed']
+  },
+  refundFailureReason: {
+    type: String
+  },
   refundedAt: {
     type: Date
   },
@@ -103,8 +210,11 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ razorpayOrderId: 1 });
 paymentSchema.index({ razorpayPaymentId: 1 });
+paymentSchema.index({ refundId: 1 }, { sparse: true });
+paymentSchema.index({ 'refunds.refundId': 1 }, { sparse: true });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ subscriptionStart: 1, subscriptionEnd: 1 });
+paymentSchema.index({ user: 1, subscriptionEnd: 1 });
 
 // Virtual for subscription duration in days
 paymentSchema.virtual('subscriptionDuration').get(function () {
@@ -116,62 +226,294 @@ paymentSchema.virtual('subscriptionDuration').get(function () {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
-// Method to mark payment as successful
-paymentSchema.methods.markAsSuccessful = async function (paymentId, signature) {
+// Audit a payment state change; `auditContext` is { req } for user/admin actions and
+// empty for webhooks, which are recorded as system actions
+paymentSchema.methods.recordAudit = function (action, metadata, auditContext = {}) {
+  return AuditEvent.record(action, {
+    ...auditContext,
+    target: { type: 'Payment', id: this._id },
+    metadata: { user: this.user, amount: this.amount, currency: this.currency, ...metadata }
+  });
+};
+
+// Method to mark payment as successful and add the period it paid for. Resolves null
+// if the payment was already marked paid (/verify and the payment.captured webhook
+// often arrive together; only the first may add the period).
+paymentSchema.methods.markAsSuccessful = async function (paymentId, signature, auditContext) {
+  const User = mongoose.model('User');
+  const now = new Date();
+  let durationMs = (this.durationDays || LEGACY_DURATION_DAYS[this.subscriptionType]) * DAY_MS;
+
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['created', 'attempted', 'failed'] } },
+    { $set: { status: 'paid', razorpayPaymentId: paymentId, razorpaySignature: signature } }
+  );
+  if (!claimed) {
+    return null;
+  }
+
   this.razorpayPaymentId = paymentId;
   this.razorpaySignature = signature;
   this.status = 'paid';
 
-  // Set subscription dates
-  this.subscriptionStart = new Date();
-  if (this.subscriptionType === 'monthly') {
-    this.subscriptionEnd = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
-  } else if (this.subscriptionType === 'yearly') {
-    this.subscriptionEnd = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000); // 365 days
+  if (this.purpose === 'upgrade') {
+    // The credit was priced when the order was created. Less of the old periods is
+    // left by the time the payment arrives, so the new period is shortened by
+    // whatever part of the credit is no longer covered.
+    const replaced = await this.constructor.find({ _id: { $in: this.upgradedFrom }, supersededBy: null });
+    const unusedValue = replaced.reduce((sum, payment) => sum + payment.getUnusedValue(now), 0);
+    const shortfall = Math.max(this.creditAmount - unusedValue, 0);
+    const listAmount = this.listAmount || this.amount + this.creditAmount;
+    if (shortfall > 0 && listAmount > 0) {
+      durationMs -= Math.ceil(durationMs * Math.min(shortfall / listAmount, 1));
+    }
+
+    // The new period starts now and replaces what was left of the old ones
+    this.subscriptionStart = now;
+    this.subscriptionEnd = new Date(now.getTime() + durationMs);
+    await this.constructor.updateMany(
+      { _id: { $in: this.upgradedFrom }, supersededBy: null },
+      { $set: { supersededBy: this._id, supersededAt: now } }
+    );
+  } else {
+    // Reserve the period atomically after the current end (or from now if it has
+    // lapsed), so two renewals verified at once don't pay for the same days
+    const user = await User.findByIdAndUpdate(this.user, [
+      { $set: { subscriptionEnd: { $add: [{ $max: ['$subscriptionEnd', now] }, durationMs] } } }
+    ], { new: true });
+    this.subscriptionEnd = user.subscriptionEnd;
+    this.subscriptionStart = new Date(user.subscriptionEnd.getTime() - durationMs);
   }
 
   await this.save();
 
-  // Update user subscription status
-  const User = mongoose.model('User');
-  await User.findByIdAndUpdate(this.user, {
-    isSubscribed: true,
-    subscriptionStart: this.subscriptionStart,
-    subscriptionEnd: this.subscriptionEnd,
-    subscriptionId: this._id
+  await this.constructor.syncUserSubscription(this.user, now);
+
+  if (this.coupon) {
+    await CouponRedemption.redeem(this._id);
+  }
+
+  // Paying again undoes a pending cancellation
+  await User.updateOne(
+    { _id: this.user, 'subscriptionRenewal.cancelAtPeriodEnd': true },
+    { $set: { 'subscriptionRenewal.cancelAtPeriodEnd': false } }
+  );
+
+  // The payment stands even if this fails; the invoice is issued when it's downloaded
+  await Invoice.issueForPayment(this).catch((error) => {
+    console.error(`Could not issue the invoice for payment ${this._id}:`, error);
   });
 
+  await this.recordAudit('payment.succeeded', {
+    razorpayPaymentId: paymentId,
+    purpose: this.purpose,
+    subscriptionStart: this.subscriptionStart,
+    subscriptionEnd: this.subscriptionEnd
+  }, auditContext);
+
   return this;
 };
 
-// Method to mark payment as failed
-paymentSchema.methods.markAsFailed = function (reason) {
+// Method to work out the prorated value (in paise) of this payment's period still unused at `at`
+paymentSchema.methods.getUnusedValue = function (at = new Date()) {
+  if (!this.subscriptionStart || !this.subscriptionEnd || this.subscriptionEnd <= at) return 0;
+
+  const period = this.subscriptionEnd - this.subscriptionStart;
+  const unused = this.subscriptionEnd - Math.max(this.subscriptionStart, at);
+  const paid = this.amount - (this.refundAmount || 0);
+  return Math.floor(paid * unused / period);
+};
+
+// Method to describe the period this payment paid for, as reported in the subscription history
+paymentSchema.methods.getPeriod = function (at = new Date()) {
+  const end = this.supersededAt || this.subscriptionEnd;
+  let state = 'active';
+  if (this.status === 'refunded' && this.refundAmount >= this.amount) {
+    state = 'refunded';
+  } else if (this.supersededBy) {
+    state = 'superseded';
+  } else if (end <= at) {
+    state = 'ended';
+  } else if (this.subscriptionStart > at) {
+    state = 'upcoming';
+  }
+
+  return {
+    payment: this._id,
+    subscriptionType: this.subscriptionType,
+    planVersion: this.planVersion,
+    purpose: this.purpose,
+    start: this.subscriptionStart,
+    end,
+    state,
+    amount: this.amount,
+    creditAmount: this.creditAmount,
+    discountAmount: this.discountAmount,
+    couponCode: this.couponCode,
+    supersededBy: this.supersededBy
+  };
+};
+
+// Method to mark payment as failed. Resolves null if it has been paid (or failed)
+// in the meantime, which a late failure must not undo.
+paymentSchema.methods.markAsFailed = async function (reason, auditContext) {
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['created', 'attempted'] } },
+    { $set: { status: 'failed', failureReason: reason } }
+  );
+  if (!claimed) {
+    return null;
+  }
   this.status = 'failed';
   this.failureReason = reason;
-  return this.save();
+
+  // Give the coupon use back; a later successful attempt on the order redeems it again
+  if (this.coupon) {
+    await CouponRedemption.release(this._id);
+  }
+
+  await this.recordAudit('payment.failed', { reason }, auditContext);
+
+  return this;
 };
 
-// Method to process refund
-paymentSchema.methods.processRefund = async function (refundAmount, reason) {
-  this.status = 'refunded';
-  this.refundAmount = refundAmount || this.amount;
-  this.refundReason = reason;
-  this.refundedAt = new Date();
+// Method to get how much (paise) is left to refund
+paymentSchema.methods.getRefundableAmount = function () {
+  return Math.max(this.amount - (this.refundAmount || 0), 0);
+};
 
-  await this.save();
+// Method to check whether a refund can be started: the payment is captured, not fully
+// refunded, and has no other refund in flight (a failed one can be retried)
+paymentSchema.methods.canBeRefunded = function () {
+  return this.status === 'paid' &&
+    Boolean(this.razorpayPaymentId) &&
+    this.refundStatus !== 'pending' &&
+    this.getRefundableAmount() > 0;
+};
 
-  // Update user subscription status if fully refunded
-  if (this.refundAmount >= this.amount) {
-    const User = mongoose.model('User');
-    await User.findByIdAndUpdate(this.user, {
-      isSubscribed: false,
-      subscriptionStart: null,
-      subscriptionEnd: null,
-      subscriptionId: null
-    });
+// Method to find one of the payment's refunds by its gateway refund ID
+paymentSchema.methods.getRefund = function (refundId) {
+  return (this.refunds || []).find(refund => refund.refundId === refundId);
+};
+
+// Method to record a refund the gateway has accepted but not settled yet. Resolves the
+// payment as saved: the refund webhook can settle the refund before this runs, and
+// then this leaves it alone.
+paymentSchema.methods.startRefund = async function ({ refundId, amount, reason }, auditContext) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'refunds.refundId': { $ne: refundId } },
+    {
+      $push: { refunds: { refundId, amount, reason, status: 'pending' } },
+      $set: { refundId, refundReason: reason, refundStatus: 'pending' },
+      $unset: { refundFailureReason: 1 }
+    },
+    { new: true }
+  );
+
+  await this.recordAudit('payment.refund_requested', { refundId, refundAmount: amount, reason }, auditContext);
+
+  return updated || this.constructor.findById(this._id);
+};
+
+// Record how a refund settled, atomically: the pending refund is updated in place, or
+// added if its webhook arrived before startRefund saved it. Resolves the updated
+// payment, or null if the refund was already settled.
+const settleRefund = async (Payment, paymentId, { refundId, amount, reason }, refundFields, paymentUpdate) => {
+  const settled = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { refundId, status: 'pending' } } },
+    {
+      ...paymentUpdate,
+      $set: {
+        ...paymentUpdate.$set,
+        ...Object.fromEntries(Object.entries(refundFields).map(([key, value]) => [`refunds.$.${key}`, value]))
+      }
+    },
+    { new: true }
+  );
+  if (settled) return settled;
+
+  return Payment.findOneAndUpdate(
+    { _id: paymentId, 'refunds.refundId': { $ne: refundId } },
+    {
+      ...paymentUpdate,
+      $set: { ...paymentUpdate.$set, refundId, refundReason: reason },
+      $push: { refunds: { refundId, amount, reason, ...refundFields } }
+    },
+    { new: true }
+  );
+};
+
+// Method to record that the gateway couldn't complete a refund
+paymentSchema.methods.markRefundFailed = async function (refund, failureReason, auditContext) {
+  const updated = await settleRefund(this.constructor, this._id, refund,
+    { status: 'failed', failureReason },
+    { $set: { refundStatus: 'failed', refundFailureReason: failureReason } });
+  if (!updated) {
+    return null;
   }
 
-  return this;
+  await this.recordAudit('payment.refund_failed', { refundId: refund.refundId, reason: failureReason }, auditContext);
+
+  return updated;
+};
+
+// Method to record a processed refund: adds it to the total refunded and issues its
+// credit note (only a full refund marks the payment refunded). Resolves null if the
+// refund was already processed.
+paymentSchema.methods.processRefund = async function (refund, auditContext) {
+  const now = new Date();
+  const updated = await settleRefund(this.constructor, this._id, refund,
+    { status: 'processed', processedAt: now, amount: refund.amount },
+    { $set: { refundStatus: 'processed', refundedAt: now }, $inc: { refundAmount: refund.amount } });
+  if (!updated) {
+    return null;
+  }
+
+  // A full refund takes the payment's period away
+  if (updated.refundAmount >= updated.amount) {
+    await this.constructor.updateOne({ _id: updated._id, status: 'paid' }, { $set: { status: 'refunded' } });
+    updated.status = 'refunded';
+    await this.constructor.syncUserSubscription(updated.user);
+  }
+
+  await Invoice.issueCreditNote(updated, updated.getRefund(refund.refundId)).catch((error) => {
+    console.error(`Could not issue the credit note for refund ${refund.refundId}:`, error);
+  });
+
+  await this.recordAudit('payment.refunded', {
+    refundId: refund.refundId,
+    refundAmount: refund.amount,
+    totalRefunded: updated.refundAmount,
+    reason: refund.reason
+  }, auditContext);
+
+  return updated;
+};
+
+// Static method to mark a refund of `amount` as pending atomically; resolves the
+// payment as it was before the claim, or null if it can't be refunded (fully refunded,
+// the amount is more than is left, or another refund claimed it first)
+paymentSchema.statics.claimRefund = function (paymentId, amount) {
+  return this.findOneAndUpdate(
+    {
+      _id: paymentId,
+      status: 'paid',
+      razorpayPaymentId: { $exists: true, $ne: null },
+      refundStatus: { $ne: 'pending' },
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundAmount', 0] }, amount] }, '$amount'] }
+    },
+    { $set: { refundStatus: 'pending' } }
+  );
+};
+
+// Static method to undo claimRefund when the gateway didn't accept the refund
+paymentSchema.statics.releaseRefundClaim = function (previous) {
+  return this.updateOne(
+    { _id: previous._id, refundStatus: 'pending' },
+    previous.refundStatus
+      ? { $set: { refundStatus: previous.refundStatus } }
+      : { $unset: { refundStatus: 1 } }
+  );
 };
 
 // Static method to get payment statistics
@@ -197,10 +539,19 @@ paymentSchema.statics.getStatistics = function (startDate, endDate) {
   ]);
 };
 
-// Static method to get revenue statistics
-paymentSchema.statics.getRevenueStats = function () {
+// Static method to get revenue statistics (optionally limited to a createdAt range)
+paymentSchema.statics.getRevenueStats = function (startDate, endDate) {
+  const matchStage = { status: 'paid' };
+
+  if (startDate && endDate) {
+    matchStage.createdAt = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+
   return this.aggregate([
-    { $match: { status: 'paid' } },
+    { $match: matchStage },
     {
       $group: {
         _id: {
@@ -215,6 +566,55 @@ paymentSchema.statics.getRevenueStats = function () {
   ]);
 };
 
+// Static method to find the paid periods that haven't ended at `at`, in order. Periods
+// replaced by an upgrade or fully refunded don't count.
+paymentSchema.statics.findCoverage = function (userId, at = new Date()) {
+  return this.find({
+    user: userId,
+    subscriptionEnd: { $gt: at },
+    supersededBy: null,
+    $or: [
+      { status: 'paid' },
+      { status: 'refunded', $expr: { $lt: ['$refundAmount', '$amount'] } }
+    ]
+  }).sort({ subscriptionStart: 1 });
+};
+
+// Static method to bring the user's subscription fields in line with their paid periods.
+// subscriptionId points at the payment covering `at`; subscriptionEnd is the end of the last period.
+paymentSchema.statics.syncUserSubscription = async function (userId, at = new Date()) {
+  const User = mongoose.model('User');
+  const coverage = await this.findCoverage(userId, at);
+
+  if (coverage.length === 0) {
+    return User.findByIdAndUpdate(userId, {
+      isSubscribed: false,
+      subscriptionStart: null,
+      subscriptionEnd: null,
+      subscriptionId: null
+    }, { new: true });
+  }
+
+  const current = coverage[0];
+  const last = coverage.reduce((latest, payment) =>
+    payment.subscriptionEnd > latest.subscriptionEnd ? payment : latest);
+
+  return User.findByIdAndUpdate(userId, {
+    isSubscribed: true,
+    subscriptionStart: current.subscriptionStart,
+    subscriptionEnd: last.subscriptionEnd,
+    subscriptionId: current._id
+  }, { new: true });
+};
+
+// Static method to find the billing details the user gave at their latest checkout
+paymentSchema.statics.findLastBillingDetails = async function (userId) {
+  const payment = await this.findOne({ user: userId, 'billingDetails.name': { $exists: true } })
+    .sort({ createdAt: -1 })
+    .select('billingDetails');
+  return payment ? payment.billingDetails : null;
+};
+
 // Static method to find active subscriptions
 paymentSchema.statics.findActiveSubscriptions = function () {
   const now = new Date();
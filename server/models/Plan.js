@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+
+// Premium features a plan can grant, by the key the code checks and the label customers see
+const PLAN_FEATURES = {
+  unlimited_applications: 'Unlimited job applications',
+  ai_matching: 'AI-based referral matching',
+  priority_support: 'Priority customer support'
+};
+
+// Features the old hardcoded plans advertised but the product never delivered; they are
+// taken off stored plans so nobody is sold them
+const RETIRED_FEATURES = ['verified_badge', 'resume_analyzer', 'priority_visibility'];
+
+// The catalog a fresh database starts with (the plans that used to be hardcoded)
+const DEFAULT_PLANS = [
+  {
+    key: 'monthly',
+    name: 'Monthly Premium',
+    sortOrder: 1,
+    features: Object.keys(PLAN_FEATURES),
+    versions: [{ version: 1, amount: 9900, currency: 'INR', durationDays: 30 }]
+  },
+  {
+    key: 'yearly',
+    name: 'Yearly Premium',
+    savings: '17% savings compared to monthly',
+    sortOrder: 2,
+    features: Object.keys(PLAN_FEATURES),
+    versions: [{ version: 1, amount: 99000, currency: 'INR', durationDays: 365 }]
+  }
+];
+
+// One set of terms a plan has been sold at. Versions are never edited: changing the
+// price adds a new one, and payments record the version they bought.
+const planVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Paise
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [100, 'Amount must be at least ₹1']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  durationDays: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [1, 'Duration must be at least 1 day'],
+    max: [730, 'Duration cannot exceed 730 days']
+  },
+  // The gateway's recurring plan that auto-renew charges (created in the Razorpay dashboard)
+  gatewayPlanId: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  _id: false,
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A subscription plan customers can buy
+const planSchema = new mongoose.Schema({
+  // Stable identifier, stored on payments as their subscriptionType
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]{2,32}$/, 'Key must be 2-32 lowercase letters, digits, dashes or underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  // Shown next to the price, e.g. how much a longer plan saves
+  savings: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Savings cannot exceed 100 characters']
+  },
+  features: [{
+    type: String,
+    enum: {
+      values: Object.keys(PLAN_FEATURES),
+      message: 'Unknown feature {VALUE}'
+    }
+  }],
+  versions: {
+    type: [planVersionSchema],
+    validate: [versions => versions.length > 0, 'A plan needs a price']
+  },
+  // Inactive plans can't be bought; existing subscribers keep what they paid for
+  active: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+planSchema.index({ active: 1, sortOrder: 1 });
+
+// Method to get the terms the plan is sold at now
+planSchema.methods.getCurrentVersion = function () {
+  return this.versions[this.versions.length - 1];
+};
+
+// Method to get the terms of an earlier sale; falls back to the current ones
+planSchema.methods.getVersion = function (version) {
+  return this.versions.find(v => v.version === version) || this.getCurrentVersion();
+};
+
+// Method to put new terms on sale if they differ from the current ones; returns
+// whether a version was added
+planSchema.methods.addVersion = function (terms, createdBy) {
+  const current = this.getCurrentVersion();
+  const next = {
+    amount: terms.amount === undefined ? current.amount : Number(terms.amount),
+    currency: terms.currency === undefined ? current.currency : terms.currency,
+    durationDays: terms.durationDays === undefined ? current.durationDays : Number(terms.durationDays),
+    gatewayPlanId: terms.gatewayPlanId === undefined ? current.gatewayPlanId : terms.gatewayPlanId || undefined
+  };
+
+  if (['amount', 'currency', 'durationDays', 'gatewayPlanId'].every(field => next[field] === current[field])) {
+    return false;
+  }
+
+  this.versions.push({ ...next, version: current.version + 1, createdBy });
+  return true;
+};
+
+// Method to list the plan's features with their labels
+planSchema.methods.getFeatureList = function () {
+  return this.features.map(key => ({ key, label: PLAN_FEATURES[key] }));
+};
+
+// Method to describe the plan as customers see it
+planSchema.methods.toCatalogEntry = function () {
+  const current = this.getCurrentVersion();
+  return {
+    id: this.key,
+    name: this.name,
+    description: this.description,
+    amount: current.amount,
+    currency: current.currency,
+    duration: current.durationDays,
+    version: current.version,
+    features: this.getFeatureList(),
+    savings: this.savings || null
+  };
+};
+
+// Static method to find the plan a customer can buy under `key`
+planSchema.statics.findPurchasable = function (key) {
+  if (typeof key !== 'string') return Promise.resolve(null);
+  return this.findOne({ key: key.trim().toLowerCase(), active: true });
+};
+
+// Static method to list the plans on sale, in display order
+planSchema.statics.findCatalog = function () {
+  return this.find({ active: true }).sort({ sortOrder: 1, createdAt: 1 });
+};
+
+// Static method to create the default plans when the catalog is empty, and take
+// retired features off existing ones
+planSchema.statics.ensureDefaults = async function () {
+  if (await this.estimatedDocumentCount() > 0) {
+    await this.updateMany(
+      { features: { $in: RETIRED_FEATURES } },
+      { $pull: { features: { $in: RETIRED_FEATURES } } }
+    );
+    return false;
+  }
+  try {
+    await this.insertMany(DEFAULT_PLANS, { ordered: false });
+  } catch (error) {
+    // Another instance seeded them first
+    if (error.code !== 11000) throw error;
+  }
+  return true;
+};
+
+planSchema.statics.FEATURES = PLAN_FEATURES;
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Usage is kept for a while after its period for support questions
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// How much of a counted quota a user has used in one period (e.g. the applications
+// they sent in a week). Units are taken with a guarded $inc, so parallel requests
+// can't together go past the limit.
+const quotaUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quota: {
+    type: String,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+quotaUsageSchema.index({ user: 1, quota: 1, periodStart: 1 }, { unique: true });
+quotaUsageSchema.index({ periodStart: 1 }, { expireAfterSeconds: RETENTION_MS / 1000 });
+
+// Static method to create a period's record if it doesn't exist yet. `countBefore`
+// resolves what the user used in the period before it was counted here, to start from.
+quotaUsageSchema.statics.startPeriod = async function (period, countBefore) {
+  if (await this.exists(period)) return;
+
+  const count = countBefore ? await countBefore() : 0;
+  try {
+    await this.updateOne(period, { $setOnInsert: { count } }, { upsert: true });
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Static method to take one unit of a quota if fewer than `limit` are used in the
+// period; resolves the usage record, or null when the limit is reached
+quotaUsageSchema.statics.take = async function (userId, quota, periodStart, limit, countBefore) {
+  if (limit <= 0) return null;
+
+  const period = { user: userId, quota, periodStart };
+  await this.startPeriod(period, countBefore);
+  return this.findOneAndUpdate(
+    { ...period, count: { $lt: limit } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a unit taken for something that didn't happen
+quotaUsageSchema.statics.giveBack = function (usageId) {
+  return this.updateOne({ _id: usageId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+// Static method to get how many units a user has used in a period
+quotaUsageSchema.statics.getUsed = async function (userId, quota, periodStart, countBefore) {
+  const usage = await this.findOne({ user: userId, quota, periodStart }).select('count').lean();
+  if (usage) return usage.count;
+  return countBefore ? countBefore() : 0;
+};
+
+module.exports = mongoose.model('QuotaUsage', quotaUsageSchema);
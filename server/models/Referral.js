@@ -94,6 +94,18 @@ const referralSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  closedAt: {
+    type: Date
+  },
+
+  // Soft delete (applications referencing the referral are kept)
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
 
   // Analytics
   views: {
@@ -174,6 +186,33 @@ referralSchema.methods.incrementApplicationCount = function () {
   return this.save();
 };
 
+// Method to check if a user owns the referral
+referralSchema.methods.isOwnedBy = function (userId) {
+  return this.referrer.toString() === userId.toString();
+};
+
+// Method to close the referral to new applications
+referralSchema.methods.close = function () {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  return this.save();
+};
+
+// Method to reopen a closed referral
+referralSchema.methods.reopen = function () {
+  this.status = 'active';
+  this.closedAt = undefined;
+  return this.save();
+};
+
+// Method to soft delete the referral
+referralSchema.methods.softDelete = function (deletedBy) {
+  this.isActive = false;
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  return this.save();
+};
+
 // Method to calculate match score with job seeker
 referralSchema.methods.calculateMatchScore = function (jobSeekerSkills) {
   if (!jobSeekerSkills || !this.skills || this.skills.length === 0) return 0;
@@ -190,6 +229,73 @@ referralSchema.methods.calculateMatchScore = function (jobSeekerSkills) {
   return Math.round((matchingSkills.length / referralSkills.length) * 100);
 };
 
+// Rough years-of-experience band for each experience level
+const EXPERIENCE_LEVEL_YEARS = {
+  entry: { min: 0, max: 2 },
+  mid: { min: 2, max: 5 },
+  senior: { min: 5, max: 10 },
+  executive: { min: 10, max: Infinity }
+};
+
+// Weights used by getMatchBreakdown (sum to 100)
+const MATCH_WEIGHTS = {
+  skills: 60,
+  experience: 20,
+  role: 10,
+  location: 10
+};
+
+// Method to score the referral against a job seeker's profile, with a per-factor breakdown
+referralSchema.methods.getMatchBreakdown = function (jobSeeker) {
+  const seekerSkills = (jobSeeker.skills || []).map(skill => skill.toLowerCase());
+  const matchedSkills = [];
+  const missingSkills = [];
+
+  (this.skills || []).forEach(skill => {
+    const lowerSkill = skill.toLowerCase();
+    const isMatched = seekerSkills.some(seekerSkill =>
+      seekerSkill.includes(lowerSkill) || lowerSkill.includes(seekerSkill)
+    );
+    (isMatched ? matchedSkills : missingSkills).push(skill);
+  });
+
+  const skillScore = this.calculateMatchScore(jobSeeker.skills);
+
+  let experienceMatch = null;
+  const band = EXPERIENCE_LEVEL_YEARS[this.experienceLevel];
+  if (band && typeof jobSeeker.experience === 'number') {
+    experienceMatch = jobSeeker.experience >= band.min && jobSeeker.experience <= band.max;
+  }
+
+  const title = (this.title || '').toLowerCase();
+  const roleMatch = (jobSeeker.desiredRoles || []).some(role => {
+    const lowerRole = role.toLowerCase();
+    return title.includes(lowerRole) || lowerRole.includes(title);
+  });
+
+  const seekerLocation = (jobSeeker.location || '').toLowerCase();
+  const referralLocation = (this.location || '').toLowerCase();
+  const locationMatch = this.workMode === 'remote' || (seekerLocation !== '' &&
+    (referralLocation.includes(seekerLocation) || seekerLocation.includes(referralLocation)));
+
+  const score = Math.round(
+    (skillScore * MATCH_WEIGHTS.skills) / 100 +
+    (experienceMatch ? MATCH_WEIGHTS.experience : 0) +
+    (roleMatch ? MATCH_WEIGHTS.role : 0) +
+    (locationMatch ? MATCH_WEIGHTS.location : 0)
+  );
+
+  return {
+    score,
+    skillScore,
+    matchedSkills,
+    missingSkills,
+    experienceMatch,
+    roleMatch,
+    locationMatch
+  };
+};
+
 // Pre-save middleware to update status based on deadline
 referralSchema.pre('save', function (next) {
   if (this.isExpired() && this.status === 'active') {
@@ -212,11 +318,31 @@ referralSchema.statics.findActive = function () {
 
 // Static method to find referrals by skills
 referralSchema.statics.findBySkills = function (skills) {
+  // Escape regex metacharacters so skills like "C++" or "Node.js" match literally
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
   return this.find({
     status: 'active',
     isActive: true,
-    skills: { $in: skills.map(skill => new RegExp(skill, 'i')) }
+    skills: { $in: skills.map(skill => new RegExp(escape(skill), 'i')) }
   });
 };
 
+// Static method to mark every active referral past its deadline as expired
+referralSchema.statics.expireOverdue = async function (now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'active', applicationDeadline: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to count non-deleted referrals by status
+referralSchema.statics.countByStatus = function () {
+  return this.aggregate([
+    { $match: { deletedAt: { $exists: false } } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+};
+
 module.exports = mongoose.model('Referral', referralSchema);
\ No newline at end of file
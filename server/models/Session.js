@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How many rotated-out refresh token hashes to remember for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+// Window in which the previous refresh token is tolerated (parallel refreshes from one browser)
+const ROTATION_GRACE_MS = 10 * 1000;
+
+// A session is one signed-in device. Its refresh token is rotated on every use; the
+// hashes of rotated-out tokens are kept so a replayed token revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token (the raw token only lives in the cookie)
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [{
+    type: String
+  }],
+
+  // Device Information
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lifetime
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'revoked_by_user', 'password_changed', 'password_reset', 'account_deactivated', 'banned']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a new opaque refresh token
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to swap the refresh token for a new one; resolves the new raw token,
+// or null if another request rotated this session first
+sessionSchema.methods.rotate = async function (req) {
+  const refreshToken = generateRefreshToken();
+  const update = {
+    tokenHash: hashToken(refreshToken),
+    lastUsedAt: new Date()
+  };
+  if (req) {
+    update.userAgent = req.get('User-Agent');
+    update.ipAddress = req.ip;
+  }
+
+  // Conditional on the current hash so two concurrent refreshes can't both win
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, tokenHash: this.tokenHash, revokedAt: { $exists: false } },
+    {
+      $set: update,
+      $push: { previousTokenHashes: { $each: [this.tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  return updated ? refreshToken : null;
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function (reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Static method to start a session for a user; resolves { session, refreshToken }
+sessionSchema.statics.createForUser = async function (userId, req, ttlDays) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to find the session a refresh token belongs to.
+// `reused` is true when the token was already rotated out. A token rotated out within the
+// last few seconds is treated as a concurrent refresh (`stale`) rather than a replay.
+sessionSchema.statics.findByRefreshToken = async function (refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await this.findOne({ tokenHash });
+  if (session) {
+    return { session, reused: false, stale: false };
+  }
+
+  const rotatedSession = await this.findOne({ previousTokenHashes: tokenHash });
+  if (!rotatedSession) {
+    return { session: null, reused: false, stale: false };
+  }
+
+  const isLatestRotation = rotatedSession.previousTokenHashes[rotatedSession.previousTokenHashes.length - 1] === tokenHash;
+  const stale = isLatestRotation && Date.now() - rotatedSession.lastUsedAt.getTime() < ROTATION_GRACE_MS;
+
+  return { session: rotatedSession, reused: !stale, stale };
+};
+
+// Static method to list a user's sessions that can still be used, most recent first
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent ipAddress lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function (userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Platform-wide settings that admins can change at runtime, one document per key
+const settingSchema = new mongoose.Schema({
+  _id: {
+    type: String // setting key
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to a default when it was never set
+settingSchema.statics.getValue = async function (key, defaultValue) {
+  const setting = await this.findById(key).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+// Static method to write a setting
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findByIdAndUpdate(
+    key,
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true }
+  );
+};
+
+// Whether admins must have 2FA enabled (REQUIRE_ADMIN_2FA seeds the default)
+settingSchema.statics.isAdminTwoFactorRequired = function () {
+  return this.getValue('security.requireAdminTwoFactor', process.env.REQUIRE_ADMIN_2FA === 'true');
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -2,6 +2,37 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+
+// Accept the previous and next 30s code as well, to allow for clock drift
+authenticator.options = { window: 1 };
+
+// Shown as the account issuer in authenticator apps
+const TWO_FACTOR_ISSUER = 'IntraRefer';
+const RECOVERY_CODE_COUNT = 10;
+// Fields holding 2FA secrets; they are never loaded unless asked for
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Account lockout: this many failed logins in a row locks the account. Each lockout in a
+// row lasts twice as long as the last, up to a day.
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 60 * 60 * 1000;
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Company verification codes are valid for this long and allow this many guesses
+const COMPANY_CODE_TTL_MS = 15 * 60 * 1000;
+const COMPANY_CODE_MAX_ATTEMPTS = 5;
+
+// Password reset links stay valid for this long
+const PASSWORD_RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+// At most this many reset emails per account in each window
+const PASSWORD_RESET_MAX_REQUESTS = 3;
+const PASSWORD_RESET_WINDOW_MS = 60 * 60 * 1000;
+
+// Why a subscriber cancelled, asked for on cancellation
+const CANCELLATION_REASONS = ['too_expensive', 'not_using', 'found_job', 'missing_features', 'technical_issues', 'other'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -83,6 +114,60 @@ const userSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Years at company cannot be negative']
   },
+  // Proof that the referrer works at `company`, via a code sent to their work email
+  companyVerification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'pending', 'verified'],
+      default: 'unverified'
+    },
+    company: {
+      type: String,
+      trim: true
+    },
+    workEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    domain: {
+      type: String,
+      lowercase: true
+    },
+    // A verified referrer re-verifying (e.g. after changing jobs) keeps their current
+    // company until the code sent to the new work email is confirmed
+    pendingCompany: {
+      type: String,
+      trim: true
+    },
+    pendingWorkEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    codeHash: {
+      type: String,
+      select: false
+    },
+    codeExpiresAt: {
+      type: Date
+    },
+    codeSentAt: {
+      type: Date
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    verifiedAt: {
+      type: Date
+    },
+    // Set when an admin verified the company by hand
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
 
   // Subscription Information
   isSubscribed: {
@@ -98,29 +183,178 @@ const userSchema = new mongoose.Schema({
   subscriptionId: {
     type: String
   },
+  // What happens when subscriptionEnd arrives
+  subscriptionRenewal: {
+    // Charged automatically through a recurring gateway subscription (set once the
+    // customer has authorised it)
+    autoRenew: {
+      type: Boolean,
+      default: false
+    },
+    // The plan key and version of its terms the gateway subscription charges
+    subscriptionType: {
+      type: String
+    },
+    planVersion: {
+      type: Number
+    },
+    gatewaySubscriptionId: {
+      type: String
+    },
+    gatewayStatus: {
+      type: String
+    },
+    // Cancelled: premium lasts until subscriptionEnd and is then not renewed
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false
+    },
+    cancelledAt: {
+      type: Date
+    },
+    cancellationReason: {
+      type: String,
+      enum: CANCELLATION_REASONS
+    },
+    cancellationComment: {
+      type: String,
+      maxlength: 500
+    }
+  },
 
-  // Application Tracking (for free job seeker users) - Existing and Kept
-  weeklyApplications: {
-    count: {
+  // Admin-granted exceptions to what the user's plan allows (see /server/entitlements):
+  // `enabled` switches a feature on or off, `limit` replaces a quota's limit
+  entitlementOverrides: [{
+    key: {
+      type: String,
+      required: true
+    },
+    enabled: {
+      type: Boolean
+    },
+    limit: {
       type: Number,
-      default: 0
+      min: [0, 'Limit cannot be negative']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    expiresAt: {
+      type: Date
     },
-    weekStart: {
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
       type: Date,
       default: Date.now
     }
-  },
+  }],
 
   // Profile Status
   isVerified: {
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
+  verificationEmailSentAt: {
+    type: Date
+  },
+
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
+
+  // Password Reset (only the SHA-256 of the emailed token is stored)
+  passwordReset: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: {
+      type: Date
+    },
+    requestCount: {
+      type: Number,
+      default: 0
+    },
+    windowStart: {
+      type: Date
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   },
 
+  // Failed login tracking for account lockout
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date
+    },
+    lockedUntil: {
+      type: Date
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Admin-imposed ban (separate from the user deactivating their own account)
+  ban: {
+    bannedAt: {
+      type: Date
+    },
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    // No expiry means the ban lasts until an admin lifts it
+    expiresAt: {
+      type: Date
+    }
+  },
+
   // Social Links
   linkedin: {
     type: String,
@@ -148,6 +382,9 @@ userSchema.index({
 userSchema.index({
   isSubscribed: 1
 });
+userSchema.index({
+  'subscriptionRenewal.gatewaySubscriptionId': 1
+}, { sparse: true });
 userSchema.index({
   skills: 1
 });
@@ -170,45 +407,332 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Check if subscription is active
-userSchema.methods.isSubscriptionActive = function () {
-  if (!this.isSubscribed || !this.subscriptionEnd) return false;
-  return new Date() < this.subscriptionEnd;
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Recovery codes are compared case- and dash-insensitively
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Method to issue a password reset token; returns the raw token, or null when the
+// account has hit its request limit for the current window
+userSchema.methods.createPasswordResetToken = function () {
+  const now = Date.now();
+  const reset = this.passwordReset;
+
+  if (!reset.windowStart || now - reset.windowStart.getTime() >= PASSWORD_RESET_WINDOW_MS) {
+    reset.windowStart = new Date(now);
+    reset.requestCount = 0;
+  }
+  if (reset.requestCount >= PASSWORD_RESET_MAX_REQUESTS) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  reset.tokenHash = hashResetToken(token);
+  reset.expiresAt = new Date(now + PASSWORD_RESET_TOKEN_TTL_MS);
+  reset.requestCount += 1;
+  return token;
+};
+
+// Method to consume the reset token so the link can't be used again
+userSchema.methods.clearPasswordResetToken = function () {
+  this.passwordReset.tokenHash = undefined;
+  this.passwordReset.expiresAt = undefined;
+};
+
+// Static method to find the user an unexpired reset token belongs to
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    'passwordReset.tokenHash': hashResetToken(token),
+    'passwordReset.expiresAt': { $gt: new Date() }
+  });
+};
+
+// Method to start 2FA enrollment; returns the new secret and its otpauth:// URL
+userSchema.methods.startTwoFactorSetup = function () {
+  const secret = authenticator.generateSecret();
+  this.twoFactor.pendingSecret = secret;
+  return {
+    secret,
+    otpauthUrl: authenticator.keyuri(this.email, TWO_FACTOR_ISSUER, secret)
+  };
+};
+
+// Method to check a 6-digit authenticator code (requires TWO_FACTOR_SECRET_FIELDS).
+// Pass { pending: true } to check against the secret still being set up.
+userSchema.methods.verifyTwoFactorCode = function (code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret || !code) return false;
+
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+  if (delta === null) return false;
+
+  const step = Math.floor(Date.now() / 30000) + delta;
+  if (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep) {
+    return false;
+  }
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to replace the recovery codes; returns the raw codes (only shown once)
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Method to spend a recovery code; returns false if it isn't one of the unused codes
+userSchema.methods.useRecoveryCode = function (code) {
+  if (!code) return false;
+
+  const hash = hashRecoveryCode(code);
+  const codes = this.twoFactor.recoveryCodes || [];
+  if (!codes.includes(hash)) return false;
+
+  this.twoFactor.recoveryCodes = codes.filter((c) => c !== hash);
+  return true;
+};
+
+// Method to turn 2FA on with the confirmed pending secret; returns fresh recovery codes
+userSchema.methods.enableTwoFactor = function () {
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  return this.generateRecoveryCodes();
+};
+
+// Method to turn 2FA off and forget its secrets
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = undefined;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.lastUsedStep = undefined;
+};
+
+// Static method to load a user together with their 2FA secrets
+userSchema.statics.findWithTwoFactorSecrets = function (id) {
+  return this.findById(id).select(TWO_FACTOR_SECRET_FIELDS);
+};
+
+const hashCompanyCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Company names are compared ignoring case and punctuation ("Acme, Inc." == "acme inc")
+const normalizeCompany = (name = '') => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Method to start verifying a company via a work email; returns the 6-digit code to send
+userSchema.methods.startCompanyVerification = function (company, workEmail) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const pendingCode = {
+    codeHash: hashCompanyCode(code),
+    codeExpiresAt: new Date(Date.now() + COMPANY_CODE_TTL_MS),
+    codeSentAt: new Date(),
+    attempts: 0
+  };
+
+  if (this.companyVerification.status === 'verified') {
+    // Keep the current badge until the new code is confirmed
+    Object.assign(this.companyVerification, pendingCode, { pendingCompany: company, pendingWorkEmail: workEmail });
+  } else {
+    this.companyVerification = {
+      status: 'pending',
+      company,
+      workEmail,
+      domain: workEmail.split('@')[1].toLowerCase(),
+      ...pendingCode
+    };
+  }
+  return code;
+};
+
+// Method to check a company verification code (requires +companyVerification.codeHash).
+// Resolves to 'verified', 'invalid', 'expired' or 'too_many_attempts'.
+userSchema.methods.confirmCompanyVerification = function (code) {
+  const verification = this.companyVerification;
+
+  const awaitingCode = verification.status === 'pending' || Boolean(verification.pendingWorkEmail);
+  if (!awaitingCode || !verification.codeHash || verification.codeExpiresAt < new Date()) {
+    return 'expired';
+  }
+  if (verification.attempts >= COMPANY_CODE_MAX_ATTEMPTS) {
+    return 'too_many_attempts';
+  }
+  if (hashCompanyCode(String(code).trim()) !== verification.codeHash) {
+    verification.attempts += 1;
+    return 'invalid';
+  }
+
+  this.markCompanyVerified();
+  return 'verified';
+};
+
+// Method to mark the pending (or given) company as verified and sync the profile company
+userSchema.methods.markCompanyVerified = function (verifiedBy) {
+  const verification = this.companyVerification;
+  if (verification.pendingWorkEmail) {
+    verification.company = verification.pendingCompany;
+    verification.workEmail = verification.pendingWorkEmail;
+    verification.domain = verification.pendingWorkEmail.split('@')[1];
+    verification.pendingCompany = undefined;
+    verification.pendingWorkEmail = undefined;
+  }
+  verification.status = 'verified';
+  verification.verifiedAt = new Date();
+  verification.verifiedBy = verifiedBy;
+  verification.codeHash = undefined;
+  verification.codeExpiresAt = undefined;
+  verification.attempts = 0;
+  this.company = verification.company;
+};
+
+// Method to drop the company verification (e.g. after changing company)
+userSchema.methods.clearCompanyVerification = function () {
+  this.companyVerification = { status: 'unverified' };
+};
+
+// Method to check whether a company is the one being (or already) verified
+userSchema.methods.matchesVerificationCompany = function (company) {
+  return Boolean(this.companyVerification.company) &&
+    normalizeCompany(this.companyVerification.company) === normalizeCompany(company);
 };
 
-// Helper to get the start of the current week (Monday)
-const getStartOfWeek = (date) => {
-  const d = new Date(date);
-  const day = d.getDay(); // 0 for Sunday, 1 for Monday...
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Go back to Monday
-  d.setDate(diff);
-  d.setHours(0, 0, 0, 0); // Set time to beginning of the day
-  return d;
+// Method to check whether the user is verified to post for a company
+userSchema.methods.isVerifiedForCompany = function (company) {
+  return this.companyVerification.status === 'verified' && this.matchesVerificationCompany(company);
 };
 
-// Reset weekly count if new week, for generic weekly limits
-userSchema.methods.resetWeeklyCountIfNeeded = function (weeklyTrackingField) {
+// Method to check whether the account is temporarily locked
+userSchema.methods.isLocked = function () {
+  return Boolean(this.loginSecurity.lockedUntil && this.loginSecurity.lockedUntil > new Date());
+};
+
+// Method to count a failed password or 2FA code. The count is kept in the database
+// with atomic updates so parallel guesses can't overwrite each other's increments.
+// Resolves { lockedNow, lockedUntil }: lockedUntil is set while the account is locked,
+// lockedNow when this failure locked it.
+userSchema.methods.registerFailedLogin = async function () {
   const now = new Date();
-  const weekStart = new Date(this[weeklyTrackingField].weekStart);
-  const nowStartOfWeek = getStartOfWeek(now);
-  const weekStartStartOfWeek = getStartOfWeek(weekStart);
 
-  if (nowStartOfWeek.getTime() !== weekStartStartOfWeek.getTime()) {
-    this[weeklyTrackingField].count = 0;
-    this[weeklyTrackingField].weekStart = now; // Reset to current time
-    return true; // Indicates a reset occurred
+  // Old failures don't count towards a new lockout
+  const counted = await this.constructor.findOneAndUpdate({ _id: this._id }, [
+    {
+      $set: {
+        'loginSecurity.failedAttempts': {
+          $cond: [
+            { $gt: ['$loginSecurity.lastFailedAt', new Date(now.getTime() - FAILED_LOGIN_WINDOW_MS)] },
+            { $add: [{ $ifNull: ['$loginSecurity.failedAttempts', 0] }, 1] },
+            1
+          ]
+        },
+        'loginSecurity.lastFailedAt': now
+      }
+    }
+  ], { new: true });
+  if (!counted) {
+    return { lockedNow: false, lockedUntil: null };
+  }
+
+  const security = counted.loginSecurity;
+  if (security.failedAttempts < MAX_FAILED_LOGINS) {
+    return {
+      lockedNow: false,
+      lockedUntil: security.lockedUntil > now ? security.lockedUntil : null
+    };
+  }
+
+  // Only one of several parallel failures gets to lock (and reset the count)
+  const lockedUntil = new Date(now.getTime() + Math.min(BASE_LOCKOUT_MS * 2 ** (security.lockoutCount || 0), MAX_LOCKOUT_MS));
+  const locked = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'loginSecurity.failedAttempts': { $gte: MAX_FAILED_LOGINS } },
+    {
+      $set: { 'loginSecurity.lockedUntil': lockedUntil, 'loginSecurity.failedAttempts': 0 },
+      $inc: { 'loginSecurity.lockoutCount': 1 }
+    },
+    { new: true }
+  );
+  if (locked) {
+    return { lockedNow: true, lockedUntil };
   }
-  return false; // No reset
+
+  const current = await this.constructor.findById(this._id).select('loginSecurity');
+  return {
+    lockedNow: false,
+    lockedUntil: current && current.loginSecurity.lockedUntil > now ? current.loginSecurity.lockedUntil : null
+  };
+};
+
+// Method to clear failed attempts and the lockout backoff (successful login or admin unlock)
+userSchema.methods.resetLoginSecurity = function () {
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.lastFailedAt = undefined;
+  this.loginSecurity.lockedUntil = undefined;
+  this.loginSecurity.lockoutCount = 0;
+};
+
+// Method to check if an admin ban is in force (timed bans lapse on their own)
+userSchema.methods.isBanned = function () {
+  if (!this.ban || !this.ban.bannedAt) return false;
+  return !this.ban.expiresAt || this.ban.expiresAt > new Date();
+};
+
+// Method to ban the user
+userSchema.methods.applyBan = function (reason, expiresAt, bannedBy) {
+  this.ban = {
+    bannedAt: new Date(),
+    bannedBy,
+    reason,
+    expiresAt: expiresAt || undefined
+  };
+};
+
+// Method to lift a ban
+userSchema.methods.liftBan = function () {
+  this.ban = undefined;
+};
+
+// Check if subscription is active
+userSchema.methods.isSubscriptionActive = function () {
+  if (!this.isSubscribed || !this.subscriptionEnd) return false;
+  return new Date() < this.subscriptionEnd;
 };
 
+// Method to cancel at the end of the paid period: premium stays until subscriptionEnd
+userSchema.methods.cancelSubscriptionAtPeriodEnd = function (reason, comment) {
+  this.subscriptionRenewal.autoRenew = false;
+  this.subscriptionRenewal.cancelAtPeriodEnd = true;
+  this.subscriptionRenewal.cancelledAt = new Date();
+  this.subscriptionRenewal.cancellationReason = reason;
+  this.subscriptionRenewal.cancellationComment = comment || undefined;
+};
 
-// Check if user can apply (for free users)
-userSchema.methods.canApply = function () {
-  if (this.isSubscriptionActive()) return true;
+// Method to undo a cancellation before the paid period ends
+userSchema.methods.resumeSubscription = function () {
+  this.subscriptionRenewal.cancelAtPeriodEnd = false;
+  this.subscriptionRenewal.cancelledAt = undefined;
+  this.subscriptionRenewal.cancellationReason = undefined;
+  this.subscriptionRenewal.cancellationComment = undefined;
+};
 
-  this.resetWeeklyCountIfNeeded('weeklyApplications'); // Use the generic reset
-  const WEEKLY_APPLICATION_LIMIT = 3; // Define the limit here or as a constant elsewhere
-  return this.weeklyApplications.count < WEEKLY_APPLICATION_LIMIT;
+// Method to set the user's override for an entitlement, replacing any earlier one
+userSchema.methods.setEntitlementOverride = function (key, { enabled, limit, reason, expiresAt }, grantedBy) {
+  this.entitlementOverrides = this.entitlementOverrides.filter(override => override.key !== key);
+  this.entitlementOverrides.push({ key, enabled, limit, reason, expiresAt, grantedBy, grantedAt: new Date() });
+};
+
+// Method to remove the user's override for an entitlement; returns the removed one
+userSchema.methods.removeEntitlementOverride = function (key) {
+  const override = this.entitlementOverrides.find(o => o.key === key);
+  if (override) {
+    this.entitlementOverrides = this.entitlementOverrides.filter(o => o.key !== key);
+  }
+  return override;
 };
 
 // Get user profile data (excluding sensitive info)
@@ -216,7 +740,53 @@ userSchema.methods.getPublicProfile = function () {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.subscriptionId;
+  if (userObject.subscriptionRenewal) {
+    delete userObject.subscriptionRenewal.gatewaySubscriptionId;
+  }
+  delete userObject.passwordReset;
+  delete userObject.entitlementOverrides;
+  if (userObject.companyVerification) {
+    delete userObject.companyVerification.codeHash;
+  }
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
+// Static method to switch off subscriptions whose period has ended
+userSchema.statics.expireLapsedSubscriptions = async function (now = new Date()) {
+  const result = await this.updateMany(
+    { isSubscribed: true, subscriptionEnd: { $lte: now } },
+    { $set: { isSubscribed: false } }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to count users by role
+userSchema.statics.countByRole = function () {
+  return this.aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+};
+
+// Static method to count new signups per UTC day in a date range
+userSchema.statics.getSignupsPerDay = function (startDate, endDate) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: new Date(startDate), $lte: new Date(endDate) } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+userSchema.statics.CANCELLATION_REASONS = CANCELLATION_REASONS;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+// Give up on an event after this many failed attempts (an admin can still replay it)
+const MAX_ATTEMPTS = 8;
+// Retry backoff: 1 minute, doubling each attempt, at most 6 hours
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// How long a worker may hold an event before another one can take it over
+const PROCESSING_LOCK_MS = 5 * 60 * 1000;
+
+// One gateway webhook delivery, stored before it is processed. The (provider, eventId)
+// pair is unique, so redelivered events are recognised and only processed once.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'processed', 'failed', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  processedAt: {
+    type: Date
+  },
+  // How many times the gateway delivered this event
+  deliveries: {
+    type: Number
+  },
+  lastDeliveredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ eventType: 1, createdAt: -1 });
+// Processed events are kept for 90 days, well past any gateway redelivery window
+webhookEventSchema.index({ processedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static method to store a delivery; resolves { event, duplicate }
+webhookEventSchema.statics.record = async function ({ provider, eventId, eventType, payload }) {
+  const now = new Date();
+
+  try {
+    const result = await this.findOneAndUpdate(
+      { provider, eventId },
+      {
+        $setOnInsert: { eventType, payload, status: 'pending', nextAttemptAt: now },
+        $inc: { deliveries: 1 },
+        $set: { lastDeliveredAt: now }
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    return { event: result.value, duplicate: result.lastErrorObject.updatedExisting };
+  } catch (error) {
+    // Two deliveries racing to insert the same event: the loser is the duplicate
+    if (error.code === 11000) {
+      return { event: await this.findOne({ provider, eventId }), duplicate: true };
+    }
+    throw error;
+  }
+};
+
+// Static method to take an event for processing; resolves null if it is already
+// processed, dead, not yet due for a retry, or being processed elsewhere
+webhookEventSchema.statics.claim = function (id) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedUntil: new Date(now.getTime() + PROCESSING_LOCK_MS) },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Static method to find events due for a (re)try, oldest first
+webhookEventSchema.statics.findDue = function (limit = 50) {
+  const now = new Date();
+
+  return this.find({
+    $or: [
+      { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+      { status: 'processing', lockedUntil: { $lte: now } }
+    ]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+};
+
+// Method to record a successful run
+webhookEventSchema.methods.markProcessed = function () {
+  this.status = 'processed';
+  this.processedAt = new Date();
+  this.lockedUntil = undefined;
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Method to record a failed run and schedule the next attempt with exponential backoff
+webhookEventSchema.methods.markFailed = function (error) {
+  this.lastError = error.message || String(error);
+  this.lockedUntil = undefined;
+
+  if (this.attempts >= MAX_ATTEMPTS) {
+    this.status = 'dead';
+  } else {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (this.attempts - 1), MAX_RETRY_DELAY_MS);
+    this.status = 'failed';
+    this.nextAttemptAt = new Date(Date.now() + delay);
+  }
+  return this.save();
+};
+
+// Method to queue the event to run again now, whatever happened to it before
+webhookEventSchema.methods.requeue = function () {
+  this.status = 'pending';
+  this.nextAttemptAt = new Date();
+  this.lockedUntil = undefined;
+  this.processedAt = undefined;
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
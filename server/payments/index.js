@@ -0,0 +1,33 @@
+// /server/payments/index.js
+
+const createRazorpayProvider = require('./providers/razorpayProvider');
+const createFakeProvider = require('./providers/fakeProvider');
+
+// Every provider implements: createOrder, verifyPaymentSignature,
+// verifyWebhookSignature, refund, fetchPayment, createSubscription and
+// cancelSubscription (see razorpayProvider.js)
+const PROVIDERS = {
+  razorpay: createRazorpayProvider,
+  fake: createFakeProvider
+};
+
+let provider;
+
+// PAYMENT_PROVIDER picks the gateway: razorpay (default) or fake for offline
+// development. Resolves to null when the chosen gateway isn't configured (or fake is
+// picked in production), so callers can answer 503.
+const getPaymentProvider = () => {
+  if (provider === undefined) {
+    const name = process.env.PAYMENT_PROVIDER || 'razorpay';
+    const createProvider = PROVIDERS[name];
+    if (!createProvider) {
+      throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    provider = createProvider.isConfigured() ? createProvider() : null;
+  }
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider
+};
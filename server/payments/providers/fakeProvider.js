@@ -0,0 +1,220 @@
+// /server/payments/providers/fakeProvider.js
+
+const crypto = require('crypto');
+const { hmacSha256, signatureMatches } = require('../signature');
+
+const DEFAULT_SECRET = 'fake_payment_secret';
+const DEFAULT_WEBHOOK_DELAY_MS = 2000;
+
+const randomId = (prefix) => `${prefix}_fake_${crypto.randomBytes(7).toString('hex')}`;
+
+// An in-process stand-in for Razorpay, for local development and integration tests
+// without network access. Orders are paid with completePayment() instead of
+// Checkout, and webhooks are signed like Razorpay's and delivered to the registered
+// handler after FAKE_WEBHOOK_DELAY_MS. Recurring subscriptions are authorised at once
+// and charged with chargeSubscription(). State lives in memory and is lost on restart.
+const createFakeProvider = () => {
+  const secret = process.env.FAKE_PAYMENT_SECRET || DEFAULT_SECRET;
+  const webhookDelayMs = process.env.FAKE_WEBHOOK_DELAY_MS !== undefined
+    ? parseInt(process.env.FAKE_WEBHOOK_DELAY_MS, 10)
+    : DEFAULT_WEBHOOK_DELAY_MS;
+
+  const orders = new Map();
+  const payments = new Map();
+  const subscriptions = new Map();
+  let webhookHandler = null;
+
+  // Sign and deliver a Razorpay-shaped webhook, like the real gateway would.
+  // `entities` maps entity names to entities, e.g. { payment: {...} }.
+  const sendWebhook = (event, entities) => {
+    const payload = {};
+    Object.entries(entities).forEach(([entityName, entity]) => {
+      payload[entityName] = { entity };
+    });
+    const rawBody = Buffer.from(JSON.stringify({
+      entity: 'event',
+      event,
+      payload,
+      created_at: Math.floor(Date.now() / 1000)
+    }));
+    const delivery = {
+      rawBody,
+      signature: hmacSha256(secret, rawBody),
+      eventId: randomId('evt')
+    };
+
+    const timer = setTimeout(() => {
+      if (!webhookHandler) {
+        console.warn(`Fake payment provider: no webhook handler registered for ${event}`);
+        return;
+      }
+      Promise.resolve(webhookHandler(delivery))
+        .catch((error) => console.error(`Fake payment provider: ${event} webhook failed:`, error));
+    }, webhookDelayMs);
+    // Don't keep the process (or a test run) alive just to deliver a webhook
+    timer.unref();
+  };
+
+  const toPaymentResult = (payment) => ({
+    id: payment.id,
+    orderId: payment.order_id,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    method: payment.method
+  });
+
+  return {
+    name: 'fake',
+    publicKey: 'rzp_fake_key',
+
+    createOrder: async ({ amount, currency, receipt, notes }) => {
+      const order = { id: randomId('order'), amount, currency, receipt, notes, status: 'created' };
+      orders.set(order.id, order);
+      return { id: order.id, amount, currency };
+    },
+
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+      signatureMatches(hmacSha256(secret, `${orderId}|${paymentId}`), signature),
+
+    verifyWebhookSignature: (rawBody, signature) =>
+      signatureMatches(hmacSha256(secret, rawBody), signature),
+
+    refund: async (gatewayPaymentId, { amount, notes } = {}) => {
+      const payment = payments.get(gatewayPaymentId);
+      if (!payment || payment.status !== 'captured') {
+        throw new Error('The payment has not been captured');
+      }
+
+      // Like Razorpay, a payment can be refunded in parts up to what was paid
+      const refundable = payment.amount - (payment.amount_refunded || 0);
+      if ((amount || refundable) > refundable) {
+        throw new Error('The refund amount is more than the payment has left');
+      }
+      payment.amount_refunded = (payment.amount_refunded || 0) + (amount || refundable);
+
+      const refund = {
+        id: randomId('rfnd'),
+        payment_id: payment.id,
+        amount: amount || refundable,
+        currency: payment.currency,
+        notes,
+        status: 'pending'
+      };
+
+      // FAKE_REFUND_OUTCOME=failed simulates the bank rejecting the refund
+      const failed = process.env.FAKE_REFUND_OUTCOME === 'failed';
+      sendWebhook(failed ? 'refund.failed' : 'refund.processed', {
+        refund: {
+          ...refund,
+          status: failed ? 'failed' : 'processed',
+          error_description: failed ? 'Simulated refund failure' : undefined
+        }
+      });
+
+      return { id: refund.id, amount: refund.amount, status: refund.status };
+    },
+
+    fetchPayment: async (gatewayPaymentId) => {
+      const payment = payments.get(gatewayPaymentId);
+      if (!payment) {
+        throw new Error(`Payment ${gatewayPaymentId} not found`);
+      }
+      return toPaymentResult(payment);
+    },
+
+    // Authorised straight away: there is no customer to ask
+    createSubscription: async ({ subscriptionType, amount, currency, startAt, notes }) => {
+      const subscription = {
+        id: randomId('sub'),
+        plan_id: `plan_fake_${subscriptionType}`,
+        amount,
+        currency,
+        start_at: Math.floor(new Date(startAt).getTime() / 1000),
+        notes,
+        status: 'authenticated'
+      };
+      subscriptions.set(subscription.id, subscription);
+      sendWebhook('subscription.authenticated', { subscription });
+      return { id: subscription.id, status: 'created', shortUrl: null };
+    },
+
+    cancelSubscription: async (gatewaySubscriptionId) => {
+      const subscription = subscriptions.get(gatewaySubscriptionId);
+      if (!subscription) {
+        throw new Error(`Subscription ${gatewaySubscriptionId} not found`);
+      }
+      subscription.status = 'cancelled';
+      sendWebhook('subscription.cancelled', { subscription });
+      return { id: subscription.id, status: subscription.status };
+    },
+
+    // Fake-only: pay an order as the customer would in Checkout. `outcome` is
+    // 'success' or 'failure'. Successful payments resolve the fields Checkout hands
+    // the client (razorpay_order_id, razorpay_payment_id, razorpay_signature).
+    completePayment: async (orderId, { outcome = 'success', method = 'card' } = {}) => {
+      const order = orders.get(orderId);
+      if (!order) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+
+      const succeeded = outcome !== 'failure';
+      const payment = {
+        id: randomId('pay'),
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        method,
+        status: succeeded ? 'captured' : 'failed',
+        error_description: succeeded ? undefined : 'Simulated payment failure'
+      };
+      payments.set(payment.id, payment);
+      order.status = succeeded ? 'paid' : 'attempted';
+
+      sendWebhook(succeeded ? 'payment.captured' : 'payment.failed', { payment });
+
+      if (!succeeded) {
+        return { status: 'failed', razorpay_order_id: order.id, error: payment.error_description };
+      }
+      return {
+        status: 'captured',
+        razorpay_order_id: order.id,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: hmacSha256(secret, `${order.id}|${payment.id}`)
+      };
+    },
+
+    // Fake-only: run a recurring subscription's next charge now, as the gateway would
+    // when a billing cycle starts. Resolves the captured payment.
+    chargeSubscription: async (gatewaySubscriptionId) => {
+      const subscription = subscriptions.get(gatewaySubscriptionId);
+      if (!subscription || !['authenticated', 'active'].includes(subscription.status)) {
+        throw new Error(`Subscription ${gatewaySubscriptionId} can't be charged`);
+      }
+
+      const payment = {
+        id: randomId('pay'),
+        order_id: randomId('order'),
+        amount: subscription.amount,
+        currency: subscription.currency,
+        method: 'card',
+        status: 'captured'
+      };
+      payments.set(payment.id, payment);
+      subscription.status = 'active';
+
+      sendWebhook('subscription.charged', { subscription, payment });
+      return toPaymentResult(payment);
+    },
+
+    // Fake-only: where delayed webhooks are delivered ({ rawBody, signature, eventId })
+    setWebhookHandler: (handler) => {
+      webhookHandler = handler;
+    }
+  };
+};
+
+// Never let the fake gateway take real customers' orders
+createFakeProvider.isConfigured = () => process.env.NODE_ENV !== 'production';
+
+module.exports = createFakeProvider;
@@ -0,0 +1,94 @@
+// /server/payments/providers/razorpayProvider.js
+
+const Razorpay = require('razorpay');
+const { hmacSha256, signatureMatches } = require('../signature');
+
+// Talks to Razorpay with the account's API keys
+const createRazorpayProvider = () => {
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  // Recurring subscriptions charge a plan created in the Razorpay dashboard. Each plan
+  // version names its own; these cover the default plans when it doesn't.
+  const planIds = {
+    monthly: process.env.RAZORPAY_MONTHLY_PLAN_ID,
+    yearly: process.env.RAZORPAY_YEARLY_PLAN_ID
+  };
+  // Webhooks are signed with their own secret (set in the Razorpay dashboard)
+  const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET || keySecret;
+
+  const client = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: keySecret
+  });
+
+  return {
+    name: 'razorpay',
+    // Handed to the client to open Razorpay Checkout
+    publicKey: process.env.RAZORPAY_KEY_ID,
+
+    // Create an order for the checkout to pay. Resolves { id, amount, currency }.
+    createOrder: async ({ amount, currency, receipt, notes }) => {
+      const order = await client.orders.create({ amount, currency, receipt, notes });
+      return { id: order.id, amount: order.amount, currency: order.currency };
+    },
+
+    // Check the signature Checkout returns after a successful payment
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+      signatureMatches(hmacSha256(keySecret, `${orderId}|${paymentId}`), signature),
+
+    // Check the X-Razorpay-Signature header against the raw request body
+    verifyWebhookSignature: (rawBody, signature) =>
+      signatureMatches(hmacSha256(webhookSecret, rawBody), signature),
+
+    // Refund a captured payment (amount in paise; omit it for a full refund).
+    // Resolves { id, amount, status } where status is 'pending' or 'processed'.
+    refund: async (gatewayPaymentId, { amount, notes } = {}) => {
+      const refund = await client.payments.refund(gatewayPaymentId, { amount, notes });
+      return { id: refund.id, amount: refund.amount, status: refund.status };
+    },
+
+    // Look up a payment. Resolves { id, orderId, amount, currency, status, method }.
+    fetchPayment: async (gatewayPaymentId) => {
+      const payment = await client.payments.fetch(gatewayPaymentId);
+      return {
+        id: payment.id,
+        orderId: payment.order_id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        method: payment.method
+      };
+    },
+
+    // Start a recurring subscription whose first charge is at `startAt`. The price comes
+    // from the dashboard plan (`gatewayPlanId`), not `amount`. The customer authorises it
+    // in Checkout with the returned id; charges then arrive as subscription.charged
+    // webhooks. Resolves { id, status, shortUrl }.
+    createSubscription: async ({ subscriptionType, gatewayPlanId, durationDays, startAt, notes }) => {
+      const planId = gatewayPlanId || planIds[subscriptionType];
+      if (!planId) {
+        throw new Error(`Plan ${subscriptionType} has no Razorpay plan ID`);
+      }
+      const subscription = await client.subscriptions.create({
+        plan_id: planId,
+        // Razorpay needs a limit; this is about ten years of renewals
+        total_count: Math.max(Math.round(3650 / durationDays), 1),
+        start_at: Math.floor(new Date(startAt).getTime() / 1000),
+        customer_notify: 1,
+        notes
+      });
+      return { id: subscription.id, status: subscription.status, shortUrl: subscription.short_url };
+    },
+
+    // Stop a recurring subscription so it is never charged again. Resolves { id, status }.
+    cancelSubscription: async (gatewaySubscriptionId) => {
+      const subscription = await client.subscriptions.cancel(gatewaySubscriptionId, false);
+      return { id: subscription.id, status: subscription.status };
+    }
+  };
+};
+
+// Razorpay can only be used once both keys are set
+createRazorpayProvider.isConfigured = () =>
+  Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+
+module.exports = createRazorpayProvider;
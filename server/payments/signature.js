@@ -0,0 +1,18 @@
+// /server/payments/signature.js
+
+const crypto = require('crypto');
+
+// Hex HMAC-SHA256, the scheme Razorpay uses for checkout and webhook signatures
+const hmacSha256 = (secret, data) =>
+  crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+// Compare a received signature with the expected one without leaking timing
+const signatureMatches = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+module.exports = {
+  hmacSha256,
+  signatureMatches
+};
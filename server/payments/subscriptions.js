@@ -0,0 +1,134 @@
+// /server/payments/subscriptions.js
+
+const Payment = require('../models/Payment');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The gateway won't take orders below ₹1
+const MIN_ORDER_AMOUNT = 100;
+// Renewals stack onto the current period, but only this far into the future
+const MAX_PREPAID_DAYS = 730;
+
+// Work out what buying `plan` (a Plan at its current version) now would do for the user
+// and cost them:
+// - new: nothing active, the period starts now
+// - renewal: the period is added after the current subscriptionEnd
+// - upgrade: a different plan with longer periods than the current one (monthly to
+//   yearly); its period starts now and the unused part of every remaining paid period
+//   is credited against its price
+// Resolves { error } instead when the purchase isn't allowed.
+const priceSubscription = async (user, plan, now) => {
+  const version = plan.getCurrentVersion();
+  const quote = {
+    subscriptionType: plan.key,
+    plan,
+    version,
+    listAmount: version.amount,
+    creditAmount: 0,
+    discountAmount: 0,
+    amount: version.amount,
+    upgradedFrom: []
+  };
+
+  const coverage = user.isSubscriptionActive() ? await Payment.findCoverage(user._id, now) : [];
+  const current = coverage.find(payment => payment.subscriptionStart <= now);
+
+  if (!current) {
+    return {
+      ...quote,
+      purpose: 'new',
+      periodStart: now,
+      periodEnd: new Date(now.getTime() + version.durationDays * DAY_MS)
+    };
+  }
+
+  const currentDays = (current.subscriptionEnd - current.subscriptionStart) / DAY_MS;
+  if (plan.key !== current.subscriptionType && version.durationDays > currentDays) {
+    // The recurring subscription would keep charging for the current plan
+    if (user.subscriptionRenewal && user.subscriptionRenewal.autoRenew) {
+      return { error: 'Turn off auto-renew before upgrading your plan' };
+    }
+
+    const creditAmount = coverage.reduce((sum, payment) => sum + payment.getUnusedValue(now), 0);
+
+    if (version.amount - creditAmount < MIN_ORDER_AMOUNT) {
+      return { error: `Your remaining paid time is worth more than the ${plan.name} plan, so there is nothing to upgrade yet` };
+    }
+
+    return {
+      ...quote,
+      purpose: 'upgrade',
+      creditAmount,
+      amount: version.amount - creditAmount,
+      upgradedFrom: coverage.map(payment => payment._id),
+      periodStart: now,
+      periodEnd: new Date(now.getTime() + version.durationDays * DAY_MS)
+    };
+  }
+
+  const periodStart = new Date(user.subscriptionEnd);
+  const periodEnd = new Date(periodStart.getTime() + version.durationDays * DAY_MS);
+
+  if (periodEnd - now > MAX_PREPAID_DAYS * DAY_MS) {
+    return { error: `Subscriptions can be paid for at most ${MAX_PREPAID_DAYS} days ahead` };
+  }
+
+  return { ...quote, purpose: 'renewal', periodStart, periodEnd };
+};
+
+// Price a purchase (see priceSubscription), taking a coupon's discount off what is left
+// after any upgrade credit. The discount never takes the order below the gateway minimum.
+const quoteSubscription = async (user, plan, { coupon, now = new Date() } = {}) => {
+  const quote = await priceSubscription(user, plan, now);
+  if (quote.error || !coupon) {
+    return quote;
+  }
+
+  const maxDiscount = Math.max(quote.amount - MIN_ORDER_AMOUNT, 0);
+  const discountAmount = Math.min(coupon.calculateDiscount(quote.amount), maxDiscount);
+  return { ...quote, coupon, discountAmount, amount: quote.amount - discountAmount };
+};
+
+// Find the coupon a customer entered and check they can use it on `subscriptionType`.
+// Resolves { coupon } or { error }. Checkout still has to reserve a use, which can fail
+// if others got there first.
+const findUsableCoupon = async (code, user, subscriptionType) => {
+  const coupon = await Coupon.findByCode(code);
+  if (!coupon) {
+    return { error: 'Invalid coupon code' };
+  }
+
+  const reason = coupon.getIneligibilityReason(subscriptionType);
+  if (reason) {
+    return { error: reason };
+  }
+
+  if (await CouponRedemption.countLive(coupon._id, user._id) >= coupon.perUserLimit) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  return { coupon };
+};
+
+// The quote fields worth showing the customer
+const toQuoteResponse = (quote) => ({
+  subscriptionType: quote.subscriptionType,
+  planVersion: quote.version.version,
+  purpose: quote.purpose,
+  listAmount: quote.listAmount,
+  creditAmount: quote.creditAmount,
+  discountAmount: quote.discountAmount,
+  couponCode: quote.coupon ? quote.coupon.code : undefined,
+  amount: quote.amount,
+  currency: quote.version.currency,
+  periodStart: quote.periodStart,
+  periodEnd: quote.periodEnd
+});
+
+module.exports = {
+  quoteSubscription,
+  findUsableCoupon,
+  toQuoteResponse
+};
@@ -0,0 +1,232 @@
+// /server/payments/webhooks.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getPaymentProvider } = require('./index');
+const Plan = require('../models/Plan');
+
+const PAYMENT_METHODS = Payment.schema.path('paymentMethod').enumValues;
+
+// The user whose auto-renewal is this gateway subscription
+const findRenewingUser = (entity) =>
+  User.findOne({ 'subscriptionRenewal.gatewaySubscriptionId': entity.id });
+
+// The customer authorised the recurring subscription: auto-renew is on
+const handleSubscriptionAuthorised = async ({ subscription: { entity } }) => {
+  const user = await findRenewingUser(entity);
+  if (!user) {
+    console.warn(`Webhook for unknown gateway subscription ${entity.id}`);
+    return;
+  }
+
+  user.subscriptionRenewal.autoRenew = true;
+  user.subscriptionRenewal.gatewayStatus = entity.status;
+  await user.save();
+};
+
+// The gateway won't charge the subscription again
+const handleSubscriptionEnded = async ({ subscription: { entity } }) => {
+  const user = await findRenewingUser(entity);
+  if (!user) return;
+
+  user.subscriptionRenewal.autoRenew = false;
+  user.subscriptionRenewal.gatewayStatus = entity.status;
+  await user.save();
+};
+
+// The payment a refund belongs to. The webhook can arrive before startRefund has saved
+// the refund ID, so fall back to the gateway payment ID and the payment ID sent in the
+// refund's notes. Throws when nothing matches, so the event is retried rather than dropped.
+const findRefundedPayment = async (entity) => {
+  const paymentId = entity.notes && entity.notes.paymentId;
+  const payment = await Payment.findOne({ 'refunds.refundId': entity.id }) ||
+    await Payment.findOne({ refundId: entity.id }) ||
+    (entity.payment_id && await Payment.findOne({ razorpayPaymentId: entity.payment_id })) ||
+    (mongoose.isValidObjectId(paymentId) && await Payment.findById(paymentId));
+
+  if (!payment) {
+    throw new Error(`No payment found for refund ${entity.id}`);
+  }
+  return payment;
+};
+
+const describeRefund = (entity) => ({
+  refundId: entity.id,
+  amount: entity.amount,
+  reason: entity.notes && entity.notes.reason
+});
+
+// Handlers throw on failure so the event is retried. Each one must be safe to run
+// again: an admin replay or a retry after a crash can repeat an event.
+const handlers = {
+  'payment.captured': async ({ payment: { entity } }) => {
+    const payment = await Payment.findOne({ razorpayOrderId: entity.order_id });
+    if (!payment) {
+      console.warn(`Webhook payment.captured for unknown order ${entity.order_id}`);
+      return;
+    }
+
+    if (payment.status !== 'paid' && payment.status !== 'refunded') {
+      await payment.markAsSuccessful(entity.id, null);
+    }
+    // Not a save(): /verify may have changed the payment since it was loaded
+    await Payment.updateOne({ _id: payment._id }, { $set: { webhookReceived: true, webhookData: entity } });
+  },
+
+  'payment.failed': async ({ payment: { entity } }) => {
+    const payment = await Payment.findOne({ razorpayOrderId: entity.order_id });
+    if (!payment) {
+      console.warn(`Webhook payment.failed for unknown order ${entity.order_id}`);
+      return;
+    }
+
+    // A failed attempt doesn't undo a later successful one on the same order
+    if (['created', 'attempted'].includes(payment.status)) {
+      await payment.markAsFailed(entity.error_description || 'Payment failed');
+    }
+    await Payment.updateOne({ _id: payment._id }, { $set: { webhookReceived: true, webhookData: entity } });
+  },
+
+  // A renewal charge: record it as a renewal payment that adds the next period
+  'subscription.charged': async ({ subscription: { entity: subscription }, payment: { entity } }) => {
+    const user = await findRenewingUser(subscription);
+    if (!user) {
+      console.warn(`Webhook subscription.charged for unknown gateway subscription ${subscription.id}`);
+      return;
+    }
+
+    let payment = await Payment.findOne({ razorpayPaymentId: entity.id });
+    if (!payment) {
+      // The gateway charges the terms the customer authorised, not the plan's current ones
+      const subscriptionType = user.subscriptionRenewal.subscriptionType;
+      const plan = await Plan.findOne({ key: subscriptionType });
+      if (!plan) {
+        throw new Error(`Plan ${subscriptionType} not found`);
+      }
+      const version = plan.getVersion(user.subscriptionRenewal.planVersion);
+      payment = await Payment.create({
+        user: user._id,
+        razorpayOrderId: entity.order_id || `${subscription.id}:${entity.id}`,
+        razorpayPaymentId: entity.id,
+        amount: entity.amount,
+        currency: entity.currency,
+        subscriptionType,
+        plan: plan._id,
+        planVersion: version.version,
+        purpose: 'renewal',
+        durationDays: version.durationDays,
+        listAmount: entity.amount,
+        paymentMethod: PAYMENT_METHODS.includes(entity.method) ? entity.method : undefined,
+        description: `${plan.name} Subscription (auto-renewal)`,
+        billingDetails: await Payment.findLastBillingDetails(user._id),
+        status: 'created'
+      });
+    }
+
+    if (payment.status === 'created') {
+      await payment.markAsSuccessful(entity.id, null);
+    }
+
+    await User.updateOne({ _id: user._id }, { 'subscriptionRenewal.gatewayStatus': subscription.status });
+  },
+
+  'subscription.authenticated': handleSubscriptionAuthorised,
+  'subscription.activated': handleSubscriptionAuthorised,
+  'subscription.cancelled': handleSubscriptionEnded,
+  'subscription.completed': handleSubscriptionEnded,
+  'subscription.halted': handleSubscriptionEnded,
+
+  // Both are no-ops for a refund that has already settled
+  'refund.processed': async ({ refund: { entity } }) => {
+    const payment = await findRefundedPayment(entity);
+    await payment.processRefund(describeRefund(entity));
+  },
+
+  'refund.failed': async ({ refund: { entity } }) => {
+    const payment = await findRefundedPayment(entity);
+    await payment.markRefundFailed(describeRefund(entity), entity.error_description || 'Refund failed');
+  }
+};
+
+// Run a stored event if it can be claimed; resolves the event's new status, or null
+// if it was already processed or another worker has it
+const processWebhookEvent = async (webhookEvent) => {
+  const claimed = await WebhookEvent.claim(webhookEvent._id);
+  if (!claimed) {
+    return null;
+  }
+
+  const handler = handlers[claimed.eventType];
+
+  try {
+    // Events without a handler are stored and marked processed; WebhookEvent keeps the record
+    if (handler) {
+      await handler(claimed.payload.payload || {});
+    }
+    await claimed.markProcessed();
+  } catch (error) {
+    console.error(`Webhook ${claimed.eventType} (${claimed.eventId}) failed:`, error);
+    await claimed.markFailed(error);
+  }
+
+  return claimed.status;
+};
+
+// Verify, store and process one delivery. Resolves { status } where status is
+// 'not_configured', 'invalid_signature', 'duplicate' or the processing outcome; only
+// throws if the event couldn't be stored, so the gateway redelivers it.
+const receiveWebhook = async ({ rawBody, signature, eventId }) => {
+  const provider = getPaymentProvider();
+
+  if (!provider) {
+    return { status: 'not_configured' };
+  }
+  if (!provider.verifyWebhookSignature(rawBody, signature)) {
+    return { status: 'invalid_signature' };
+  }
+
+  const body = JSON.parse(rawBody);
+  const { event, duplicate } = await WebhookEvent.record({
+    provider: provider.name,
+    // Fall back to the body's hash for deliveries without an event ID header
+    eventId: eventId || crypto.createHash('sha256').update(rawBody).digest('hex'),
+    eventType: body.event,
+    payload: body
+  });
+
+  if (duplicate) {
+    return { status: 'duplicate', event };
+  }
+
+  const status = await processWebhookEvent(event);
+  return { status: status || event.status, event };
+};
+
+// Retry stored events whose backoff has elapsed (and take over stale claims)
+const retryDueWebhooks = async (limit) => {
+  const due = await WebhookEvent.findDue(limit);
+  const counts = { retried: 0, processed: 0, failed: 0 };
+
+  for (const webhookEvent of due) {
+    const status = await processWebhookEvent(webhookEvent);
+    if (!status) continue;
+
+    counts.retried += 1;
+    if (status === 'processed') {
+      counts.processed += 1;
+    } else {
+      counts.failed += 1;
+    }
+  }
+
+  return counts;
+};
+
+module.exports = {
+  processWebhookEvent,
+  receiveWebhook,
+  retryDueWebhooks
+};
@@ -0,0 +1,181 @@
+// /server/routes/adminRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken, authorizeRole, requireAdminTwoFactor } = require('../middleware/auth');
+const {
+  getDashboardSummary,
+  getAuditEvents,
+  getPayments,
+  refundPayment,
+  getInvoices,
+  getWebhookEvents,
+  replayWebhookEvent,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  getPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  getJobRuns,
+  getUsers,
+  updateUserRole,
+  banUser,
+  unbanUser,
+  setUserVerification,
+  unlockUser,
+  getUserEntitlements,
+  setUserEntitlementOverride,
+  removeUserEntitlementOverride,
+  verifyReferrerCompany,
+  revokeReferrerCompany,
+  getSecurityPolicy,
+  updateSecurityPolicy
+} = require('../controllers/adminController');
+
+// Every admin route requires an authenticated admin (with 2FA when the policy demands it)
+router.use(authenticateToken, authorizeRole(['admin']), requireAdminTwoFactor);
+
+// @route   GET /api/admin/dashboard-summary
+// @desc    Platform totals and trends (?from=YYYY-MM-DD&to=YYYY-MM-DD, default last 30 days)
+// @access  Private (Admin only)
+router.get('/dashboard-summary', getDashboardSummary);
+
+// @route   GET /api/admin/audit
+// @desc    Browse the audit log (filter by actor, targetType/targetId, action, from/to)
+// @access  Private (Admin only)
+router.get('/audit', getAuditEvents);
+
+// @route   GET /api/admin/payments
+// @desc    List payments (?status, user, page, limit)
+// @access  Private (Admin only)
+router.get('/payments', getPayments);
+
+// @route   POST /api/admin/payments/:id/refund
+// @desc    Refund a payment in full, or in part with { amount } in paise
+// @access  Private (Admin only)
+router.post('/payments/:id/refund', refundPayment);
+
+// @route   GET /api/admin/invoices
+// @desc    List invoices and credit notes with tax totals (?type, from, to, search, page, limit)
+// @access  Private (Admin only)
+router.get('/invoices', getInvoices);
+
+// @route   GET /api/admin/webhooks
+// @desc    List stored payment webhook events (?status, eventType, page, limit)
+// @access  Private (Admin only)
+router.get('/webhooks', getWebhookEvents);
+
+// @route   POST /api/admin/webhooks/:id/replay
+// @desc    Process a stored webhook event again now
+// @access  Private (Admin only)
+router.post('/webhooks/:id/replay', replayWebhookEvent);
+
+// @route   GET /api/admin/coupons
+// @desc    List coupons (?active, search, page, limit)
+// @access  Private (Admin only)
+router.get('/coupons', getCoupons);
+
+// @route   POST /api/admin/coupons
+// @desc    Create a coupon (percent or flat, limits, validity window, plans)
+// @access  Private (Admin only)
+router.post('/coupons', createCoupon);
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update or withdraw a coupon
+// @access  Private (Admin only)
+router.put('/coupons/:id', updateCoupon);
+
+// @route   GET /api/admin/plans
+// @desc    List every subscription plan with its price history
+// @access  Private (Admin only)
+router.get('/plans', getPlans);
+
+// @route   POST /api/admin/plans
+// @desc    Create a subscription plan
+// @access  Private (Admin only)
+router.post('/plans', createPlan);
+
+// @route   PUT /api/admin/plans/:id
+// @desc    Update a plan; price or duration changes add a new version
+// @access  Private (Admin only)
+router.put('/plans/:id', updatePlan);
+
+// @route   DELETE /api/admin/plans/:id
+// @desc    Delete a plan that was never sold
+// @access  Private (Admin only)
+router.delete('/plans/:id', deletePlan);
+
+// @route   GET /api/admin/jobs/runs
+// @desc    Get recent scheduled job runs (filter with ?job=expirySweep)
+// @access  Private (Admin only)
+router.get('/jobs/runs', getJobRuns);
+
+// @route   GET /api/admin/settings/security
+// @desc    Get the security policy (e.g. mandatory admin 2FA)
+// @access  Private (Admin only)
+router.get('/settings/security', getSecurityPolicy);
+
+// @route   PUT /api/admin/settings/security
+// @desc    Update the security policy
+// @access  Private (Admin only)
+router.put('/settings/security', updateSecurityPolicy);
+
+// @route   GET /api/admin/users
+// @desc    List users (?page, limit, search, role, status, verified, sortBy, order)
+// @access  Private (Admin only)
+router.get('/users', getUsers);
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (Admin only)
+router.put('/users/:id/role', updateUserRole);
+
+// @route   PUT /api/admin/users/:id/ban
+// @desc    Ban a user with a reason and optional expiry
+// @access  Private (Admin only)
+router.put('/users/:id/ban', banUser);
+
+// @route   PUT /api/admin/users/:id/unban
+// @desc    Lift a user's ban
+// @access  Private (Admin only)
+router.put('/users/:id/unban', unbanUser);
+
+// @route   PUT /api/admin/users/:id/verification
+// @desc    Mark a user's email as verified or unverified
+// @access  Private (Admin only)
+router.put('/users/:id/verification', setUserVerification);
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Lift a temporary login lockout
+// @access  Private (Admin only)
+router.post('/users/:id/unlock', unlockUser);
+
+// @route   GET /api/admin/users/:id/entitlements
+// @desc    Get a user's features, quota usage and overrides
+// @access  Private (Admin only)
+router.get('/users/:id/entitlements', getUserEntitlements);
+
+// @route   PUT /api/admin/users/:id/entitlements/:key
+// @desc    Grant or withhold a feature, or set a quota limit, for one user
+// @access  Private (Admin only)
+router.put('/users/:id/entitlements/:key', setUserEntitlementOverride);
+
+// @route   DELETE /api/admin/users/:id/entitlements/:key
+// @desc    Remove a user's entitlement override
+// @access  Private (Admin only)
+router.delete('/users/:id/entitlements/:key', removeUserEntitlementOverride);
+
+// @route   PUT /api/admin/users/:id/company-verification
+// @desc    Verify a referrer's company by hand
+// @access  Private (Admin only)
+router.put('/users/:id/company-verification', verifyReferrerCompany);
+
+// @route   DELETE /api/admin/users/:id/company-verification
+// @desc    Remove a referrer's company verification
+// @access  Private (Admin only)
+router.delete('/users/:id/company-verification', revokeReferrerCompany);
+
+module.exports = router;
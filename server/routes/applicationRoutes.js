@@ -0,0 +1,82 @@
+// /server/routes/applicationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken, authorizeRole, requireVerifiedEmail, requireQuota } = require('../middleware/auth');
+const { uploadAttachment } = require('../middleware/uploadMiddleware');
+const {
+  createApplicationValidation,
+  updateStatusValidation,
+  sendMessageValidation,
+  createApplication,
+  getMyApplications,
+  getProvidedApplications,
+  getApplicationById,
+  updateApplicationStatus,
+  withdrawApplication,
+  getMessages,
+  sendMessage,
+  getUnreadMessageCounts
+} = require('../controllers/applicationController');
+
+// @route   POST /api/applications
+// @desc    Apply to a referral
+// @access  Private (Job Seeker only)
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRole(['jobSeeker']),
+  requireVerifiedEmail,
+  requireQuota('weekly_applications'),
+  createApplicationValidation,
+  createApplication
+);
+
+// @route   GET /api/applications/my
+// @desc    Get the current job seeker's applications
+// @access  Private (Job Seeker only)
+router.get('/my', authenticateToken, authorizeRole(['jobSeeker']), getMyApplications);
+
+// @route   GET /api/applications/provided
+// @desc    Get applications received on the current referrer's referrals
+// @access  Private (Referrer and Admin)
+router.get('/provided', authenticateToken, authorizeRole(['referrer', 'admin']), getProvidedApplications);
+
+// @route   GET /api/applications/messages/unread
+// @desc    Get unread message counts across the current user's applications
+// @access  Private
+router.get('/messages/unread', authenticateToken, getUnreadMessageCounts);
+
+// @route   GET /api/applications/:id
+// @desc    Get a single application
+// @access  Private (Applicant, Referrer, or Admin)
+router.get('/:id', authenticateToken, getApplicationById);
+
+// @route   PUT /api/applications/:id/status
+// @desc    Move an application through the review pipeline
+// @access  Private (Referrer and Admin)
+router.put(
+  '/:id/status',
+  authenticateToken,
+  authorizeRole(['referrer', 'admin']),
+  updateStatusValidation,
+  updateApplicationStatus
+);
+
+// @route   PUT /api/applications/:id/withdraw
+// @desc    Withdraw an application
+// @access  Private (Applicant only)
+router.put('/:id/withdraw', authenticateToken, authorizeRole(['jobSeeker']), withdrawApplication);
+
+// @route   GET /api/applications/:id/messages
+// @desc    Get the message thread for an application
+// @access  Private (Applicant and Referrer only)
+router.get('/:id/messages', authenticateToken, getMessages);
+
+// @route   POST /api/applications/:id/messages
+// @desc    Send a message, optionally with an 'attachment' file
+// @access  Private (Applicant and Referrer only)
+router.post('/:id/messages', authenticateToken, uploadAttachment, sendMessageValidation, sendMessage);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorizeRole, optionalAuth } = require('../middleware/auth');
 const {
   registerUser,
   registerValidation,
@@ -11,18 +11,57 @@ const {
   logoutUser,
   changePassword,
   changePasswordValidation,
-  deactivateAccount
+  deactivateAccount,
+  verifyEmail,
+  verifyEmailValidation,
+  resendVerificationEmail,
+  forgotPassword,
+  forgotPasswordValidation,
+  resetPassword,
+  resetPasswordValidation,
+  loginTwoFactor,
+  loginTwoFactorValidation,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 } = require('../controllers/auth.controller');
 
 // Public Routes
 router.post('/register', registerValidation, registerUser);
 router.post('/login', loginValidation, loginUser);
+router.post('/login/2fa', loginTwoFactorValidation, loginTwoFactor);
+router.post('/verify-email', verifyEmailValidation, verifyEmail);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+
+// Session Routes (use the httpOnly refresh cookie, so they work with an expired access token)
+router.post('/refresh', refreshToken);
+router.post('/logout', optionalAuth, logoutUser);
 
 // Private Routes (require authentication)
 router.get('/me', authenticateToken, getMe);
-router.post('/refresh', authenticateToken, refreshToken);
-router.post('/logout', authenticateToken, logoutUser);
 router.put('/change-password', authenticateToken, changePasswordValidation, changePassword);
 router.post('/deactivate', authenticateToken, deactivateAccount);
+router.post('/resend-verification', authenticateToken, resendVerificationEmail);
+
+// Two-Factor Authentication (Referrer/Admin)
+const canUseTwoFactor = authorizeRole(['referrer', 'admin']);
+router.get('/2fa', authenticateToken, canUseTwoFactor, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, canUseTwoFactor, setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, canUseTwoFactor, twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, canUseTwoFactor, disableTwoFactorValidation, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, canUseTwoFactor, twoFactorCodeValidation, regenerateRecoveryCodes);
+
+// Device / Session Management
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+router.delete('/sessions/:id', authenticateToken, revokeSession);
 
 module.exports = router;
\ No newline at end of file
@@ -1,47 +1,234 @@
 const express = require('express');
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
 const { authenticateToken, isJobSeeker } = require('../middleware/auth');
+const { getPaymentProvider } = require('../payments');
+const CouponRedemption = require('../models/CouponRedemption');
+const Plan = require('../models/Plan');
+const Invoice = require('../models/Invoice');
+const { renderInvoicePdf } = require('../invoices/pdf');
+const { GST_STATES, GSTIN_PATTERN, findStateCode } = require('../invoices/gst');
+const {
+  quoteSubscription,
+  findUsableCoupon,
+  toQuoteResponse
+} = require('../payments/subscriptions');
 
 const router = express.Router();
 
-// Initialize Razorpay (only if keys are provided)
-let razorpay = null;
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-  razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
+// Razorpay-compatible payment methods we record on the Payment
+const PAYMENT_METHODS = ['card', 'netbanking', 'wallet', 'upi'];
+
+const BILLING_FIELDS = ['name', 'gstin', 'addressLine1', 'addressLine2', 'city', 'state', 'postalCode'];
+
+// Billing details as entered at checkout, with the GST state code worked out
+const toBillingDetails = (input, user) => {
+  const billing = {};
+  BILLING_FIELDS.forEach(field => {
+    if (input[field]) billing[field] = input[field];
   });
-}
-
-// Subscription plans
-const SUBSCRIPTION_PLANS = {
-  monthly: {
-    amount: 9900, // ₹99 in paise
-    currency: 'INR',
-    duration: 30, // days
-    name: 'Monthly Premium'
-  },
-  yearly: {
-    amount: 99000, // ₹990 in paise (10 months price for 12 months)
-    currency: 'INR',
-    duration: 365, // days
-    name: 'Yearly Premium'
+  billing.name = billing.name || user.name;
+  billing.stateCode = findStateCode(billing);
+  return billing;
+};
+
+// Validators for the optional billingDetails object sent at checkout
+const billingDetailsValidation = [
+  body('billingDetails')
+    .optional()
+    .isObject()
+    .withMessage('Invalid billing details'),
+  body('billingDetails.name')
+    .optional({ checkFalsy: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Billing name cannot exceed 100 characters'),
+  body('billingDetails.gstin')
+    .optional({ checkFalsy: true })
+    .isString()
+    .trim()
+    .toUpperCase()
+    .matches(GSTIN_PATTERN)
+    .withMessage('Invalid GSTIN'),
+  body(['billingDetails.addressLine1', 'billingDetails.addressLine2'])
+    .optional({ checkFalsy: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address lines cannot exceed 200 characters'),
+  body('billingDetails.city')
+    .optional({ checkFalsy: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City cannot exceed 100 characters'),
+  body('billingDetails.state')
+    .optional({ checkFalsy: true })
+    .isIn(Object.values(GST_STATES))
+    .withMessage('Unknown state'),
+  body('billingDetails.postalCode')
+    .optional({ checkFalsy: true })
+    .matches(/^[1-9][0-9]{5}$/)
+    .withMessage('Invalid PIN code')
+];
+
+// The invoice or credit note for one of the user's payments as a PDF download
+// (admins can download any). A credit note is for the refund given as ?refundId=, or
+// the latest processed one. Documents missed when the payment or refund was processed
+// are issued here.
+const sendPaymentDocument = (type) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid payment ID' });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment || (!payment.user.equals(req.user._id) && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    let invoice;
+    if (type === 'invoice' && ['paid', 'refunded'].includes(payment.status)) {
+      invoice = await Invoice.issueForPayment(payment);
+    } else if (type === 'credit_note') {
+      const processedRefunds = payment.refunds.filter(refund => refund.status === 'processed');
+      const refund = req.query.refundId
+        ? processedRefunds.find(r => r.refundId === req.query.refundId)
+        : processedRefunds[processedRefunds.length - 1];
+      if (refund) {
+        invoice = await Invoice.issueCreditNote(payment, refund);
+      } else if (!req.query.refundId && payment.refunds.length === 0 && payment.refundStatus === 'processed') {
+        // Refunded before refunds were listed
+        invoice = await Invoice.issueCreditNote(payment);
+      }
+    }
+    if (!invoice) {
+      return res.status(404).json({
+        message: type === 'invoice' ? 'Only paid payments have an invoice' : 'This payment has no processed refund'
+      });
+    }
+
+    // Never serve a document without its number
+    if (!invoice.number) {
+      return res.status(503).json({ message: 'The document is still being issued. Please try again shortly.' });
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error(`Get ${type} error:`, error);
+    res.status(500).json({ message: 'Error generating document' });
   }
 };
 
+// @route   GET /api/payments/quote?subscriptionType=
+// @desc    Price a subscription purchase: new, renewal after the current period, or upgrade with credit
+// @access  Private (Job Seekers only)
+router.get('/quote', authenticateToken, isJobSeeker, async (req, res) => {
+  try {
+    const plan = await Plan.findPurchasable(req.query.subscriptionType);
+    if (!plan) {
+      return res.status(400).json({ message: 'Invalid subscription type' });
+    }
+
+    const quote = await quoteSubscription(req.user, plan);
+    if (quote.error) {
+      return res.status(400).json({ message: quote.error });
+    }
+
+    res.json({ quote: toQuoteResponse(quote) });
+
+  } catch (error) {
+    console.error('Subscription quote error:', error);
+    res.status(500).json({ message: 'Error pricing subscription' });
+  }
+});
+
+// @route   POST /api/payments/validate-coupon
+// @desc    Check a coupon against a plan and price the purchase with it (doesn't reserve a use)
+// @access  Private (Job Seekers only)
+router.post('/validate-coupon', [
+  authenticateToken,
+  isJobSeeker,
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required'),
+  body('subscriptionType')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Invalid subscription type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const plan = await Plan.findPurchasable(req.body.subscriptionType);
+    if (!plan) {
+      return res.status(400).json({ message: 'Invalid subscription type' });
+    }
+
+    const { coupon, error } = await findUsableCoupon(req.body.code, req.user, plan.key);
+    if (error) {
+      return res.status(400).json({ valid: false, message: error });
+    }
+
+    const quote = await quoteSubscription(req.user, plan, { coupon });
+    if (quote.error) {
+      return res.status(400).json({ valid: false, message: quote.error });
+    }
+
+    res.json({
+      valid: true,
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        validUntil: coupon.validUntil
+      },
+      quote: toQuoteResponse(quote)
+    });
+
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({ message: 'Error validating coupon' });
+  }
+});
+
 // @route   POST /api/payments/create-order
-// @desc    Create Razorpay order for subscription
+// @desc    Create Razorpay order for a new subscription, a renewal or an upgrade (optional couponCode)
 // @access  Private (Job Seekers only)
 router.post('/create-order', [
   authenticateToken,
   isJobSeeker,
   body('subscriptionType')
-    .isIn(['monthly', 'yearly'])
-    .withMessage('Invalid subscription type')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Invalid subscription type'),
+  body('couponCode')
+    .optional({ checkFalsy: true })
+    .isString()
+    .withMessage('Invalid coupon code'),
+  ...billingDetailsValidation
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -53,77 +240,113 @@ router.post('/create-order', [
       });
     }
 
-    // Check if Razorpay is configured
-    if (!razorpay) {
+    // Check if a payment gateway is configured
+    const provider = getPaymentProvider();
+    if (!provider) {
       return res.status(503).json({ 
         message: 'Payment service not configured. Please contact support.' 
       });
     }
 
-    const { subscriptionType } = req.body;
-    const plan = SUBSCRIPTION_PLANS[subscriptionType];
+    const { couponCode } = req.body;
+    const plan = await Plan.findPurchasable(req.body.subscriptionType);
 
     if (!plan) {
       return res.status(400).json({ message: 'Invalid subscription plan' });
     }
+    const subscriptionType = plan.key;
 
-    // Check if user already has active subscription
-    if (req.user.isSubscriptionActive()) {
-      return res.status(400).json({ 
-        message: 'You already have an active subscription',
+    let coupon;
+    if (couponCode) {
+      const result = await findUsableCoupon(couponCode, req.user, subscriptionType);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      coupon = result.coupon;
+    }
+
+    // Active subscribers renew after their current period or upgrade with a credit
+    const quote = await quoteSubscription(req.user, plan, { coupon });
+    if (quote.error) {
+      return res.status(400).json({
+        message: quote.error,
         subscriptionEnd: req.user.subscriptionEnd
       });
     }
 
-    // Create Razorpay order
+    const payment = new Payment({
+      user: req.user._id,
+      amount: quote.amount,
+      currency: quote.version.currency,
+      subscriptionType,
+      plan: plan._id,
+      planVersion: quote.version.version,
+      purpose: quote.purpose,
+      durationDays: quote.version.durationDays,
+      listAmount: quote.listAmount,
+      creditAmount: quote.creditAmount,
+      coupon: coupon && coupon._id,
+      couponCode: coupon && coupon.code,
+      discountAmount: quote.discountAmount,
+      upgradedFrom: quote.upgradedFrom,
+      // Customers who don't send billing details are billed as at their last checkout
+      billingDetails: req.body.billingDetails
+        ? toBillingDetails(req.body.billingDetails, req.user)
+        : await Payment.findLastBillingDetails(req.user._id),
+      status: 'created',
+      description: `${plan.name} Subscription${quote.purpose === 'new' ? '' : ` (${quote.purpose})`}`,
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    });
+
+    // Hold a use of the coupon until the payment succeeds, fails or is abandoned
+    if (coupon) {
+      const reservation = await CouponRedemption.reserve(coupon, req.user._id, payment._id, quote.discountAmount);
+      if (reservation.error) {
+        return res.status(409).json({ message: reservation.error });
+      }
+    }
+
+    // Create the gateway order
     const orderOptions = {
-      amount: plan.amount,
-      currency: plan.currency,
+      amount: quote.amount,
+      currency: quote.version.currency,
       receipt: `receipt_${req.user._id}_${Date.now()}`,
       notes: {
         userId: req.user._id.toString(),
         subscriptionType,
+        purpose: quote.purpose,
+        couponCode: coupon ? coupon.code : undefined,
         userEmail: req.user.email
       }
     };
 
-    const order = await razorpay.orders.create(orderOptions);
-
-    // Save payment record
-    const payment = new Payment({
-      user: req.user._id,
-      razorpayOrderId: order.id,
-      amount: plan.amount,
-      currency: plan.currency,
-      subscriptionType,
-      status: 'created',
-      description: `${plan.name} Subscription`,
-      userAgent: req.get('User-Agent'),
-      ipAddress: req.ip
-    });
-
-    await payment.save();
+    try {
+      const order = await provider.createOrder(orderOptions);
+      payment.razorpayOrderId = order.id;
+      await payment.save();
+    } catch (error) {
+      if (coupon) {
+        await CouponRedemption.release(payment._id);
+      }
+      throw error;
+    }
 
     res.json({
       message: 'Order created successfully',
       order: {
-        id: order.id,
-        amount: order.amount,
-        currency: order.currency
+        id: payment.razorpayOrderId,
+        amount: payment.amount,
+        currency: payment.currency
       },
       plan: {
         name: plan.name,
-        duration: plan.duration,
-        features: [
-          'Unlimited job applications',
-          'Verified badge on profile',
-          'AI-based referral matching',
-          'Resume analyzer',
-          'Higher visibility to referrers',
-          'Priority customer support'
-        ]
+        duration: quote.version.durationDays,
+        features: plan.getFeatureList()
       },
-      razorpayKeyId: process.env.RAZORPAY_KEY_ID
+      quote: toQuoteResponse(quote),
+      provider: provider.name,
+      razorpayKeyId: provider.publicKey
     });
 
   } catch (error) {
@@ -167,20 +390,37 @@ router.post('/verify', [
       return res.status(400).json({ message: 'Payment already verified' });
     }
 
+    const provider = getPaymentProvider();
+    if (!provider) {
+      return res.status(503).json({ message: 'Payment service not configured. Please contact support.' });
+    }
+
     // Verify signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
-
-    if (expectedSignature !== razorpay_signature) {
-      await payment.markAsFailed('Invalid signature');
+    const isSignatureValid = provider.verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+
+    if (!isSignatureValid) {
+      await payment.markAsFailed('Invalid signature', { req });
       return res.status(400).json({ message: 'Payment verification failed' });
     }
 
-    // Mark payment as successful and update user subscription
-    await payment.markAsSuccessful(razorpay_payment_id, razorpay_signature);
+    // Record how the customer paid; not worth failing the verification over
+    try {
+      const gatewayPayment = await provider.fetchPayment(razorpay_payment_id);
+      if (PAYMENT_METHODS.includes(gatewayPayment.method)) {
+        payment.paymentMethod = gatewayPayment.method;
+      }
+    } catch (error) {
+      console.error('Error fetching payment details from gateway:', error);
+    }
+
+    // Mark payment as successful and update user subscription (the webhook may have
+    // done it already, in which case report what it recorded)
+    const paidPayment = await payment.markAsSuccessful(razorpay_payment_id, razorpay_signature, { req }) ||
+      await Payment.findById(payment._id);
 
     // Get updated user data
     const updatedUser = await User.findById(req.user._id).select('-password');
@@ -189,9 +429,11 @@ router.post('/verify', [
       message: 'Payment verified successfully',
       subscription: {
         isActive: true,
-        type: payment.subscriptionType,
-        startDate: payment.subscriptionStart,
-        endDate: payment.subscriptionEnd
+        type: paidPayment.subscriptionType,
+        purpose: paidPayment.purpose,
+        startDate: paidPayment.subscriptionStart,
+        endDate: paidPayment.subscriptionEnd,
+        subscriptionEnd: updatedUser.subscriptionEnd
       },
       user: updatedUser.getPublicProfile()
     });
@@ -202,102 +444,98 @@ router.post('/verify', [
   }
 });
 
-// @route   POST /api/payments/webhook
-// @desc    Handle Razorpay webhooks
-// @access  Public (but verified)
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+// @route   POST /api/payments/fake/complete
+// @desc    Pay an order on the fake gateway (outcome: success or failure), standing in for Checkout
+// @access  Private (only while PAYMENT_PROVIDER=fake)
+router.post('/fake/complete', [
+  authenticateToken,
+  body('orderId').notEmpty().withMessage('Order ID is required'),
+  body('outcome').optional().isIn(['success', 'failure']).withMessage('Outcome must be success or failure')
+], async (req, res) => {
   try {
-    const signature = req.get('X-Razorpay-Signature');
-    const body = req.body;
-
-    // Verify webhook signature
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body)
-      .digest('hex');
+    const provider = getPaymentProvider();
+    if (!provider || !provider.completePayment) {
+      return res.status(404).json({ message: 'Not found' });
+    }
 
-    if (signature !== expectedSignature) {
-      return res.status(400).json({ message: 'Invalid webhook signature' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
     }
 
-    const event = JSON.parse(body);
-    
-    // Handle different webhook events
-    switch (event.event) {
-      case 'payment.captured':
-        await handlePaymentCaptured(event.payload.payment.entity);
-        break;
-      case 'payment.failed':
-        await handlePaymentFailed(event.payload.payment.entity);
-        break;
-      default:
-        console.log('Unhandled webhook event:', event.event);
+    const payment = await Payment.findOne({ razorpayOrderId: req.body.orderId, user: req.user._id });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment record not found' });
     }
 
-    res.json({ status: 'ok' });
+    const result = await provider.completePayment(req.body.orderId, { outcome: req.body.outcome });
+
+    res.json(result);
 
   } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).json({ message: 'Webhook processing error' });
+    console.error('Fake payment error:', error);
+    res.status(500).json({ message: 'Error completing fake payment' });
   }
 });
 
-// Handle payment captured webhook
-const handlePaymentCaptured = async (paymentData) => {
+// @route   POST /api/payments/fake/charge-subscription
+// @desc    Run the next renewal charge of the user's auto-renew subscription on the fake gateway
+// @access  Private (only while PAYMENT_PROVIDER=fake)
+router.post('/fake/charge-subscription', authenticateToken, async (req, res) => {
   try {
-    const payment = await Payment.findOne({ 
-      razorpayOrderId: paymentData.order_id 
-    });
+    const provider = getPaymentProvider();
+    if (!provider || !provider.chargeSubscription) {
+      return res.status(404).json({ message: 'Not found' });
+    }
 
-    if (payment && payment.status !== 'paid') {
-      await payment.markAsSuccessful(paymentData.id, null);
-      payment.webhookReceived = true;
-      payment.webhookData = paymentData;
-      await payment.save();
+    const gatewaySubscriptionId = req.user.subscriptionRenewal?.gatewaySubscriptionId;
+    if (!gatewaySubscriptionId) {
+      return res.status(400).json({ message: 'Auto-renew is not on' });
     }
-  } catch (error) {
-    console.error('Error handling payment captured webhook:', error);
-  }
-};
 
-// Handle payment failed webhook
-const handlePaymentFailed = async (paymentData) => {
-  try {
-    const payment = await Payment.findOne({ 
-      razorpayOrderId: paymentData.order_id 
-    });
+    const payment = await provider.chargeSubscription(gatewaySubscriptionId);
+
+    res.json({ payment });
 
-    if (payment && payment.status !== 'failed') {
-      await payment.markAsFailed(paymentData.error_description || 'Payment failed');
-      payment.webhookReceived = true;
-      payment.webhookData = paymentData;
-      await payment.save();
-    }
   } catch (error) {
-    console.error('Error handling payment failed webhook:', error);
+    console.error('Fake subscription charge error:', error);
+    res.status(500).json({ message: 'Error charging fake subscription' });
   }
-};
+});
 
 // @route   GET /api/payments/subscription-status
-// @desc    Get current subscription status
+// @desc    Get current subscription status and the period each payment paid for
 // @access  Private
 router.get('/subscription-status', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
     const isActive = user.isSubscriptionActive();
+    const now = new Date();
 
-    let currentPayment = null;
-    if (user.subscriptionId) {
-      currentPayment = await Payment.findById(user.subscriptionId);
-    }
+    // Newest first; every payment that ever paid for a period
+    const paidPayments = await Payment.find({
+      user: user._id,
+      status: { $in: ['paid', 'refunded'] },
+      subscriptionStart: { $ne: null }
+    }).sort({ subscriptionStart: -1, createdAt: -1 });
+
+    const periods = paidPayments.map(payment => payment.getPeriod(now));
+    const currentPeriod = periods.find(period => period.state === 'active') || null;
 
     res.json({
       isSubscribed: user.isSubscribed,
       isActive,
       subscriptionStart: user.subscriptionStart,
       subscriptionEnd: user.subscriptionEnd,
-      subscriptionType: currentPayment?.subscriptionType,
-      daysRemaining: isActive ? Math.ceil((new Date(user.subscriptionEnd) - new Date()) / (1000 * 60 * 60 * 24)) : 0
+      subscriptionType: currentPeriod?.subscriptionType,
+      daysRemaining: isActive ? Math.ceil((new Date(user.subscriptionEnd) - now) / (1000 * 60 * 60 * 24)) : 0,
+      currentPeriod,
+      upcomingPeriods: periods.filter(period => period.state === 'upcoming').reverse(),
+      history: periods,
+      renewal: user.getPublicProfile().subscriptionRenewal || null
     });
 
   } catch (error) {
@@ -306,8 +544,271 @@ router.get('/subscription-status', authenticateToken, async (req, res) => {
   }
 });
 
+// What the client needs after a change to how the subscription renews
+const renewalResponse = (message, user) => ({
+  message,
+  renewal: user.getPublicProfile().subscriptionRenewal,
+  user: user.getPublicProfile()
+});
+
+// @route   POST /api/payments/subscription/cancel
+// @desc    Cancel at the end of the paid period (premium stays until subscriptionEnd); stops auto-renew
+// @access  Private (Job Seekers only)
+router.post('/subscription/cancel', [
+  authenticateToken,
+  isJobSeeker,
+  body('reason')
+    .isIn(User.CANCELLATION_REASONS)
+    .withMessage(`Reason must be one of: ${User.CANCELLATION_REASONS.join(', ')}`),
+  body('comment')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = req.user;
+    if (!user.isSubscriptionActive()) {
+      return res.status(400).json({ message: 'You have no active subscription to cancel' });
+    }
+    if (user.subscriptionRenewal.cancelAtPeriodEnd) {
+      return res.status(400).json({ message: 'Your subscription is already cancelled' });
+    }
+
+    // Stop the gateway from charging again before we record the cancellation
+    const gatewaySubscriptionId = user.subscriptionRenewal.gatewaySubscriptionId;
+    if (gatewaySubscriptionId) {
+      const provider = getPaymentProvider();
+      if (!provider) {
+        return res.status(503).json({ message: 'Payment service not configured. Please contact support.' });
+      }
+      try {
+        await provider.cancelSubscription(gatewaySubscriptionId);
+      } catch (error) {
+        console.error('Gateway subscription cancel error:', error);
+        return res.status(502).json({ message: 'Could not stop automatic renewal. Please try again.' });
+      }
+      user.subscriptionRenewal.gatewaySubscriptionId = undefined;
+      user.subscriptionRenewal.gatewayStatus = 'cancelled';
+    }
+
+    user.cancelSubscriptionAtPeriodEnd(req.body.reason, req.body.comment);
+    await user.save();
+
+    await AuditEvent.record('subscription.cancelled', {
+      req,
+      target: { type: 'User', id: user._id },
+      metadata: {
+        reason: req.body.reason,
+        comment: req.body.comment,
+        subscriptionEnd: user.subscriptionEnd,
+        autoRenewStopped: Boolean(gatewaySubscriptionId)
+      }
+    });
+
+    res.json(renewalResponse(
+      `Subscription cancelled. You keep premium until ${user.subscriptionEnd.toDateString()}.`,
+      user
+    ));
+
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({ message: 'Error cancelling subscription' });
+  }
+});
+
+// @route   POST /api/payments/subscription/resume
+// @desc    Undo a cancellation before the paid period ends
+// @access  Private (Job Seekers only)
+router.post('/subscription/resume', authenticateToken, isJobSeeker, async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user.isSubscriptionActive()) {
+      return res.status(400).json({ message: 'Your subscription has already ended; subscribe again instead' });
+    }
+    if (!user.subscriptionRenewal.cancelAtPeriodEnd) {
+      return res.status(400).json({ message: 'Your subscription is not cancelled' });
+    }
+
+    user.resumeSubscription();
+    await user.save();
+
+    await AuditEvent.record('subscription.resumed', {
+      req,
+      target: { type: 'User', id: user._id }
+    });
+
+    // Cancelling stopped the gateway subscription for good; auto-renew needs a new one
+    res.json(renewalResponse(
+      'Subscription resumed. Turn on auto-renew to be charged automatically when it ends.',
+      user
+    ));
+
+  } catch (error) {
+    console.error('Resume subscription error:', error);
+    res.status(500).json({ message: 'Error resuming subscription' });
+  }
+});
+
+// @route   POST /api/payments/subscription/auto-renew
+// @desc    Start a recurring gateway subscription that renews from subscriptionEnd
+// @access  Private (Job Seekers only)
+router.post('/subscription/auto-renew', [
+  authenticateToken,
+  isJobSeeker,
+  body('subscriptionType')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Invalid subscription type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = req.user;
+    if (!user.isSubscriptionActive()) {
+      return res.status(400).json({ message: 'Subscribe first; auto-renew starts when your paid period ends' });
+    }
+    if (user.subscriptionRenewal.cancelAtPeriodEnd) {
+      return res.status(400).json({ message: 'Resume your subscription before turning on auto-renew' });
+    }
+    if (user.subscriptionRenewal.autoRenew) {
+      return res.status(400).json({ message: 'Auto-renew is already on' });
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+      return res.status(503).json({ message: 'Payment service not configured. Please contact support.' });
+    }
+
+    const plan = await Plan.findPurchasable(req.body.subscriptionType);
+    if (!plan) {
+      return res.status(400).json({ message: 'Invalid subscription type' });
+    }
+    const subscriptionType = plan.key;
+    const version = plan.getCurrentVersion();
+
+    // Replace a subscription that was never authorised
+    const previousId = user.subscriptionRenewal.gatewaySubscriptionId;
+    if (previousId) {
+      try {
+        await provider.cancelSubscription(previousId);
+      } catch (error) {
+        console.error('Gateway subscription cancel error:', error);
+      }
+    }
+
+    let gatewaySubscription;
+    try {
+      gatewaySubscription = await provider.createSubscription({
+        subscriptionType,
+        gatewayPlanId: version.gatewayPlanId,
+        durationDays: version.durationDays,
+        amount: version.amount,
+        currency: version.currency,
+        startAt: user.subscriptionEnd,
+        notes: {
+          userId: user._id.toString(),
+          subscriptionType,
+          userEmail: user.email
+        }
+      });
+    } catch (error) {
+      console.error('Gateway subscription error:', error);
+      return res.status(502).json({ message: 'Could not set up automatic renewal. Please try again.' });
+    }
+
+    // Auto-renew switches on once the gateway reports the customer authorised it
+    user.subscriptionRenewal.subscriptionType = subscriptionType;
+    user.subscriptionRenewal.planVersion = version.version;
+    user.subscriptionRenewal.gatewaySubscriptionId = gatewaySubscription.id;
+    user.subscriptionRenewal.gatewayStatus = gatewaySubscription.status;
+    await user.save();
+
+    await AuditEvent.record('subscription.auto_renew_enabled', {
+      req,
+      target: { type: 'User', id: user._id },
+      metadata: { subscriptionType, planVersion: version.version, gatewaySubscriptionId: gatewaySubscription.id }
+    });
+
+    res.json({
+      ...renewalResponse('Authorise the recurring payment to turn on auto-renew', user),
+      subscription: {
+        id: gatewaySubscription.id,
+        shortUrl: gatewaySubscription.shortUrl,
+        firstChargeAt: user.subscriptionEnd,
+        amount: version.amount,
+        currency: version.currency
+      },
+      provider: provider.name,
+      razorpayKeyId: provider.publicKey
+    });
+
+  } catch (error) {
+    console.error('Enable auto-renew error:', error);
+    res.status(500).json({ message: 'Error enabling auto-renew' });
+  }
+});
+
+// @route   DELETE /api/payments/subscription/auto-renew
+// @desc    Stop automatic renewal; premium stays until subscriptionEnd
+// @access  Private (Job Seekers only)
+router.delete('/subscription/auto-renew', authenticateToken, isJobSeeker, async (req, res) => {
+  try {
+    const user = req.user;
+    const gatewaySubscriptionId = user.subscriptionRenewal.gatewaySubscriptionId;
+    if (!gatewaySubscriptionId) {
+      return res.status(400).json({ message: 'Auto-renew is not on' });
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+      return res.status(503).json({ message: 'Payment service not configured. Please contact support.' });
+    }
+
+    try {
+      await provider.cancelSubscription(gatewaySubscriptionId);
+    } catch (error) {
+      console.error('Gateway subscription cancel error:', error);
+      return res.status(502).json({ message: 'Could not stop automatic renewal. Please try again.' });
+    }
+
+    user.subscriptionRenewal.autoRenew = false;
+    user.subscriptionRenewal.gatewaySubscriptionId = undefined;
+    user.subscriptionRenewal.gatewayStatus = 'cancelled';
+    await user.save();
+
+    await AuditEvent.record('subscription.auto_renew_disabled', {
+      req,
+      target: { type: 'User', id: user._id },
+      metadata: { gatewaySubscriptionId }
+    });
+
+    res.json(renewalResponse('Auto-renew turned off', user));
+
+  } catch (error) {
+    console.error('Disable auto-renew error:', error);
+    res.status(500).json({ message: 'Error disabling auto-renew' });
+  }
+});
+
 // @route   GET /api/payments/history
-// @desc    Get payment history for user
+// @desc    Get payment history for user, with the numbers of their invoices and credit notes
 // @access  Private
 router.get('/history', authenticateToken, async (req, res) => {
   try {
@@ -315,7 +816,24 @@ router.get('/history', authenticateToken, async (req, res) => {
       .select('-razorpaySignature -webhookData')
       .sort({ createdAt: -1 });
 
-    res.json({ payments });
+    const invoices = await Invoice.find({ payment: { $in: payments.map(payment => payment._id) } })
+      .select('type number payment refundId issuedAt')
+      .sort({ issuedAt: 1 });
+    const documentsOf = (payment, type) =>
+      invoices.filter(i => i.type === type && i.number && i.payment.equals(payment._id));
+
+    res.json({
+      payments: payments.map(payment => {
+        const [invoice] = documentsOf(payment, 'invoice');
+        return {
+          ...payment.toObject(),
+          invoiceNumber: invoice ? invoice.number : null,
+          // One per refund, oldest first
+          creditNotes: documentsOf(payment, 'credit_note')
+            .map(({ number, refundId }) => ({ number, refundId: refundId || null }))
+        };
+      })
+    });
 
   } catch (error) {
     console.error('Get payment history error:', error);
@@ -323,28 +841,47 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/payments/billing
+// @desc    Get the billing details from the user's last checkout and the states to pick from
+// @access  Private
+router.get('/billing', authenticateToken, async (req, res) => {
+  try {
+    const billingDetails = await Payment.findLastBillingDetails(req.user._id);
+
+    res.json({
+      billingDetails: billingDetails || { name: req.user.name },
+      states: Object.values(GST_STATES)
+    });
+
+  } catch (error) {
+    console.error('Get billing details error:', error);
+    res.status(500).json({ message: 'Error fetching billing details' });
+  }
+});
+
+// @route   GET /api/payments/:id/invoice
+// @desc    Download the invoice for a paid payment as a PDF
+// @access  Private (the payment's owner, or an admin)
+router.get('/:id/invoice', authenticateToken, sendPaymentDocument('invoice'));
+
+// @route   GET /api/payments/:id/credit-note
+// @desc    Download the credit note for one of a payment's refunds as a PDF (?refundId=, else the latest)
+// @access  Private (the payment's owner, or an admin)
+router.get('/:id/credit-note', authenticateToken, sendPaymentDocument('credit_note'));
+
 // @route   GET /api/payments/plans
 // @desc    Get available subscription plans
 // @access  Public
-router.get('/plans', (req, res) => {
-  const plans = Object.entries(SUBSCRIPTION_PLANS).map(([key, plan]) => ({
-    id: key,
-    name: plan.name,
-    amount: plan.amount,
-    currency: plan.currency,
-    duration: plan.duration,
-    features: [
-      'Unlimited job applications',
-      'Verified badge on profile',
-      'AI-based referral matching',
-      'Resume analyzer',
-      'Higher visibility to referrers',
-      'Priority customer support'
-    ],
-    savings: key === 'yearly' ? '17% savings compared to monthly' : null
-  }));
-
-  res.json({ plans });
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await Plan.findCatalog();
+
+    res.json({ plans: plans.map(plan => plan.toCatalogEntry()) });
+
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({ message: 'Error fetching plans' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
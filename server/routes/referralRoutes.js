@@ -3,17 +3,23 @@
 const express = require('express');
 const router = express.Router();
 
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorizeRole, requireVerifiedEmail } = require('../middleware/auth');
 const {
   createReferral,
   createReferralValidation,
-  getReferrals
+  getReferrals,
+  getMatchingReferrals,
+  getReferralById,
+  updateReferral,
+  closeReferral,
+  reopenReferral,
+  deleteReferral
 } = require('../controllers/referralController');
 
 // @route   POST /api/referrals
 // @desc    Create a new job referral
 // @access  Private (Referrer and Admin)
-router.post('/', authenticateToken, authorizeRole(['referrer', 'admin']), createReferralValidation, createReferral
+router.post('/', authenticateToken, authorizeRole(['referrer', 'admin']), requireVerifiedEmail, createReferralValidation, createReferral
 );
 
 
@@ -26,4 +32,34 @@ router.get(
   getReferrals
 );
 
+// @route   GET /api/referrals/matching
+// @desc    Get referrals ranked against the current user's skills, experience, roles and location
+// @access  Private (premium users get the full ranked list)
+router.get('/matching', authenticateToken, authorizeRole(['jobSeeker', 'admin']), getMatchingReferrals);
+
+// @route   GET /api/referrals/:id
+// @desc    Get a single job referral
+// @access  Private
+router.get('/:id', authenticateToken, getReferralById);
+
+// @route   PUT /api/referrals/:id
+// @desc    Update a job referral (same validation as create)
+// @access  Private (Owner or Admin)
+router.put('/:id', authenticateToken, authorizeRole(['referrer', 'admin']), createReferralValidation, updateReferral);
+
+// @route   PUT /api/referrals/:id/close
+// @desc    Close a referral to new applications
+// @access  Private (Owner or Admin)
+router.put('/:id/close', authenticateToken, authorizeRole(['referrer', 'admin']), closeReferral);
+
+// @route   PUT /api/referrals/:id/reopen
+// @desc    Reopen a closed referral
+// @access  Private (Owner or Admin)
+router.put('/:id/reopen', authenticateToken, authorizeRole(['referrer', 'admin']), reopenReferral);
+
+// @route   DELETE /api/referrals/:id
+// @desc    Soft delete a referral
+// @access  Private (Owner or Admin)
+router.delete('/:id', authenticateToken, authorizeRole(['referrer', 'admin']), deleteReferral);
+
 module.exports = router;
\ No newline at end of file
@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 
 // Import authentication middleware
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
 const { uploadImage, uploadPdf } = require('../middleware/uploadMiddleware'); // <-- FIX THIS LINE
 
 // Import user controller functions and validation rules
@@ -12,8 +12,13 @@ const {
   updateUserProfile,
   updateUserProfileValidation,
   getUserProfile,
+  getMyEntitlements,
   uploadAvatar,
-  uploadResume
+  uploadResume,
+  requestCompanyVerification,
+  companyVerificationValidation,
+  confirmCompanyVerification,
+  confirmCompanyVerificationValidation
 } = require('../controllers/userController');
 
 // @route   GET /api/users/profile
@@ -26,6 +31,11 @@ router.get('/profile', authenticateToken, getUserProfile);
 // @access  Private
 router.put('/profile', authenticateToken, updateUserProfileValidation, updateUserProfile);
 
+// @route   GET /api/users/entitlements
+// @desc    Get the current user's features and usage limits
+// @access  Private
+router.get('/entitlements', authenticateToken, getMyEntitlements);
+
 // @route   POST /api/users/profile/avatar
 // @desc    Upload user avatar
 // @access  Private
@@ -36,5 +46,15 @@ router.post('/profile/avatar', authenticateToken, uploadImage, uploadAvatar);
 // @access  Private
 router.post('/profile/resume', authenticateToken, uploadPdf, uploadResume);
 
+// @route   POST /api/users/company-verification
+// @desc    Send a verification code to the referrer's work email
+// @access  Private (Referrer)
+router.post('/company-verification', authenticateToken, authorizeRole(['referrer']), companyVerificationValidation, requestCompanyVerification);
+
+// @route   POST /api/users/company-verification/confirm
+// @desc    Confirm the code and get the verified company badge
+// @access  Private (Referrer)
+router.post('/company-verification/confirm', authenticateToken, authorizeRole(['referrer']), confirmCompanyVerificationValidation, confirmCompanyVerification);
+
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,55 @@
+const express = require('express');
+const { receiveWebhook } = require('../payments/webhooks');
+const { getPaymentProvider } = require('../payments');
+
+const router = express.Router();
+
+// Mounted ahead of the global JSON parser and rate limiter (see index.js): the
+// signature is an HMAC of the exact bytes the gateway sent, and gateway retries
+// mustn't be throttled.
+
+// @route   POST /api/payments/webhook
+// @desc    Receive a payment gateway webhook; stored, deduplicated by event ID and processed
+// @access  Public (but verified)
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ message: 'Expected a JSON webhook body' });
+    }
+
+    const { status } = await receiveWebhook({
+      rawBody: req.body,
+      signature: req.get('X-Razorpay-Signature'),
+      eventId: req.get('X-Razorpay-Event-Id')
+    });
+
+    if (status === 'not_configured') {
+      return res.status(503).json({ message: 'Payment service not configured' });
+    }
+    if (status === 'invalid_signature') {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    // A stored event that failed to process is retried by the webhookRetry job, so
+    // the gateway is told it was received either way
+    res.json({ status: 'ok', result: status });
+
+  } catch (error) {
+    // Not stored: let the gateway redeliver it
+    console.error('Webhook error:', error);
+    res.status(500).json({ message: 'Webhook processing error' });
+  }
+});
+
+// The fake gateway delivers its webhooks in-process rather than over HTTP
+const paymentProvider = getPaymentProvider();
+if (paymentProvider && paymentProvider.setWebhookHandler) {
+  paymentProvider.setWebhookHandler(async (delivery) => {
+    const { status } = await receiveWebhook(delivery);
+    if (status === 'invalid_signature') {
+      throw new Error('Invalid webhook signature');
+    }
+  });
+}
+
+module.exports = router;
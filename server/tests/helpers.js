@@ -0,0 +1,141 @@
+// /server/tests/helpers.js
+
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Set before any app module is loaded: the fake gateway delivers its webhooks at once
+// and mail goes to a throwaway outbox
+process.env.NODE_ENV = 'test';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_WEBHOOK_DELAY_MS = '0';
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.MAIL_DRIVER = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), 'intrarefer-test-outbox');
+
+const paymentRoutes = require('../routes/payments');
+const webhookRoutes = require('../routes/webhooks');
+const { getPaymentProvider } = require('../payments');
+const Plan = require('../models/Plan');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+let memoryServer = null;
+let server = null;
+
+// Webhooks the fake gateway sent, held until a test delivers them
+const pendingWebhooks = [];
+const webhookWaiters = [];
+
+const captureWebhooks = () => {
+  getPaymentProvider().setWebhookHandler(async (delivery) => {
+    const waiter = webhookWaiters.shift();
+    if (waiter) {
+      waiter(delivery);
+    } else {
+      pendingWebhooks.push(delivery);
+    }
+  });
+};
+
+// Resolve the next webhook the fake gateway sends ({ rawBody, signature, eventId })
+const nextWebhook = () => {
+  if (pendingWebhooks.length) {
+    return Promise.resolve(pendingWebhooks.shift());
+  }
+  return new Promise((resolve) => webhookWaiters.push(resolve));
+};
+
+// Mounted as in index.js, without the rate limiter
+const createApp = () => {
+  const app = express();
+  app.use('/api/payments/webhook', webhookRoutes);
+  app.use(express.json());
+  app.use('/api/payments', paymentRoutes);
+  return app;
+};
+
+// Connect to a fresh database and serve the payment routes on a free port.
+// MONGODB_TEST_URI runs the tests against an existing server instead of an in-memory one.
+const startTestServer = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    memoryServer = await MongoMemoryServer.create();
+    uri = memoryServer.getUri();
+  }
+  await mongoose.connect(uri, { dbName: `intrarefer_test_${process.pid}` });
+  await Plan.ensureDefaults();
+
+  captureWebhooks();
+
+  server = await new Promise((resolve) => {
+    const listening = createApp().listen(0, () => resolve(listening));
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+const stopTestServer = async () => {
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+  if (memoryServer) {
+    await memoryServer.stop();
+  }
+};
+
+// Create a job seeker with a live session; resolves { user, token }
+const createSignedInUser = async () => {
+  const user = await User.create({
+    name: 'Test Seeker',
+    email: `seeker_${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'Password123!',
+    role: 'jobSeeker'
+  });
+  const { session } = await Session.createForUser(
+    user._id,
+    { get: () => 'integration-tests', ip: '127.0.0.1' },
+    1
+  );
+  const token = jwt.sign({ userId: user._id, sessionId: session._id }, process.env.JWT_SECRET);
+  return { user, token };
+};
+
+// Send a JSON request; resolves { status, body }
+const request = async (baseUrl, method, url, { token, body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : (Buffer.isBuffer(body) ? body : JSON.stringify(body))
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Post a webhook to the webhook route as the gateway would
+const deliverWebhook = (baseUrl, { rawBody, signature, eventId }) =>
+  request(baseUrl, 'POST', '/api/payments/webhook', {
+    body: rawBody,
+    headers: {
+      'X-Razorpay-Signature': signature,
+      'X-Razorpay-Event-Id': eventId
+    }
+  });
+
+module.exports = {
+  startTestServer,
+  stopTestServer,
+  createSignedInUser,
+  request,
+  deliverWebhook,
+  nextWebhook
+};
@@ -0,0 +1,246 @@
+// /server/tests/payments.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startTestServer,
+  stopTestServer,
+  createSignedInUser,
+  request,
+  deliverWebhook,
+  nextWebhook
+} = require('./helpers');
+const { getPaymentProvider } = require('../payments');
+const { retryDueWebhooks } = require('../payments/webhooks');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const WebhookEvent = require('../models/WebhookEvent');
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startTestServer();
+});
+
+after(async () => {
+  await stopTestServer();
+});
+
+// Check out a monthly subscription; resolves the create-order response body
+const createOrder = async (token) => {
+  const { status, body } = await request(baseUrl, 'POST', '/api/payments/create-order', {
+    token,
+    body: { subscriptionType: 'monthly' }
+  });
+  assert.equal(status, 200, body.message);
+  return body;
+};
+
+describe('create order', () => {
+  it('creates a gateway order on the fake provider and a payment awaiting it', async () => {
+    const { user, token } = await createSignedInUser();
+
+    const body = await createOrder(token);
+
+    assert.equal(body.provider, 'fake');
+    assert.match(body.order.id, /^order_fake_/);
+    assert.ok(body.order.amount > 0);
+
+    const payment = await Payment.findOne({ razorpayOrderId: body.order.id });
+    assert.equal(payment.status, 'created');
+    assert.equal(payment.user.toString(), user._id.toString());
+    assert.equal(payment.amount, body.order.amount);
+  });
+
+  it('rejects a plan that is not on sale', async () => {
+    const { token } = await createSignedInUser();
+
+    const { status } = await request(baseUrl, 'POST', '/api/payments/create-order', {
+      token,
+      body: { subscriptionType: 'lifetime' }
+    });
+
+    assert.equal(status, 400);
+  });
+});
+
+describe('payment success', () => {
+  it('activates the subscription on verify, and the captured webhook leaves it paid', async () => {
+    const { user, token } = await createSignedInUser();
+    const { order } = await createOrder(token);
+
+    const checkout = await request(baseUrl, 'POST', '/api/payments/fake/complete', {
+      token,
+      body: { orderId: order.id, outcome: 'success' }
+    });
+    assert.equal(checkout.status, 200);
+    assert.equal(checkout.body.status, 'captured');
+
+    const verify = await request(baseUrl, 'POST', '/api/payments/verify', {
+      token,
+      body: {
+        razorpay_order_id: checkout.body.razorpay_order_id,
+        razorpay_payment_id: checkout.body.razorpay_payment_id,
+        razorpay_signature: checkout.body.razorpay_signature
+      }
+    });
+    assert.equal(verify.status, 200, verify.body.message);
+    assert.equal(verify.body.subscription.isActive, true);
+
+    const webhook = await deliverWebhook(baseUrl, await nextWebhook());
+    assert.equal(webhook.status, 200);
+    assert.equal(webhook.body.result, 'processed');
+
+    const payment = await Payment.findOne({ razorpayOrderId: order.id });
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.razorpayPaymentId, checkout.body.razorpay_payment_id);
+    assert.equal(payment.webhookReceived, true);
+
+    const updatedUser = await User.findById(user._id);
+    assert.equal(updatedUser.isSubscriptionActive(), true);
+  });
+
+  it('marks the payment paid from the captured webhook alone', async () => {
+    const { user, token } = await createSignedInUser();
+    const { order } = await createOrder(token);
+
+    await request(baseUrl, 'POST', '/api/payments/fake/complete', {
+      token,
+      body: { orderId: order.id, outcome: 'success' }
+    });
+    const webhook = await deliverWebhook(baseUrl, await nextWebhook());
+    assert.equal(webhook.body.result, 'processed');
+
+    const payment = await Payment.findOne({ razorpayOrderId: order.id });
+    assert.equal(payment.status, 'paid');
+    assert.equal((await User.findById(user._id)).isSubscriptionActive(), true);
+  });
+
+  it('refuses a verify with a forged signature', async () => {
+    const { token } = await createSignedInUser();
+    const { order } = await createOrder(token);
+
+    const checkout = await request(baseUrl, 'POST', '/api/payments/fake/complete', {
+      token,
+      body: { orderId: order.id, outcome: 'success' }
+    });
+    await nextWebhook();
+
+    const verify = await request(baseUrl, 'POST', '/api/payments/verify', {
+      token,
+      body: {
+        razorpay_order_id: order.id,
+        razorpay_payment_id: checkout.body.razorpay_payment_id,
+        razorpay_signature: 'forged'
+      }
+    });
+
+    assert.equal(verify.status, 400);
+    assert.notEqual((await Payment.findOne({ razorpayOrderId: order.id })).status, 'paid');
+  });
+});
+
+describe('payment failure', () => {
+  it('marks the payment failed from the failed webhook and grants nothing', async () => {
+    const { user, token } = await createSignedInUser();
+    const { order } = await createOrder(token);
+
+    const checkout = await request(baseUrl, 'POST', '/api/payments/fake/complete', {
+      token,
+      body: { orderId: order.id, outcome: 'failure' }
+    });
+    assert.equal(checkout.body.status, 'failed');
+
+    const webhook = await deliverWebhook(baseUrl, await nextWebhook());
+    assert.equal(webhook.body.result, 'processed');
+
+    const payment = await Payment.findOne({ razorpayOrderId: order.id });
+    assert.equal(payment.status, 'failed');
+    assert.equal((await User.findById(user._id)).isSubscriptionActive(), false);
+  });
+});
+
+describe('webhooks', () => {
+  it('stores a redelivered event once and does not process it again', async () => {
+    const { token } = await createSignedInUser();
+    const { order } = await createOrder(token);
+
+    await request(baseUrl, 'POST', '/api/payments/fake/complete', {
+      token,
+      body: { orderId: order.id, outcome: 'success' }
+    });
+    const delivery = await nextWebhook();
+
+    const first = await deliverWebhook(baseUrl, delivery);
+    const second = await deliverWebhook(baseUrl, delivery);
+
+    assert.equal(first.body.result, 'processed');
+    assert.equal(second.status, 200);
+    assert.equal(second.body.result, 'duplicate');
+
+    const events = await WebhookEvent.find({ eventId: delivery.eventId });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].deliveries, 2);
+    assert.equal(events[0].attempts, 1);
+  });
+
+  it('rejects a webhook with a bad signature without storing it', async () => {
+    const { token } = await createSignedInUser();
+    const { order } = await createOrder(token);
+
+    await request(baseUrl, 'POST', '/api/payments/fake/complete', {
+      token,
+      body: { orderId: order.id, outcome: 'success' }
+    });
+    const delivery = await nextWebhook();
+
+    const response = await deliverWebhook(baseUrl, { ...delivery, signature: 'forged' });
+
+    assert.equal(response.status, 400);
+    assert.equal(await WebhookEvent.countDocuments({ eventId: delivery.eventId }), 0);
+  });
+
+  it('retries a failed event once its backoff has passed', async () => {
+    const { token } = await createSignedInUser();
+    const { order } = await createOrder(token);
+
+    const checkout = await request(baseUrl, 'POST', '/api/payments/fake/complete', {
+      token,
+      body: { orderId: order.id, outcome: 'success' }
+    });
+    const captured = await nextWebhook();
+
+    // Refunded from the gateway dashboard before the capture reached us: no payment
+    // matches the refund yet, so processing it fails
+    const payment = await Payment.findOne({ razorpayOrderId: order.id });
+    await getPaymentProvider().refund(checkout.body.razorpay_payment_id, { amount: 100 });
+    const refunded = await nextWebhook();
+
+    const early = await deliverWebhook(baseUrl, refunded);
+    assert.equal(early.status, 200);
+    assert.equal(early.body.result, 'failed');
+
+    let event = await WebhookEvent.findOne({ eventId: refunded.eventId });
+    assert.equal(event.status, 'failed');
+    assert.ok(event.nextAttemptAt > new Date());
+
+    // Not due yet
+    await retryDueWebhooks();
+    event = await WebhookEvent.findOne({ eventId: refunded.eventId });
+    assert.equal(event.attempts, 1);
+
+    await deliverWebhook(baseUrl, captured);
+    await WebhookEvent.updateOne({ _id: event._id }, { $set: { nextAttemptAt: new Date() } });
+
+    await retryDueWebhooks();
+
+    event = await WebhookEvent.findOne({ eventId: refunded.eventId });
+    assert.equal(event.status, 'processed');
+    assert.equal(event.attempts, 2);
+
+    const refundedPayment = await Payment.findById(payment._id);
+    assert.equal(refundedPayment.refundAmount, 100);
+    assert.equal(refundedPayment.refunds.length, 1);
+    assert.equal(refundedPayment.refunds[0].status, 'processed');
+  });
+});